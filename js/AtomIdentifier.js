@@ -2,19 +2,32 @@
 
 /**
  * Object that can be used to identify various things about an atom given its configuration, i.e. number of protons,
- * neutrons, and/or electrons.
+ * neutrons, and/or electrons.  The data about elements and nuclides is read from the active data set of
+ * AtomicDataSetRegistry.
  *
  * @author John Blanco
  * @author Jesse Greenberg
  */
 
 import Utils from '../../dot/js/Utils.js';
+import merge from '../../phet-core/js/merge.js';
+import AtomicDataSet from './data/AtomicDataSet.js';
+import AtomicDataSetRegistry from './data/AtomicDataSetRegistry.js';
+import DecayMode from './DecayMode.js';
 import shredStrings from './shredStrings.js';
 import shred from './shred.js';
+import NucleonPairingEnum from './NucleonPairingEnum.js';
+import NuclideNotationEnum from './NuclideNotationEnum.js';
+import NuclideStatusEnum from './NuclideStatusEnum.js';
+import StabilityClassEnum from './StabilityClassEnum.js';
 
-// An arbitrary value used to signify a 'trace' abundance, meaning that a very small amount of this isotope is
-// present on Earth.
-const TRACE_ABUNDANCE = 0.000000000001;
+// abundance used for isotopes that exist only in trace amounts, see AtomicDataSet
+const TRACE_ABUNDANCE = AtomicDataSet.TRACE_ABUNDANCE;
+
+// Shortest half-life, in seconds, for which a radioactive nuclide that occurs in nature is considered primordial.
+// This is about 1/45 of the age of the Earth, which excludes nuclides such as uranium-234 that are present only because
+// they are produced by the decay of longer-lived ones.
+const MIN_PRIMORDIAL_HALF_LIFE = 1E8 * 365.2422 * 24 * 60 * 60;
 
 const hydrogenString = shredStrings.hydrogen;
 const heliumString = shredStrings.helium;
@@ -503,48 +516,6 @@ const symbolTable = [
 
 ];
 
-// Table of stable elements, indexed by atomic number to a list of viable numbers of neutrons.
-const stableElementTable = [
-  // No element
-  [],
-  // Hydrogen
-  [ 0, 1 ],
-  // Helium
-  [ 1, 2 ],
-  // Lithium
-  [ 3, 4 ],
-  // Beryllium
-  [ 5 ],
-  // Boron
-  [ 5, 6 ],
-  // Carbon
-  [ 6, 7 ],
-  // Nitrogen
-  [ 7, 8 ],
-  // Oxygen
-  [ 8, 9, 10 ],
-  // Fluorine
-  [ 10 ],
-  // Neon
-  [ 10, 11, 12 ],
-  // Sodium
-  [ 12 ],
-  // Magnesium
-  [ 12, 13, 14 ],
-  //Aluminum
-  [ 14 ],
-  // Silicon
-  [ 14, 15, 16 ],
-  // Phosphorous
-  [ 16 ],
-  // Sulfur
-  [ 16, 17, 18, 20 ],
-  // Chlorine
-  [ 18, 20 ],
-  // Argon
-  [ 18, 20, 22 ]
-];
-
 const numNeutronsInMostStableIsotope = [
   // No element
   0,
@@ -668,340 +639,744 @@ const numNeutronsInMostStableIsotope = [
   161
 ];
 
-// Table which contains information about various attributes of isotopes.  This data was obtained from the National
-// Institute of Standards and Technology (NIST) at the URL
-//
-// http://physics.nist.gov/cgi-bin/Compositions/stand_alone.pl?ele=&ascii=html&isotype=some
-//
-// ...though manual post-processing was necessary to remove data and get it into the format below.  This table only
-// contains isotope data for the first eighteen elemtns.  The original csv of this data can be found in
-// buildanatom/model/AtomIdentifier.java.
-//
-// This table has the following format:
-// keys of type atomic number
-//  subkeys of type mass number
-//    subkeys of type atomicMass and abundance, which hold the values for each isotope.
-
-const ISOTOPE_INFO_TABLE = {
-  1: { // atomic number
-    1: { // massNumber
-      atomicMass: 1.00782503207,
-      abundance: 0.999885
-    },
-    2: {
-      atomicMass: 2.0141017778,
-      abundance: 0.000115
-    },
-    3: {
-      atomicMass: 3.0160492777,
-      // Use trace abundance, since Wikipedia just says "trace" and the NIST table contained it but didn't state
-      // abundance.
-      abundance: TRACE_ABUNDANCE
-    }
-  },
-  2: {
-    3: {
-      atomicMass: 3.0160293191,
-      abundance: 0.00000134
-    },
-    4: {
-      atomicMass: 4.00260325415,
-      abundance: 0.99999866
-    }
-  },
-  3: {
-    6: {
-      atomicMass: 6.015122795,
-      abundance: 0.0759
-    },
-    7: {
-      atomicMass: 7.01600455,
-      abundance: 0.9241
-    }
-  },
-  4: {
-    7: {
-      atomicMass: 7.016929828,
-      abundance: TRACE_ABUNDANCE
-    },
-    9: {
-      atomicMass: 9.0121822,
-      abundance: 1.0000
-    },
-    10: {
-      atomicMass: 10.013533818,
-      abundance: TRACE_ABUNDANCE
-    }
-  },
-  5: {
-    10: {
-      atomicMass: 10.0129370,
-      abundance: 0.199
-    },
-    11: {
-      atomicMass: 11.0093054,
-      abundance: 0.801
-    }
-  },
-  6: {
-    12: {
-      atomicMass: 12.0000000,
-      abundance: 0.9893
-    },
-    13: {
-      atomicMass: 13.0033548378,
-      abundance: 0.0107
-    },
-    14: {
-      atomicMass: 14.003241989,
-      // Use trace abundance, since Wikipedia just says "trace" and the NIST table contained it but didn't state
-      // abundance.
-      abundance: TRACE_ABUNDANCE
-    }
-  },
-  7: {
-    14: {
-      atomicMass: 14.0030740048,
-      abundance: 0.99636
-    },
-    15: {
-      atomicMass: 15.0001088982,
-      abundance: 0.00364
-    }
-  },
-  8: {
-    16: {
-      atomicMass: 15.99491461956,
-      abundance: 0.99757
-    },
-    17: {
-      atomicMass: 16.99913170,
-      abundance: 0.00038
-    },
-    18: {
-      atomicMass: 17.9991610,
-      abundance: 0.00205
-    }
-  },
-  9: {
-    18: {
-      atomicMass: 18.0009380,
-      abundance: TRACE_ABUNDANCE
-    },
-    19: {
-      atomicMass: 18.99840322,
-      abundance: 1.0000
+/**
+ * Get the data set that the data about elements and nuclides is read from, see AtomicDataSetRegistry.
+ * @returns {AtomicDataSet}
+ */
+function getActiveDataSet() {
+  return AtomicDataSetRegistry.getActiveDataSet();
+}
+
+/**
+ * Get the table of isotopes of the active data set, keyed by atomic number and then mass number.
+ * @returns {Object}
+ */
+function getIsotopeTable() {
+  return getActiveDataSet().isotopes;
+}
+
+/**
+ * Get the isotope table entry for the nuclide with the specified number of protons and mass number, or for one of its
+ * isomers.
+ * @param {number} numProtons
+ * @param {number} massNumber
+ * @param {number} [isomerIndex] - 0 or omitted for the ground state
+ * @returns {Object|undefined} - undefined if there is no data for this nuclide or isomer
+ */
+function getIsotopeTableEntry( numProtons, massNumber, isomerIndex ) {
+  const elementEntry = getIsotopeTable()[ numProtons ];
+  const tableEntry = elementEntry === undefined ? undefined : elementEntry[ massNumber ];
+  return tableEntry === undefined || !isomerIndex ? tableEntry : tableEntry.isomers[ isomerIndex ];
+}
+
+/**
+ * Create the description of a nuclide that is returned by the query functions such as AtomIdentifier.findNuclides.
+ * @param {number} numProtons
+ * @param {number} massNumber
+ * @returns {Object} - see AtomIdentifier.findNuclides
+ */
+function createNuclideInfo( numProtons, massNumber ) {
+  const tableEntry = getIsotopeTableEntry( numProtons, massNumber );
+  const numNeutrons = massNumber - numProtons;
+  return {
+    protonCount: numProtons,
+    neutronCount: numNeutrons,
+    massNumber: massNumber,
+    atomicMass: tableEntry.atomicMass,
+    abundance: tableEntry.abundance,
+    halfLife: tableEntry.halfLife,
+    stabilityClass: AtomIdentifier.getStabilityClass( numProtons, numNeutrons ),
+    nucleonPairing: AtomIdentifier.getNucleonPairing( numProtons, numNeutrons )
+  };
+}
+
+// Coefficients of the semi-empirical (Weizsäcker) mass formula, in MeV, from Rohlf, "Modern Physics from a to Z0".
+// These are used to predict the binding energy of nuclides for which there is no measured mass.
+const VOLUME_COEFFICIENT = 15.75;
+const SURFACE_COEFFICIENT = 17.8;
+const COULOMB_COEFFICIENT = 0.711;
+const ASYMMETRY_COEFFICIENT = 23.7;
+const PAIRING_COEFFICIENT = 11.18;
+
+/**
+ * Predict the binding energy of a nucleus using the semi-empirical (Weizsäcker) mass formula.  The prediction is
+ * poor for very light nuclei, and can be negative for configurations that are far from being bound.
+ * @param {number} numProtons
+ * @param {number} numNeutrons
+ * @returns {number} - in MeV
+ */
+function getSemiEmpiricalBindingEnergy( numProtons, numNeutrons ) {
+  const massNumber = numProtons + numNeutrons;
+  let pairingTerm = 0;
+  if ( numProtons % 2 === 0 && numNeutrons % 2 === 0 ) {
+    pairingTerm = PAIRING_COEFFICIENT / Math.sqrt( massNumber );
+  }
+  else if ( numProtons % 2 === 1 && numNeutrons % 2 === 1 ) {
+    pairingTerm = -PAIRING_COEFFICIENT / Math.sqrt( massNumber );
+  }
+  return VOLUME_COEFFICIENT * massNumber -
+         SURFACE_COEFFICIENT * Math.pow( massNumber, 2 / 3 ) -
+         COULOMB_COEFFICIENT * numProtons * ( numProtons - 1 ) / Math.pow( massNumber, 1 / 3 ) -
+         ASYMMETRY_COEFFICIENT * Math.pow( numNeutrons - numProtons, 2 ) / massNumber +
+         pairingTerm;
+}
+
+/**
+ * Get the binding energy of a nucleus, using the measured mass from the isotope table if there is one and the
+ * semi-empirical mass formula otherwise.  The binding energy is calculated from the mass excesses of the neutral atom,
+ * a hydrogen atom and a neutron, so the small binding energy of the atomic electrons is neglected.
+ * @param {number} numProtons
+ * @param {number} numNeutrons
+ * @param {boolean} [usePrediction] - use the semi-empirical mass formula even if there is a measured mass
+ * @returns {{value: number, isPredicted: boolean}} - value is in MeV
+ */
+function getBindingEnergyInfo( numProtons, numNeutrons, usePrediction ) {
+  const tableEntry = getIsotopeTableEntry( numProtons, numProtons + numNeutrons );
+  if ( tableEntry === undefined || usePrediction ) {
+    return { value: getSemiEmpiricalBindingEnergy( numProtons, numNeutrons ), isPredicted: true };
+  }
+  const bindingEnergyInKeV = numProtons * getIsotopeTable()[ 1 ][ 1 ].massExcess +
+                             numNeutrons * getIsotopeTable()[ 0 ][ 1 ].massExcess -
+                             tableEntry.massExcess;
+  return { value: bindingEnergyInKeV / 1000, isPredicted: false };
+}
+
+/**
+ * Get the difference between the binding energy of a nucleus and that of the nucleus left after removing a nucleon.
+ * The semi-empirical mass formula is off by several MeV for some nuclei, which is more than a typical separation
+ * energy, so if either binding energy has to be predicted then both are.
+ * @param {number} numProtons
+ * @param {number} numNeutrons
+ * @param {number} remainingProtons
+ * @param {number} remainingNeutrons
+ * @returns {{value: number, isPredicted: boolean}}
+ */
+function getSeparationEnergy( numProtons, numNeutrons, remainingProtons, remainingNeutrons ) {
+
+  // removing the only nucleon leaves nothing behind, which has no binding energy
+  if ( remainingProtons + remainingNeutrons === 0 ) {
+    return getBindingEnergyInfo( numProtons, numNeutrons );
+  }
+  let bindingEnergy = getBindingEnergyInfo( numProtons, numNeutrons );
+  let remainingBindingEnergy = getBindingEnergyInfo( remainingProtons, remainingNeutrons );
+  if ( bindingEnergy.isPredicted !== remainingBindingEnergy.isPredicted ) {
+    bindingEnergy = getBindingEnergyInfo( numProtons, numNeutrons, true );
+    remainingBindingEnergy = getBindingEnergyInfo( remainingProtons, remainingNeutrons, true );
+  }
+  return {
+    value: bindingEnergy.value - remainingBindingEnergy.value,
+    isPredicted: bindingEnergy.isPredicted
+  };
+}
+
+// Number of consecutive unbound isotopes after which the search for a drip line stops.  One isn't enough, since the
+// pairing energy can make an isotope with an even number of neutrons bound when its odd neighbor is not, e.g. helium-8
+// is bound although helium-7 is not.
+const DRIP_LINE_SEARCH_GAP = 2;
+
+/**
+ * Find a drip line by stepping through the isotopes of an element, starting at its longest-lived isotope, until
+ * DRIP_LINE_SEARCH_GAP consecutive isotopes are unbound.
+ * @param {number} numProtons
+ * @param {number} neutronStep - 1 to find the neutron drip line, -1 to find the proton drip line
+ * @returns {number} - the number of neutrons in the last bound isotope that was found
+ */
+function findDripLine( numProtons, neutronStep ) {
+  const elementEntry = getIsotopeTable()[ numProtons ];
+  const longestLivedMassNumber = _.maxBy( Object.keys( elementEntry ), function( massNumber ) {
+    return elementEntry[ massNumber ].halfLife;
+  } );
+  let lastBoundNumNeutrons = parseInt( longestLivedMassNumber, 10 ) - numProtons;
+  assert && assert( AtomIdentifier.isBound( numProtons, lastBoundNumNeutrons ), 'longest-lived isotope is unbound' );
+  let numNeutrons = lastBoundNumNeutrons + neutronStep;
+  while ( numNeutrons >= 0 && Math.abs( numNeutrons - lastBoundNumNeutrons ) <= DRIP_LINE_SEARCH_GAP ) {
+    if ( AtomIdentifier.isBound( numProtons, numNeutrons ) ) {
+      lastBoundNumNeutrons = numNeutrons;
     }
-  },
-  10: {
-    20: {
-      atomicMass: 19.9924401754,
-      abundance: 0.9048
-    },
-    21: {
-      atomicMass: 20.99384668,
-      abundance: 0.0027
-    },
-    22: {
-      atomicMass: 21.991385114,
-      abundance: 0.0925
+    numNeutrons += neutronStep;
+  }
+  return lastBoundNumNeutrons;
+}
+
+// Letters used for the azimuthal quantum number l of a subshell, e.g. 'p' for l = 1.
+const SUBSHELL_LETTERS = [ 's', 'p', 'd', 'f', 'g' ];
+
+// Subshells in the order in which they are filled according to the Aufbau (Madelung) rule, i.e. by increasing n + l
+// and then by increasing n.  This covers enough subshells for well over 118 electrons.
+const AUFBAU_ORDER = [];
+for ( let nPlusL = 1; nPlusL <= 9; nPlusL++ ) {
+  for ( let n = Math.ceil( ( nPlusL + 1 ) / 2 ); n <= nPlusL; n++ ) {
+    const l = nPlusL - n;
+    if ( l < SUBSHELL_LETTERS.length ) {
+      AUFBAU_ORDER.push( { n: n, l: l, label: n + SUBSHELL_LETTERS[ l ], capacity: 2 * ( 2 * l + 1 ) } );
     }
-  },
-  11: {
-    23: {
-      atomicMass: 22.9897692809,
-      abundance: 1.0000
+  }
+}
+
+// Neutral atoms whose ground state configuration differs from the one given by the Aufbau rule, mapped to the
+// occupancies of the subshells that differ.  These are from the NIST Atomic Spectra Database.
+const AUFBAU_EXCEPTIONS = {
+  24: { '3d': 5, '4s': 1 }, // chromium
+  29: { '3d': 10, '4s': 1 }, // copper
+  41: { '4d': 4, '5s': 1 }, // niobium
+  42: { '4d': 5, '5s': 1 }, // molybdenum
+  44: { '4d': 7, '5s': 1 }, // ruthenium
+  45: { '4d': 8, '5s': 1 }, // rhodium
+  46: { '4d': 10, '5s': 0 }, // palladium
+  47: { '4d': 10, '5s': 1 }, // silver
+  57: { '4f': 0, '5d': 1 }, // lanthanum
+  58: { '4f': 1, '5d': 1 }, // cerium
+  64: { '4f': 7, '5d': 1 }, // gadolinium
+  78: { '5d': 9, '6s': 1 }, // platinum
+  79: { '5d': 10, '6s': 1 }, // gold
+  89: { '5f': 0, '6d': 1 }, // actinium
+  90: { '5f': 0, '6d': 2 }, // thorium
+  91: { '5f': 2, '6d': 1 }, // protactinium
+  92: { '5f': 3, '6d': 1 }, // uranium
+  93: { '5f': 4, '6d': 1 }, // neptunium
+  96: { '5f': 7, '6d': 1 }, // curium
+  103: { '6d': 0, '7p': 1 } // lawrencium
+};
+
+// Atomic numbers of the noble gases, whose configurations are used as the core in the noble gas shorthand notation.
+const NOBLE_GAS_ATOMIC_NUMBERS = [ 2, 10, 18, 36, 54, 86, 118 ];
+
+/**
+ * Get the ground state subshell occupancies of a neutral atom, keyed by subshell label, e.g. { '1s': 2, '2s': 1 }.
+ * @param {number} numProtons
+ * @returns {Object}
+ */
+function getNeutralSubshellOccupancies( numProtons ) {
+  const occupancies = {};
+  let electronsToPlace = numProtons;
+  for ( let i = 0; i < AUFBAU_ORDER.length && electronsToPlace > 0; i++ ) {
+    occupancies[ AUFBAU_ORDER[ i ].label ] = Math.min( electronsToPlace, AUFBAU_ORDER[ i ].capacity );
+    electronsToPlace -= occupancies[ AUFBAU_ORDER[ i ].label ];
+  }
+  assert && assert( electronsToPlace === 0, 'too many electrons for the supported subshells: ' + numProtons );
+  const exception = AUFBAU_EXCEPTIONS[ numProtons ];
+  for ( const label in exception ) {
+    occupancies[ label ] = exception[ label ];
+  }
+  return occupancies;
+}
+
+/**
+ * Get the position of an element in the periodic table, using the layout of PeriodicTableNode, where lanthanum and
+ * actinium are in group 3 and the other lanthanides and actinides are in the separate f-block rows.
+ * @param {number} numProtons
+ * @returns {{period: number, group: number|null}} - group is null for elements in the f-block rows
+ */
+function getPeriodicTablePosition( numProtons ) {
+  let period = 1;
+  while ( NOBLE_GAS_ATOMIC_NUMBERS[ period - 1 ] < numProtons ) {
+    period++;
+  }
+  const positionInPeriod = numProtons - ( period === 1 ? 0 : NOBLE_GAS_ATOMIC_NUMBERS[ period - 2 ] );
+  let group;
+  if ( period === 1 ) {
+    group = numProtons === 1 ? 1 : 18;
+  }
+  else if ( period <= 3 ) {
+    group = positionInPeriod <= 2 ? positionInPeriod : positionInPeriod + 10;
+  }
+  else if ( period <= 5 ) {
+    group = positionInPeriod;
+  }
+  else if ( positionInPeriod <= 3 ) {
+    group = positionInPeriod;
+  }
+  else {
+
+    // the 14 elements after lanthanum or actinium are in the f-block rows
+    group = positionInPeriod <= 17 ? null : positionInPeriod - 14;
+  }
+  return { period: period, group: group };
+}
+
+// Effective principal quantum numbers n* used in Slater's rules, indexed by n.  Values for n > 6 aren't defined by
+// Slater, so the value for n = 6 is used.
+const EFFECTIVE_PRINCIPAL_QUANTUM_NUMBERS = [ 0, 1, 2, 3, 3.7, 4.0, 4.2 ];
+
+// Smallest effective nuclear charge used when estimating radii, so that the radius stays finite for hypothetical
+// anions with more electrons than the nucleus can bind, which can be built in Build an Atom.
+const MIN_EFFECTIVE_NUCLEAR_CHARGE = 0.1;
+
+// Largest ratio of the estimated radius of an anion to the radius of the most negative charge state of its element that
+// there is data for.  Slater's rules give an effective nuclear charge near zero for anions with more electrons than
+// the nucleus can bind, e.g. Cl²⁻, which would otherwise make them many times larger than any real atom.
+const MAX_ANION_RADIUS_RATIO = 1.5;
+
+/**
+ * Get the position of the group of a subshell in the ordering used by Slater's rules, i.e. [1s] [2s, 2p] [3s, 3p] [3d]
+ * [4s, 4p] [4d] [4f] [5s, 5p] and so on.
+ * @param {{n: number, l: number}} subshell
+ * @returns {number}
+ */
+function getSlaterGroupPosition( subshell ) {
+  return subshell.l <= 1 ? subshell.n : subshell.n + 0.1 + 0.2 * subshell.l;
+}
+
+/**
+ * Estimate the relative size of an atom or ion using Slater's rules, i.e. the value of n*²/Z_eff for the outermost
+ * electrons, which is proportional to the radius of maximum density of their orbital.  This is only meaningful for
+ * comparing atoms and ions of the same element.
+ * @param {number} numProtons
+ * @param {number} numElectrons - must be greater than zero
+ * @returns {number}
+ */
+function getSlaterRadiusFactor( numProtons, numElectrons ) {
+  const configuration = AtomIdentifier.getElectronConfiguration( numProtons, numElectrons );
+  const outerSubshell = _.maxBy( configuration, getSlaterGroupPosition );
+  const outerGroupPosition = getSlaterGroupPosition( outerSubshell );
+  let shielding = 0;
+  configuration.forEach( function( subshell ) {
+    const groupPosition = getSlaterGroupPosition( subshell );
+    if ( groupPosition === outerGroupPosition ) {
+      shielding += ( outerSubshell.n === 1 ? 0.30 : 0.35 ) * subshell.electrons;
     }
-  },
-  12: {
-    24: {
-      atomicMass: 23.985041700,
-      abundance: 0.7899
-    },
-    25: {
-      atomicMass: 24.98583692,
-      abundance: 0.1000
-    },
-    26: {
-      atomicMass: 25.982592929,
-      abundance: 0.1101
+    else if ( outerSubshell.l <= 1 && subshell.n === outerSubshell.n - 1 ) {
+      shielding += 0.85 * subshell.electrons;
     }
-  },
-  13: {
-    27: {
-      atomicMass: 26.98153863,
-      abundance: 1.0000
+    else {
+      shielding += subshell.electrons;
     }
-  },
-  14: {
-    28: {
-      atomicMass: 27.9769265325,
-      abundance: 0.92223
-    },
-    29: {
-      atomicMass: 28.976494700,
-      abundance: 0.04685
-    },
-    30: {
-      atomicMass: 29.97377017,
-      abundance: 0.03092
+  } );
+
+  // the electron whose shielding is calculated doesn't shield itself
+  shielding -= outerSubshell.n === 1 ? 0.30 : 0.35;
+
+  const effectiveNuclearCharge = Math.max( numProtons - shielding, MIN_EFFECTIVE_NUCLEAR_CHARGE );
+  const effectivePrincipalQuantumNumber =
+    EFFECTIVE_PRINCIPAL_QUANTUM_NUMBERS[ Math.min( outerSubshell.n, EFFECTIVE_PRINCIPAL_QUANTUM_NUMBERS.length - 1 ) ];
+  return effectivePrincipalQuantumNumber * effectivePrincipalQuantumNumber / effectiveNuclearCharge;
+}
+
+// Roots of the IUPAC systematic element names, and the letters of the systematic symbols, indexed by digit.  These
+// are the temporary names and symbols for elements that have not been named yet, e.g. ununennium (Uue) for element
+// 119, see https://doi.org/10.1351/pac197951020381.
+const SYSTEMATIC_NAME_ROOTS = [ 'nil', 'un', 'bi', 'tri', 'quad', 'pent', 'hex', 'sept', 'oct', 'enn' ];
+const SYSTEMATIC_SYMBOL_LETTERS = 'nubtqphsoe';
+
+// The systematic names are only used for three or more digits.
+const MIN_SYSTEMATIC_ATOMIC_NUMBER = 100;
+
+/**
+ * Get the IUPAC systematic name of an element in lower case, e.g. 'ununennium' for element 119.  The final 'i' of
+ * 'bi' and 'tri' is dropped before 'ium', and the final 'n' of 'enn' is dropped before 'nil'.
+ * @param {number} numProtons
+ * @returns {string}
+ */
+function getSystematicEnglishName( numProtons ) {
+  return numProtons.toString().split( '' ).map( function( digit ) {
+    return SYSTEMATIC_NAME_ROOTS[ digit ];
+  } ).join( '' ).replace( /nnn/g, 'nn' ) + ( numProtons % 10 === 2 || numProtons % 10 === 3 ? 'um' : 'ium' );
+}
+
+/**
+ * Get the atomic number for an IUPAC systematic element symbol or name.  These are only recognized for the elements
+ * beyond oganesson, since the others have permanent names.  A symbol must have three letters and be capitalized, so
+ * that words such as 'one' or 'ten' aren't taken for symbols, and a name must be spelled in full, in any case.
+ * @param {string} symbolOrName
+ * @returns {number} - 0 if this is not a systematic symbol or name of an element beyond oganesson
+ */
+function getSystematicAtomicNumber( symbolOrName ) {
+  const lowerCaseSymbolOrName = symbolOrName.toLowerCase();
+  let atomicNumber = 0;
+  if ( /^[NUBTQPHSOE][nubtqphsoe]{2}$/.test( symbolOrName ) ) {
+    atomicNumber = parseInt( lowerCaseSymbolOrName.split( '' ).map( function( letter ) {
+      return SYSTEMATIC_SYMBOL_LETTERS.indexOf( letter );
+    } ).join( '' ), 10 );
+  }
+  else if ( /ium$/.test( lowerCaseSymbolOrName ) ) {
+
+    // restore the letters that are dropped in the name before splitting it into roots
+    const roots = lowerCaseSymbolOrName.replace( /(b|tr)ium$/, '$1i' ).replace( /ium$/, '' )
+      .replace( /ennil/g, 'ennnil' );
+    const rootMatches = roots.match( /nil|un|bi|tri|quad|pent|hex|sept|oct|enn/g ) || [];
+    if ( rootMatches.join( '' ) === roots ) {
+      atomicNumber = parseInt( rootMatches.map( function( root ) {
+        return SYSTEMATIC_NAME_ROOTS.indexOf( root );
+      } ).join( '' ), 10 );
     }
-  },
-  15: {
-    31: {
-      atomicMass: 30.97376163,
-      abundance: 1.0000
+
+    // names such as 'niloctium', whose number starts with zero, or 'bium', which has too few roots, aren't valid
+    if ( !( atomicNumber >= MIN_SYSTEMATIC_ATOMIC_NUMBER ) ||
+         getSystematicEnglishName( atomicNumber ) !== lowerCaseSymbolOrName ) {
+      atomicNumber = 0;
     }
-  },
-  16: {
-    32: {
-      atomicMass: 31.97207100,
-      abundance: 0.9499
-    },
-    33: {
-      atomicMass: 32.97145876,
-      abundance: 0.0075
-    },
-    34: {
-      atomicMass: 33.96786690,
-      abundance: 0.0425
-    },
-    36: {
-      atomicMass: 35.96708076,
-      abundance: 0.0001
+  }
+  return atomicNumber >= symbolTable.length ? atomicNumber : 0;
+}
+
+// Alternative spellings of element names that are accepted when parsing nuclides, mapped to atomic numbers.
+const ELEMENT_NAME_ALIASES = {
+  aluminium: 13,
+  sulphur: 16,
+  caesium: 55,
+  copernicium: 112
+};
+
+// Symbol of the neutron, which is used for nuclides without protons, see AtomIdentifier.formatNuclide.
+const NEUTRON_SYMBOL = 'n';
+
+const SUPERSCRIPT_CHARACTERS = '⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻ᵐ';
+const SUBSCRIPT_CHARACTERS = '₀₁₂₃₄₅₆₇₈₉₊₋ₘ';
+const PLAIN_CHARACTERS = '0123456789+-m';
+
+// Patterns for the notations accepted by AtomIdentifier.parseNuclide, which are matched after superscripts and
+// subscripts have been normalized to the forms ^{...} and _{...}.  A charge is either a superscript or plain digits
+// followed by a sign at the end, e.g. '3+'.
+const CHARGE_PATTERN = '(?:\\^\\{(\\d*[+-])\\}|(\\d*[+-]))';
+
+// element followed by an optional mass number and isomer, e.g. 'C-14', 'carbon 14', 'Fe3+', 'Fe-56 3+', 'Tc-99m' or
+// 'Hf-178m2'.  Digits directly followed by a sign are a charge rather than a mass number.
+const SUFFIX_NOTATION_REGEX = new RegExp(
+  '^([A-Za-z]+)(?:\\s*-?\\s*(\\d+)(?:m(\\d*))?(?![\\d+-]))?\\s*' + CHARGE_PATTERN + '?$'
+);
+
+// mass number and optionally atomic number before the element, e.g. '14C', '^{14}C', '^{14}_{6}C' or '_{6}^{14}C'
+const PREFIX_NOTATION_REGEX = new RegExp(
+  '^(?:\\^\\{(\\d+)\\}_\\{(\\d+)\\}|_\\{(\\d+)\\}\\^\\{(\\d+)\\}|\\^\\{(\\d+)\\}|(\\d+)\\s*-?)\\s*([A-Za-z]+)\\s*' +
+  CHARGE_PATTERN + '?$'
+);
+
+/**
+ * Replace unicode superscript and subscript characters with the plain characters in the forms ^{...} and _{...}, and
+ * put braces around superscripts and subscripts written without them, e.g. '^14_6C'.
+ * @param {string} string
+ * @returns {string}
+ */
+function normalizeNuclideString( string ) {
+  const replaceScripts = function( scriptCharacters, prefix ) {
+    return function( match ) {
+      return prefix + '{' + match.split( '' ).map( function( character ) {
+        return PLAIN_CHARACTERS.charAt( scriptCharacters.indexOf( character ) );
+      } ).join( '' ) + '}';
+    };
+  };
+  return string.trim()
+    .replace( /−/g, '-' ) // unicode minus sign
+    .replace( /[⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻]+/g, replaceScripts( SUPERSCRIPT_CHARACTERS, '^' ) )
+    .replace( /[₀₁₂₃₄₅₆₇₈₉₊₋]+/g, replaceScripts( SUBSCRIPT_CHARACTERS, '_' ) )
+    .replace( /([\^_])(\d*[+-]|\d+)/g, '$1{$2}' );
+}
+
+/**
+ * Get the atomic number for an element symbol or English element name.  Symbols must be written with the correct case,
+ * since e.g. 'Co' is cobalt but 'CO' is not an element, while names can be written in any case.
+ * @param {string} symbolOrName
+ * @returns {number} - 0 if there is no such element
+ */
+function getAtomicNumber( symbolOrName ) {
+  const symbolIndex = symbolTable.indexOf( symbolOrName );
+  if ( symbolIndex > 0 ) {
+    return symbolIndex;
+  }
+  const lowerCaseName = symbolOrName.toLowerCase();
+  const nameIndex = englishNameTable.indexOf( lowerCaseName );
+  if ( nameIndex > 0 ) {
+    return nameIndex;
+  }
+  return ELEMENT_NAME_ALIASES[ lowerCaseName ] || getSystematicAtomicNumber( symbolOrName );
+}
+
+/**
+ * Get the free nucleon for a symbol or name, i.e. 'n' or 'neutron' for the neutron and 'p' or 'proton' for the proton.
+ * As for elements, the symbols are case sensitive, since 'N' and 'P' are nitrogen and phosphorus.
+ * @param {string} symbolOrName
+ * @returns {{protonCount: number, neutronCount: number}|null} - null if this isn't a free nucleon
+ */
+function getFreeNucleon( symbolOrName ) {
+  if ( symbolOrName === NEUTRON_SYMBOL || symbolOrName.toLowerCase() === 'neutron' ) {
+    return { protonCount: 0, neutronCount: 1 };
+  }
+  else if ( symbolOrName === 'p' || symbolOrName.toLowerCase() === 'proton' ) {
+    return { protonCount: 1, neutronCount: 0 };
+  }
+  return null;
+}
+
+/**
+ * Parse a charge such as '3+', '-' or '2-'.
+ * @param {string|undefined} chargeString
+ * @returns {number} - 0 if chargeString is undefined
+ */
+function parseCharge( chargeString ) {
+  if ( chargeString === undefined ) {
+    return 0;
+  }
+  const magnitude = chargeString.length > 1 ? parseInt( chargeString, 10 ) : 1;
+  return chargeString.charAt( chargeString.length - 1 ) === '+' ? magnitude : -magnitude;
+}
+
+/**
+ * Convert a string of digits and signs to unicode superscript or subscript characters.
+ * @param {string} string
+ * @param {string} scriptCharacters - SUPERSCRIPT_CHARACTERS or SUBSCRIPT_CHARACTERS
+ * @returns {string}
+ */
+function toScript( string, scriptCharacters ) {
+  return string.split( '' ).map( function( character ) {
+    return scriptCharacters.charAt( PLAIN_CHARACTERS.indexOf( character ) );
+  } ).join( '' );
+}
+
+// Scores of the ways in which the text of a search query can match the symbol or a name of an element, see
+// AtomIdentifier.search.  Prefix and substring matches score higher the more of the name they cover, but always lower
+// than an exact match and higher than the next kind of match.
+const EXACT_MATCH_SCORE = 1;
+const PREFIX_MATCH_SCORE = 0.75;
+const SUBSTRING_MATCH_SCORE = 0.5;
+const FUZZY_MATCH_SCORE = 0.25;
+const MATCH_COVERAGE_SCORE = 0.2;
+
+// Misspelled queries are only matched if they have at least this many letters, and with at most one edit, or one edit
+// for every FUZZY_MATCH_LETTERS_PER_EDIT letters in longer queries, so that short queries don't match nearly every
+// element.
+const MIN_FUZZY_MATCH_LENGTH = 3;
+const FUZZY_MATCH_LETTERS_PER_EDIT = 4;
+
+// element text followed by an optional mass number, e.g. 'sod', 'u235' or 'uranium-235', or the reverse, e.g. '235u'
+const SEARCH_SUFFIX_REGEX = /^([^\d\s-]+)\s*-?\s*(\d*)$/;
+const SEARCH_PREFIX_REGEX = /^(\d+)\s*-?\s*([^\d\s-]+)$/;
+
+// For each element, the texts that a search query is matched against, created when first needed.
+let elementSearchTerms = null;
+
+/**
+ * Normalize text for searching by making it lower case and removing accents, so that e.g. 'Sodio' matches 'Sódio'.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeSearchText( text ) {
+  return text.trim().toLowerCase().normalize( 'NFD' ).replace( /[\u0300-\u036f]/g, '' );
+}
+
+/**
+ * Get the texts that search queries are matched against for each element, i.e. the symbol, the localized name, the
+ * English name and alternative spellings, keyed by atomic number.
+ * @returns {Array.<{symbol: string, names: string[]}>}
+ */
+function getElementSearchTerms() {
+  if ( !elementSearchTerms ) {
+    elementSearchTerms = [];
+    for ( let atomicNumber = 1; atomicNumber < symbolTable.length; atomicNumber++ ) {
+      elementSearchTerms[ atomicNumber ] = {
+        symbol: symbolTable[ atomicNumber ].toLowerCase(),
+        names: _.uniq( [ normalizeSearchText( nameTable[ atomicNumber ] ), englishNameTable[ atomicNumber ] ] )
+      };
     }
-  },
-  17: {
-    35: {
-      atomicMass: 34.96885268,
-      abundance: 0.7576
-    },
-    37: {
-      atomicMass: 36.96590259,
-      abundance: 0.2424
+    _.forEach( ELEMENT_NAME_ALIASES, function( atomicNumber, alias ) {
+      elementSearchTerms[ atomicNumber ].names.push( alias );
+    } );
+  }
+  return elementSearchTerms;
+}
+
+/**
+ * Compute the number of insertions, deletions, substitutions and transpositions of adjacent letters that are needed
+ * to turn one string into another, i.e. the optimal string alignment distance.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function getEditDistance( a, b ) {
+  const distances = [];
+  for ( let i = 0; i <= a.length; i++ ) {
+    distances[ i ] = [ i ];
+  }
+  for ( let j = 1; j <= b.length; j++ ) {
+    distances[ 0 ][ j ] = j;
+  }
+  for ( let i = 1; i <= a.length; i++ ) {
+    for ( let j = 1; j <= b.length; j++ ) {
+      const substitutionCost = a.charAt( i - 1 ) === b.charAt( j - 1 ) ? 0 : 1;
+      distances[ i ][ j ] = Math.min(
+        distances[ i - 1 ][ j ] + 1,
+        distances[ i ][ j - 1 ] + 1,
+        distances[ i - 1 ][ j - 1 ] + substitutionCost
+      );
+      if ( i > 1 && j > 1 && a.charAt( i - 1 ) === b.charAt( j - 2 ) && a.charAt( i - 2 ) === b.charAt( j - 1 ) ) {
+        distances[ i ][ j ] = Math.min( distances[ i ][ j ], distances[ i - 2 ][ j - 2 ] + 1 );
+      }
     }
-  },
-  18: {
-    36: {
-      atomicMass: 35.967545106,
-      abundance: 0.003365
-    },
-    38: {
-      atomicMass: 37.9627324,
-      abundance: 0.000632
-    },
-    40: {
-      atomicMass: 39.9623831225,
-      abundance: 0.996003
+  }
+  return distances[ a.length ][ b.length ];
+}
+
+/**
+ * Score how well the text of a search query matches an element name.  A misspelled query matches if it is close to
+ * either the whole name or the beginning of it, so that partial input such as 'flor' matches 'fluorine'.
+ * @param {string} text - normalized query text
+ * @param {string} name - normalized name
+ * @returns {number} - 0 if the text doesn't match
+ */
+function getNameMatchScore( text, name ) {
+  const coverage = MATCH_COVERAGE_SCORE * text.length / Math.max( text.length, name.length );
+  if ( text === name ) {
+    return EXACT_MATCH_SCORE;
+  }
+  else if ( name.indexOf( text ) === 0 ) {
+    return PREFIX_MATCH_SCORE + coverage;
+  }
+  else if ( name.indexOf( text ) > 0 ) {
+    return SUBSTRING_MATCH_SCORE + coverage;
+  }
+  else if ( text.length >= MIN_FUZZY_MATCH_LENGTH ) {
+    const distance = Math.min(
+      getEditDistance( text, name ),
+      getEditDistance( text, name.substring( 0, text.length ) )
+    );
+    if ( distance <= Math.max( 1, Math.floor( text.length / FUZZY_MATCH_LETTERS_PER_EDIT ) ) ) {
+      return FUZZY_MATCH_SCORE + coverage * ( 1 - distance / text.length );
     }
   }
-};
+  return 0;
+}
 
-// Table which maps atomic numbers to standard atomic mass (a.k.a. standard atomic weight).  This was obtained from
-// the URL below and subsequently post-processed to remove unneeded data:
-//
-// http://physics.nist.gov/cgi-bin/Compositions/stand_alone.pl?ele=&ascii=ascii2&isotype=some
-const standardMassTable = [
-  0, // 0, NO ELEMENT
-  1.00794, // 1, HYDROGEN
-  4.002602, // 2, HELIUM
-  6.941, // 3, LITHIUM
-  9.012182, // 4, BERYLLIUM
-  10.811, // 5, BORON
-  12.0107, // 6, CARBON
-  14.0067, // 7, NITROGEN
-  15.9994, // 8, OXYGEN
-  18.9984032, // 9, FLUORINE
-  20.1797, // 10, NEON
-  22.98976928, // 11, SODIUM
-  24.3050, // 12, MAGNESIUM
-  26.9815386, // 13, ALUMINUM
-  28.0855, // 14, SILICON
-  30.973762, // 15, PHOSPHORUS
-  32.065, // 16, SULFUR
-  35.453, // 17, CHLORINE
-  39.948, // 18, ARGON
-  39.0983, // 19, POTASSIUM
-  40.078, // 20, CALCIUM
-  44.955912, // 21, SCANDIUM
-  47.867, // 22, TITANIUM
-  50.9415, // 23, VANADIUM
-  51.9961, // 24, CHROMIUM
-  54.938045, // 25, MANGANESE
-  55.845, // 26, IRON
-  58.933195, // 27, COBALT
-  58.6934, // 28, NICKEL
-  63.546, // 29, COPPER
-  65.38, // 30, ZINC
-  69.723, // 31, GALLIUM
-  72.64, // 32, GERMANIUM
-  74.9216, // 33, ARSENIC
-  78.96, // 34, SELENIUM
-  79.904, // 35, BROMINE
-  83.798, // 36, KRYPTON
-  85.4678, // 37, RUBIDIUM
-  87.62, // 38, STRONTIUM
-  88.90585, // 39, YTTRIUM
-  91.224, // 40, ZIRCONIUM
-  92.90638, // 41, NIOBIUM
-  95.96, // 42, MOLYBDENUM
-  98, // 43, TECHNETIUM
-  101.07, // 44, RUTHENIUM
-  102.9055, // 45, RHODIUM
-  106.42, // 46, PALLADIUM
-  107.8682, // 47, SILVER
-  112.411, // 48, CADMIUM
-  114.818, // 49, INDIUM
-  118.71, // 50, TIN
-  121.76, // 51, ANTIMONY
-  127.6, // 52, TELLURIUM
-  126.90447, // 53, IODINE
-  131.293, // 54, XENON
-  132.9054519, // 55, CAESIUM
-  137.327, // 56, BARIUM
-  138.90547, // 57, LANTHANUM
-  140.116, // 58, CERIUM
-  140.90765, // 59, PRASEODYMIUM
-  144.242, // 60, NEODYMIUM
-  145, // 61, PROMETHIUM
-  150.36, // 62, SAMARIUM
-  151.964, // 63, EUROPIUM
-  157.25, // 64, GADOLINIUM
-  158.92535, // 65, TERBIUM
-  162.5, // 66, DYSPROSIUM
-  164.93032, // 67, HOLMIUM
-  167.259, // 68, ERBIUM
-  168.93421, // 69, THULIUM
-  173.054, // 70, YTTERBIUM
-  174.9668, // 71, LUTETIUM
-  178.49, // 72, HAFNIUM
-  180.94788, // 73, TANTALUM
-  183.84, // 74, TUNGSTEN
-  186.207, // 75, RHENIUM
-  190.23, // 76, OSMIUM
-  192.217, // 77, IRIDIUM
-  195.084, // 78, PLATINUM
-  196.966569, // 79, GOLD
-  200.59, // 80, MERCURY
-  204.3833, // 81, THALLIUM
-  207.2, // 82, LEAD
-  208.9804 // 83, BISMUTH
-];
+/**
+ * Create a result of AtomIdentifier.search.
+ * @param {number} protonCount
+ * @param {number|null} massNumber - null for an element
+ * @param {number} score
+ * @returns {Object}
+ */
+function createSearchResult( protonCount, massNumber, score ) {
+  return {
+    protonCount: protonCount,
+    massNumber: massNumber,
+    symbol: AtomIdentifier.getSymbol( protonCount ),
+    name: AtomIdentifier.getName( protonCount ),
+    score: score
+  };
+}
+
+// Energy equivalent of the electron mass in keV, from CODATA 2018.
+const ELECTRON_MASS_IN_KEV = 510.99895;
+
+// Decay modes that are checked when determining which modes are energetically allowed, grouped and ordered by how
+// they are preferred when predicting a decay mode, see AtomIdentifier.getPredictedDecayMode.
+const NUCLEON_EMISSION_DECAY_MODES = [ 'n', 'p', '2n', '2p' ];
+const BETA_DECAY_MODES = [ 'B-', 'B+', 'EC' ];
+const PREDICTABLE_DECAY_MODES = NUCLEON_EMISSION_DECAY_MODES.concat( [ 'A' ], BETA_DECAY_MODES );
+
+// Atomic number above which alpha decay is preferred over beta decay when predicting a decay mode, since every
+// nuclide beyond lead is unstable and alpha decay is then the most common mode.
+const MAX_ATOMIC_NUMBER_WITHOUT_ALPHA_PREFERENCE = 82;
+
+/**
+ * Get the information needed to calculate the Q-value of a decay mode, see DecayMode.  Cluster decays, which are
+ * written as the mass number and symbol of the cluster, e.g. '14C', are supported in addition to the registered modes.
+ * @param {string} decayMode - in NUBASE notation, or one of the aliases of a registered mode
+ * @returns {{protonChange: number, neutronChange: number, emittedParticles: number[][], numPositrons: number}|null}
+ *          - null if the decay mode is not supported or has no single daughter, as for spontaneous fission
+ */
+function getDecayModeInfo( decayMode ) {
+  const registeredDecayMode = DecayMode.get( decayMode );
+  if ( registeredDecayMode ) {
+    return registeredDecayMode.protonChange === null ? null : registeredDecayMode;
+  }
+  const clusterMatch = /^(\d+)([A-Z][a-z]?)$/.exec( decayMode );
+  const clusterProtons = clusterMatch ? symbolTable.indexOf( clusterMatch[ 2 ] ) : -1;
+  if ( clusterProtons < 1 ) {
+    return null;
+  }
+  const clusterNeutrons = parseInt( clusterMatch[ 1 ], 10 ) - clusterProtons;
+  return {
+    protonChange: -clusterProtons,
+    neutronChange: -clusterNeutrons,
+    emittedParticles: [ [ clusterProtons, clusterNeutrons ] ],
+    numPositrons: 0
+  };
+}
+
+/**
+ * Get the mass excess of a neutral atom, using the measured value from the isotope table if there is one and
+ * otherwise predicting it from the binding energy given by the semi-empirical mass formula.
+ * @param {number} numProtons
+ * @param {number} numNeutrons
+ * @param {boolean} [usePrediction] - use the semi-empirical mass formula even if there is a measured mass
+ * @returns {{value: number, isPredicted: boolean}} - value is in keV
+ */
+function getMassExcessInfo( numProtons, numNeutrons, usePrediction ) {
+  const bindingEnergy = getBindingEnergyInfo( numProtons, numNeutrons, usePrediction );
+  return {
+    value: numProtons * getIsotopeTable()[ 1 ][ 1 ].massExcess +
+           numNeutrons * getIsotopeTable()[ 0 ][ 1 ].massExcess -
+           bindingEnergy.value * 1000,
+    isPredicted: bindingEnergy.isPredicted
+  };
+}
+
+// Number of standard uncertainties by which an atomic weight computed from the isotope table may differ from the
+// standard atomic weight and still be considered consistent.  Some margin is needed because the abundances in the
+// isotope table are representative compositions rather than the exact ones IUPAC used.
+const ATOMIC_WEIGHT_COVERAGE_FACTOR = 2;
+
+/**
+ * Compute the atomic weight of an element from the masses and natural abundances in the isotope table, including
+ * naturally occurring isomers such as tantalum-180m.  Isotopes that only exist in trace amounts are ignored, and the
+ * abundances are normalized in case they don't add up to one.
+ * @param {number} numProtons
+ * @returns {number|null} - null if the element has no isotopes with a known natural abundance
+ */
+function computeAtomicWeightFromIsotopes( numProtons ) {
+  const mixture = AtomIdentifier.getNaturalMixture( numProtons );
+  return mixture.length > 0 ? AtomIdentifier.computeAverageAtomicMass( mixture ) : null;
+}
+
+/**
+ * Get the branches of the decay of a nuclide, with branching ratios that are the proportions of the decays that go
+ * through each branch.  Unlike in NUBASE, the ratio of a delayed particle emission mode such as 'B-n' is subtracted
+ * from that of its primary mode, see DecayMode, so that each decay is counted once.  Modes with unknown ratios share
+ * what is left by the known ones equally, and the ratios are then scaled so that they add up to one.
+ * @param {number} protons
+ * @param {number} neutrons
+ * @param {number} isomerIndex
+ * @returns {{mode: string, branchingRatio: number}[]} - empty if the nuclide is stable or there is no data
+ */
+function getDecayBranches( protons, neutrons, isomerIndex ) {
+  const decayBranches = AtomIdentifier.getDecayModes( protons, neutrons, isomerIndex );
+  decayBranches.forEach( function( decayBranch ) {
+    const decayMode = DecayMode.get( decayBranch.mode );
+    const primaryBranch = decayMode && decayMode.primaryModeName &&
+                          _.find( decayBranches, { mode: decayMode.primaryModeName } );
+    if ( primaryBranch && primaryBranch.branchingRatio !== null && decayBranch.branchingRatio !== null ) {
+      primaryBranch.branchingRatio = Math.max( primaryBranch.branchingRatio - decayBranch.branchingRatio, 0 );
+    }
+  } );
+  const knownBranchingRatioTotal = _.sumBy( decayBranches, function( decayBranch ) {
+    return decayBranch.branchingRatio || 0;
+  } );
+  const unknownBranches = _.filter( decayBranches, { branchingRatio: null } );
+  unknownBranches.forEach( function( decayBranch ) {
+    decayBranch.branchingRatio = Math.max( 1 - knownBranchingRatioTotal, 0 ) / unknownBranches.length;
+  } );
+  const branchingRatioTotal = _.sumBy( decayBranches, 'branchingRatio' );
+  decayBranches.forEach( function( decayBranch ) {
+    decayBranch.branchingRatio = branchingRatioTotal > 0 ? decayBranch.branchingRatio / branchingRatioTotal :
+                                 1 / decayBranches.length;
+  } );
+  return decayBranches;
+}
 
 const AtomIdentifier = {
 
-  // Get the chemical symbol for an atom with the specified number of protons.
+  // Get the chemical symbol for an atom with the specified number of protons.  Elements beyond oganesson use their
+  // IUPAC systematic symbols, see getSystematicSymbol.
   getSymbol: function( numProtons ) {
-    return symbolTable[ numProtons ];
+    return numProtons < symbolTable.length ? symbolTable[ numProtons ] : this.getSystematicSymbol( numProtons );
   },
 
   /**
-   * Get the internationalized element name for an atom with the specified number of protons.
+   * Get the internationalized element name for an atom with the specified number of protons.  Elements beyond
+   * oganesson use their IUPAC systematic names, which are not translated, see getSystematicName.
    * @param {number} numProtons
    * @returns {string}
    */
   getName: function( numProtons ) {
-    return nameTable[ numProtons ];
+    return numProtons < nameTable.length ? nameTable[ numProtons ] : this.getSystematicName( numProtons );
   },
 
   /**
@@ -1011,87 +1386,775 @@ const AtomIdentifier = {
    * @returns {string}
    */
   getEnglishName: function( numProtons ) {
-    return englishNameTable[ numProtons ];
-  },
-
-  // Identifies whether a given atomic nucleus is stable.
-  isStable: function( numProtons, numNeutrons ) {
-    const tableEntry = stableElementTable[ numProtons ];
-    if ( typeof ( tableEntry ) === 'undefined' ) {
-      return false;
-    }
-    return $.inArray( numNeutrons, tableEntry ) > -1;
+    return numProtons < englishNameTable.length ? englishNameTable[ numProtons ] :
+           getSystematicEnglishName( numProtons );
   },
 
-  getNumNeutronsInMostCommonIsotope: function( atomicNumber ) {
-    return numNeutronsInMostStableIsotope[ atomicNumber ] || 0;
+  /**
+   * Get the IUPAC systematic name of an element, which is derived from the digits of the atomic number, e.g.
+   * 'Ununennium' for element 119 or 'Unbinilium' for element 120.  These are the temporary names for elements that
+   * haven't been named yet, and they are also defined for elements that have been named, e.g. 'Ununoctium' for
+   * oganesson.
+   * @param {number} numProtons - at least 100, since the systematic names are only defined for three or more digits
+   * @returns {string}
+   * @public
+   */
+  getSystematicName: function( numProtons ) {
+    assert && assert( numProtons >= MIN_SYSTEMATIC_ATOMIC_NUMBER, 'no systematic name for ' + numProtons );
+    const name = getSystematicEnglishName( numProtons );
+    return name.charAt( 0 ).toUpperCase() + name.substring( 1 );
   },
 
-  getStandardAtomicMass: function( numProtons ) {
-    return standardMassTable[ numProtons ];
+  /**
+   * Get the IUPAC systematic symbol of an element, which is made up of the first letters of the roots of the
+   * systematic name, e.g. 'Uue' for element 119, see getSystematicName.
+   * @param {number} numProtons - at least 100
+   * @returns {string}
+   * @public
+   */
+  getSystematicSymbol: function( numProtons ) {
+    assert && assert( numProtons >= MIN_SYSTEMATIC_ATOMIC_NUMBER, 'no systematic symbol for ' + numProtons );
+    const letters = numProtons.toString().split( '' ).map( function( digit ) {
+      return SYSTEMATIC_SYMBOL_LETTERS.charAt( digit );
+    } ).join( '' );
+    return letters.charAt( 0 ).toUpperCase() + letters.substring( 1 );
   },
 
   /**
-   * Get the atomic mass of an isotope fom an isotope key.   Input parameters are the number of protons and neutrons
-   * which hold the information necessary to determine isotope information.
+   * Parse a nuclide, or an ion of one, from a string.  The element can be given by its symbol, which is case sensitive,
+   * or by its English name in any case, and the following notations are accepted, where the charge at the end is
+   * optional:
+   *   hyphen or space - 'C-14', 'carbon-14', 'Carbon 14', 'Fe-56 3+'
+   *   prefix - '14C', '¹⁴C', '⁵⁶Fe³⁺'
+   *   AZX - '^{14}_{6}C', '^14_6C', '¹⁴₆C'
+   *   no mass number - 'C', 'Fe3+', 'Cl-', in which case the most common isotope is used
+   * An isomer can follow the mass number in the hyphen or space notation, e.g. 'Tc-99m' for the first isomer or
+   * 'Hf-178m2' for the second.  A charge without a mass number can't be larger than the atomic number, since e.g.
+   * 'C14-' could also mean an ion of carbon-14.  The free neutron and proton can be given as 'n' and 'p', or as
+   * 'neutron' and 'proton', and have no electrons.  The result can be used as the options for a NumberAtom.
    *
-   * @param {number} protons
-   * @param {number} neutrons
+   * @param {string} string
+   * @returns {{protonCount: number, neutronCount: number, electronCount: number, isomerIndex: number}}
+   *          - isomerIndex is 0 for ground states
+   * @throws {Error} if the string can't be parsed, with a message that describes the problem
+   * @public
    */
-  getIsotopeAtomicMass: function( protons, neutrons ) {
-    if ( protons !== 0 ) {
-      var tableEntry = ISOTOPE_INFO_TABLE[ protons ][ protons + neutrons ];
-      if ( typeof ( tableEntry ) === 'undefined' ) {
-        // Atom defined by that number of protons and neutrons is not stable, so return -1.
-        return -1;
+  parseNuclide: function( string ) {
+    const normalizedString = normalizeNuclideString( string );
+    let symbolOrName;
+    let massNumberString;
+    let atomicNumberString;
+    let isomerString;
+    let chargeString;
+    let isChargeSuperscript = false;
+    const suffixMatch = SUFFIX_NOTATION_REGEX.exec( normalizedString );
+    const prefixMatch = PREFIX_NOTATION_REGEX.exec( normalizedString );
+    if ( suffixMatch ) {
+      symbolOrName = suffixMatch[ 1 ];
+      massNumberString = suffixMatch[ 2 ];
+      isomerString = suffixMatch[ 3 ];
+      chargeString = suffixMatch[ 4 ] || suffixMatch[ 5 ];
+      isChargeSuperscript = suffixMatch[ 4 ] !== undefined;
+    }
+    else if ( prefixMatch ) {
+      massNumberString = prefixMatch[ 1 ] || prefixMatch[ 4 ] || prefixMatch[ 5 ] || prefixMatch[ 6 ];
+      atomicNumberString = prefixMatch[ 2 ] || prefixMatch[ 3 ];
+      symbolOrName = prefixMatch[ 7 ];
+      chargeString = prefixMatch[ 8 ] || prefixMatch[ 9 ];
+      isChargeSuperscript = prefixMatch[ 8 ] !== undefined;
+    }
+    else {
+      throw new Error( 'unrecognized nuclide notation: "' + string + '"' );
+    }
+
+    const freeNucleon = getFreeNucleon( symbolOrName );
+    if ( freeNucleon ) {
+      const massNumberMatches = massNumberString === undefined || parseInt( massNumberString, 10 ) === 1;
+      const atomicNumberMatches = atomicNumberString === undefined ||
+                                  parseInt( atomicNumberString, 10 ) === freeNucleon.protonCount;
+      const chargeMatches = chargeString === undefined || parseCharge( chargeString ) === freeNucleon.protonCount;
+      if ( !massNumberMatches || !atomicNumberMatches || !chargeMatches || isomerString !== undefined ) {
+        throw new Error( 'invalid mass number, atomic number, charge or isomer for a free nucleon in "' + string +
+                         '"' );
       }
+      return {
+        protonCount: freeNucleon.protonCount,
+        neutronCount: freeNucleon.neutronCount,
+        electronCount: 0,
+        isomerIndex: 0
+      };
+    }
+
+    const protonCount = getAtomicNumber( symbolOrName );
+    if ( protonCount === 0 ) {
+      throw new Error( 'unknown element "' + symbolOrName + '" in "' + string + '"' );
+    }
+    if ( atomicNumberString !== undefined && parseInt( atomicNumberString, 10 ) !== protonCount ) {
+      throw new Error( 'atomic number ' + atomicNumberString + ' does not match element ' +
+                       this.getSymbol( protonCount ) + ' in "' + string + '"' );
+    }
+    let neutronCount;
+    if ( massNumberString === undefined ) {
+      neutronCount = this.getNumNeutronsInMostCommonIsotope( protonCount );
     }
     else {
-      return -1;
+      neutronCount = parseInt( massNumberString, 10 ) - protonCount;
+      if ( neutronCount < 0 ) {
+        throw new Error( 'mass number ' + massNumberString + ' is less than the atomic number ' + protonCount +
+                         ' of ' + this.getSymbol( protonCount ) + ' in "' + string + '"' );
+      }
     }
-    return tableEntry.atomicMass;
+
+    // Without a mass number, digits before a sign could also be meant as a mass number, e.g. 'C14-' could be an ion of
+    // carbon-14 or carbon with a charge of -14, so a charge that is larger than any element could have is rejected.
+    const charge = parseCharge( chargeString );
+    if ( massNumberString === undefined && !isChargeSuperscript && Math.abs( charge ) > protonCount ) {
+      throw new Error( 'ambiguous charge ' + chargeString + ' in "' + string + '", separate the mass number from the ' +
+                       'charge, e.g. "' + this.getSymbol( protonCount ) + '-' + Math.abs( charge ) + ' ' +
+                       chargeString.charAt( chargeString.length - 1 ) + '"' );
+    }
+    const electronCount = protonCount - charge;
+    if ( electronCount < 0 ) {
+      throw new Error( 'charge is greater than the number of protons in "' + string + '"' );
+    }
+    let isomerIndex = 0;
+    if ( isomerString !== undefined ) {
+      isomerIndex = isomerString.length > 0 ? parseInt( isomerString, 10 ) : 1;
+      if ( isomerIndex === 0 ) {
+        throw new Error( 'isomer index must be greater than zero in "' + string + '"' );
+      }
+    }
+    return {
+      protonCount: protonCount,
+      neutronCount: neutronCount,
+      electronCount: electronCount,
+      isomerIndex: isomerIndex
+    };
   },
 
   /**
-   * Returns the natural abundance of the specified isotope on present day Earth (year 2018) as a proportion (NOT a
-   * percentage) with the specified number of decimal places.
+   * Format a nuclide, or an ion of one, as a string in the specified notation.  The charge is omitted for neutral
+   * atoms, and is also omitted if electronCount is not provided.  Isomers are written with an 'm' after the mass
+   * number, followed by the isomer index if it is greater than one, e.g. 'Tc-99m' or 'Hf-178m2'.  Nuclei without
+   * protons use the symbol of the neutron, e.g. 'n-1' for the free neutron.
    *
-   * @param {NumberAtom} isotope
-   * @param {number} numDecimalPlaces - number of decimal places in the result
-   * @returns {number}
+   * @param {Object} config - e.g. the result of parseNuclide, with the properties protonCount, neutronCount, and
+   *                          optionally electronCount and isomerIndex
+   * @param {string} notation - one of the values of NuclideNotationEnum
+   * @returns {string}
    * @public
    */
-  getNaturalAbundance: function( isotope, numDecimalPlaces ) {
-    assert && assert( numDecimalPlaces !== undefined, 'must specify number of decimal places for proportion' );
-    let abundanceProportion = 0;
-    if ( isotope.protonCountProperty.get() > 0 &&
-         ISOTOPE_INFO_TABLE[ isotope.protonCountProperty.get() ][ isotope.massNumberProperty.get() ] !== undefined ) {
-
-      // the configuration is in the table, get it and round it to the needed number of decimal places
-      abundanceProportion = Utils.toFixedNumber(
-        ISOTOPE_INFO_TABLE[ isotope.protonCountProperty.get() ][ isotope.massNumberProperty.get() ].abundance,
-        numDecimalPlaces
-      );
+  formatNuclide: function( config, notation ) {
+    assert && assert( config.protonCount >= 0 && config.protonCount + config.neutronCount > 0, 'invalid nucleus' );
+    const symbol = config.protonCount === 0 ? NEUTRON_SYMBOL : this.getSymbol( config.protonCount );
+    const massNumberString = ( config.protonCount + config.neutronCount ).toString() +
+                             ( config.isomerIndex ? 'm' + ( config.isomerIndex > 1 ? config.isomerIndex : '' ) : '' );
+    const charge = config.electronCount === undefined ? 0 : config.protonCount - config.electronCount;
+    const chargeString = charge === 0 ? '' :
+                         ( Math.abs( charge ) === 1 ? '' : Math.abs( charge ).toString() ) + ( charge > 0 ? '+' : '-' );
+    if ( notation === NuclideNotationEnum.HYPHEN ) {
+      return symbol + '-' + massNumberString + ( chargeString ? ' ' + chargeString : '' );
+    }
+    else if ( notation === NuclideNotationEnum.SUPERSCRIPT ) {
+      return toScript( massNumberString, SUPERSCRIPT_CHARACTERS ) + symbol +
+             toScript( chargeString, SUPERSCRIPT_CHARACTERS );
+    }
+    else if ( notation === NuclideNotationEnum.AZX ) {
+      return toScript( massNumberString, SUPERSCRIPT_CHARACTERS ) +
+             toScript( config.protonCount.toString(), SUBSCRIPT_CHARACTERS ) + symbol +
+             toScript( chargeString, SUPERSCRIPT_CHARACTERS );
+    }
+    else {
+      assert && assert( notation === NuclideNotationEnum.RICH_TEXT, 'unknown notation: ' + notation );
+      return '<sup>' + massNumberString + '</sup>' + symbol + ( chargeString ? '<sup>' + chargeString + '</sup>' : '' );
     }
-
-    return abundanceProportion;
   },
 
   /**
-   * Returns true if the isotope exists only in trace amounts on present day Earth (~year 2018), false if there is
-   * more or less than that.  The definition that is used for deciding which isotopes exist in trace amounts is from
-   * https://en.wikipedia.org/wiki/Trace_radioisotope.
-   * @param {NumberAtom} isotope
-   * @returns {boolean}
+   * Search for elements and nuclides, e.g. for a search box that helps to find an element in the periodic table or a
+   * nuclide in the nuclide chart.  The query is matched against the symbols, the localized names and the English names
+   * of the elements, and may be partial or misspelled, e.g. 'sod' and 'sodim' both find sodium.  A query that includes
+   * a mass number finds nuclides in the isotope table, e.g. 'u235', 'U-235', '235U' or 'uranium 235', and a query that
+   * is only a number finds the element with that atomic number.  The results are objects with the properties
+   *   protonCount
+   *   massNumber - null for elements
+   *   symbol, name - of the element, see getSymbol and getName
+   *   score - how well the query matches, from 0 to 1, where 1 is an exact match of the symbol or a name
+   *
+   * @param {string} query
+   * @param {Object} [options]
+   * @returns {Object[]} - ordered by score, then by atomic number and mass number
    * @public
    */
-  existsInTraceAmounts: function( isotope ) {
-    const tableEntry = ISOTOPE_INFO_TABLE[ isotope.protonCountProperty.get() ][ isotope.massNumberProperty.get() ];
-    return tableEntry !== undefined && tableEntry.abundance === TRACE_ABUNDANCE;
-  },
+  search: function( query, options ) {
+    options = merge( {
+      maxResults: 10 // {number} maximum number of results
+    }, options );
 
-  /**
-   * Get a list of all isotopes for the given atomic number.
+    const normalizedQuery = normalizeSearchText( query );
+    let text;
+    let massNumber = null;
+    const suffixMatch = SEARCH_SUFFIX_REGEX.exec( normalizedQuery );
+    const prefixMatch = SEARCH_PREFIX_REGEX.exec( normalizedQuery );
+    if ( suffixMatch ) {
+      text = suffixMatch[ 1 ];
+      massNumber = suffixMatch[ 2 ].length > 0 ? parseInt( suffixMatch[ 2 ], 10 ) : null;
+    }
+    else if ( prefixMatch ) {
+      massNumber = parseInt( prefixMatch[ 1 ], 10 );
+      text = prefixMatch[ 2 ];
+    }
+    else if ( /^\d+$/.test( normalizedQuery ) ) {
+      const atomicNumber = parseInt( normalizedQuery, 10 );
+      return atomicNumber > 0 && atomicNumber < symbolTable.length ?
+             [ createSearchResult( atomicNumber, null, EXACT_MATCH_SCORE ) ] : [];
+    }
+    else {
+      return [];
+    }
+
+    const results = [];
+    getElementSearchTerms().forEach( function( terms, atomicNumber ) {
+      const score = Math.max(
+        terms.symbol === text ? EXACT_MATCH_SCORE : 0,
+        _.max( terms.names.map( function( name ) { return getNameMatchScore( text, name ); } ) )
+      );
+      if ( score === 0 ) {
+        return;
+      }
+      if ( massNumber === null ) {
+        results.push( createSearchResult( atomicNumber, null, score ) );
+      }
+      else if ( getIsotopeTableEntry( atomicNumber, massNumber ) !== undefined ) {
+        results.push( createSearchResult( atomicNumber, massNumber, score ) );
+      }
+    } );
+    return _.sortBy( results, [ function( result ) { return -result.score; }, 'protonCount' ] )
+      .slice( 0, options.maxResults );
+  },
+
+  /**
+   * Get the chemical properties of an element.  The group, period and block correspond to the layout of
+   * PeriodicTableNode, where lanthanum and actinium are in group 3 and the d-block, and the other lanthanides and
+   * actinides are in the f-block and don't have a group.  See elementProperties.js for the sources and units of the
+   * other properties.
+   *
+   * @param {number} numProtons
+   * @returns {Object|null} - an object with the properties atomicNumber, symbol, group, period, block ('s', 'p', 'd' or
+   *                          'f'), category (a value of ElementCategoryEnum), electronegativity, covalentRadius,
+   *                          atomicRadius, firstIonizationEnergy, oxidationStates, ionicRadii (keyed by charge),
+   *                          ionizationEnergies and electronAffinity, or null if there is no such element
+   * @public
+   */
+  getElementProperties: function( numProtons ) {
+    const properties = getActiveDataSet().elementProperties[ numProtons ];
+    if ( !properties ) {
+      return null;
+    }
+    const position = getPeriodicTablePosition( numProtons );
+    let block;
+    if ( position.group === null ) {
+      block = 'f';
+    }
+    else if ( position.group <= 2 || numProtons === 2 ) {
+      block = 's';
+    }
+    else if ( position.group <= 12 ) {
+      block = 'd';
+    }
+    else {
+      block = 'p';
+    }
+    return {
+      atomicNumber: numProtons,
+      symbol: symbolTable[ numProtons ],
+      group: position.group,
+      period: position.period,
+      block: block,
+      category: properties.category,
+      electronegativity: properties.electronegativity,
+      covalentRadius: properties.covalentRadius,
+      atomicRadius: properties.atomicRadius,
+      firstIonizationEnergy: properties.firstIonizationEnergy,
+      oxidationStates: properties.oxidationStates.slice(),
+      ionicRadii: _.clone( properties.ionicRadii ),
+      ionizationEnergies: properties.ionizationEnergies.slice(),
+      electronAffinity: properties.electronAffinity
+    };
+  },
+
+  /**
+   * Get the ground state electron configuration of an atom or ion, as a list of the occupied subshells ordered by n
+   * and then by l, e.g. 1s, 2s, 2p, 3s, 3p, 3d, 4s.  The configurations of neutral atoms include the known exceptions
+   * to the Aufbau rule, e.g. chromium is [Ar] 3d⁵ 4s¹.  For positive ions, the valence electrons, i.e. those outside
+   * the noble gas core of the neutral atom, are removed first, starting with the subshell with the highest n and then
+   * the highest l, i.e. np, ns, (n-1)d and then (n-2)f.  So transition metals lose their outer s electrons first and
+   * lanthanides and actinides keep their f electrons, e.g. Fe²⁺ is [Ar] 3d⁶, Eu³⁺ is [Xe] 4f⁶, Nd³⁺ is [Xe] 4f³,
+   * Ce⁴⁺ is [Xe] and U⁴⁺ is [Rn] 5f².  The electrons of the core are removed in the same order after that.  For
+   * negative ions, the extra electrons are added according to the Aufbau rule.
+   *
+   * @param {number} protons
+   * @param {number} electrons
+   * @returns {{n: number, l: number, label: string, electrons: number}[]} - label is e.g. '3d'
+   * @public
+   */
+  getElectronConfiguration: function( protons, electrons ) {
+    assert && assert( protons >= 0 && electrons >= 0, 'invalid numbers of particles' );
+    const occupancies = getNeutralSubshellOccupancies( protons );
+
+    // remove electrons for positive ions, the valence electrons first
+    const coreAtomicNumber = _.findLast( NOBLE_GAS_ATOMIC_NUMBERS, function( nobleGasAtomicNumber ) {
+      return nobleGasAtomicNumber < protons;
+    } );
+    const coreOccupancies = getNeutralSubshellOccupancies( coreAtomicNumber || 0 );
+    const subshellsInRemovalOrder = _.sortBy( AUFBAU_ORDER, [
+      function( subshell ) {
+        return coreOccupancies.hasOwnProperty( subshell.label ) ? 1 : 0;
+      },
+      function( subshell ) {
+        return -subshell.n;
+      },
+      function( subshell ) {
+        return -subshell.l;
+      }
+    ] );
+    let electronsToRemove = protons - electrons;
+    for ( let i = 0; i < subshellsInRemovalOrder.length && electronsToRemove > 0; i++ ) {
+      const label = subshellsInRemovalOrder[ i ].label;
+      const electronsRemoved = Math.min( occupancies[ label ] || 0, electronsToRemove );
+      occupancies[ label ] = ( occupancies[ label ] || 0 ) - electronsRemoved;
+      electronsToRemove -= electronsRemoved;
+    }
+
+    // add electrons for negative ions
+    let electronsToAdd = electrons - protons;
+    for ( let i = 0; i < AUFBAU_ORDER.length && electronsToAdd > 0; i++ ) {
+      const label = AUFBAU_ORDER[ i ].label;
+      const electronsAdded = Math.min( AUFBAU_ORDER[ i ].capacity - ( occupancies[ label ] || 0 ), electronsToAdd );
+      occupancies[ label ] = ( occupancies[ label ] || 0 ) + electronsAdded;
+      electronsToAdd -= electronsAdded;
+    }
+    assert && assert( electronsToAdd <= 0, 'too many electrons for the supported subshells: ' + electrons );
+
+    const occupiedSubshells = AUFBAU_ORDER.filter( function( subshell ) {
+      return occupancies[ subshell.label ] > 0;
+    } );
+    return _.sortBy( occupiedSubshells, [ 'n', 'l' ] ).map( function( subshell ) {
+      return { n: subshell.n, l: subshell.l, label: subshell.label, electrons: occupancies[ subshell.label ] };
+    } );
+  },
+
+  /**
+   * Get the ground state electron configuration of an atom or ion as a string, e.g. '1s² 2s² 2p⁶ 3s¹' for sodium, see
+   * getElectronConfiguration.
+   *
+   * @param {number} protons
+   * @param {number} electrons
+   * @param {Object} [options]
+   * @returns {string}
+   * @public
+   */
+  getElectronConfigurationString: function( protons, electrons, options ) {
+    options = merge( {
+
+      // Use the noble gas shorthand, e.g. '[Ne] 3s¹' for sodium.  The core is the largest noble gas configuration
+      // whose subshells are all filled in this configuration, and which has fewer electrons than this configuration.
+      nobleGasShorthand: false,
+
+      // Use RichText markup for the superscripts, e.g. '1s<sup>2</sup>', instead of unicode superscript characters.
+      richText: false
+    }, options );
+
+    const self = this;
+    let configuration = this.getElectronConfiguration( protons, electrons );
+    let coreAtomicNumber;
+    if ( options.nobleGasShorthand ) {
+      coreAtomicNumber = _.findLast( NOBLE_GAS_ATOMIC_NUMBERS, function( nobleGasAtomicNumber ) {
+        const nobleGasConfiguration = self.getElectronConfiguration( nobleGasAtomicNumber, nobleGasAtomicNumber );
+        return nobleGasAtomicNumber < electrons && _.every( nobleGasConfiguration, function( coreSubshell ) {
+          return _.some( configuration, { label: coreSubshell.label, electrons: coreSubshell.electrons } );
+        } );
+      } );
+      if ( coreAtomicNumber ) {
+        const coreConfiguration = this.getElectronConfiguration( coreAtomicNumber, coreAtomicNumber );
+        configuration = configuration.filter( function( subshell ) {
+          return !_.some( coreConfiguration, { label: subshell.label } );
+        } );
+      }
+    }
+
+    const subshellStrings = configuration.map( function( subshell ) {
+      return subshell.label + ( options.richText ? '<sup>' + subshell.electrons + '</sup>' :
+                                toScript( subshell.electrons.toString(), SUPERSCRIPT_CHARACTERS ) );
+    } );
+    if ( coreAtomicNumber ) {
+      subshellStrings.unshift( '[' + symbolTable[ coreAtomicNumber ] + ']' );
+    }
+    return subshellStrings.join( ' ' );
+  },
+
+  /**
+   * Get the radius of a neutral atom, i.e. the calculated radius of its outermost orbital, see elementProperties.js.
+   *
+   * @param {number} protons
+   * @returns {number} - in picometers, or -1 if there is no data for this element
+   * @public
+   */
+  getAtomicRadius: function( protons ) {
+    const properties = getActiveDataSet().elementProperties[ protons ];
+    return properties && properties.atomicRadius !== null ? properties.atomicRadius : -1;
+  },
+
+  /**
+   * Get the effective ionic radius of an ion, which is only available for common ions, see elementProperties.js.
+   *
+   * @param {number} protons
+   * @param {number} charge - the charge of the ion in elementary charges, e.g. -1 for chloride
+   * @returns {number} - in picometers, or -1 if there is no data for this ion
+   * @public
+   */
+  getIonicRadius: function( protons, charge ) {
+    const properties = getActiveDataSet().elementProperties[ protons ];
+    return properties && properties.ionicRadii.hasOwnProperty( charge ) ? properties.ionicRadii[ charge ] : -1;
+  },
+
+  /**
+   * Get the radius of an atom or ion with any number of electrons, e.g. for sizing an electron cloud.  This is the
+   * atomic radius for neutral atoms and the ionic radius for common ions.  For other ions, the radius is estimated
+   * from the charge states of the element that there is data for using the relative sizes given by Slater's rules,
+   * so that removing electrons never grows the atom and adding electrons never shrinks it.  Anions with more
+   * electrons than any charge state with data are limited in size, since they may not be bound.
+   *
+   * @param {number} protons
+   * @param {number} electrons
+   * @returns {number} - in picometers, 0 if there are no electrons, or -1 if there is no data for this element
+   * @public
+   */
+  getAtomOrIonRadius: function( protons, electrons ) {
+    if ( electrons === 0 ) {
+      return 0;
+    }
+    const properties = getActiveDataSet().elementProperties[ protons ];
+    if ( !properties ) {
+      return -1;
+    }
+    const charge = protons - electrons;
+    const knownRadii = _.clone( properties.ionicRadii );
+    if ( properties.atomicRadius !== null ) {
+      knownRadii[ 0 ] = properties.atomicRadius;
+    }
+    const knownCharges = Object.keys( knownRadii ).map( function( chargeString ) {
+      return parseInt( chargeString, 10 );
+    } );
+    if ( knownCharges.length === 0 ) {
+      return -1;
+    }
+
+    if ( knownRadii.hasOwnProperty( charge ) ) {
+      return knownRadii[ charge ];
+    }
+
+    // The charge states with data on either side of this one, i.e. with more and with fewer electrons.
+    const moreElectronsCharge = _.max( knownCharges.filter( function( knownCharge ) {
+      return knownCharge < charge;
+    } ) );
+    const fewerElectronsCharge = _.min( knownCharges.filter( function( knownCharge ) {
+      return knownCharge > charge;
+    } ) );
+    const radiusFactor = getSlaterRadiusFactor( protons, electrons );
+    if ( moreElectronsCharge !== undefined && fewerElectronsCharge !== undefined ) {
+
+      // Interpolate between the charge states on either side, so that the estimate matches both of them.  This is
+      // needed because the radius factor doesn't account for the different ways in which atomic and ionic radii are
+      // defined.
+      const moreElectronsFactor = getSlaterRadiusFactor( protons, protons - moreElectronsCharge );
+      const fewerElectronsFactor = getSlaterRadiusFactor( protons, protons - fewerElectronsCharge );
+      const exponent = Math.log( knownRadii[ moreElectronsCharge ] / knownRadii[ fewerElectronsCharge ] ) /
+                       Math.log( moreElectronsFactor / fewerElectronsFactor );
+      return knownRadii[ fewerElectronsCharge ] * Math.pow( radiusFactor / fewerElectronsFactor, exponent );
+    }
+    else if ( moreElectronsCharge !== undefined ) {
+      return knownRadii[ moreElectronsCharge ] * radiusFactor /
+             getSlaterRadiusFactor( protons, protons - moreElectronsCharge );
+    }
+    else {
+
+      // This anion has more electrons than any charge state with data, so it may not be bound at all, see
+      // MAX_ANION_RADIUS_RATIO.
+      const referenceRadius = knownRadii[ fewerElectronsCharge ];
+      return Math.min(
+        referenceRadius * radiusFactor / getSlaterRadiusFactor( protons, protons - fewerElectronsCharge ),
+        referenceRadius * MAX_ANION_RADIUS_RATIO
+      );
+    }
+  },
+
+  /**
+   * Get the successive ionization energies of an element, where the nth value is the energy needed to remove an
+   * electron from the ion with charge n - 1, e.g. the second value is the energy needed to turn Li⁺ into Li²⁺.  All of
+   * the values are available for the elements up to calcium, for the other elements only those for the first few
+   * ions are, and for some of the heaviest elements only the first ionization energy is, see elementProperties.js.
+   *
+   * @param {number} protons
+   * @returns {number[]} - in electron volts, empty if there is no data for this element
+   * @public
+   */
+  getIonizationEnergies: function( protons ) {
+    const properties = getActiveDataSet().elementProperties[ protons ];
+    return properties ? properties.ionizationEnergies.slice() : [];
+  },
+
+  /**
+   * Get the electron affinity of an element, i.e. the energy that is released when an electron is added to the
+   * neutral atom.  This is negative for elements whose anions are not bound, such as the noble gases.
+   *
+   * @param {number} protons
+   * @returns {number|null} - in electron volts, or null if there is no data for this element
+   * @public
+   */
+  getElectronAffinity: function( protons ) {
+    const properties = getActiveDataSet().elementProperties[ protons ];
+    return properties ? properties.electronAffinity : null;
+  },
+
+  /**
+   * Get the energy that is needed to turn a neutral atom into an ion with the specified charge, i.e. the sum of the
+   * successive ionization energies for cations and the negative of the electron affinity for singly charged anions.
+   * The energy is negative if it is released, e.g. for chloride.  Multiply charged anions aren't bound in isolation,
+   * so there is no data for them.
+   *
+   * @param {number} protons
+   * @param {number} charge - in elementary charges, at most the number of protons
+   * @returns {number|null} - in electron volts, or null if there is no data for this ion
+   * @public
+   */
+  getIonizationEnergyCost: function( protons, charge ) {
+    assert && assert( charge <= protons, 'charge can\'t be greater than the number of protons' );
+    if ( charge === 0 ) {
+      return 0;
+    }
+    else if ( charge > 0 ) {
+      const ionizationEnergies = this.getIonizationEnergies( protons );
+      return ionizationEnergies.length >= charge ? _.sum( ionizationEnergies.slice( 0, charge ) ) : null;
+    }
+    else {
+      const electronAffinity = this.getElectronAffinity( protons );
+      return charge === -1 && electronAffinity !== null ? -electronAffinity : null;
+    }
+  },
+
+  /**
+   * Get whether an ion is one that occurs in everyday chemistry, i.e. whether its charge is one of the common
+   * oxidation states of the element, see getElementProperties.  Neutral atoms are always considered common, and
+   * ions such as O⁶⁺, which can only be made with a lot of energy, see getIonizationEnergyCost, are not.
+   *
+   * @param {number} protons
+   * @param {number} charge - in elementary charges
+   * @returns {boolean}
+   * @public
+   */
+  isCommonIon: function( protons, charge ) {
+    const properties = getActiveDataSet().elementProperties[ protons ];
+    return charge === 0 || ( !!properties && properties.oxidationStates.indexOf( charge ) >= 0 );
+  },
+
+  /**
+   * Identifies whether a given atomic nucleus is stable, i.e. whether no decay of it has ever been observed.
+   * Primordial radioactive nuclides such as potassium-40 are not stable, see getStabilityClass.
+   * @param {number} numProtons
+   * @param {number} numNeutrons
+   * @param {number} [isomerIndex] - 0 or omitted for the ground state
+   * @returns {boolean}
+   * @public
+   */
+  isStable: function( numProtons, numNeutrons, isomerIndex ) {
+    return this.getHalfLife( numProtons, numNeutrons, isomerIndex ) === Number.POSITIVE_INFINITY;
+  },
+
+  /**
+   * Get the stability class of the nuclide with the specified number of protons and neutrons.  A radioactive nuclide
+   * is classified as primordial if it makes up a measurable part of its element in nature and its half-life is long
+   * enough that it has survived since the formation of the Earth, e.g. potassium-40 or uranium-238.  This also applies
+   * to isomers, e.g. tantalum-180m is primordial while the ground state of tantalum-180 is radioactive.
+   * @param {number} numProtons
+   * @param {number} numNeutrons
+   * @param {number} [isomerIndex] - 0 or omitted for the ground state
+   * @returns {string} - one of the values of StabilityClassEnum
+   * @public
+   */
+  getStabilityClass: function( numProtons, numNeutrons, isomerIndex ) {
+    const tableEntry = getIsotopeTableEntry( numProtons, numProtons + numNeutrons, isomerIndex );
+    if ( tableEntry === undefined ) {
+      return StabilityClassEnum.UNKNOWN;
+    }
+    else if ( tableEntry.halfLife === Number.POSITIVE_INFINITY ) {
+      return StabilityClassEnum.STABLE;
+    }
+    else if ( tableEntry.abundance > 0 && tableEntry.abundance !== TRACE_ABUNDANCE &&
+              tableEntry.halfLife >= MIN_PRIMORDIAL_HALF_LIFE ) {
+      return StabilityClassEnum.PRIMORDIAL;
+    }
+    else {
+      return StabilityClassEnum.RADIOACTIVE;
+    }
+  },
+
+  getNumNeutronsInMostCommonIsotope: function( atomicNumber ) {
+    return numNeutronsInMostStableIsotope[ atomicNumber ] || 0;
+  },
+
+  /**
+   * Get the standard atomic mass (a.k.a. standard atomic weight) of an element, from the active data set.  In the
+   * default data set these are the values that the sims have always used, e.g. 1.00794 for hydrogen, see
+   * AtomicDataSetRegistry.  This is the same as getStandardAtomicWeightValue.
+   * @param {number} numProtons
+   * @returns {number} - in unified atomic mass units, 0 if there is no standard atomic weight for this element
+   * @public
+   */
+  getStandardAtomicMass: function( numProtons ) {
+    return AtomIdentifier.getStandardAtomicWeightValue( numProtons );
+  },
+
+  /**
+   * Get the standard atomic weight of an element as a single value, from the active data set.  In the data sets with
+   * the weights of IUPAC, see AtomicDataSetRegistry.CIAAW_2021_DATA_SET_NAME, this is the conventional value
+   * recommended by IUPAC for elements whose atomic weight varies in nature, e.g. 1.008 for hydrogen, and for elements
+   * with no stable isotopes it is the mass number of the longest-lived isotope.  See getStandardAtomicWeight for the
+   * uncertainty.
+   * @param {number} numProtons
+   * @returns {number} - in unified atomic mass units, 0 if there is no standard atomic weight for this element
+   * @public
+   */
+  getStandardAtomicWeightValue: function( numProtons ) {
+    const standardAtomicWeight = getActiveDataSet().standardAtomicWeights[ numProtons ];
+    return standardAtomicWeight ? standardAtomicWeight.value : 0;
+  },
+
+  /**
+   * Get the standard atomic weight of an element along with its uncertainty, as given by IUPAC.  Exactly one of the
+   * following describes the uncertainty:
+   *   uncertainty - the uncertainty of the value, for elements with a single standard atomic weight
+   *   interval - the range of atomic weights found in normal materials, for elements such as hydrogen and carbon
+   *   isMassNumberOfLongestLivedIsotope - true if the value is the mass number of the longest-lived isotope, for
+   *                                       elements with no stable isotopes, e.g. technetium
+   *
+   * @param {number} numProtons
+   * @returns {Object|null} - an object of the form { value, uncertainty, interval, isMassNumberOfLongestLivedIsotope },
+   *                          where uncertainty is a number or null and interval is a Range or null, or null if there is
+   *                          no standard atomic weight for this element
+   * @public
+   */
+  getStandardAtomicWeight: function( numProtons ) {
+    const standardAtomicWeight = getActiveDataSet().standardAtomicWeights[ numProtons ];
+    if ( !standardAtomicWeight ) {
+      return null;
+    }
+    return {
+      value: standardAtomicWeight.value,
+      uncertainty: standardAtomicWeight.uncertainty,
+      interval: standardAtomicWeight.interval && standardAtomicWeight.interval.copy(),
+      isMassNumberOfLongestLivedIsotope: standardAtomicWeight.isMassNumberOfLongestLivedIsotope
+    };
+  },
+
+  /**
+   * Check the standard atomic weights against the isotope table by recomputing each weight from the abundance
+   * weighted masses of the isotopes, and get the elements for which the two don't agree.  A computed weight agrees if
+   * it is within the interval for elements that have one, or otherwise within twice the uncertainty of the standard
+   * atomic weight.  Elements that have no standard atomic weight, or whose standard atomic weight is the mass number
+   * of the longest-lived isotope, are not checked.  This is intended for verifying changes to the data, e.g. from the
+   * console.
+   *
+   * @returns {{atomicNumber: number, standardAtomicWeight: number, computedAtomicWeight: number|null}[]}
+   *          - computedAtomicWeight is null if there are no natural abundances for the element
+   * @public
+   */
+  getStandardAtomicWeightInconsistencies: function() {
+    const inconsistencies = [];
+    for ( let numProtons = 1; numProtons < getActiveDataSet().standardAtomicWeights.length; numProtons++ ) {
+      const standardAtomicWeight = getActiveDataSet().standardAtomicWeights[ numProtons ];
+      if ( !standardAtomicWeight || standardAtomicWeight.isMassNumberOfLongestLivedIsotope ) {
+        continue;
+      }
+      const computedAtomicWeight = computeAtomicWeightFromIsotopes( numProtons );
+      let isConsistent;
+      if ( computedAtomicWeight === null ) {
+        isConsistent = false;
+      }
+      else if ( standardAtomicWeight.interval ) {
+        isConsistent = standardAtomicWeight.interval.contains( computedAtomicWeight );
+      }
+      else {
+        isConsistent = Math.abs( computedAtomicWeight - standardAtomicWeight.value ) <=
+                       ATOMIC_WEIGHT_COVERAGE_FACTOR * standardAtomicWeight.uncertainty;
+      }
+      if ( !isConsistent ) {
+        inconsistencies.push( {
+          atomicNumber: numProtons,
+          standardAtomicWeight: standardAtomicWeight.value,
+          computedAtomicWeight: computedAtomicWeight
+        } );
+      }
+    }
+    return inconsistencies;
+  },
+
+  /**
+   * Get the atomic mass of an isotope fom an isotope key.   Input parameters are the number of protons and neutrons
+   * which hold the information necessary to determine isotope information.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @returns {number} - the atomic mass in unified atomic mass units, or -1 if there is no data for this isotope
+   */
+  getIsotopeAtomicMass: function( protons, neutrons ) {
+    const tableEntry = getIsotopeTableEntry( protons, protons + neutrons );
+    if ( protons === 0 || tableEntry === undefined ) {
+
+      // There is no data for the atom defined by that number of protons and neutrons, so return -1.
+      return -1;
+    }
+    return tableEntry.atomicMass;
+  },
+
+  /**
+   * Returns the natural abundance of the specified isotope on present day Earth (year 2018) as a proportion (NOT a
+   * percentage) with the specified number of decimal places.
+   *
+   * @param {NumberAtom} isotope
+   * @param {number} numDecimalPlaces - number of decimal places in the result
+   * @returns {number}
+   * @public
+   */
+  getNaturalAbundance: function( isotope, numDecimalPlaces ) {
+    assert && assert( numDecimalPlaces !== undefined, 'must specify number of decimal places for proportion' );
+    let abundanceProportion = 0;
+    const tableEntry = getIsotopeTableEntry( isotope.protonCountProperty.get(), isotope.massNumberProperty.get() );
+    if ( isotope.protonCountProperty.get() > 0 && tableEntry !== undefined ) {
+
+      // the configuration is in the table, get it and round it to the needed number of decimal places
+      abundanceProportion = Utils.toFixedNumber( tableEntry.abundance, numDecimalPlaces );
+    }
+
+    return abundanceProportion;
+  },
+
+  /**
+   * Returns true if the isotope exists only in trace amounts on present day Earth (~year 2018), false if there is
+   * more or less than that.  The definition that is used for deciding which isotopes exist in trace amounts is from
+   * https://en.wikipedia.org/wiki/Trace_radioisotope.
+   * @param {NumberAtom} isotope
+   * @returns {boolean}
+   * @public
+   */
+  existsInTraceAmounts: function( isotope ) {
+    const tableEntry = getIsotopeTableEntry( isotope.protonCountProperty.get(), isotope.massNumberProperty.get() );
+    return tableEntry !== undefined && tableEntry.abundance === TRACE_ABUNDANCE;
+  },
+
+  /**
+   * Get a list of all isotopes for the given atomic number that occur in nature, including those that only exist in
+   * trace amounts.
    *
    * @param atomicNumber
    * @return
@@ -1099,7 +2162,10 @@ const AtomIdentifier = {
   getAllIsotopesOfElement: function( atomicNumber ) {
     const isotopesList = [];
 
-    for ( const massNumber in ISOTOPE_INFO_TABLE[ atomicNumber ] ) {
+    for ( const massNumber in getIsotopeTable()[ atomicNumber ] ) {
+      if ( getIsotopeTable()[ atomicNumber ][ massNumber ].abundance === 0 ) {
+        continue;
+      }
       const numNeutrons = massNumber - atomicNumber;
       const moleculeNumberList = [ atomicNumber, numNeutrons, atomicNumber ];
 
@@ -1134,6 +2200,752 @@ const AtomIdentifier = {
 
     return stableIsotopesList;
 
+  },
+
+  /**
+   * Get the natural mixture of the isotopes of an element, i.e. the isotopes that occur in nature with their natural
+   * abundances, normalized so that they add up to one.  Naturally occurring isomers such as tantalum-180m are included,
+   * isotopes that only exist in trace amounts are not.  The isotopes are described by objects with the properties
+   *   protonCount, neutronCount, massNumber
+   *   isomerIndex - 0 for the ground state, see getIsomers
+   *   atomicMass - in unified atomic mass units, see getIsotopeAtomicMass
+   *   abundance - normalized natural abundance as a proportion
+   *
+   * @param {number} atomicNumber
+   * @returns {Object[]} - ordered by mass number, empty if the element has no isotopes with a known natural abundance
+   * @public
+   */
+  getNaturalMixture: function( atomicNumber ) {
+    const mixture = [];
+    const addEntry = function( tableEntry, massNumber, isomerIndex ) {
+      if ( tableEntry.abundance > 0 && tableEntry.abundance !== TRACE_ABUNDANCE ) {
+        mixture.push( {
+          protonCount: atomicNumber,
+          neutronCount: massNumber - atomicNumber,
+          massNumber: massNumber,
+          isomerIndex: isomerIndex,
+          atomicMass: tableEntry.atomicMass,
+          abundance: tableEntry.abundance
+        } );
+      }
+    };
+    Object.keys( getIsotopeTable()[ atomicNumber ] || {} ).forEach( function( massNumberString ) {
+      const massNumber = parseInt( massNumberString, 10 );
+      const tableEntry = getIsotopeTable()[ atomicNumber ][ massNumber ];
+      addEntry( tableEntry, massNumber, 0 );
+      _.forEach( tableEntry.isomers, function( isomerEntry, isomerIndexString ) {
+        addEntry( isomerEntry, massNumber, parseInt( isomerIndexString, 10 ) );
+      } );
+    } );
+    const totalAbundance = _.sumBy( mixture, 'abundance' );
+    mixture.forEach( function( isotope ) {
+      isotope.abundance = isotope.abundance / totalAbundance;
+    } );
+    return _.sortBy( mixture, [ 'massNumber', 'isomerIndex' ] );
+  },
+
+  /**
+   * Compute the average atomic mass of a mixture of isotopes, such as the natural mixture of an element, see
+   * getNaturalMixture, or a mixture that the user has put together.  The isotopes are described by objects with an
+   * abundance, which may be a proportion or simply a number of atoms since the abundances are normalized, and either
+   * an atomicMass or a protonCount and neutronCount from which the atomic mass is looked up.
+   *
+   * @param {Object[]} mixture
+   * @returns {number} - in unified atomic mass units, or 0 if the mixture is empty
+   * @public
+   */
+  computeAverageAtomicMass: function( mixture ) {
+    let totalAbundance = 0;
+    let weightedMass = 0;
+    mixture.forEach( function( isotope ) {
+      assert && assert( isotope.abundance >= 0, 'abundance must not be negative' );
+      const atomicMass = isotope.atomicMass !== undefined ?
+                         isotope.atomicMass :
+                         AtomIdentifier.getIsotopeAtomicMass( isotope.protonCount, isotope.neutronCount );
+      assert && assert( atomicMass > 0, 'no atomic mass for isotope ' + JSON.stringify( isotope ) );
+      totalAbundance += isotope.abundance;
+      weightedMass += isotope.abundance * atomicMass;
+    } );
+    return totalAbundance > 0 ? weightedMass / totalAbundance : 0;
+  },
+
+  /**
+   * Randomly pick isotopes of an element according to its natural mixture, e.g. to fill a container with a realistic
+   * sample of an element.  Each isotope is picked independently, so small samples vary from the natural mixture like
+   * real ones do.  The same sample is produced each time for a random number generator with the same seed.
+   *
+   * @param {number} atomicNumber - must have isotopes with a known natural abundance, see getNaturalMixture
+   * @param {number} count - number of isotopes to pick
+   * @param {Random} [random] - e.g. new Random( { seed: seed } ), defaults to phet.joist.random
+   * @returns {Object[]} - in the order picked, see getNaturalMixture for the form of the objects
+   * @public
+   */
+  sampleIsotopes: function( atomicNumber, count, random ) {
+    random = random || phet.joist.random;
+    const mixture = this.getNaturalMixture( atomicNumber );
+    assert && assert( mixture.length > 0, 'element has no natural mixture, atomic number = ' + atomicNumber );
+    const sample = [];
+    for ( let i = 0; i < count; i++ ) {
+      let cumulativeAbundance = 0;
+      const randomValue = random.nextDouble();
+      const isotope = _.find( mixture, function( isotope ) {
+        cumulativeAbundance += isotope.abundance;
+        return randomValue < cumulativeAbundance;
+      } ) || mixture[ mixture.length - 1 ];
+      sample.push( {
+        protonCount: isotope.protonCount,
+        neutronCount: isotope.neutronCount,
+        massNumber: isotope.massNumber,
+        isomerIndex: isotope.isomerIndex,
+        atomicMass: isotope.atomicMass,
+        abundance: isotope.abundance
+      } );
+    }
+    return sample;
+  },
+
+  /**
+   * Find the nuclides in the isotope table, i.e. the ground states of all nuclides that there is data for, including
+   * the free neutron, that satisfy a condition.  The nuclides are described by objects with the properties
+   *   protonCount, neutronCount, massNumber
+   *   atomicMass - in unified atomic mass units, see getIsotopeAtomicMass
+   *   abundance - natural abundance as a proportion, see getNaturalAbundance
+   *   halfLife - in seconds, see getHalfLife
+   *   stabilityClass - a value of StabilityClassEnum, see getStabilityClass
+   *   nucleonPairing - a value of NucleonPairingEnum, see getNucleonPairing
+   *
+   * @param {function(Object):boolean} predicate - called with the description of each nuclide
+   * @returns {Object[]} - descriptions of the nuclides for which the predicate returned true, ordered by atomic number
+   *                       and then by mass number
+   * @public
+   */
+  findNuclides: function( predicate ) {
+    const nuclides = [];
+    Object.keys( getIsotopeTable() ).forEach( function( atomicNumberString ) {
+      const numProtons = parseInt( atomicNumberString, 10 );
+      Object.keys( getIsotopeTable()[ numProtons ] ).forEach( function( massNumberString ) {
+        const nuclideInfo = createNuclideInfo( numProtons, parseInt( massNumberString, 10 ) );
+        if ( predicate( nuclideInfo ) ) {
+          nuclides.push( nuclideInfo );
+        }
+      } );
+    } );
+    return _.sortBy( nuclides, [ 'protonCount', 'massNumber' ] );
+  },
+
+  /**
+   * Get all nuclides in the isotope table that have the specified number of protons, including those that don't occur
+   * in nature, unlike getAllIsotopesOfElement.
+   *
+   * @param {number} protons
+   * @returns {Object[]} - ordered by mass number, see findNuclides for the form of the objects
+   * @public
+   */
+  getIsotopes: function( protons ) {
+    return this.findNuclides( function( nuclide ) {
+      return nuclide.protonCount === protons;
+    } );
+  },
+
+  /**
+   * Get all nuclides in the isotope table that have the specified number of neutrons.
+   *
+   * @param {number} neutrons
+   * @returns {Object[]} - ordered by atomic number, see findNuclides for the form of the objects
+   * @public
+   */
+  getIsotones: function( neutrons ) {
+    return this.findNuclides( function( nuclide ) {
+      return nuclide.neutronCount === neutrons;
+    } );
+  },
+
+  /**
+   * Get all nuclides in the isotope table that have the specified mass number.
+   *
+   * @param {number} massNumber
+   * @returns {Object[]} - ordered by atomic number, see findNuclides for the form of the objects
+   * @public
+   */
+  getIsobars: function( massNumber ) {
+    return this.findNuclides( function( nuclide ) {
+      return nuclide.massNumber === massNumber;
+    } );
+  },
+
+  /**
+   * Get the mirror nucleus of the specified nuclide, i.e. the nuclide with the numbers of protons and neutrons
+   * swapped, e.g. helium-3 for tritium.  A nuclide with equal numbers of protons and neutrons is its own mirror.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @returns {Object|null} - see findNuclides for the form of the object, or null if the mirror nucleus is not in the
+   *                          isotope table
+   * @public
+   */
+  getMirrorNucleus: function( protons, neutrons ) {
+    return getIsotopeTableEntry( neutrons, protons + neutrons ) === undefined ?
+           null : createNuclideInfo( neutrons, protons + neutrons );
+  },
+
+  /**
+   * Get whether the numbers of protons and neutrons in a nucleus are even or odd.  Because of the pairing of nucleons,
+   * even-even nuclides are the most tightly bound, odd-A nuclides (EVEN_ODD or ODD_EVEN) are next, and odd-odd
+   * nuclides are the least tightly bound.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @returns {string} - one of the values of NucleonPairingEnum
+   * @public
+   */
+  getNucleonPairing: function( protons, neutrons ) {
+    if ( protons % 2 === 0 ) {
+      return neutrons % 2 === 0 ? NucleonPairingEnum.EVEN_EVEN : NucleonPairingEnum.EVEN_ODD;
+    }
+    return neutrons % 2 === 0 ? NucleonPairingEnum.ODD_EVEN : NucleonPairingEnum.ODD_ODD;
+  },
+
+  /**
+   * Get the stable nuclides that can be reached from the specified configuration with the fewest additions or
+   * removals of protons and neutrons, e.g. to hint that adding a neutron to carbon-11 would make it stable.  If the
+   * configuration is already stable, it is the only result.  Where several stable nuclides are equally close, those
+   * that need fewer changes to the number of protons, and so are more likely to be isotopes of the current element,
+   * come first.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @returns {{protonCount: number, neutronCount: number, protonChange: number, neutronChange: number,
+   *          numParticleChanges: number}[]} - the changes are positive for additions and negative for removals, and
+   *          numParticleChanges is the total number of particles that are added or removed, which is the same for all
+   *          results
+   * @public
+   */
+  getNearestStableConfigurations: function( protons, neutrons ) {
+    const getNumParticleChanges = function( nuclide ) {
+      return Math.abs( nuclide.protonCount - protons ) + Math.abs( nuclide.neutronCount - neutrons );
+    };
+    const stableNuclides = this.findNuclides( function( nuclide ) {
+      return nuclide.stabilityClass === StabilityClassEnum.STABLE;
+    } );
+    const minNumParticleChanges = _.min( stableNuclides.map( getNumParticleChanges ) );
+    const nearestStableConfigurations = stableNuclides.filter( function( nuclide ) {
+      return getNumParticleChanges( nuclide ) === minNumParticleChanges;
+    } ).map( function( nuclide ) {
+      return {
+        protonCount: nuclide.protonCount,
+        neutronCount: nuclide.neutronCount,
+        protonChange: nuclide.protonCount - protons,
+        neutronChange: nuclide.neutronCount - neutrons,
+        numParticleChanges: minNumParticleChanges
+      };
+    } );
+
+    // sortBy is stable, so configurations with the same proton change stay ordered by atomic and mass number
+    return _.sortBy( nearestStableConfigurations, function( configuration ) {
+      return Math.abs( configuration.protonChange );
+    } );
+  },
+
+  /**
+   * Get the isomers of the nuclide with the specified number of protons and neutrons, i.e. its excited states that
+   * are long-lived enough to be observed as separate nuclides, e.g. technetium-99m, which is used in medical imaging.
+   * Isomers are numbered in order of increasing excitation energy, starting at 1, and are written with an 'm' after
+   * the mass number, followed by the index if it is greater than one, e.g. hafnium-178m2 for the second isomer of
+   * hafnium-178.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @returns {{isomerIndex: number, excitationEnergy: number, halfLife: number}[]} - ordered by isomer index, empty if
+   *          there are no known isomers.  excitationEnergy is in MeV and halfLife is in seconds, see getHalfLife.
+   * @public
+   */
+  getIsomers: function( protons, neutrons ) {
+    const tableEntry = getIsotopeTableEntry( protons, protons + neutrons );
+    if ( tableEntry === undefined ) {
+      return [];
+    }
+    return _.sortBy( Object.keys( tableEntry.isomers ).map( function( isomerIndexString ) {
+      const isomerEntry = tableEntry.isomers[ isomerIndexString ];
+      return {
+        isomerIndex: parseInt( isomerIndexString, 10 ),
+        excitationEnergy: isomerEntry.excitationEnergy / 1000,
+        halfLife: isomerEntry.halfLife
+      };
+    } ), 'isomerIndex' );
+  },
+
+  /**
+   * Get the excitation energy of an isomer, i.e. the energy of the isomer above the ground state of the nuclide.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @param {number} [isomerIndex] - 0 or omitted for the ground state
+   * @returns {number} - the excitation energy in MeV, 0 for a ground state, or -1 if there is no data for the isomer
+   * @public
+   */
+  getExcitationEnergy: function( protons, neutrons, isomerIndex ) {
+    if ( !isomerIndex ) {
+      return 0;
+    }
+    const tableEntry = getIsotopeTableEntry( protons, protons + neutrons, isomerIndex );
+    return tableEntry === undefined ? -1 : tableEntry.excitationEnergy / 1000;
+  },
+
+  /**
+   * Get the half-life of the nuclide with the specified number of protons and neutrons, or of one of its isomers.  A
+   * free neutron, i.e. zero protons and one neutron, is included.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @param {number} [isomerIndex] - 0 or omitted for the ground state
+   * @returns {number} - the half-life in seconds, Number.POSITIVE_INFINITY if the nuclide is stable, or -1 if there is
+   *                     no data for this nuclide or its half-life is unknown
+   * @public
+   */
+  getHalfLife: function( protons, neutrons, isomerIndex ) {
+    const tableEntry = getIsotopeTableEntry( protons, protons + neutrons, isomerIndex );
+    return tableEntry === undefined ? -1 : tableEntry.halfLife;
+  },
+
+  /**
+   * Get the decay modes of the nuclide with the specified number of protons and neutrons, or of one of its isomers.
+   * The modes use the NUBASE notation, e.g. 'A' for alpha decay, 'B-' for beta minus decay, 'B+' for beta plus decay
+   * and electron capture combined, 'EC' for electron capture, 'IT' for isomeric transition (decay of an isomer to a
+   * lower state of the same nuclide), 'SF' for spontaneous fission, 'p' and 'n' for proton and neutron emission, and
+   * 'B-n' for beta minus delayed neutron emission.  Branching ratios are proportions (NOT percentages), and are null
+   * where the ratio is not known.
+   *
+   * Note that, as in NUBASE, delayed particle emission modes such as 'B-n' or 'B+p' are a subset of the primary mode
+   * they follow, so they are included in that mode's branching ratio and the ratios can add up to more than one.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @param {number} [isomerIndex] - 0 or omitted for the ground state
+   * @returns {{mode: string, branchingRatio: number|null}[]} - empty if the nuclide is stable or there is no data
+   * @public
+   */
+  getDecayModes: function( protons, neutrons, isomerIndex ) {
+    const tableEntry = getIsotopeTableEntry( protons, protons + neutrons, isomerIndex );
+    if ( tableEntry === undefined ) {
+      return [];
+    }
+    return tableEntry.decayModes.map( function( decayMode ) {
+      return { mode: decayMode.mode, branchingRatio: decayMode.branchingRatio };
+    } );
+  },
+
+  /**
+   * Get the decay mode with the largest branching ratio for the nuclide with the specified number of protons and
+   * neutrons.  If several modes have the same ratio, the first one listed in the data is used, and modes with unknown
+   * ratios are only used if no ratios are known.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @param {number} [isomerIndex] - 0 or omitted for the ground state
+   * @returns {string|null} - the mode in NUBASE notation, see getDecayModes, or null if the nuclide is stable or
+   *                          there is no data
+   * @public
+   */
+  getPrimaryDecayMode: function( protons, neutrons, isomerIndex ) {
+    const decayModes = this.getDecayModes( protons, neutrons, isomerIndex );
+    let primaryDecayMode = null;
+    let largestBranchingRatio = -1;
+    decayModes.forEach( function( decayMode ) {
+      const branchingRatio = decayMode.branchingRatio === null ? 0 : decayMode.branchingRatio;
+      if ( branchingRatio > largestBranchingRatio ) {
+        primaryDecayMode = decayMode.mode;
+        largestBranchingRatio = branchingRatio;
+      }
+    } );
+    return primaryDecayMode;
+  },
+
+  /**
+   * Get the measured spin and parity (Jπ) of the ground state of the nuclide with the specified number of protons and
+   * neutrons, or of one of its isomers, along with its magnetic dipole moment where that is known.  These can be
+   * compared with the predictions of the shell model, e.g. for the last unpaired nucleon.  Magnetic moments are only
+   * available for ground states.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @param {number} [isomerIndex] - 0 or omitted for the ground state
+   * @returns {Object|null} - an object of the form { spin, parity, isTentative, isEstimated, magneticMoment }, or null
+   *                          if the spin is unknown.  parity is 1 for positive, -1 for negative, or null if unknown.
+   *                          isTentative is true if the assignment is based on weak arguments, isEstimated is true if
+   *                          it was estimated from systematics, and magneticMoment is in nuclear magnetons, or null if
+   *                          it is unknown.
+   * @public
+   */
+  getSpinParity: function( protons, neutrons, isomerIndex ) {
+    const tableEntry = getIsotopeTableEntry( protons, protons + neutrons, isomerIndex );
+    if ( tableEntry === undefined || tableEntry.spinParity === null ) {
+      return null;
+    }
+    const magneticMoments = getActiveDataSet().magneticMoments[ protons ];
+    const magneticMoment = magneticMoments && !isomerIndex ? magneticMoments[ protons + neutrons ] : undefined;
+    return {
+      spin: tableEntry.spinParity.spin,
+      parity: tableEntry.spinParity.parity,
+      isTentative: tableEntry.spinParity.isTentative,
+      isEstimated: tableEntry.spinParity.isEstimated,
+      magneticMoment: magneticMoment === undefined ? null : magneticMoment
+    };
+  },
+
+  /**
+   * Get the binding energy of the nucleus with the specified number of protons and neutrons, i.e. the energy that
+   * would be needed to separate it into free protons and neutrons.  This is calculated from the measured mass when
+   * there is one in the isotope table, and is otherwise predicted using the semi-empirical (Weizsäcker) mass formula.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @returns {{value: number, isPredicted: boolean}} - value is in MeV, isPredicted is true if the semi-empirical mass
+   *                                                    formula was used
+   * @public
+   */
+  getBindingEnergy: function( protons, neutrons ) {
+    assert && assert( protons >= 0 && neutrons >= 0 && protons + neutrons > 0, 'invalid nucleus' );
+    return getBindingEnergyInfo( protons, neutrons );
+  },
+
+  /**
+   * Get the average binding energy per nucleon of the nucleus with the specified number of protons and neutrons.  See
+   * getBindingEnergy for how this is obtained.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @returns {{value: number, isPredicted: boolean}} - value is in MeV
+   * @public
+   */
+  getBindingEnergyPerNucleon: function( protons, neutrons ) {
+    const bindingEnergy = this.getBindingEnergy( protons, neutrons );
+    return { value: bindingEnergy.value / ( protons + neutrons ), isPredicted: bindingEnergy.isPredicted };
+  },
+
+  /**
+   * Get the one-neutron separation energy S_n, i.e. the energy needed to remove a single neutron from the nucleus.  A
+   * negative value means that the nucleus is unbound with respect to emitting a neutron.  If the binding energy of
+   * either nucleus involved has to be predicted, both are, see getBindingEnergy.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @returns {{value: number, isPredicted: boolean}|null} - value is in MeV, null if there are no neutrons to remove
+   * @public
+   */
+  getNeutronSeparationEnergy: function( protons, neutrons ) {
+    if ( neutrons === 0 ) {
+      return null;
+    }
+    assert && assert( protons >= 0 && neutrons >= 0, 'invalid nucleus' );
+    return getSeparationEnergy( protons, neutrons, protons, neutrons - 1 );
+  },
+
+  /**
+   * Get the one-proton separation energy S_p, i.e. the energy needed to remove a single proton from the nucleus.  A
+   * negative value means that the nucleus is unbound with respect to emitting a proton.  If the binding energy of
+   * either nucleus involved has to be predicted, both are, see getBindingEnergy.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @returns {{value: number, isPredicted: boolean}|null} - value is in MeV, null if there are no protons to remove
+   * @public
+   */
+  getProtonSeparationEnergy: function( protons, neutrons ) {
+    if ( protons === 0 ) {
+      return null;
+    }
+    assert && assert( protons >= 0 && neutrons >= 0, 'invalid nucleus' );
+    return getSeparationEnergy( protons, neutrons, protons - 1, neutrons );
+  },
+
+  /**
+   * Identifies whether a nucleus is bound, i.e. whether it is stable against the emission of one or two protons or
+   * neutrons, which happens almost immediately if it is energetically allowed.  A nucleus is bound if its one and two
+   * nucleon separation energies are all positive, see getNeutronSeparationEnergy, so this is calculated from the
+   * measured masses where there are any and predicted using the semi-empirical mass formula otherwise.  Bound nuclei
+   * can still decay in other ways, e.g. beryllium-8 is bound but splits into two alpha particles almost immediately.
+   * A single proton or neutron is considered bound.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @returns {boolean}
+   * @public
+   */
+  isBound: function( protons, neutrons ) {
+    assert && assert( protons >= 0 && neutrons >= 0 && protons + neutrons > 0, 'invalid nucleus' );
+    if ( protons + neutrons === 1 ) {
+      return true;
+    }
+    const separationEnergies = [];
+    if ( neutrons >= 1 ) {
+      separationEnergies.push( getSeparationEnergy( protons, neutrons, protons, neutrons - 1 ) );
+    }
+    if ( neutrons >= 2 ) {
+      separationEnergies.push( getSeparationEnergy( protons, neutrons, protons, neutrons - 2 ) );
+    }
+    if ( protons >= 1 ) {
+      separationEnergies.push( getSeparationEnergy( protons, neutrons, protons - 1, neutrons ) );
+    }
+    if ( protons >= 2 ) {
+      separationEnergies.push( getSeparationEnergy( protons, neutrons, protons - 2, neutrons ) );
+    }
+    return _.every( separationEnergies, function( separationEnergy ) {
+      return separationEnergy.value > 0;
+    } );
+  },
+
+  /**
+   * Get the neutron drip line for an element, i.e. the number of neutrons in its heaviest bound isotope, see isBound.
+   * Isotopes with more neutrons than this are unbound, but isotopes with fewer neutrons aren't necessarily all bound,
+   * e.g. the drip line for helium is at helium-8, even though helium-7 is unbound.
+   *
+   * @param {number} protons
+   * @returns {number}
+   * @public
+   */
+  getNeutronDripLine: function( protons ) {
+    assert && assert( protons > 0 && protons < symbolTable.length, 'unknown element' );
+    return findDripLine( protons, 1 );
+  },
+
+  /**
+   * Get the proton drip line for an element, i.e. the number of neutrons in its lightest bound isotope, see isBound.
+   * Isotopes with fewer neutrons than this are unbound.
+   *
+   * @param {number} protons
+   * @returns {number}
+   * @public
+   */
+  getProtonDripLine: function( protons ) {
+    assert && assert( protons > 0 && protons < symbolTable.length, 'unknown element' );
+    return findDripLine( protons, -1 );
+  },
+
+  /**
+   * Get whether the specified configuration of protons and neutrons is a known nuclide, an unobserved one that is
+   * predicted to be bound, or one that can't form because it is unbound.  Known nuclides are those in the isotope
+   * table of the active data set, which for the default data set includes every nuclide that has been observed, see
+   * AtomicDataSetRegistry, e.g. iron-45 and iron-66 are known even though there is no half-life data for them.  Known
+   * nuclides include unbound ones that have been observed as short-lived resonances, such as helium-5.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @returns {string} - one of the values of NuclideStatusEnum
+   * @public
+   */
+  getNuclideStatus: function( protons, neutrons ) {
+    if ( getIsotopeTableEntry( protons, protons + neutrons ) !== undefined ) {
+      return NuclideStatusEnum.KNOWN;
+    }
+    return this.isBound( protons, neutrons ) ? NuclideStatusEnum.UNOBSERVED : NuclideStatusEnum.UNBOUND;
+  },
+
+  /**
+   * Get the numbers of protons and neutrons in the nucleus that is left when the specified nuclide decays by the
+   * specified mode.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @param {string} decayMode - in NUBASE notation, see getDecayModes, or a cluster such as '14C'
+   * @returns {{protons: number, neutrons: number}|null} - null if the mode is not supported or isn't possible for this
+   *                                                       nuclide, e.g. alpha decay of a nucleus with one proton
+   * @public
+   */
+  getDaughterNuclide: function( protons, neutrons, decayMode ) {
+    const decayModeInfo = getDecayModeInfo( decayMode );
+    if ( decayModeInfo === null ) {
+      return null;
+    }
+    const daughter = {
+      protons: protons + decayModeInfo.protonChange,
+      neutrons: neutrons + decayModeInfo.neutronChange
+    };
+    return daughter.protons < 0 || daughter.neutrons < 0 || daughter.protons + daughter.neutrons === 0 ?
+           null : daughter;
+  },
+
+  /**
+   * Get the Q-value of a decay, i.e. the kinetic energy that is released, from the atomic masses of the parent, the
+   * daughter and the emitted particles.  If the parent or the daughter is not in the isotope table, both masses are
+   * predicted using the semi-empirical mass formula, and the result is marked as predicted.  Since NUBASE uses 'B+' for
+   * positron emission and electron capture combined, the Q-value for 'B+' is that of positron emission alone, which is
+   * smaller than that of 'EC' by twice the electron mass.  The binding energies of the atomic electrons are neglected.
+   * For an isomer, the excitation energy is added to the energy that is released, and the daughter is assumed to be in
+   * its ground state, so the Q-value of an isomeric transition is the excitation energy.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @param {string} decayMode - in NUBASE notation, see getDecayModes, or a cluster such as '14C'
+   * @param {number} [isomerIndex] - 0 or omitted for the ground state
+   * @returns {{value: number, isPredicted: boolean}|null} - value is in MeV, null if there is no daughter nuclide, see
+   *                                                        getDaughterNuclide, or no data for the isomer
+   * @public
+   */
+  getQValue: function( protons, neutrons, decayMode, isomerIndex ) {
+    const daughter = this.getDaughterNuclide( protons, neutrons, decayMode );
+    const excitationEnergy = this.getExcitationEnergy( protons, neutrons, isomerIndex );
+    if ( daughter === null || excitationEnergy < 0 ) {
+      return null;
+    }
+    const decayModeInfo = getDecayModeInfo( decayMode );
+
+    // The semi-empirical mass formula is off by several MeV for some nuclei, which is more than a typical Q-value, so
+    // if the mass of either the parent or the daughter has to be predicted then both are.  The emitted particles are
+    // light nuclei, which are always in the isotope table, and for which the formula is not accurate.
+    let parentMassExcess = getMassExcessInfo( protons, neutrons );
+    let daughterMassExcess = getMassExcessInfo( daughter.protons, daughter.neutrons );
+    const isPredicted = parentMassExcess.isPredicted || daughterMassExcess.isPredicted;
+    if ( isPredicted ) {
+      parentMassExcess = getMassExcessInfo( protons, neutrons, true );
+      daughterMassExcess = getMassExcessInfo( daughter.protons, daughter.neutrons, true );
+    }
+    let qValueInKeV = parentMassExcess.value + excitationEnergy * 1000 - daughterMassExcess.value -
+                      2 * ELECTRON_MASS_IN_KEV * decayModeInfo.numPositrons;
+    decayModeInfo.emittedParticles.forEach( function( particle ) {
+      qValueInKeV -= getMassExcessInfo( particle[ 0 ], particle[ 1 ] ).value;
+    } );
+    return { value: qValueInKeV / 1000, isPredicted: isPredicted };
+  },
+
+  /**
+   * Get the decay modes that are energetically allowed for the specified nuclide, i.e. those with a positive Q-value.
+   * The modes that are checked are alpha decay, beta minus decay, positron emission, electron capture, and emission of
+   * one or two protons or neutrons.  An allowed mode won't necessarily be observed, e.g. alpha decay is allowed for
+   * many nuclides that are stable in practice because their half-lives would be extremely long.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @returns {string[]} - the allowed modes in NUBASE notation
+   * @public
+   */
+  getAllowedDecayModes: function( protons, neutrons ) {
+    const self = this;
+    return PREDICTABLE_DECAY_MODES.filter( function( decayMode ) {
+      const qValue = self.getQValue( protons, neutrons, decayMode );
+      return qValue !== null && qValue.value > 0;
+    } );
+  },
+
+  /**
+   * Get the most likely decay mode of the specified nuclide.  This is the tabulated primary mode if there is one, see
+   * getPrimaryDecayMode.  Otherwise, it is predicted from the energetically allowed modes using simple rules: nucleon
+   * emission wins if the nuclide is unbound, alpha decay is next for elements beyond lead, then beta decay, positron
+   * emission, electron capture, and finally alpha decay for lighter elements.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @returns {string|null} - the mode in NUBASE notation, or null if the nuclide is stable or no decay is allowed
+   * @public
+   */
+  getPredictedDecayMode: function( protons, neutrons ) {
+    if ( this.isStable( protons, neutrons ) ) {
+      return null;
+    }
+    const primaryDecayMode = this.getPrimaryDecayMode( protons, neutrons );
+    if ( primaryDecayMode !== null ) {
+      return primaryDecayMode;
+    }
+    const allowedDecayModes = this.getAllowedDecayModes( protons, neutrons );
+    const isAllowed = function( decayMode ) {
+      return allowedDecayModes.indexOf( decayMode ) > -1;
+    };
+    const nucleonEmissionDecayMode = _.find( NUCLEON_EMISSION_DECAY_MODES, isAllowed );
+    if ( nucleonEmissionDecayMode ) {
+      return nucleonEmissionDecayMode;
+    }
+    if ( protons > MAX_ATOMIC_NUMBER_WITHOUT_ALPHA_PREFERENCE && isAllowed( 'A' ) ) {
+      return 'A';
+    }
+    return _.find( BETA_DECAY_MODES, isAllowed ) || ( isAllowed( 'A' ) ? 'A' : null );
+  },
+
+  /**
+   * Get the branches of the decay of a nuclide and the daughter of each branch, i.e. the first step of its decay
+   * chain, see getDecayChain, which describes the branching ratios.  Daughters are always in their ground states.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @param {number} [isomerIndex] - 0 or omitted for the ground state
+   * @returns {{mode: string, branchingRatio: number, daughter: {protons: number, neutrons: number}|null}[]} - daughter
+   *          is null if there is no single daughter.  Empty if the nuclide is stable, there is no data for it, or its
+   *          half-life is unknown.
+   * @public
+   */
+  getDecayBranches: function( protons, neutrons, isomerIndex ) {
+    const self = this;
+    const halfLife = this.getHalfLife( protons, neutrons, isomerIndex );
+    if ( !( halfLife > 0 && halfLife !== Number.POSITIVE_INFINITY ) ) {
+      return [];
+    }
+    return getDecayBranches( protons, neutrons, isomerIndex || 0 ).map( function( decayBranch ) {
+      return {
+        mode: decayBranch.mode,
+        branchingRatio: decayBranch.branchingRatio,
+        daughter: self.getDaughterNuclide( protons, neutrons, decayBranch.mode )
+      };
+    } );
+  },
+
+  /**
+   * Get the decay chain of a nuclide, i.e. the graph of every nuclide that can be reached from it through all the
+   * branches of its decay and of the decays of its daughters, down to stable nuclides, e.g. the uranium series from
+   * uranium-238 to lead-206.  Daughters are always in their ground states, so an isomer only appears as the parent.
+   * The branching ratios of each nuclide are the proportions of its decays that go through each branch, so they add up
+   * to one.  Unlike in getDecayModes, the ratio of a delayed particle emission mode such as 'B-n' is not a part of the
+   * ratio of its primary mode, and unknown ratios share what is left by the known ones.  Spontaneous fission has no
+   * single daughter, so it ends its branch, and so does a daughter with no data or an unknown half-life.
+   *
+   * @param {number} protons
+   * @param {number} neutrons
+   * @param {number} [isomerIndex] - 0 or omitted for the ground state
+   * @returns {{protons: number, neutrons: number, isomerIndex: number, halfLife: number, decays: Object[]}[]} - the
+   *          members of the chain, starting with the parent and ordered so that every member comes before its
+   *          daughters.  halfLife is as in getHalfLife, and decays are the branches of the decay of the member, as
+   *          objects of the form { mode, branchingRatio, daughterIndex }, where daughterIndex is the index of the
+   *          daughter in the chain, or null if there is no single daughter.  decays is empty for the stable members
+   *          and the members with no data.
+   * @public
+   */
+  getDecayChain: function( protons, neutrons, isomerIndex ) {
+    const self = this;
+    const membersByKey = {};
+    const orderedMembers = [];
+    const decays = [];
+    const daughterMembers = []; // {Object[]} the member that is the daughter of each decay, or null
+
+    // add the members depth first, so that ordering them by when they were finished puts the daughters last
+    const addMember = function( protons, neutrons, isomerIndex ) {
+      const key = protons + ',' + neutrons + ',' + isomerIndex;
+      if ( membersByKey.hasOwnProperty( key ) ) {
+        return membersByKey[ key ];
+      }
+      const member = {
+        protons: protons,
+        neutrons: neutrons,
+        isomerIndex: isomerIndex,
+        halfLife: self.getHalfLife( protons, neutrons, isomerIndex ),
+        decays: []
+      };
+      membersByKey[ key ] = member;
+      self.getDecayBranches( protons, neutrons, isomerIndex ).forEach( function( decayBranch ) {
+        const daughter = decayBranch.daughter;
+        const daughterMember = daughter && addMember( daughter.protons, daughter.neutrons, 0 );
+        const decay = { mode: decayBranch.mode, branchingRatio: decayBranch.branchingRatio, daughterIndex: null };
+        member.decays.push( decay );
+        decays.push( decay );
+        daughterMembers.push( daughterMember );
+      } );
+      orderedMembers.unshift( member );
+      return member;
+    };
+    addMember( protons, neutrons, isomerIndex || 0 );
+
+    decays.forEach( function( decay, index ) {
+      if ( daughterMembers[ index ] ) {
+        decay.daughterIndex = orderedMembers.indexOf( daughterMembers[ index ] );
+      }
+    } );
+    return orderedMembers;
   }
 
 };
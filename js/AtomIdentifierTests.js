@@ -0,0 +1,611 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for AtomIdentifier
+ *
+ * @author Luisa Vargas
+ */
+
+import Random from '../../dot/js/Random.js';
+import AtomIdentifier from './AtomIdentifier.js';
+import AtomicDataSetRegistry from './data/AtomicDataSetRegistry.js';
+import ElementCategoryEnum from './ElementCategoryEnum.js';
+import NucleonPairingEnum from './NucleonPairingEnum.js';
+import NumberAtom from './model/NumberAtom.js';
+import NuclideStatusEnum from './NuclideStatusEnum.js';
+import StabilityClassEnum from './StabilityClassEnum.js';
+
+QUnit.module( 'AtomIdentifier' );
+
+/**
+ * @param {number} protons
+ * @param {number} electrons
+ * @returns {string}
+ */
+function getShorthandConfiguration( protons, electrons ) {
+  return AtomIdentifier.getElectronConfigurationString( protons, electrons, { nobleGasShorthand: true } );
+}
+
+QUnit.test( 'isotope masses and abundances', function( assert ) {
+  assert.ok( Math.abs( AtomIdentifier.getIsotopeAtomicMass( 6, 8 ) - 14.003241989 ) < 1E-9, 'C-14' );
+  assert.ok( Math.abs( AtomIdentifier.getIsotopeAtomicMass( 26, 30 ) - 55.9349375 ) < 1E-7, 'Fe-56' );
+  assert.ok( Math.abs( AtomIdentifier.getIsotopeAtomicMass( 92, 146 ) - 238.0507882 ) < 1E-7, 'U-238' );
+  assert.ok( Math.abs( AtomIdentifier.getIsotopeAtomicMass( 26, 45 ) - 70.96672 ) < 1E-5, 'Fe-71, from AME only' );
+  assert.equal( AtomIdentifier.getIsotopeAtomicMass( 26, 50 ), -1, 'Fe-76 has not been observed' );
+  assert.equal( AtomIdentifier.getIsotopeAtomicMass( 0, 1 ), -1, 'a free neutron is not an isotope' );
+
+  const getNaturalAbundance = function( protons, neutrons ) {
+    const isotope = new NumberAtom( { protonCount: protons, neutronCount: neutrons, electronCount: protons } );
+    return AtomIdentifier.getNaturalAbundance( isotope, 6 );
+  };
+  assert.equal( getNaturalAbundance( 19, 20 ), 0.932581, 'K-39' );
+  assert.equal( getNaturalAbundance( 19, 21 ), 0.000117, 'K-40' );
+  assert.equal( getNaturalAbundance( 26, 30 ), 0.91754, 'Fe-56' );
+  assert.equal( getNaturalAbundance( 92, 143 ), 0.007204, 'U-235' );
+  assert.equal( getNaturalAbundance( 26, 50 ), 0, 'Fe-76' );
+
+  assert.deepEqual( AtomIdentifier.getAllIsotopesOfElement( 19 ), [ [ 19, 20, 19 ], [ 19, 21, 19 ], [ 19, 22, 19 ] ],
+    'K' );
+  assert.deepEqual( AtomIdentifier.getAllIsotopesOfElement( 26 ).map( function( isotope ) { return isotope[ 1 ]; } ),
+    [ 28, 30, 31, 32 ], 'Fe' );
+  assert.deepEqual( AtomIdentifier.getAllIsotopesOfElement( 92 ), [ [ 92, 142, 92 ], [ 92, 143, 92 ], [ 92, 146, 92 ] ],
+    'U' );
+  assert.deepEqual( AtomIdentifier.getAllIsotopesOfElement( 43 ), [ [ 43, 56, 43 ] ], 'Tc-99 exists in trace amounts' );
+
+  // the trace isotopes of the first eighteen elements are those of the original data
+  assert.deepEqual( AtomIdentifier.getAllIsotopesOfElement( 4 ), [ [ 4, 3, 4 ], [ 4, 5, 4 ], [ 4, 6, 4 ] ], 'Be' );
+  assert.deepEqual( AtomIdentifier.getAllIsotopesOfElement( 11 ), [ [ 11, 12, 11 ] ], 'Na' );
+  assert.deepEqual( AtomIdentifier.getAllIsotopesOfElement( 18 ).map( function( isotope ) { return isotope[ 1 ]; } ),
+    [ 18, 20, 22 ], 'Ar' );
+  const existsInTraceAmounts = function( protons, neutrons ) {
+    return AtomIdentifier.existsInTraceAmounts(
+      new NumberAtom( { protonCount: protons, neutronCount: neutrons, electronCount: protons } ) );
+  };
+  assert.ok( existsInTraceAmounts( 6, 8 ), 'C-14 exists in trace amounts' );
+  assert.ok( existsInTraceAmounts( 9, 9 ), 'F-18 exists in trace amounts' );
+  assert.ok( !existsInTraceAmounts( 11, 11 ), 'Na-22 does not' );
+  assert.ok( !existsInTraceAmounts( 17, 19 ), 'Cl-36 does not' );
+  assert.ok( existsInTraceAmounts( 86, 136 ), 'Rn-222 exists in trace amounts' );
+
+  for ( let protons = 1; protons <= 83; protons++ ) {
+    if ( protons !== 43 && protons !== 61 ) {
+      let totalAbundance = 0;
+      AtomIdentifier.getAllIsotopesOfElement( protons ).forEach( function( isotope ) {
+        totalAbundance += getNaturalAbundance( isotope[ 0 ], isotope[ 1 ] );
+      } );
+      assert.ok( Math.abs( totalAbundance - 1 ) < 2E-4, 'abundances of element ' + protons + ' add up to 1' );
+    }
+  }
+} );
+
+QUnit.test( 'getHalfLife and getDecayModes', function( assert ) {
+  const secondsPerYear = 365.2422 * 24 * 60 * 60;
+  assert.ok( Math.abs( AtomIdentifier.getHalfLife( 1, 2 ) / secondsPerYear - 12.32 ) < 0.01, 'H-3' );
+  assert.ok( Math.abs( AtomIdentifier.getHalfLife( 6, 8 ) / secondsPerYear - 5700 ) < 1, 'C-14' );
+  assert.equal( AtomIdentifier.getHalfLife( 0, 1 ), 613.9, 'free neutron' );
+  assert.equal( AtomIdentifier.getHalfLife( 6, 6 ), Infinity, 'C-12 is stable' );
+  assert.equal( AtomIdentifier.getHalfLife( 26, 50 ), -1, 'Fe-76 has not been observed' );
+  assert.ok( AtomIdentifier.getHalfLife( 43, 56, 1 ) < AtomIdentifier.getHalfLife( 43, 56 ), 'Tc-99m' );
+
+  assert.deepEqual( AtomIdentifier.getDecayModes( 6, 8 ), [ { mode: 'B-', branchingRatio: 1 } ], 'C-14' );
+  assert.deepEqual( AtomIdentifier.getDecayModes( 19, 21 ), [
+    { mode: 'B-', branchingRatio: 0.8928 },
+    { mode: 'B+', branchingRatio: 0.1072 }
+  ], 'K-40 has two branches' );
+  assert.deepEqual( AtomIdentifier.getDecayModes( 6, 6 ), [], 'C-12 is stable' );
+  assert.equal( AtomIdentifier.getDecayModes( 43, 56, 1 )[ 0 ].mode, 'IT', 'Tc-99m' );
+
+  assert.equal( AtomIdentifier.getPrimaryDecayMode( 92, 146 ), 'A', 'U-238' );
+  assert.equal( AtomIdentifier.getPrimaryDecayMode( 19, 21 ), 'B-', 'K-40' );
+  assert.equal( AtomIdentifier.getPrimaryDecayMode( 4, 4 ), 'A', 'Be-8' );
+  assert.equal( AtomIdentifier.getPrimaryDecayMode( 6, 6 ), null, 'C-12 is stable' );
+} );
+
+QUnit.test( 'getStabilityClass and isStable', function( assert ) {
+  let numStable = 0;
+  for ( let protons = 0; protons < 119; protons++ ) {
+    for ( let neutrons = 0; neutrons < 200; neutrons++ ) {
+      if ( AtomIdentifier.isStable( protons, neutrons ) ) {
+        numStable++;
+        assert.equal( AtomIdentifier.getStabilityClass( protons, neutrons ), StabilityClassEnum.STABLE,
+          'stability class of stable nuclide ' + protons + ', ' + neutrons );
+      }
+    }
+  }
+  assert.equal( numStable, 251, 'number of stable nuclides' );
+
+  assert.ok( AtomIdentifier.isStable( 18, 22 ), 'Ar-40' );
+  assert.ok( AtomIdentifier.isStable( 26, 30 ), 'Fe-56' );
+  assert.ok( AtomIdentifier.isStable( 82, 126 ), 'Pb-208' );
+  assert.notOk( AtomIdentifier.isStable( 19, 21 ), 'K-40' );
+  assert.notOk( AtomIdentifier.isStable( 26, 50 ), 'Fe-76' );
+  assert.equal( AtomIdentifier.getStabilityClass( 19, 21 ), StabilityClassEnum.PRIMORDIAL, 'K-40' );
+  assert.equal( AtomIdentifier.getStabilityClass( 92, 146 ), StabilityClassEnum.PRIMORDIAL, 'U-238' );
+  assert.equal( AtomIdentifier.getStabilityClass( 83, 126 ), StabilityClassEnum.PRIMORDIAL, 'Bi-209' );
+  assert.equal( AtomIdentifier.getStabilityClass( 6, 8 ), StabilityClassEnum.RADIOACTIVE,
+    'C-14 only exists in nature because it is continually produced' );
+  assert.equal( AtomIdentifier.getStabilityClass( 43, 56 ), StabilityClassEnum.RADIOACTIVE, 'Tc-99' );
+  assert.equal( AtomIdentifier.getStabilityClass( 73, 107 ), StabilityClassEnum.RADIOACTIVE, 'Ta-180' );
+  assert.equal( AtomIdentifier.getStabilityClass( 73, 107, 1 ), StabilityClassEnum.PRIMORDIAL, 'Ta-180m' );
+  assert.equal( AtomIdentifier.getStabilityClass( 26, 50 ), StabilityClassEnum.UNKNOWN, 'Fe-76' );
+} );
+
+QUnit.test( 'binding and separation energies', function( assert ) {
+  const assertEnergy = function( energy, expectedValue, isPredicted, message ) {
+    assert.ok( Math.abs( energy.value - expectedValue ) < 1E-3, message + ': ' + energy.value );
+    assert.equal( energy.isPredicted, isPredicted, message + ( isPredicted ? ' is predicted' : ' is measured' ) );
+  };
+  assertEnergy( AtomIdentifier.getBindingEnergy( 1, 1 ), 2.2246, false, 'binding energy of H-2' );
+  assertEnergy( AtomIdentifier.getBindingEnergy( 2, 2 ), 28.2957, false, 'binding energy of He-4' );
+  assertEnergy( AtomIdentifier.getBindingEnergy( 92, 146 ), 1801.6889, false, 'binding energy of U-238' );
+  assertEnergy( AtomIdentifier.getBindingEnergyPerNucleon( 26, 30 ), 8.7903, false,
+    'binding energy per nucleon of Fe-56' );
+  assert.ok( AtomIdentifier.getBindingEnergyPerNucleon( 28, 34 ).value >
+             AtomIdentifier.getBindingEnergyPerNucleon( 26, 30 ).value, 'Ni-62 is the most tightly bound' );
+  assertEnergy( AtomIdentifier.getNeutronSeparationEnergy( 2, 2 ), 20.5776, false, 'S_n of He-4' );
+  assertEnergy( AtomIdentifier.getProtonSeparationEnergy( 2, 2 ), 19.8139, false, 'S_p of He-4' );
+  assertEnergy( AtomIdentifier.getNeutronSeparationEnergy( 92, 146 ), 6.1543, false, 'S_n of U-238' );
+  assert.equal( AtomIdentifier.getNeutronSeparationEnergy( 1, 0 ), null, 'no neutron to remove' );
+  assert.equal( AtomIdentifier.getProtonSeparationEnergy( 0, 1 ), null, 'no proton to remove' );
+
+  const predicted = AtomIdentifier.getBindingEnergy( 120, 184 );
+  assert.ok( predicted.isPredicted, 'binding energy of an unobserved nucleus is predicted' );
+  assert.ok( predicted.value / 304 > 7 && predicted.value / 304 < 7.5, 'predicted binding energy per nucleon' );
+  assert.ok( AtomIdentifier.getNeutronSeparationEnergy( 26, 50 ).isPredicted,
+    'S_n is predicted if the mass of either nucleus is' );
+} );
+
+QUnit.test( 'getQValue and getAllowedDecayModes', function( assert ) {
+  const assertQValue = function( protons, neutrons, decayMode, expectedValue, message, isomerIndex ) {
+    const qValue = AtomIdentifier.getQValue( protons, neutrons, decayMode, isomerIndex );
+    assert.ok( Math.abs( qValue.value - expectedValue ) < 1E-3, message + ': ' + qValue.value );
+  };
+  assertQValue( 92, 146, 'A', 4.2697, 'alpha decay of U-238' );
+  assertQValue( 84, 126, 'A', 5.4075, 'alpha decay of Po-210' );
+  assertQValue( 6, 8, 'B-', 0.1565, 'beta minus decay of C-14' );
+  assertQValue( 0, 1, 'B-', 0.7823, 'decay of a free neutron' );
+  assertQValue( 19, 21, 'EC', 1.5047, 'electron capture by K-40' );
+  assertQValue( 19, 21, 'B+', 1.5047 - 2 * 0.511, 'positron emission by K-40' );
+  assertQValue( 88, 135, '14C', 31.8294, 'cluster decay of Ra-223' );
+  assertQValue( 43, 56, 'IT', 0.1427, 'isomeric transition of Tc-99m', 1 );
+  assert.equal( AtomIdentifier.getQValue( 1, 1, 'A' ), null, 'H-2 can not emit an alpha particle' );
+  assert.ok( AtomIdentifier.getQValue( 26, 50, 'B-' ).isPredicted, 'Fe-76 has no measured mass' );
+
+  assert.deepEqual( AtomIdentifier.getAllowedDecayModes( 92, 146 ), [ 'A' ], 'U-238' );
+  assert.deepEqual( AtomIdentifier.getAllowedDecayModes( 19, 21 ), [ 'B-', 'B+', 'EC' ], 'K-40' );
+  assert.deepEqual( AtomIdentifier.getAllowedDecayModes( 3, 1 ), [ 'p', 'B+', 'EC' ], 'Li-4' );
+  assert.deepEqual( AtomIdentifier.getAllowedDecayModes( 26, 30 ), [], 'Fe-56' );
+
+  assert.equal( AtomIdentifier.getPredictedDecayMode( 6, 8 ), 'B-', 'tabulated mode of C-14' );
+  assert.equal( AtomIdentifier.getPredictedDecayMode( 26, 50 ), 'B-', 'predicted mode of Fe-76' );
+  assert.equal( AtomIdentifier.getPredictedDecayMode( 6, 6 ), null, 'C-12 is stable' );
+} );
+
+QUnit.test( 'getStandardAtomicWeight', function( assert ) {
+  AtomicDataSetRegistry.setActiveDataSet( AtomicDataSetRegistry.CIAAW_2021_DATA_SET_NAME );
+  const hydrogen = AtomIdentifier.getStandardAtomicWeight( 1 );
+  assert.equal( hydrogen.value, 1.008, 'conventional value for H' );
+  assert.equal( hydrogen.uncertainty, null, 'H has an interval rather than an uncertainty' );
+  assert.equal( hydrogen.interval.min, 1.00784, 'lower bound for H' );
+  assert.equal( hydrogen.interval.max, 1.00811, 'upper bound for H' );
+  assert.ok( AtomIdentifier.getStandardAtomicWeight( 6 ).interval.contains( 12.011 ), 'C' );
+
+  const iron = AtomIdentifier.getStandardAtomicWeight( 26 );
+  assert.equal( iron.value, 55.845, 'Fe' );
+  assert.equal( iron.uncertainty, 0.002, 'uncertainty for Fe' );
+  assert.equal( iron.interval, null, 'Fe has no interval' );
+  assert.equal( AtomIdentifier.getStandardAtomicWeight( 92 ).value, 238.02891, 'U' );
+
+  const technetium = AtomIdentifier.getStandardAtomicWeight( 43 );
+  assert.ok( technetium.isMassNumberOfLongestLivedIsotope, 'Tc has no stable isotopes' );
+  assert.equal( technetium.value, 97, 'Tc-97 is the longest-lived isotope of Tc' );
+  assert.equal( AtomIdentifier.getStandardAtomicWeight( 118 ).value, 294, 'Og' );
+  assert.equal( AtomIdentifier.getStandardAtomicWeight( 119 ), null, 'no element 119' );
+
+  hydrogen.interval.min = 0;
+  assert.equal( AtomIdentifier.getStandardAtomicWeight( 1 ).interval.min, 1.00784, 'the interval is a copy' );
+
+  assert.equal( AtomIdentifier.getStandardAtomicWeightValue( 1 ), 1.008, 'single value for H' );
+  assert.equal( AtomIdentifier.getStandardAtomicWeightValue( 119 ), 0, 'no value for element 119' );
+
+  assert.deepEqual( AtomIdentifier.getStandardAtomicWeightInconsistencies(), [],
+    'every standard atomic weight agrees with the isotope table' );
+  AtomicDataSetRegistry.setActiveDataSet( AtomicDataSetRegistry.DEFAULT_DATA_SET_NAME );
+} );
+
+QUnit.test( 'getElectronConfiguration for atoms and ions', function( assert ) {
+  assert.equal( getShorthandConfiguration( 24, 24 ), '[Ar] 3d⁵ 4s¹', 'Cr, an exception to the Aufbau rule' );
+  assert.equal( getShorthandConfiguration( 26, 24 ), '[Ar] 3d⁶', 'Fe²⁺ loses its 4s electrons first' );
+  assert.equal( getShorthandConfiguration( 26, 23 ), '[Ar] 3d⁵', 'Fe³⁺' );
+  assert.equal( getShorthandConfiguration( 29, 28 ), '[Ar] 3d¹⁰', 'Cu⁺' );
+  assert.equal( getShorthandConfiguration( 50, 48 ), '[Kr] 4d¹⁰ 5s²', 'Sn²⁺ loses its 5p electrons first' );
+  assert.equal( getShorthandConfiguration( 63, 60 ), '[Xe] 4f⁶', 'Eu³⁺ keeps its 4f electrons' );
+  assert.equal( getShorthandConfiguration( 60, 57 ), '[Xe] 4f³', 'Nd³⁺' );
+  assert.equal( getShorthandConfiguration( 92, 88 ), '[Rn] 5f²', 'U⁴⁺' );
+  assert.deepEqual( AtomIdentifier.getElectronConfiguration( 58, 54 ),
+    AtomIdentifier.getElectronConfiguration( 54, 54 ), 'Ce⁴⁺ has the configuration of xenon' );
+  assert.deepEqual( AtomIdentifier.getElectronConfiguration( 17, 18 ),
+    AtomIdentifier.getElectronConfiguration( 18, 18 ), 'Cl⁻ has the configuration of argon' );
+  assert.deepEqual( AtomIdentifier.getElectronConfiguration( 1, 0 ), [], 'H⁺ has no electrons' );
+} );
+
+QUnit.test( 'getElementProperties', function( assert ) {
+  const sodium = AtomIdentifier.getElementProperties( 11 );
+  assert.equal( sodium.atomicNumber, 11, 'atomic number' );
+  assert.equal( sodium.symbol, 'Na', 'symbol' );
+  assert.equal( sodium.group, 1, 'group of Na' );
+  assert.equal( sodium.period, 3, 'period of Na' );
+  assert.equal( sodium.block, 's', 'block of Na' );
+  assert.equal( sodium.category, ElementCategoryEnum.ALKALI_METAL, 'category of Na' );
+  assert.equal( sodium.electronegativity, 0.93, 'electronegativity of Na' );
+  assert.equal( sodium.covalentRadius, 166, 'covalent radius of Na' );
+  assert.equal( sodium.firstIonizationEnergy, 5.139076, 'first ionization energy of Na' );
+  assert.deepEqual( sodium.oxidationStates, [ 1 ], 'oxidation states of Na' );
+
+  const chlorine = AtomIdentifier.getElementProperties( 17 );
+  assert.equal( chlorine.category, ElementCategoryEnum.HALOGEN, 'category of Cl' );
+  assert.equal( chlorine.block, 'p', 'block of Cl' );
+  assert.deepEqual( chlorine.oxidationStates, [ -1, 1, 3, 5, 7 ], 'oxidation states of Cl' );
+
+  const helium = AtomIdentifier.getElementProperties( 2 );
+  assert.equal( helium.group, 18, 'He is in group 18' );
+  assert.equal( helium.block, 's', 'but in the s-block' );
+  assert.equal( helium.category, ElementCategoryEnum.NOBLE_GAS, 'category of He' );
+  assert.equal( helium.electronegativity, null, 'He has no electronegativity' );
+
+  const iron = AtomIdentifier.getElementProperties( 26 );
+  assert.equal( iron.group, 8, 'group of Fe' );
+  assert.equal( iron.period, 4, 'period of Fe' );
+  assert.equal( iron.block, 'd', 'block of Fe' );
+  assert.equal( iron.category, ElementCategoryEnum.TRANSITION_METAL, 'category of Fe' );
+
+  assert.equal( AtomIdentifier.getElementProperties( 57 ).group, 3, 'La is in group 3' );
+  assert.equal( AtomIdentifier.getElementProperties( 57 ).block, 'd', 'La is in the d-block' );
+  assert.equal( AtomIdentifier.getElementProperties( 58 ).group, null, 'Ce has no group' );
+  assert.equal( AtomIdentifier.getElementProperties( 58 ).block, 'f', 'Ce is in the f-block' );
+  assert.equal( AtomIdentifier.getElementProperties( 92 ).category, ElementCategoryEnum.ACTINIDE, 'U' );
+  assert.equal( AtomIdentifier.getElementProperties( 92 ).period, 7, 'period of U' );
+
+  const oganesson = AtomIdentifier.getElementProperties( 118 );
+  assert.equal( oganesson.group, 18, 'group of Og' );
+  assert.equal( oganesson.period, 7, 'period of Og' );
+  assert.equal( oganesson.category, ElementCategoryEnum.UNKNOWN, 'the chemistry of Og is unknown' );
+  assert.equal( AtomIdentifier.getElementProperties( 0 ), null, 'no element 0' );
+  assert.equal( AtomIdentifier.getElementProperties( 119 ), null, 'no element 119' );
+
+  for ( let numProtons = 1; numProtons <= 118; numProtons++ ) {
+    const properties = AtomIdentifier.getElementProperties( numProtons );
+    assert.ok( properties.period >= 1 && properties.period <= 7 && Object.values( ElementCategoryEnum )
+      .indexOf( properties.category ) > -1, 'properties of element ' + numProtons );
+  }
+
+  sodium.oxidationStates.push( 2 );
+  assert.deepEqual( AtomIdentifier.getElementProperties( 11 ).oxidationStates, [ 1 ], 'the properties are a copy' );
+} );
+
+QUnit.test( 'parseNuclide', function( assert ) {
+  const carbon14 = { protonCount: 6, neutronCount: 8, electronCount: 6, isomerIndex: 0 };
+  const carbon14Strings = [ 'C-14', 'C 14', 'carbon-14', 'Carbon 14', '14C', '¹⁴C', '^{14}_{6}C', '^14_6C', '¹⁴₆C' ];
+  carbon14Strings.forEach( function( string ) {
+    assert.deepEqual( AtomIdentifier.parseNuclide( string ), carbon14, string );
+  } );
+  assert.deepEqual( AtomIdentifier.parseNuclide( 'Fe-56 3+' ),
+    { protonCount: 26, neutronCount: 30, electronCount: 23, isomerIndex: 0 }, 'charge' );
+  assert.deepEqual( AtomIdentifier.parseNuclide( '⁵⁶Fe³⁺' ),
+    { protonCount: 26, neutronCount: 30, electronCount: 23, isomerIndex: 0 }, 'superscript charge' );
+  assert.deepEqual( AtomIdentifier.parseNuclide( 'Cl-' ),
+    { protonCount: 17, neutronCount: 18, electronCount: 18, isomerIndex: 0 }, 'most common isotope of an anion' );
+  assert.deepEqual( AtomIdentifier.parseNuclide( 'Tc-99m' ),
+    { protonCount: 43, neutronCount: 56, electronCount: 43, isomerIndex: 1 }, 'isomer' );
+  assert.deepEqual( AtomIdentifier.parseNuclide( 'Hf-178m2' ),
+    { protonCount: 72, neutronCount: 106, electronCount: 72, isomerIndex: 2 }, 'second isomer' );
+  assert.deepEqual( AtomIdentifier.parseNuclide( 'n' ),
+    { protonCount: 0, neutronCount: 1, electronCount: 0, isomerIndex: 0 }, 'neutron' );
+  assert.deepEqual( AtomIdentifier.parseNuclide( 'p' ),
+    { protonCount: 1, neutronCount: 0, electronCount: 0, isomerIndex: 0 }, 'proton' );
+  assert.deepEqual( AtomIdentifier.parseNuclide( 'Uue-295' ),
+    { protonCount: 119, neutronCount: 176, electronCount: 119, isomerIndex: 0 }, 'systematic symbol' );
+
+  [ 'C14-', 'c-14', 'CO', 'Xx-3', '^{14}_{7}C', 'n-2', 'Uuo-294', '' ].forEach( function( string ) {
+    assert.throws( function() {
+      AtomIdentifier.parseNuclide( string );
+    }, Error, 'invalid: "' + string + '"' );
+  } );
+} );
+
+QUnit.test( 'getSpinParity', function( assert ) {
+  assert.deepEqual( AtomIdentifier.getSpinParity( 1, 0 ),
+    { spin: 0.5, parity: 1, isTentative: false, isEstimated: false, magneticMoment: 2.792847351 }, 'proton' );
+  assert.deepEqual( AtomIdentifier.getSpinParity( 0, 1 ),
+    { spin: 0.5, parity: 1, isTentative: false, isEstimated: false, magneticMoment: -1.91304273 }, 'neutron' );
+  assert.equal( AtomIdentifier.getSpinParity( 1, 1 ).spin, 1, 'spin of H-2' );
+  assert.equal( AtomIdentifier.getSpinParity( 6, 7 ).spin, 0.5, 'spin of C-13, used in NMR' );
+  assert.equal( AtomIdentifier.getSpinParity( 6, 7 ).parity, -1, 'parity of C-13' );
+  assert.equal( AtomIdentifier.getSpinParity( 8, 9 ).spin, 2.5, 'spin of O-17' );
+  assert.equal( AtomIdentifier.getSpinParity( 83, 126 ).spin, 4.5, 'spin of Bi-209' );
+
+  const iron56 = AtomIdentifier.getSpinParity( 26, 30 );
+  assert.equal( iron56.spin, 0, 'even-even nuclei have spin 0' );
+  assert.equal( iron56.parity, 1, 'and positive parity' );
+  assert.equal( iron56.magneticMoment, null, 'and no magnetic moment' );
+
+  assert.equal( AtomIdentifier.getSpinParity( 43, 56, 1 ).spin, 0.5, 'spin of Tc-99m' );
+  assert.equal( AtomIdentifier.getSpinParity( 72, 106, 2 ).spin, 16, 'spin of Hf-178m2' );
+  assert.equal( AtomIdentifier.getSpinParity( 43, 56, 1 ).magneticMoment, null, 'no magnetic moments for isomers' );
+  assert.equal( AtomIdentifier.getSpinParity( 26, 50 ), null, 'no data for Fe-76' );
+} );
+
+QUnit.test( 'isomers', function( assert ) {
+  const technetium99Isomers = AtomIdentifier.getIsomers( 43, 56 );
+  assert.equal( technetium99Isomers.length, 1, 'Tc-99 has one isomer' );
+  assert.equal( technetium99Isomers[ 0 ].isomerIndex, 1, 'isomer index of Tc-99m' );
+  assert.ok( Math.abs( technetium99Isomers[ 0 ].excitationEnergy - 0.1426836 ) < 1E-9, 'excitation energy of Tc-99m' );
+  assert.ok( Math.abs( technetium99Isomers[ 0 ].halfLife - 6.0072 * 60 * 60 ) < 1E-6, 'half-life of Tc-99m' );
+
+  const hafnium178Isomers = AtomIdentifier.getIsomers( 72, 106 );
+  assert.deepEqual( hafnium178Isomers.map( function( isomer ) { return isomer.isomerIndex; } ), [ 1, 2 ],
+    'Hf-178 has two isomers' );
+  assert.ok( hafnium178Isomers[ 1 ].halfLife > 30 * 365 * 24 * 60 * 60, 'Hf-178m2 lives for decades' );
+  assert.deepEqual( AtomIdentifier.getIsomers( 6, 6 ), [], 'C-12 has no isomers' );
+  assert.deepEqual( AtomIdentifier.getIsomers( 26, 50 ), [], 'no data for Fe-76' );
+
+  assert.equal( AtomIdentifier.getExcitationEnergy( 43, 56 ), 0, 'ground state' );
+  assert.equal( AtomIdentifier.getExcitationEnergy( 43, 56, 1 ), technetium99Isomers[ 0 ].excitationEnergy,
+    'Tc-99m' );
+  assert.equal( AtomIdentifier.getExcitationEnergy( 43, 56, 2 ), -1, 'no second isomer of Tc-99' );
+  assert.deepEqual( AtomIdentifier.getDecayModes( 43, 56, 1 ).map( function( decayMode ) { return decayMode.mode; } ),
+    [ 'IT', 'B-' ], 'Tc-99m decays by isomeric transition' );
+  assert.deepEqual( AtomIdentifier.getDaughterNuclide( 43, 56, 'IT' ), { protons: 43, neutrons: 56 },
+    'an isomeric transition leaves the ground state' );
+} );
+
+QUnit.test( 'getNuclideStatus', function( assert ) {
+  assert.equal( AtomIdentifier.getNuclideStatus( 26, 30 ), NuclideStatusEnum.KNOWN, 'Fe-56' );
+  assert.equal( AtomIdentifier.getNuclideStatus( 26, 19 ), NuclideStatusEnum.KNOWN, 'Fe-45, a proton emitter' );
+  assert.equal( AtomIdentifier.getNuclideStatus( 26, 40 ), NuclideStatusEnum.KNOWN, 'Fe-66' );
+  assert.equal( AtomIdentifier.getNuclideStatus( 2, 3 ), NuclideStatusEnum.KNOWN, 'He-5, an unbound resonance' );
+  assert.equal( AtomIdentifier.getNuclideStatus( 26, 50 ), NuclideStatusEnum.UNOBSERVED, 'Fe-76' );
+  assert.equal( AtomIdentifier.getNuclideStatus( 26, 10 ), NuclideStatusEnum.UNBOUND, 'Fe-36' );
+  assert.equal( AtomIdentifier.getNuclideStatus( 2, 20 ), NuclideStatusEnum.UNBOUND, 'He-22' );
+} );
+
+QUnit.test( 'isotopes, isotones, isobars and mirror nuclei', function( assert ) {
+  const getMassNumber = function( nuclide ) { return nuclide.massNumber; };
+  const getProtonCount = function( nuclide ) { return nuclide.protonCount; };
+  assert.deepEqual( AtomIdentifier.getIsotopes( 6 ).map( getMassNumber ), _.range( 8, 24 ), 'isotopes of C' );
+  assert.deepEqual( AtomIdentifier.getIsotones( 0 ).map( getProtonCount ), [ 1, 3 ], 'nuclides with no neutrons' );
+  assert.deepEqual( AtomIdentifier.getIsobars( 14 ).map( getProtonCount ), [ 4, 5, 6, 7, 8, 9 ], 'A = 14' );
+
+  const carbon12 = _.find( AtomIdentifier.getIsotopes( 6 ), function( nuclide ) { return nuclide.massNumber === 12; } );
+  assert.equal( carbon12.protonCount, 6, 'protonCount of C-12' );
+  assert.equal( carbon12.neutronCount, 6, 'neutronCount of C-12' );
+  assert.equal( carbon12.atomicMass, 12, 'atomicMass of C-12' );
+  assert.ok( Math.abs( carbon12.abundance - 0.9893 ) < 1E-9, 'abundance of C-12' );
+  assert.equal( carbon12.halfLife, Number.POSITIVE_INFINITY, 'halfLife of C-12' );
+  assert.equal( carbon12.stabilityClass, StabilityClassEnum.STABLE, 'stabilityClass of C-12' );
+  assert.equal( carbon12.nucleonPairing, NucleonPairingEnum.EVEN_EVEN, 'nucleonPairing of C-12' );
+
+  const helium3 = AtomIdentifier.getMirrorNucleus( 1, 2 );
+  assert.equal( helium3.protonCount, 2, 'He-3 is the mirror of H-3' );
+  assert.equal( helium3.neutronCount, 1, 'He-3 is the mirror of H-3' );
+  assert.equal( AtomIdentifier.getMirrorNucleus( 6, 6 ).massNumber, 12, 'C-12 is its own mirror' );
+  assert.equal( AtomIdentifier.getMirrorNucleus( 26, 40 ), null, 'the mirror of Fe-66 has not been observed' );
+
+  assert.equal( AtomIdentifier.getNucleonPairing( 6, 6 ), NucleonPairingEnum.EVEN_EVEN, 'C-12' );
+  assert.equal( AtomIdentifier.getNucleonPairing( 6, 7 ), NucleonPairingEnum.EVEN_ODD, 'C-13' );
+  assert.equal( AtomIdentifier.getNucleonPairing( 7, 8 ), NucleonPairingEnum.ODD_EVEN, 'N-15' );
+  assert.equal( AtomIdentifier.getNucleonPairing( 7, 7 ), NucleonPairingEnum.ODD_ODD, 'N-14' );
+
+  const stableOddOdd = AtomIdentifier.findNuclides( function( nuclide ) {
+    return nuclide.stabilityClass === StabilityClassEnum.STABLE &&
+           nuclide.nucleonPairing === NucleonPairingEnum.ODD_ODD;
+  } );
+  assert.deepEqual( stableOddOdd.map( function( nuclide ) { return [ nuclide.protonCount, nuclide.neutronCount ]; } ),
+    [ [ 1, 1 ], [ 3, 3 ], [ 5, 5 ], [ 7, 7 ] ], 'the only stable odd-odd nuclides are H-2, Li-6, B-10 and N-14' );
+  assert.equal( AtomIdentifier.findNuclides( function() { return false; } ).length, 0, 'no matches' );
+} );
+
+QUnit.test( 'getNearestStableConfigurations', function( assert ) {
+  const getChanges = function( protons, neutrons ) {
+    return AtomIdentifier.getNearestStableConfigurations( protons, neutrons ).map( function( configuration ) {
+      return [ configuration.protonChange, configuration.neutronChange ];
+    } );
+  };
+  assert.deepEqual( getChanges( 6, 5 ), [ [ 0, 1 ], [ -1, 0 ] ], 'add a neutron to C-11, or remove a proton' );
+  assert.deepEqual( getChanges( 6, 6 ), [ [ 0, 0 ] ], 'C-12 is already stable' );
+  assert.deepEqual( getChanges( 6, 9 ), [ [ 0, -2 ], [ 1, -1 ], [ 2, 0 ] ], 'C-15, isotopes first' );
+  assert.deepEqual( getChanges( 43, 55 ), [ [ -1, 0 ], [ 1, 0 ] ], 'Tc has no stable isotopes' );
+  assert.deepEqual( getChanges( 0, 1 ), [ [ 1, 0 ] ], 'add a proton to a neutron to make H-2' );
+
+  const configurations = AtomIdentifier.getNearestStableConfigurations( 61, 84 );
+  assert.deepEqual( configurations, [
+    { protonCount: 60, neutronCount: 83, protonChange: -1, neutronChange: -1, numParticleChanges: 2 },
+    { protonCount: 60, neutronCount: 85, protonChange: -1, neutronChange: 1, numParticleChanges: 2 }
+  ], 'Pm-145' );
+} );
+
+QUnit.test( 'systematic names and symbols', function( assert ) {
+  assert.equal( AtomIdentifier.getSystematicName( 119 ), 'Ununennium', 'name of element 119' );
+  assert.equal( AtomIdentifier.getSystematicSymbol( 119 ), 'Uue', 'symbol of element 119' );
+  assert.equal( AtomIdentifier.getSystematicName( 120 ), 'Unbinilium', 'name of element 120' );
+  assert.equal( AtomIdentifier.getSystematicSymbol( 120 ), 'Ubn', 'symbol of element 120' );
+  assert.equal( AtomIdentifier.getSystematicName( 130 ), 'Untrinilium', 'name of element 130' );
+  assert.equal( AtomIdentifier.getSystematicName( 999 ), 'Ennennennium', 'the last n of enn is dropped before nil' );
+  assert.equal( AtomIdentifier.getSystematicSymbol( 999 ), 'Eee', 'symbol of element 999' );
+  assert.equal( AtomIdentifier.getSystematicName( 100 ), 'Unnilnilium', 'systematic name of fermium' );
+  assert.equal( AtomIdentifier.getSystematicName( 118 ), 'Ununoctium', 'systematic name of oganesson' );
+  assert.equal( AtomIdentifier.getSystematicSymbol( 118 ), 'Uuo', 'systematic symbol of oganesson' );
+
+  assert.equal( AtomIdentifier.getName( 118 ), 'Oganesson', 'named elements keep their names' );
+  assert.equal( AtomIdentifier.getSymbol( 118 ), 'Og', 'named elements keep their symbols' );
+  assert.equal( AtomIdentifier.getName( 119 ), 'Ununennium', 'getName for element 119' );
+  assert.equal( AtomIdentifier.getSymbol( 119 ), 'Uue', 'getSymbol for element 119' );
+  assert.equal( AtomIdentifier.getEnglishName( 119 ), 'ununennium', 'getEnglishName for element 119' );
+  assert.equal( AtomIdentifier.getEnglishName( 120 ) + 'Cell', 'unbiniliumCell', 'usable in tandem names' );
+} );
+
+QUnit.test( 'natural mixtures', function( assert ) {
+  const chlorine = AtomIdentifier.getNaturalMixture( 17 );
+  assert.deepEqual( chlorine.map( function( isotope ) { return isotope.massNumber; } ), [ 35, 37 ], 'Cl' );
+  assert.ok( Math.abs( chlorine[ 0 ].abundance + chlorine[ 1 ].abundance - 1 ) < 1E-12, 'normalized abundances' );
+  assert.deepEqual( AtomIdentifier.getNaturalMixture( 73 ).map( function( isotope ) {
+    return [ isotope.massNumber, isotope.isomerIndex ];
+  } ), [ [ 180, 1 ], [ 181, 0 ] ], 'Ta-180m occurs in nature' );
+  assert.deepEqual( AtomIdentifier.getNaturalMixture( 43 ), [], 'Tc' );
+
+  [ 1, 6, 17, 26, 92 ].forEach( function( atomicNumber ) {
+    const mixture = AtomIdentifier.getNaturalMixture( atomicNumber );
+    const averageAtomicMass = AtomIdentifier.computeAverageAtomicMass( mixture );
+    assert.ok( Math.abs( averageAtomicMass - AtomIdentifier.getStandardAtomicMass( atomicNumber ) ) < 0.005,
+      'average atomic mass of element ' + atomicNumber + ': ' + averageAtomicMass );
+  } );
+  const userMixture = [
+    { protonCount: 17, neutronCount: 18, abundance: 3 },
+    { protonCount: 17, neutronCount: 20, abundance: 1 }
+  ];
+  assert.ok( Math.abs( AtomIdentifier.computeAverageAtomicMass( userMixture ) - 35.4681152 ) < 1E-6,
+    'a mixture of numbers of atoms' );
+  assert.equal( AtomIdentifier.computeAverageAtomicMass( [ { atomicMass: 10, abundance: 1 },
+    { atomicMass: 20, abundance: 1 } ] ), 15, 'given atomic masses' );
+  assert.equal( AtomIdentifier.computeAverageAtomicMass( [] ), 0, 'empty mixture' );
+
+  const sample = AtomIdentifier.sampleIsotopes( 17, 1000, new Random( { seed: 1 } ) );
+  assert.equal( sample.length, 1000, 'sample size' );
+  assert.deepEqual( AtomIdentifier.sampleIsotopes( 17, 1000, new Random( { seed: 1 } ) ), sample,
+    'the same seed gives the same sample' );
+  const numChlorine35 = sample.filter( function( isotope ) { return isotope.massNumber === 35; } ).length;
+  assert.ok( numChlorine35 > 700 && numChlorine35 < 815, 'about 76% of the sample is Cl-35: ' + numChlorine35 );
+  assert.deepEqual( AtomIdentifier.sampleIsotopes( 9, 3, new Random( { seed: 2 } ) ).map( function( isotope ) {
+    return isotope.massNumber;
+  } ), [ 19, 19, 19 ], 'F has one isotope' );
+} );
+
+QUnit.test( 'search', function( assert ) {
+  const getFirstResult = function( query ) {
+    const result = AtomIdentifier.search( query )[ 0 ];
+    return result && [ result.symbol, result.massNumber ];
+  };
+  assert.deepEqual( getFirstResult( 'sod' ), [ 'Na', null ], 'partial name' );
+  assert.deepEqual( getFirstResult( 'sodim' ), [ 'Na', null ], 'misspelled name' );
+  assert.deepEqual( getFirstResult( 'Fe' ), [ 'Fe', null ], 'symbol' );
+  assert.deepEqual( getFirstResult( 'fe' ), [ 'Fe', null ], 'symbol in lower case' );
+  assert.deepEqual( getFirstResult( '26' ), [ 'Fe', null ], 'atomic number' );
+  [ 'u235', 'U-235', '235U', 'uranium 235' ].forEach( function( query ) {
+    assert.deepEqual( getFirstResult( query ), [ 'U', 235 ], 'nuclide: ' + query );
+  } );
+
+  const result = AtomIdentifier.search( 'sod' )[ 0 ];
+  assert.equal( result.protonCount, 11, 'protonCount' );
+  assert.equal( result.name, 'Sodium', 'name' );
+  assert.ok( result.score > 0 && result.score < 1, 'a partial match scores less than 1' );
+  assert.equal( AtomIdentifier.search( 'Fe' )[ 0 ].score, 1, 'an exact match scores 1' );
+  const scores = AtomIdentifier.search( 'c' ).map( function( result ) { return result.score; } );
+  assert.deepEqual( scores, _.sortBy( scores ).reverse(), 'ordered by score' );
+  assert.equal( AtomIdentifier.search( 'c', { maxResults: 2 } ).length, 2, 'maxResults' );
+  assert.deepEqual( AtomIdentifier.search( 'xyz' ), [], 'no matches' );
+  assert.deepEqual( AtomIdentifier.search( '0' ), [], 'no element 0' );
+} );
+
+QUnit.test( 'atomic and ionic radii', function( assert ) {
+  assert.equal( AtomIdentifier.getAtomicRadius( 11 ), 190, 'Na' );
+  assert.equal( AtomIdentifier.getAtomicRadius( 17 ), 79, 'Cl' );
+  assert.equal( AtomIdentifier.getIonicRadius( 11, 1 ), 102, 'Na⁺' );
+  assert.equal( AtomIdentifier.getIonicRadius( 17, -1 ), 181, 'Cl⁻' );
+  assert.equal( AtomIdentifier.getIonicRadius( 11, -1 ), -1, 'no data for Na⁻' );
+  assert.equal( AtomIdentifier.getAtomicRadius( 119 ), -1, 'no data for element 119' );
+
+  assert.ok( AtomIdentifier.getAtomOrIonRadius( 11, 10 ) < AtomIdentifier.getAtomOrIonRadius( 11, 11 ),
+    'a sodium cation is smaller than the atom' );
+  assert.ok( AtomIdentifier.getAtomOrIonRadius( 17, 18 ) > AtomIdentifier.getAtomOrIonRadius( 17, 17 ),
+    'a chloride anion is larger than the atom' );
+  assert.equal( AtomIdentifier.getAtomOrIonRadius( 26, 23 ), 64.5, 'Fe³⁺' );
+  assert.equal( AtomIdentifier.getAtomOrIonRadius( 1, 0 ), 0, 'no electrons' );
+
+  for ( let protons = 1; protons <= 20; protons++ ) {
+    let isMonotonic = true;
+    for ( let electrons = 2; electrons <= protons + 2; electrons++ ) {
+      if ( AtomIdentifier.getAtomOrIonRadius( protons, electrons ) <
+           AtomIdentifier.getAtomOrIonRadius( protons, electrons - 1 ) ) {
+        isMonotonic = false;
+      }
+    }
+    assert.ok( isMonotonic, 'adding electrons never shrinks element ' + protons );
+  }
+} );
+
+QUnit.test( 'getIonizationEnergyCost', function( assert ) {
+  assert.equal( AtomIdentifier.getIonizationEnergyCost( 26, 0 ), 0, 'neutral atom' );
+  assert.equal( AtomIdentifier.getIonizationEnergyCost( 11, 1 ), 5.139076, 'Na⁺' );
+  assert.ok( Math.abs( AtomIdentifier.getIonizationEnergyCost( 20, 2 ) - 17.984875 ) < 1E-6, 'Ca²⁺' );
+  assert.ok( Math.abs( AtomIdentifier.getIonizationEnergyCost( 26, 3 ) - 54.74 ) < 0.05, 'Fe³⁺' );
+  assert.ok( Math.abs( AtomIdentifier.getIonizationEnergyCost( 29, 2 ) - 28.02 ) < 0.05, 'Cu²⁺' );
+  assert.ok( AtomIdentifier.getIonizationEnergyCost( 17, -1 ) < 0, 'energy is released when Cl⁻ forms' );
+  assert.equal( AtomIdentifier.getIonizationEnergyCost( 8, -2 ), null, 'O²⁻ is not bound in isolation' );
+  assert.equal( AtomIdentifier.getIonizationEnergyCost( 84, 4 ), null, 'no data for Po⁴⁺' );
+} );
+
+QUnit.test( 'getDecayBranches', function( assert ) {
+  assert.deepEqual( AtomIdentifier.getDecayBranches( 19, 21 ), [
+    { mode: 'B-', branchingRatio: 0.8928, daughter: { protons: 20, neutrons: 20 } },
+    { mode: 'B+', branchingRatio: 0.1072, daughter: { protons: 18, neutrons: 22 } }
+  ], 'K-40 branches to Ca-40 and Ar-40' );
+  const technetium99m = AtomIdentifier.getDecayBranches( 43, 56, 1 );
+  assert.ok( _.some( technetium99m, { mode: 'IT', daughter: { protons: 43, neutrons: 56 } } ),
+    'Tc-99m decays to the ground state of Tc-99' );
+  assert.deepEqual( AtomIdentifier.getDecayBranches( 6, 6 ), [], 'C-12 is stable' );
+  assert.deepEqual( AtomIdentifier.getDecayBranches( 26, 40 ), [], 'the half-life of Fe-66 is unknown' );
+
+  // the branches are the first step of the decay chain
+  const uraniumSeries = AtomIdentifier.getDecayChain( 92, 146 );
+  assert.deepEqual( AtomIdentifier.getDecayBranches( 92, 146 ), uraniumSeries[ 0 ].decays.map( function( decay ) {
+    const daughter = decay.daughterIndex === null ? null : uraniumSeries[ decay.daughterIndex ];
+    return {
+      mode: decay.mode,
+      branchingRatio: decay.branchingRatio,
+      daughter: daughter && { protons: daughter.protons, neutrons: daughter.neutrons }
+    };
+  } ), 'U-238' );
+} );
+
+QUnit.test( 'getDecayChain', function( assert ) {
+  const uraniumSeries = AtomIdentifier.getDecayChain( 92, 146 );
+  assert.deepEqual( [ uraniumSeries[ 0 ].protons, uraniumSeries[ 0 ].neutrons ], [ 92, 146 ], 'U-238 is the parent' );
+  uraniumSeries.forEach( function( member, index ) {
+    const totalBranchingRatio = _.sumBy( member.decays, 'branchingRatio' );
+    assert.ok( member.decays.length === 0 || Math.abs( totalBranchingRatio - 1 ) < 1E-9,
+      'branching ratios of ' + member.protons + ', ' + member.neutrons + ' add up to 1' );
+    assert.ok( _.every( member.decays, function( decay ) {
+      return decay.daughterIndex === null || decay.daughterIndex > index;
+    } ), 'daughters come after their parents' );
+  } );
+
+  // follow the main branch of the series
+  let member = uraniumSeries[ 0 ];
+  let numDecays = 0;
+  while ( member.decays.length > 0 ) {
+    member = uraniumSeries[ _.maxBy( member.decays, 'branchingRatio' ).daughterIndex ];
+    numDecays++;
+  }
+  assert.deepEqual( [ member.protons, member.neutrons ], [ 82, 124 ], 'the uranium series ends at Pb-206' );
+  assert.equal( numDecays, 14, 'in 8 alpha and 6 beta minus decays' );
+  assert.ok( AtomIdentifier.isStable( member.protons, member.neutrons ), 'Pb-206 is stable' );
+
+  const thoriumSeries = AtomIdentifier.getDecayChain( 90, 142 );
+  assert.deepEqual( thoriumSeries.filter( function( member ) { return member.decays.length === 0; } )
+    .map( function( member ) { return [ member.protons, member.neutrons ]; } ), [ [ 82, 126 ] ],
+    'the thorium series ends at Pb-208' );
+
+  const potassium40 = AtomIdentifier.getDecayChain( 19, 21 );
+  assert.deepEqual( potassium40[ 0 ].decays, [
+    { mode: 'B-', branchingRatio: 0.8928, daughterIndex: 2 },
+    { mode: 'B+', branchingRatio: 0.1072, daughterIndex: 1 }
+  ], 'K-40 branches to Ca-40 and Ar-40' );
+
+  const technetium99m = AtomIdentifier.getDecayChain( 43, 56, 1 );
+  assert.equal( technetium99m[ 0 ].isomerIndex, 1, 'an isomer can be the parent' );
+  assert.equal( technetium99m[ 1 ].isomerIndex, 0, 'daughters are in their ground states' );
+
+  const carbon12 = AtomIdentifier.getDecayChain( 6, 6 );
+  assert.equal( carbon12.length, 1, 'a stable nuclide is its own chain' );
+  assert.equal( carbon12[ 0 ].halfLife, Number.POSITIVE_INFINITY, 'halfLife of C-12' );
+} );
@@ -0,0 +1,330 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A mode of radioactive decay, and the registry of the modes that are known.  The registry is the single source for how
+ * each mode changes the nucleus, which is used by AtomIdentifier to find daughter nuclides and Q-values, and for how
+ * the mode is shown in the nuclide chart, see NuclideChartCell and NuclideChartNode.  A mode is looked up by its name,
+ * which is its notation in NUBASE, e.g. 'B-n', or by one of its aliases, such as the lowercase notation 'b- n' that the
+ * nuclide chart used before it read its data from AtomIdentifier.  Modes in which a particle is emitted after a beta
+ * decay, e.g. beta-delayed neutron emission, are shown like the beta decay, since that is the decay that the nuclide
+ * undergoes.
+ *
+ * @author Luisa Vargas
+ */
+
+import inherit from '../../phet-core/js/inherit.js';
+import merge from '../../phet-core/js/merge.js';
+import shredStrings from './shredStrings.js';
+import shred from './shred.js';
+
+// constants
+const alphaDecayString = shredStrings.alphaDecay;
+const betaMinusDecayString = shredStrings.betaMinusDecay;
+const betaPlusDecayString = shredStrings.betaPlusDecay;
+const electronCaptureString = shredStrings.electronCapture;
+const neutronEmissionString = shredStrings.neutronEmission;
+const protonEmissionString = shredStrings.protonEmission;
+
+// Particles that can be emitted in a decay, as [ numProtons, numNeutrons ].
+const PROTON = [ 1, 0 ];
+const NEUTRON = [ 0, 1 ];
+const ALPHA = [ 2, 2 ];
+
+// Colors of the nuclide chart cells, by the kind of decay.
+const ALPHA_COLOR = '#ffff00';
+const BETA_MINUS_COLOR = '#00ff00';
+const BETA_PLUS_COLOR = '#00aaff';
+const NEUTRON_EMISSION_COLOR = '#ff6699';
+const PROTON_EMISSION_COLOR = '#ff6600';
+const FISSION_COLOR = '#6600ff';
+
+// registered modes, in the order in which they were registered, and the same modes keyed by name and by alias
+const decayModes = [];
+const decayModesByNotation = {};
+
+/**
+ * @param {Object} config
+ * @constructor
+ */
+function DecayMode( config ) {
+  config = merge( {
+    name: null, // {string} notation of the mode in NUBASE, e.g. 'B-' or 'B-n'
+    protonChange: null, // {number|null} difference between the daughter and the parent, null if there is no single
+                        // daughter, as for spontaneous fission
+    neutronChange: null, // {number|null} see protonChange
+    emittedParticles: [], // {number[][]} particles other than electrons, positrons and neutrinos that are emitted, as
+                          // [ numProtons, numNeutrons ]
+    numPositrons: 0, // {number} number of positrons that are emitted
+    color: null, // {string|null} color of the nuclide chart cells of nuclides that decay primarily by this mode, null
+                 // to use the color for unknown modes
+    legendString: null, // {string|null} label of the mode in the legend of the nuclide chart, null if not in the legend
+    tandemName: null, // {string|null} name from which the tandems of view elements for this mode are created, e.g.
+                      // 'alpha' for the legend label 'alphaLabel', required if the mode is in the legend
+    primaryModeName: null, // {string|null} for the emission of a particle or fission after a beta decay, the name of
+                           // the mode of that decay, e.g. 'B-' for 'B-n'.  As in NUBASE, the branching ratio of such a
+                           // mode is a part of that of its primary mode.
+    aliases: [] // {string[]} other notations for the mode, e.g. the lowercase notation of the nuclide chart
+  }, config );
+  assert && assert( typeof config.name === 'string', 'name is required' );
+  assert && assert( config.legendString === null || typeof config.tandemName === 'string',
+    'modes in the legend need a tandem name' );
+  assert && assert( ( config.protonChange === null ) === ( config.neutronChange === null ),
+    'either both or neither of the proton and neutron changes must be given' );
+
+  // @public (read-only)
+  this.name = config.name;
+  this.protonChange = config.protonChange;
+  this.neutronChange = config.neutronChange;
+  this.emittedParticles = config.emittedParticles;
+  this.numPositrons = config.numPositrons;
+  this.color = config.color;
+  this.legendString = config.legendString;
+  this.tandemName = config.tandemName;
+  this.primaryModeName = config.primaryModeName;
+  this.aliases = config.aliases;
+}
+
+shred.register( 'DecayMode', DecayMode );
+
+inherit( Object, DecayMode, {}, {
+
+  /**
+   * Add a mode to the registry.
+   * @param {DecayMode} decayMode - its name and aliases must not be registered already
+   * @returns {DecayMode} - the registered mode
+   * @public
+   */
+  register: function( decayMode ) {
+    [ decayMode.name ].concat( decayMode.aliases ).forEach( function( notation ) {
+      assert && assert( !decayModesByNotation.hasOwnProperty( notation ), 'already registered: ' + notation );
+      decayModesByNotation[ notation ] = decayMode;
+    } );
+    decayModes.push( decayMode );
+    return decayMode;
+  },
+
+  /**
+   * Look up a registered mode by its name or by one of its aliases.
+   * @param {string} notation
+   * @returns {DecayMode|null} - null if no mode is registered with this notation
+   * @public
+   */
+  get: function( notation ) {
+    return decayModesByNotation.hasOwnProperty( notation ) ? decayModesByNotation[ notation ] : null;
+  },
+
+  /**
+   * @returns {DecayMode[]} - the registered modes, in the order in which they were registered, which is also the order
+   *                          in which they are listed in the legend of the nuclide chart
+   * @public
+   */
+  getAll: function() {
+    return decayModes.slice();
+  }
+} );
+
+DecayMode.ISOMERIC_TRANSITION = DecayMode.register( new DecayMode( {
+
+  // leaves the nucleus unchanged apart from its excitation energy, which is released as gamma rays or conversion
+  // electrons
+  name: 'IT',
+  protonChange: 0,
+  neutronChange: 0
+} ) );
+DecayMode.ALPHA = DecayMode.register( new DecayMode( {
+  name: 'A',
+  protonChange: -2,
+  neutronChange: -2,
+  emittedParticles: [ ALPHA ],
+  color: ALPHA_COLOR,
+  legendString: alphaDecayString,
+  tandemName: 'alpha',
+  aliases: [ 'a' ]
+} ) );
+DecayMode.BETA_MINUS = DecayMode.register( new DecayMode( {
+  name: 'B-',
+  protonChange: 1,
+  neutronChange: -1,
+  color: BETA_MINUS_COLOR,
+  legendString: betaMinusDecayString,
+  tandemName: 'betaMinus',
+  aliases: [ 'b-' ]
+} ) );
+DecayMode.DOUBLE_BETA_MINUS = DecayMode.register( new DecayMode( {
+  name: '2B-',
+  protonChange: 2,
+  neutronChange: -2,
+  color: BETA_MINUS_COLOR,
+  aliases: [ '2b-' ]
+} ) );
+DecayMode.BETA_PLUS = DecayMode.register( new DecayMode( {
+
+  // NUBASE uses this for positron emission and electron capture combined, as the nuclide chart did with 'ec b+'
+  name: 'B+',
+  protonChange: -1,
+  neutronChange: 1,
+  numPositrons: 1,
+  color: BETA_PLUS_COLOR,
+  legendString: betaPlusDecayString,
+  tandemName: 'betaPlus',
+  aliases: [ 'b+', 'ec b+', 'b+ ec' ]
+} ) );
+DecayMode.DOUBLE_BETA_PLUS = DecayMode.register( new DecayMode( {
+  name: '2B+',
+  protonChange: -2,
+  neutronChange: 2,
+  numPositrons: 2,
+  color: BETA_PLUS_COLOR,
+  aliases: [ '2b+' ]
+} ) );
+DecayMode.ELECTRON_CAPTURE = DecayMode.register( new DecayMode( {
+  name: 'EC',
+  protonChange: -1,
+  neutronChange: 1,
+  color: BETA_PLUS_COLOR,
+  legendString: electronCaptureString,
+  tandemName: 'electronCapture',
+  aliases: [ 'ec' ]
+} ) );
+DecayMode.DOUBLE_ELECTRON_CAPTURE = DecayMode.register( new DecayMode( {
+  name: '2EC',
+  protonChange: -2,
+  neutronChange: 2,
+  color: BETA_PLUS_COLOR,
+  aliases: [ '2ec' ]
+} ) );
+DecayMode.NEUTRON_EMISSION = DecayMode.register( new DecayMode( {
+  name: 'n',
+  protonChange: 0,
+  neutronChange: -1,
+  emittedParticles: [ NEUTRON ],
+  color: NEUTRON_EMISSION_COLOR,
+  legendString: neutronEmissionString,
+  tandemName: 'neutronEmission'
+} ) );
+DecayMode.TWO_NEUTRON_EMISSION = DecayMode.register( new DecayMode( {
+  name: '2n',
+  protonChange: 0,
+  neutronChange: -2,
+  emittedParticles: [ NEUTRON, NEUTRON ],
+  color: NEUTRON_EMISSION_COLOR
+} ) );
+DecayMode.PROTON_EMISSION = DecayMode.register( new DecayMode( {
+  name: 'p',
+  protonChange: -1,
+  neutronChange: 0,
+  emittedParticles: [ PROTON ],
+  color: PROTON_EMISSION_COLOR,
+  legendString: protonEmissionString,
+  tandemName: 'protonEmission'
+} ) );
+DecayMode.TWO_PROTON_EMISSION = DecayMode.register( new DecayMode( {
+  name: '2p',
+  protonChange: -2,
+  neutronChange: 0,
+  emittedParticles: [ PROTON, PROTON ],
+  color: PROTON_EMISSION_COLOR
+} ) );
+DecayMode.BETA_DELAYED_NEUTRON = DecayMode.register( new DecayMode( {
+  name: 'B-n',
+  protonChange: 1,
+  neutronChange: -2,
+  emittedParticles: [ NEUTRON ],
+  color: BETA_MINUS_COLOR,
+  primaryModeName: 'B-',
+  aliases: [ 'b- n' ]
+} ) );
+DecayMode.BETA_DELAYED_TWO_NEUTRON = DecayMode.register( new DecayMode( {
+  name: 'B-2n',
+  protonChange: 1,
+  neutronChange: -3,
+  emittedParticles: [ NEUTRON, NEUTRON ],
+  color: BETA_MINUS_COLOR,
+  primaryModeName: 'B-',
+  aliases: [ 'b- 2n' ]
+} ) );
+DecayMode.BETA_DELAYED_THREE_NEUTRON = DecayMode.register( new DecayMode( {
+  name: 'B-3n',
+  protonChange: 1,
+  neutronChange: -4,
+  emittedParticles: [ NEUTRON, NEUTRON, NEUTRON ],
+  color: BETA_MINUS_COLOR,
+  primaryModeName: 'B-',
+  aliases: [ 'b- 3n' ]
+} ) );
+DecayMode.BETA_DELAYED_FOUR_NEUTRON = DecayMode.register( new DecayMode( {
+  name: 'B-4n',
+  protonChange: 1,
+  neutronChange: -5,
+  emittedParticles: [ NEUTRON, NEUTRON, NEUTRON, NEUTRON ],
+  color: BETA_MINUS_COLOR,
+  primaryModeName: 'B-',
+  aliases: [ 'b- 4n' ]
+} ) );
+DecayMode.BETA_DELAYED_PROTON = DecayMode.register( new DecayMode( {
+  name: 'B-p',
+  protonChange: 0,
+  neutronChange: -1,
+  emittedParticles: [ PROTON ],
+  color: BETA_MINUS_COLOR,
+  primaryModeName: 'B-',
+  aliases: [ 'b- p' ]
+} ) );
+DecayMode.BETA_DELAYED_ALPHA = DecayMode.register( new DecayMode( {
+  name: 'B-A',
+  protonChange: -1,
+  neutronChange: -3,
+  emittedParticles: [ ALPHA ],
+  color: BETA_MINUS_COLOR,
+  primaryModeName: 'B-',
+  aliases: [ 'b- a' ]
+} ) );
+DecayMode.BETA_PLUS_DELAYED_PROTON = DecayMode.register( new DecayMode( {
+  name: 'B+p',
+  protonChange: -2,
+  neutronChange: 1,
+  emittedParticles: [ PROTON ],
+  numPositrons: 1,
+  color: BETA_PLUS_COLOR,
+  primaryModeName: 'B+',
+  aliases: [ 'b+ p', 'ec p' ]
+} ) );
+DecayMode.BETA_PLUS_DELAYED_TWO_PROTON = DecayMode.register( new DecayMode( {
+  name: 'B+2p',
+  protonChange: -3,
+  neutronChange: 1,
+  emittedParticles: [ PROTON, PROTON ],
+  numPositrons: 1,
+  color: BETA_PLUS_COLOR,
+  primaryModeName: 'B+',
+  aliases: [ 'b+ 2p', 'ec 2p' ]
+} ) );
+DecayMode.BETA_PLUS_DELAYED_ALPHA = DecayMode.register( new DecayMode( {
+  name: 'B+A',
+  protonChange: -3,
+  neutronChange: -1,
+  emittedParticles: [ ALPHA ],
+  numPositrons: 1,
+  color: BETA_PLUS_COLOR,
+  primaryModeName: 'B+',
+  aliases: [ 'b+ a', 'ec a' ]
+} ) );
+DecayMode.BETA_MINUS_DELAYED_FISSION = DecayMode.register( new DecayMode( {
+  name: 'B-SF',
+  color: BETA_MINUS_COLOR,
+  primaryModeName: 'B-',
+  aliases: [ 'b- SF' ]
+} ) );
+DecayMode.BETA_PLUS_DELAYED_FISSION = DecayMode.register( new DecayMode( {
+  name: 'B+SF',
+  numPositrons: 1,
+  color: BETA_PLUS_COLOR,
+  primaryModeName: 'B+',
+  aliases: [ 'b+ SF', 'ec SF' ]
+} ) );
+DecayMode.SPONTANEOUS_FISSION = DecayMode.register( new DecayMode( {
+  name: 'SF',
+  color: FISSION_COLOR
+} ) );
+
+export default DecayMode;
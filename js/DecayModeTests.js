@@ -0,0 +1,66 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for DecayMode
+ *
+ * @author Luisa Vargas
+ */
+
+import AtomIdentifier from './AtomIdentifier.js';
+import DecayMode from './DecayMode.js';
+
+QUnit.module( 'DecayMode' );
+
+QUnit.test( 'names and aliases', function( assert ) {
+  assert.equal( DecayMode.get( 'B-' ), DecayMode.BETA_MINUS, 'name' );
+  assert.equal( DecayMode.get( 'b-' ), DecayMode.BETA_MINUS, 'alias' );
+  assert.equal( DecayMode.get( 'ec b+' ), DecayMode.BETA_PLUS, 'positron emission and electron capture combined' );
+  assert.equal( DecayMode.get( 'b+ ec' ), DecayMode.BETA_PLUS, 'in either order' );
+  assert.equal( DecayMode.get( 'b- n' ), DecayMode.BETA_DELAYED_NEUTRON, 'beta-delayed neutron emission' );
+  assert.equal( DecayMode.get( 'ec a' ), DecayMode.get( 'b+ a' ), 'aliases of the same mode' );
+  assert.equal( DecayMode.get( 'a' ), DecayMode.ALPHA, 'alpha' );
+  assert.equal( DecayMode.get( 'bogus' ), null, 'unregistered notation' );
+  assert.equal( DecayMode.get( 'toString' ), null, 'not confused by the properties of objects' );
+
+  const notations = _.flatten( DecayMode.getAll().map( function( decayMode ) {
+    return [ decayMode.name ].concat( decayMode.aliases );
+  } ) );
+  assert.equal( _.uniq( notations ).length, notations.length, 'every notation identifies a single mode' );
+
+  if ( window.assert ) {
+    assert.throws( function() {
+      DecayMode.register( new DecayMode( { name: 'B-' } ) );
+    }, Error, 'a name can only be registered once' );
+  }
+} );
+
+QUnit.test( 'consistency of the registered modes', function( assert ) {
+  DecayMode.getAll().forEach( function( decayMode ) {
+    if ( decayMode.protonChange !== null ) {
+
+      // the nucleons that leave the nucleus are those of the emitted particles
+      const emittedNucleons = _.sum( decayMode.emittedParticles.map( _.sum ) );
+      assert.equal( decayMode.protonChange + decayMode.neutronChange, -emittedNucleons,
+        decayMode.name + ' conserves the number of nucleons' );
+    }
+    if ( decayMode.primaryModeName !== null ) {
+      assert.ok( DecayMode.get( decayMode.primaryModeName ), decayMode.name + ' follows a registered mode' );
+    }
+    if ( decayMode.legendString !== null ) {
+      assert.ok( decayMode.tandemName && decayMode.color, decayMode.name + ' can be shown in the legend' );
+    }
+  } );
+} );
+
+QUnit.test( 'daughter nuclides', function( assert ) {
+  assert.deepEqual( AtomIdentifier.getDaughterNuclide( 92, 146, 'A' ), { protons: 90, neutrons: 144 }, 'U-238 alpha' );
+  assert.deepEqual( AtomIdentifier.getDaughterNuclide( 6, 8, 'B-' ), { protons: 7, neutrons: 7 }, 'C-14 beta minus' );
+  assert.deepEqual( AtomIdentifier.getDaughterNuclide( 6, 8, 'b-' ), { protons: 7, neutrons: 7 }, 'by an alias' );
+  assert.deepEqual( AtomIdentifier.getDaughterNuclide( 19, 21, 'EC' ), { protons: 18, neutrons: 22 }, 'K-40 EC' );
+  assert.deepEqual( AtomIdentifier.getDaughterNuclide( 3, 8, 'B-n' ), { protons: 4, neutrons: 6 }, 'Li-11 B-n' );
+  assert.deepEqual( AtomIdentifier.getDaughterNuclide( 88, 135, '14C' ), { protons: 82, neutrons: 127 },
+    'cluster decay of Ra-223' );
+  assert.equal( AtomIdentifier.getDaughterNuclide( 98, 154, 'SF' ), null, 'fission has no single daughter' );
+  assert.equal( AtomIdentifier.getDaughterNuclide( 1, 2, 'A' ), null, 'not possible for this nuclide' );
+  assert.equal( AtomIdentifier.getDaughterNuclide( 6, 8, 'bogus' ), null, 'unknown mode' );
+} );
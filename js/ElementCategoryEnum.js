@@ -0,0 +1,31 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Enumerable for the chemical categories of the elements, see AtomIdentifier.getElementProperties.
+ *
+ * @author Luisa Vargas
+ */
+
+import shred from './shred.js';
+
+const ElementCategoryEnum = {
+  ALKALI_METAL: 'ALKALI_METAL',
+  ALKALINE_EARTH_METAL: 'ALKALINE_EARTH_METAL',
+  LANTHANIDE: 'LANTHANIDE',
+  ACTINIDE: 'ACTINIDE',
+  TRANSITION_METAL: 'TRANSITION_METAL',
+  POST_TRANSITION_METAL: 'POST_TRANSITION_METAL',
+  METALLOID: 'METALLOID',
+  NONMETAL: 'NONMETAL',
+  HALOGEN: 'HALOGEN',
+  NOBLE_GAS: 'NOBLE_GAS',
+
+  // the chemistry of the element hasn't been established, e.g. for most of the superheavy elements
+  UNKNOWN: 'UNKNOWN'
+};
+
+// verify that enum is immutable, without the runtime penalty in production code
+if ( assert ) { Object.freeze( ElementCategoryEnum ); }
+
+shred.register( 'ElementCategoryEnum', ElementCategoryEnum );
+export default ElementCategoryEnum;
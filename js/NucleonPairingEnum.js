@@ -0,0 +1,31 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Enumerable for whether the numbers of protons and neutrons in a nucleus are even or odd, see
+ * AtomIdentifier.getNucleonPairing.  Nuclides with an odd mass number are either EVEN_ODD or ODD_EVEN.
+ *
+ * @author Luisa Vargas
+ */
+
+import shred from './shred.js';
+
+const NucleonPairingEnum = {
+
+  // even number of protons and even number of neutrons, the most tightly bound and most common in nature
+  EVEN_EVEN: 'EVEN_EVEN',
+
+  // even number of protons and odd number of neutrons
+  EVEN_ODD: 'EVEN_ODD',
+
+  // odd number of protons and even number of neutrons
+  ODD_EVEN: 'ODD_EVEN',
+
+  // odd number of protons and odd number of neutrons, of which only a few are stable
+  ODD_ODD: 'ODD_ODD'
+};
+
+// verify that enum is immutable, without the runtime penalty in production code
+if ( assert ) { Object.freeze( NucleonPairingEnum ); }
+
+shred.register( 'NucleonPairingEnum', NucleonPairingEnum );
+export default NucleonPairingEnum;
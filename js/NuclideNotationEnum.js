@@ -0,0 +1,31 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Enumerable for the notations in which a nuclide can be written, see AtomIdentifier.formatNuclide.  The examples are
+ * for iron-56 with a charge of 3+.
+ *
+ * @author Luisa Vargas
+ */
+
+import shred from './shred.js';
+
+const NuclideNotationEnum = {
+
+  // element symbol and mass number separated by a hyphen, e.g. 'Fe-56 3+'
+  HYPHEN: 'HYPHEN',
+
+  // mass number as a unicode superscript prefix, e.g. '⁵⁶Fe³⁺'
+  SUPERSCRIPT: 'SUPERSCRIPT',
+
+  // mass number and atomic number as unicode superscript and subscript prefixes, e.g. '⁵⁶₂₆Fe³⁺'
+  AZX: 'AZX',
+
+  // mass number as a superscript prefix using RichText markup, e.g. '<sup>56</sup>Fe<sup>3+</sup>'
+  RICH_TEXT: 'RICH_TEXT'
+};
+
+// verify that enum is immutable, without the runtime penalty in production code
+if ( assert ) { Object.freeze( NuclideNotationEnum ); }
+
+shred.register( 'NuclideNotationEnum', NuclideNotationEnum );
+export default NuclideNotationEnum;
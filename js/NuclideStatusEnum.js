@@ -0,0 +1,29 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Enumerable for whether a configuration of protons and neutrons is a known nuclide, see
+ * AtomIdentifier.getNuclideStatus.
+ *
+ * @author Luisa Vargas
+ */
+
+import shred from './shred.js';
+
+const NuclideStatusEnum = {
+
+  // the nuclide has been observed, so there is data for it, even if it is unbound and only observed as a short-lived
+  // resonance
+  KNOWN: 'KNOWN',
+
+  // the nuclide hasn't been observed, but it is predicted to be bound, so it might be observed in the future
+  UNOBSERVED: 'UNOBSERVED',
+
+  // the nuclide hasn't been observed, and it is predicted to be unbound, i.e. beyond the proton or neutron drip line
+  UNBOUND: 'UNBOUND'
+};
+
+// verify that enum is immutable, without the runtime penalty in production code
+if ( assert ) { Object.freeze( NuclideStatusEnum ); }
+
+shred.register( 'NuclideStatusEnum', NuclideStatusEnum );
+export default NuclideStatusEnum;
@@ -0,0 +1,30 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Enumerable for the stability classes of nuclides, see AtomIdentifier.getStabilityClass.
+ *
+ * @author Luisa Vargas
+ */
+
+import shred from './shred.js';
+
+const StabilityClassEnum = {
+
+  // no decay has been observed
+  STABLE: 'STABLE',
+
+  // radioactive, but long-lived enough that it has survived in nature since the formation of the Earth
+  PRIMORDIAL: 'PRIMORDIAL',
+
+  // radioactive, and either doesn't occur in nature or only occurs there because it is continually produced
+  RADIOACTIVE: 'RADIOACTIVE',
+
+  // there is no data for the nuclide
+  UNKNOWN: 'UNKNOWN'
+};
+
+// verify that enum is immutable, without the runtime penalty in production code
+if ( assert ) { Object.freeze( StabilityClassEnum ); }
+
+shred.register( 'StabilityClassEnum', StabilityClassEnum );
+export default StabilityClassEnum;
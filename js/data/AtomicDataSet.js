@@ -0,0 +1,288 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A versioned set of reference data for atoms and nuclides, e.g. the isotope table and the standard atomic weights.
+ * AtomIdentifier reads its data from the active data set, see AtomicDataSetRegistry, so that a sim can switch between
+ * editions of the data or use a data set supplied by a teacher.
+ *
+ * A data set can be based on another one, in which case any components that it doesn't provide are shared with the
+ * base data set.  The components are:
+ *   isotopes - table keyed by atomic number and then mass number, in the form produced by NuclearDataParser.parseNUBASE
+ *   standardAtomicWeights - array indexed by atomic number, see AtomIdentifier.getStandardAtomicWeight
+ *   elementProperties - array indexed by atomic number, see elementProperties.js
+ *   magneticMoments - table keyed by atomic number and then mass number, see nuclearMagneticMoments.js
+ *
+ * @author Luisa Vargas
+ */
+
+import Range from '../../../dot/js/Range.js';
+import inherit from '../../../phet-core/js/inherit.js';
+import shred from '../shred.js';
+import NuclearDataParser from './NuclearDataParser.js';
+
+// constants
+
+// An arbitrary value used to signify a 'trace' abundance, meaning that a very small amount of this isotope is
+// present on Earth.
+const TRACE_ABUNDANCE = 0.000000000001;
+
+// The abundances of the isotopes of an element may add up to slightly more than one because they are rounded.
+const ABUNDANCE_SUM_TOLERANCE = 1E-4;
+
+// Value of the half-life in JSON data sets for stable nuclides, since JSON has no representation of infinity.
+const JSON_STABLE_HALF_LIFE = 'stable';
+
+/**
+ * Check an entry of the isotope table, or of the isomers of one, and add descriptions of any problems to errors.
+ * @param {Object} entry
+ * @param {string} description - identifies the entry in the error messages
+ * @param {string[]} errors
+ */
+function validateIsotopeEntry( entry, description, errors ) {
+  if ( typeof entry.atomicMass !== 'number' || !( entry.atomicMass > 0 ) ) {
+    errors.push( description + ': atomic mass must be a positive number' );
+  }
+  if ( typeof entry.massExcess !== 'number' || !isFinite( entry.massExcess ) ) {
+    errors.push( description + ': mass excess must be a number' );
+  }
+  if ( typeof entry.abundance !== 'number' || !( entry.abundance >= 0 && entry.abundance <= 1 ) ) {
+    errors.push( description + ': abundance must be a proportion between 0 and 1' );
+  }
+  if ( typeof entry.halfLife !== 'number' || !( entry.halfLife > 0 || entry.halfLife === -1 ) ) {
+    errors.push( description + ': half-life must be positive, infinity for stable nuclides, or -1 if unknown' );
+  }
+  if ( !Array.isArray( entry.decayModes ) ) {
+    errors.push( description + ': decay modes must be an array' );
+  }
+  else {
+    entry.decayModes.forEach( function( decayMode ) {
+      if ( typeof decayMode.mode !== 'string' ||
+           !( decayMode.branchingRatio === null || decayMode.branchingRatio >= 0 ) ) {
+        errors.push( description + ': invalid decay mode ' + JSON.stringify( decayMode ) );
+      }
+    } );
+  }
+}
+
+/**
+ * Convert the value of a half-life in a JSON data set to the value used in the isotope table.
+ * @param {number|string} halfLife
+ * @returns {number}
+ */
+function halfLifeFromJSON( halfLife ) {
+  return halfLife === JSON_STABLE_HALF_LIFE ? Number.POSITIVE_INFINITY : halfLife;
+}
+
+/**
+ * The components are not merged into defaults, since they are large tables that would otherwise be copied.
+ * @param {Object} config - with the properties
+ *   name - {string} unique name that identifies the data set in AtomicDataSetRegistry
+ *   version - {string} e.g. the edition of the evaluations that the data is from
+ *   [description] - {string} sources of the data
+ *   [baseDataSet] - {AtomicDataSet} provides the components that are not given
+ *   [isotopes], [standardAtomicWeights], [elementProperties], [magneticMoments] - see above
+ * @constructor
+ * @throws {Error} if the data set is invalid, see AtomicDataSet.validate
+ */
+function AtomicDataSet( config ) {
+  const baseDataSet = config.baseDataSet || {};
+
+  // @public (read-only)
+  this.name = config.name;
+  this.version = config.version;
+  this.description = config.description || '';
+  this.isotopes = config.isotopes || baseDataSet.isotopes;
+  this.standardAtomicWeights = config.standardAtomicWeights || baseDataSet.standardAtomicWeights;
+  this.elementProperties = config.elementProperties || baseDataSet.elementProperties;
+  this.magneticMoments = config.magneticMoments || baseDataSet.magneticMoments;
+
+  const errors = AtomicDataSet.validate( this );
+  if ( errors.length > 0 ) {
+    throw new Error( 'invalid data set "' + this.name + '": ' + errors.join( '; ' ) );
+  }
+}
+
+shred.register( 'AtomicDataSet', AtomicDataSet );
+
+inherit( Object, AtomicDataSet, {}, {
+
+  TRACE_ABUNDANCE: TRACE_ABUNDANCE,
+
+  /**
+   * Check that a data set is complete and that its values are plausible, e.g. that masses are positive and that the
+   * abundances of the isotopes of each element don't add up to more than one.  The isotope table must include
+   * hydrogen-1 and the neutron, since binding energies are calculated from their masses.
+   *
+   * @param {AtomicDataSet} dataSet
+   * @returns {string[]} - descriptions of the problems that were found, empty if the data set is valid
+   * @public
+   */
+  validate: function( dataSet ) {
+    const errors = [];
+    if ( typeof dataSet.name !== 'string' || dataSet.name.length === 0 ) {
+      errors.push( 'name must be a non-empty string' );
+    }
+    if ( typeof dataSet.version !== 'string' || dataSet.version.length === 0 ) {
+      errors.push( 'version must be a non-empty string' );
+    }
+    [ 'isotopes', 'standardAtomicWeights', 'elementProperties', 'magneticMoments' ].forEach( function( component ) {
+      if ( !dataSet[ component ] ) {
+        errors.push( 'missing ' + component );
+      }
+    } );
+    if ( dataSet.standardAtomicWeights && !Array.isArray( dataSet.standardAtomicWeights ) ) {
+      errors.push( 'standardAtomicWeights must be an array indexed by atomic number' );
+    }
+    if ( errors.length > 0 ) {
+      return errors;
+    }
+
+    const hasHydrogenAndNeutron = dataSet.isotopes[ 1 ] && dataSet.isotopes[ 1 ][ 1 ] &&
+                                  dataSet.isotopes[ 0 ] && dataSet.isotopes[ 0 ][ 1 ];
+    if ( !hasHydrogenAndNeutron ) {
+      errors.push( 'isotopes must include hydrogen-1 and the neutron' );
+    }
+    Object.keys( dataSet.isotopes ).forEach( function( atomicNumberString ) {
+      const atomicNumber = Number( atomicNumberString );
+      let totalAbundance = 0;
+      Object.keys( dataSet.isotopes[ atomicNumberString ] ).forEach( function( massNumberString ) {
+        const massNumber = Number( massNumberString );
+        const entry = dataSet.isotopes[ atomicNumberString ][ massNumberString ];
+        const description = 'Z = ' + atomicNumberString + ', A = ' + massNumberString;
+        if ( !Number.isInteger( atomicNumber ) || !Number.isInteger( massNumber ) || atomicNumber < 0 ||
+             massNumber < Math.max( atomicNumber, 1 ) ) {
+          errors.push( description + ': invalid atomic number or mass number' );
+        }
+        validateIsotopeEntry( entry, description, errors );
+        totalAbundance += entry.abundance;
+        _.forEach( entry.isomers, function( isomerEntry, isomerIndex ) {
+          validateIsotopeEntry( isomerEntry, description + ', isomer ' + isomerIndex, errors );
+          if ( !( isomerEntry.excitationEnergy > 0 ) ) {
+            errors.push( description + ', isomer ' + isomerIndex + ': excitation energy must be positive' );
+          }
+          totalAbundance += isomerEntry.abundance;
+        } );
+      } );
+      if ( totalAbundance > 1 + ABUNDANCE_SUM_TOLERANCE ) {
+        errors.push( 'Z = ' + atomicNumberString + ': abundances add up to more than one' );
+      }
+    } );
+
+    dataSet.standardAtomicWeights.forEach( function( weight, atomicNumber ) {
+      if ( weight === null ) {
+        return;
+      }
+      const description = 'standard atomic weight for Z = ' + atomicNumber;
+      if ( typeof weight.value !== 'number' || !( weight.value > 0 ) ) {
+        errors.push( description + ': value must be a positive number' );
+      }
+      const numUncertaintyDescriptions = ( weight.uncertainty !== null ? 1 : 0 ) +
+                                         ( weight.interval !== null ? 1 : 0 ) +
+                                         ( weight.isMassNumberOfLongestLivedIsotope ? 1 : 0 );
+      if ( numUncertaintyDescriptions !== 1 ) {
+        errors.push( description + ': exactly one of uncertainty, interval and isMassNumberOfLongestLivedIsotope ' +
+                     'must be given' );
+      }
+    } );
+    return errors;
+  },
+
+  /**
+   * Create a data set from JSON, e.g. one supplied by a teacher.  The JSON describes changes to a base data set, so
+   * only the values that differ need to be included.  Standard atomic weights are keyed by atomic number and replace
+   * those of the base data set, and isotopes are keyed by atomic number and then mass number, and their properties
+   * replace those of the corresponding isotopes in the base data set.  For example:
+   *   {
+   *     "name": "classroom", "version": "1", "description": "...",
+   *     "standardAtomicWeights": {
+   *       "6": { "value": 12.011, "uncertainty": 0.001 },
+   *       "17": { "value": 35.45, "interval": [ 35.446, 35.457 ] },
+   *       "43": { "massNumberOfLongestLivedIsotope": 98 },
+   *       "118": null
+   *     },
+   *     "isotopes": {
+   *       "6": { "14": { "atomicMass": 14.003241989, "abundance": 0, "halfLife": 1.80825e11 } },
+   *       "26": { "56": { "halfLife": "stable" } }
+   *     }
+   *   }
+   * A standard atomic weight of null means that the element has none.  Half-lives are in seconds, or "stable", and
+   * isotopes that aren't in the base data set need at least an atomic mass.
+   *
+   * @param {string|Object} json - the JSON text, or the result of parsing it
+   * @param {AtomicDataSet} baseDataSet
+   * @returns {AtomicDataSet}
+   * @throws {Error} if the JSON can't be parsed or the data set is invalid
+   * @public
+   */
+  fromJSON: function( json, baseDataSet ) {
+    const description = typeof json === 'string' ? JSON.parse( json ) : json;
+
+    let standardAtomicWeights = null;
+    if ( description.standardAtomicWeights ) {
+      standardAtomicWeights = baseDataSet.standardAtomicWeights.slice();
+      _.forEach( description.standardAtomicWeights, function( weight, atomicNumberString ) {
+        const atomicNumber = Number( atomicNumberString );
+        if ( weight === null ) {
+          standardAtomicWeights[ atomicNumber ] = null;
+        }
+        else if ( weight.massNumberOfLongestLivedIsotope !== undefined ) {
+          standardAtomicWeights[ atomicNumber ] = {
+            value: weight.massNumberOfLongestLivedIsotope,
+            uncertainty: null,
+            interval: null,
+            isMassNumberOfLongestLivedIsotope: true
+          };
+        }
+        else {
+          standardAtomicWeights[ atomicNumber ] = {
+            value: weight.value,
+            uncertainty: !weight.interval && typeof weight.uncertainty === 'number' ? weight.uncertainty : null,
+            interval: weight.interval ? new Range( weight.interval[ 0 ], weight.interval[ 1 ] ) : null,
+            isMassNumberOfLongestLivedIsotope: false
+          };
+        }
+      } );
+    }
+
+    let isotopes = null;
+    if ( description.isotopes ) {
+      isotopes = {};
+      _.forEach( baseDataSet.isotopes, function( elementEntry, atomicNumberString ) {
+        isotopes[ atomicNumberString ] = _.clone( elementEntry );
+      } );
+      _.forEach( description.isotopes, function( elementEntry, atomicNumberString ) {
+        isotopes[ atomicNumberString ] = isotopes[ atomicNumberString ] || {};
+        _.forEach( elementEntry, function( entry, massNumberString ) {
+          const baseEntry = isotopes[ atomicNumberString ][ massNumberString ] || {
+            abundance: 0,
+            halfLife: -1,
+            spinParity: null,
+            decayModes: [],
+            isomers: {}
+          };
+          const newEntry = _.assign( {}, baseEntry, entry );
+          if ( entry.atomicMass !== undefined && entry.massExcess === undefined ) {
+            newEntry.massExcess = ( entry.atomicMass - Number( massNumberString ) ) *
+                                  NuclearDataParser.ATOMIC_MASS_UNIT_IN_KEV;
+            newEntry.isEstimated = false;
+          }
+          if ( entry.halfLife !== undefined ) {
+            newEntry.halfLife = halfLifeFromJSON( entry.halfLife );
+          }
+          isotopes[ atomicNumberString ][ massNumberString ] = newEntry;
+        } );
+      } );
+    }
+
+    return new AtomicDataSet( {
+      name: description.name,
+      version: description.version,
+      description: description.description || '',
+      baseDataSet: baseDataSet,
+      isotopes: isotopes,
+      standardAtomicWeights: standardAtomicWeights
+    } );
+  }
+} );
+
+export default AtomicDataSet;
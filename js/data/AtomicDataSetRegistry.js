@@ -0,0 +1,280 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Registry of the reference data sets that AtomIdentifier can use, see AtomicDataSet.  The default data set is
+ * always registered and is active initially.  It has the standard atomic masses that the sims have always used, so
+ * that their values don't change unless a sim chooses another data set.  The 2021 and 2013 editions of the standard
+ * atomic weights of IUPAC are registered as alternatives to it.  A sim can register other data sets, e.g. a data set
+ * loaded from JSON with AtomicDataSet.fromJSON, and make one of them active.
+ *
+ * @author Luisa Vargas
+ */
+
+import Property from '../../../axon/js/Property.js';
+import shred from '../shred.js';
+import ameData from './ameData.js';
+import AtomicDataSet from './AtomicDataSet.js';
+import elementProperties from './elementProperties.js';
+import NuclearDataParser from './NuclearDataParser.js';
+import nuclearMagneticMoments from './nuclearMagneticMoments.js';
+import nubaseData from './nubaseData.js';
+import standardAtomicWeights from './standardAtomicWeights.js';
+
+// constants
+const DEFAULT_DATA_SET_NAME = 'default';
+const CIAAW_2021_DATA_SET_NAME = 'ciaaw2021';
+const CIAAW_2013_DATA_SET_NAME = 'ciaaw2013';
+
+// Standard atomic weights from the 2013 table of the IUPAC Commission on Isotopic Abundances and Atomic Weights for
+// the elements whose weights were revised between then and the 2021 table, see
+// https://www.ciaaw.org/atomic-weights.htm, in the form used by AtomicDataSet.fromJSON.
+const CIAAW_2013_STANDARD_ATOMIC_WEIGHTS = {
+  18: { value: 39.948, uncertainty: 0.001 }, // ARGON
+  40: { value: 91.224, uncertainty: 0.002 }, // ZIRCONIUM
+  70: { value: 173.054, uncertainty: 0.005 }, // YTTERBIUM
+  72: { value: 178.49, uncertainty: 0.02 }, // HAFNIUM
+  77: { value: 192.217, uncertainty: 0.003 }, // IRIDIUM
+  82: { value: 207.2, uncertainty: 0.1 } // LEAD
+};
+
+// Standard atomic masses that the sims have always used, which are those of the default data set, in the form used
+// by AtomicDataSet.fromJSON.  These were obtained from the URL below, which gave the 2009 standard atomic weights of
+// IUPAC, and end at bismuth, so the heavier elements have the weights of the 2021 table.
+//
+// http://physics.nist.gov/cgi-bin/Compositions/stand_alone.pl?ele=&ascii=ascii2&isotype=some
+const NIST_STANDARD_ATOMIC_WEIGHTS = {
+  1: { value: 1.00794, uncertainty: 0.00007 }, // HYDROGEN
+  2: { value: 4.002602, uncertainty: 0.000002 }, // HELIUM
+  3: { value: 6.941, uncertainty: 0.002 }, // LITHIUM
+  4: { value: 9.012182, uncertainty: 0.000003 }, // BERYLLIUM
+  5: { value: 10.811, uncertainty: 0.007 }, // BORON
+  6: { value: 12.0107, uncertainty: 0.0008 }, // CARBON
+  7: { value: 14.0067, uncertainty: 0.0002 }, // NITROGEN
+  8: { value: 15.9994, uncertainty: 0.0003 }, // OXYGEN
+  9: { value: 18.9984032, uncertainty: 0.0000005 }, // FLUORINE
+  10: { value: 20.1797, uncertainty: 0.0006 }, // NEON
+  11: { value: 22.98976928, uncertainty: 0.00000002 }, // SODIUM
+  12: { value: 24.3050, uncertainty: 0.0006 }, // MAGNESIUM
+  13: { value: 26.9815386, uncertainty: 0.0000008 }, // ALUMINUM
+  14: { value: 28.0855, uncertainty: 0.0003 }, // SILICON
+  15: { value: 30.973762, uncertainty: 0.000002 }, // PHOSPHORUS
+  16: { value: 32.065, uncertainty: 0.005 }, // SULFUR
+  17: { value: 35.453, uncertainty: 0.002 }, // CHLORINE
+  18: { value: 39.948, uncertainty: 0.001 }, // ARGON
+  19: { value: 39.0983, uncertainty: 0.0001 }, // POTASSIUM
+  20: { value: 40.078, uncertainty: 0.004 }, // CALCIUM
+  21: { value: 44.955912, uncertainty: 0.000006 }, // SCANDIUM
+  22: { value: 47.867, uncertainty: 0.001 }, // TITANIUM
+  23: { value: 50.9415, uncertainty: 0.0001 }, // VANADIUM
+  24: { value: 51.9961, uncertainty: 0.0006 }, // CHROMIUM
+  25: { value: 54.938045, uncertainty: 0.000005 }, // MANGANESE
+  26: { value: 55.845, uncertainty: 0.002 }, // IRON
+  27: { value: 58.933195, uncertainty: 0.000005 }, // COBALT
+  28: { value: 58.6934, uncertainty: 0.0004 }, // NICKEL
+  29: { value: 63.546, uncertainty: 0.003 }, // COPPER
+  30: { value: 65.38, uncertainty: 0.02 }, // ZINC
+  31: { value: 69.723, uncertainty: 0.001 }, // GALLIUM
+  32: { value: 72.64, uncertainty: 0.01 }, // GERMANIUM
+  33: { value: 74.9216, uncertainty: 0.00002 }, // ARSENIC
+  34: { value: 78.96, uncertainty: 0.03 }, // SELENIUM
+  35: { value: 79.904, uncertainty: 0.001 }, // BROMINE
+  36: { value: 83.798, uncertainty: 0.002 }, // KRYPTON
+  37: { value: 85.4678, uncertainty: 0.0003 }, // RUBIDIUM
+  38: { value: 87.62, uncertainty: 0.01 }, // STRONTIUM
+  39: { value: 88.90585, uncertainty: 0.00002 }, // YTTRIUM
+  40: { value: 91.224, uncertainty: 0.002 }, // ZIRCONIUM
+  41: { value: 92.90638, uncertainty: 0.00002 }, // NIOBIUM
+  42: { value: 95.96, uncertainty: 0.02 }, // MOLYBDENUM
+  43: { massNumberOfLongestLivedIsotope: 98 }, // TECHNETIUM
+  44: { value: 101.07, uncertainty: 0.02 }, // RUTHENIUM
+  45: { value: 102.9055, uncertainty: 0.00002 }, // RHODIUM
+  46: { value: 106.42, uncertainty: 0.01 }, // PALLADIUM
+  47: { value: 107.8682, uncertainty: 0.0002 }, // SILVER
+  48: { value: 112.411, uncertainty: 0.008 }, // CADMIUM
+  49: { value: 114.818, uncertainty: 0.003 }, // INDIUM
+  50: { value: 118.71, uncertainty: 0.007 }, // TIN
+  51: { value: 121.76, uncertainty: 0.001 }, // ANTIMONY
+  52: { value: 127.6, uncertainty: 0.03 }, // TELLURIUM
+  53: { value: 126.90447, uncertainty: 0.00003 }, // IODINE
+  54: { value: 131.293, uncertainty: 0.006 }, // XENON
+  55: { value: 132.9054519, uncertainty: 0.0000002 }, // CAESIUM
+  56: { value: 137.327, uncertainty: 0.007 }, // BARIUM
+  57: { value: 138.90547, uncertainty: 0.00007 }, // LANTHANUM
+  58: { value: 140.116, uncertainty: 0.001 }, // CERIUM
+  59: { value: 140.90765, uncertainty: 0.00002 }, // PRASEODYMIUM
+  60: { value: 144.242, uncertainty: 0.003 }, // NEODYMIUM
+  61: { massNumberOfLongestLivedIsotope: 145 }, // PROMETHIUM
+  62: { value: 150.36, uncertainty: 0.02 }, // SAMARIUM
+  63: { value: 151.964, uncertainty: 0.001 }, // EUROPIUM
+  64: { value: 157.25, uncertainty: 0.03 }, // GADOLINIUM
+  65: { value: 158.92535, uncertainty: 0.00002 }, // TERBIUM
+  66: { value: 162.5, uncertainty: 0.001 }, // DYSPROSIUM
+  67: { value: 164.93032, uncertainty: 0.00002 }, // HOLMIUM
+  68: { value: 167.259, uncertainty: 0.003 }, // ERBIUM
+  69: { value: 168.93421, uncertainty: 0.00002 }, // THULIUM
+  70: { value: 173.054, uncertainty: 0.005 }, // YTTERBIUM
+  71: { value: 174.9668, uncertainty: 0.0001 }, // LUTETIUM
+  72: { value: 178.49, uncertainty: 0.02 }, // HAFNIUM
+  73: { value: 180.94788, uncertainty: 0.00002 }, // TANTALUM
+  74: { value: 183.84, uncertainty: 0.01 }, // TUNGSTEN
+  75: { value: 186.207, uncertainty: 0.001 }, // RHENIUM
+  76: { value: 190.23, uncertainty: 0.03 }, // OSMIUM
+  77: { value: 192.217, uncertainty: 0.003 }, // IRIDIUM
+  78: { value: 195.084, uncertainty: 0.009 }, // PLATINUM
+  79: { value: 196.966569, uncertainty: 0.000004 }, // GOLD
+  80: { value: 200.59, uncertainty: 0.02 }, // MERCURY
+  81: { value: 204.3833, uncertainty: 0.0002 }, // THALLIUM
+  82: { value: 207.2, uncertainty: 0.1 }, // LEAD
+  83: { value: 208.9804, uncertainty: 0.00001 } // BISMUTH
+};
+
+// Isotopes that exist only in trace amounts on present day Earth, mapped from atomic number to a list of mass numbers.
+// For the first eighteen elements these are the trace isotopes of the original data, so that the isotopes that the
+// sims show for those elements don't change.  For the heavier elements they are the cosmogenic isotopes and the
+// members of the natural decay series that are listed at https://en.wikipedia.org/wiki/Trace_radioisotope.
+const TRACE_ISOTOPES = {
+  1: [ 3 ],
+  4: [ 7, 10 ],
+  6: [ 14 ],
+  9: [ 18 ],
+  36: [ 81, 85 ],
+  43: [ 99 ],
+  53: [ 129 ],
+  82: [ 210, 214 ],
+  83: [ 210, 214 ],
+  84: [ 210, 214, 218 ],
+  86: [ 222 ],
+  88: [ 226, 228 ],
+  89: [ 227 ],
+  90: [ 228, 230, 234 ],
+  91: [ 234 ],
+  93: [ 237 ],
+  94: [ 239, 244 ]
+};
+
+// Isotope table of the bundled data sets, which is parsed from the excerpt of the NUBASE evaluation, see
+// nubaseData.js, and covers every naturally occurring nuclide as well as a selection of radioactive ones.  The other
+// nuclides that have been observed are added from the bundled atomic masses, see ameData.js.  Only their masses are
+// known here, so their half-lives are unknown and they have no decay modes, see AtomIdentifier.getDecayModes.
+const isotopes = NuclearDataParser.parseNUBASE( nubaseData );
+_.forEach( NuclearDataParser.parseAME( ameData ), function( massEntries, atomicNumber ) {
+  isotopes[ atomicNumber ] = isotopes[ atomicNumber ] || {};
+  _.forEach( massEntries, function( massEntry, massNumber ) {
+    if ( !isotopes[ atomicNumber ][ massNumber ] ) {
+      isotopes[ atomicNumber ][ massNumber ] = _.assign( {
+        abundance: 0,
+        halfLife: -1,
+        spinParity: null,
+        decayModes: [],
+        isomers: {}
+      }, massEntry );
+    }
+  } );
+} );
+for ( const atomicNumber in TRACE_ISOTOPES ) {
+  TRACE_ISOTOPES[ atomicNumber ].forEach( function( massNumber ) {
+    const tableEntry = isotopes[ atomicNumber ][ massNumber ];
+    assert && assert( tableEntry,
+      'trace isotope missing from isotope data, Z = ' + atomicNumber + ', A = ' + massNumber );
+    if ( tableEntry.abundance === 0 ) {
+
+      // Use trace abundance, since these are listed as "trace" rather than with a stated abundance.
+      tableEntry.abundance = AtomicDataSet.TRACE_ABUNDANCE;
+    }
+  } );
+}
+
+// registered data sets, keyed by name
+const dataSets = {};
+dataSets[ CIAAW_2021_DATA_SET_NAME ] = new AtomicDataSet( {
+  name: CIAAW_2021_DATA_SET_NAME,
+  version: 'NUBASE2020 excerpt, AME2016, CIAAW 2021',
+  description: 'Masses, half-lives, decay modes and spins from an excerpt of NUBASE2020, masses of the other ' +
+               'observed nuclides from AME2016, representative isotopic compositions from NIST and IUPAC, standard ' +
+               'atomic weights from CIAAW 2021, and magnetic moments from Stone (2005)',
+  isotopes: isotopes,
+  standardAtomicWeights: standardAtomicWeights,
+  elementProperties: elementProperties,
+  magneticMoments: nuclearMagneticMoments
+} );
+dataSets[ CIAAW_2013_DATA_SET_NAME ] = AtomicDataSet.fromJSON( {
+  name: CIAAW_2013_DATA_SET_NAME,
+  version: 'NUBASE2020 excerpt, AME2016, CIAAW 2013',
+  description: 'The CIAAW 2021 data set with the standard atomic weights from CIAAW 2013',
+  standardAtomicWeights: CIAAW_2013_STANDARD_ATOMIC_WEIGHTS
+}, dataSets[ CIAAW_2021_DATA_SET_NAME ] );
+dataSets[ DEFAULT_DATA_SET_NAME ] = AtomicDataSet.fromJSON( {
+  name: DEFAULT_DATA_SET_NAME,
+  version: 'NUBASE2020 excerpt, AME2016, NIST (IUPAC 2009)',
+  description: 'The CIAAW 2021 data set with the standard atomic masses that the sims have always used, from NIST',
+  standardAtomicWeights: NIST_STANDARD_ATOMIC_WEIGHTS
+}, dataSets[ CIAAW_2021_DATA_SET_NAME ] );
+
+const AtomicDataSetRegistry = {
+
+  DEFAULT_DATA_SET_NAME: DEFAULT_DATA_SET_NAME,
+  CIAAW_2021_DATA_SET_NAME: CIAAW_2021_DATA_SET_NAME,
+  CIAAW_2013_DATA_SET_NAME: CIAAW_2013_DATA_SET_NAME,
+
+  // @public {Property.<AtomicDataSet>} - the data set that AtomIdentifier reads from
+  activeDataSetProperty: new Property( dataSets[ DEFAULT_DATA_SET_NAME ], {
+    valueType: AtomicDataSet
+  } ),
+
+  /**
+   * Register a data set so that it can be made active.
+   * @param {AtomicDataSet} dataSet - must have a name that is not already registered
+   * @public
+   */
+  register: function( dataSet ) {
+    assert && assert( dataSet instanceof AtomicDataSet, 'not a data set' );
+    assert && assert( !dataSets.hasOwnProperty( dataSet.name ), 'data set already registered: ' + dataSet.name );
+    dataSets[ dataSet.name ] = dataSet;
+  },
+
+  /**
+   * @param {string} name
+   * @returns {AtomicDataSet|null} - null if no data set with this name is registered
+   * @public
+   */
+  getDataSet: function( name ) {
+    return dataSets.hasOwnProperty( name ) ? dataSets[ name ] : null;
+  },
+
+  /**
+   * @returns {string[]} - the names of the registered data sets
+   * @public
+   */
+  getDataSetNames: function() {
+    return Object.keys( dataSets );
+  },
+
+  /**
+   * @returns {AtomicDataSet}
+   * @public
+   */
+  getDefaultDataSet: function() {
+    return dataSets[ DEFAULT_DATA_SET_NAME ];
+  },
+
+  /**
+   * @returns {AtomicDataSet}
+   * @public
+   */
+  getActiveDataSet: function() {
+    return this.activeDataSetProperty.value;
+  },
+
+  /**
+   * Make a registered data set the one that AtomIdentifier reads from.
+   * @param {string} name
+   * @public
+   */
+  setActiveDataSet: function( name ) {
+    assert && assert( dataSets.hasOwnProperty( name ), 'no data set registered with the name ' + name );
+    this.activeDataSetProperty.value = dataSets[ name ];
+  }
+};
+
+shred.register( 'AtomicDataSetRegistry', AtomicDataSetRegistry );
+export default AtomicDataSetRegistry;
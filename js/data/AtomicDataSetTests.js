@@ -0,0 +1,117 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for AtomicDataSet and AtomicDataSetRegistry
+ *
+ * @author Luisa Vargas
+ */
+
+import AtomIdentifier from '../AtomIdentifier.js';
+import AtomicDataSet from './AtomicDataSet.js';
+import AtomicDataSetRegistry from './AtomicDataSetRegistry.js';
+import NuclearDataParser from './NuclearDataParser.js';
+
+QUnit.module( 'AtomicDataSet' );
+
+QUnit.test( 'validate', function( assert ) {
+  const defaultDataSet = AtomicDataSetRegistry.getDefaultDataSet();
+  assert.deepEqual( AtomicDataSet.validate( defaultDataSet ), [], 'the default data set is valid' );
+  AtomicDataSetRegistry.getDataSetNames().forEach( function( name ) {
+    assert.deepEqual( AtomicDataSet.validate( AtomicDataSetRegistry.getDataSet( name ) ), [], name + ' is valid' );
+  } );
+
+  const errors = AtomicDataSet.validate( { name: '', version: '1' } );
+  assert.ok( errors.indexOf( 'name must be a non-empty string' ) >= 0, 'empty name' );
+  assert.ok( errors.indexOf( 'missing isotopes' ) >= 0, 'missing component' );
+
+  const invalidDataSet = _.assign( {}, defaultDataSet, {
+    isotopes: _.assign( {}, defaultDataSet.isotopes, {
+      6: _.assign( {}, defaultDataSet.isotopes[ 6 ], {
+        12: _.assign( {}, defaultDataSet.isotopes[ 6 ][ 12 ], { abundance: 1.5 } )
+      } )
+    } )
+  } );
+  const invalidErrors = AtomicDataSet.validate( invalidDataSet );
+  assert.ok( invalidErrors.indexOf( 'Z = 6, A = 12: abundance must be a proportion between 0 and 1' ) >= 0,
+    'abundance out of range' );
+  assert.ok( invalidErrors.indexOf( 'Z = 6: abundances add up to more than one' ) >= 0, 'abundance sum' );
+} );
+
+QUnit.test( 'fromJSON', function( assert ) {
+  const defaultDataSet = AtomicDataSetRegistry.getDefaultDataSet();
+  const dataSet = AtomicDataSet.fromJSON( JSON.stringify( {
+    name: 'classroom',
+    version: '1',
+    standardAtomicWeights: {
+      6: { value: 12.011, uncertainty: 0.001 },
+      17: { value: 35.45, interval: [ 35.446, 35.457 ] },
+      43: { massNumberOfLongestLivedIsotope: 98 },
+      118: null
+    },
+    isotopes: {
+      6: { 14: { halfLife: 1E11 } },
+      26: { 60: { halfLife: 'stable' } },
+      120: { 300: { atomicMass: 300.1 } }
+    }
+  } ), defaultDataSet );
+
+  assert.equal( dataSet.name, 'classroom', 'name' );
+  assert.equal( dataSet.elementProperties, defaultDataSet.elementProperties, 'components are shared with the base' );
+  assert.deepEqual( dataSet.standardAtomicWeights[ 6 ],
+    { value: 12.011, uncertainty: 0.001, interval: null, isMassNumberOfLongestLivedIsotope: false }, 'uncertainty' );
+  assert.equal( dataSet.standardAtomicWeights[ 17 ].interval.min, 35.446, 'interval' );
+  assert.ok( dataSet.standardAtomicWeights[ 43 ].isMassNumberOfLongestLivedIsotope, 'longest-lived isotope' );
+  assert.equal( dataSet.standardAtomicWeights[ 118 ], null, 'no standard atomic weight' );
+  assert.equal( dataSet.standardAtomicWeights[ 1 ], defaultDataSet.standardAtomicWeights[ 1 ], 'other weights' );
+
+  assert.equal( dataSet.isotopes[ 6 ][ 14 ].halfLife, 1E11, 'half-life replaced' );
+  assert.equal( dataSet.isotopes[ 6 ][ 14 ].atomicMass, defaultDataSet.isotopes[ 6 ][ 14 ].atomicMass,
+    'other properties kept' );
+  assert.equal( dataSet.isotopes[ 26 ][ 60 ].halfLife, Number.POSITIVE_INFINITY, 'stable' );
+  const expectedMassExcess = 0.1 * NuclearDataParser.ATOMIC_MASS_UNIT_IN_KEV;
+  assert.ok( Math.abs( dataSet.isotopes[ 120 ][ 300 ].massExcess - expectedMassExcess ) < 1,
+    'mass excess of a new nuclide' );
+  assert.notEqual( defaultDataSet.isotopes[ 6 ][ 14 ].halfLife, 1E11, 'the base data set is unchanged' );
+
+  assert.throws( function() {
+    AtomicDataSet.fromJSON( '{ "name": "broken", "version": "1", "isotopes": { "6": { "12": { "abundance": 2 } } } }',
+      defaultDataSet );
+  }, Error, 'invalid data' );
+  assert.throws( function() {
+    AtomicDataSet.fromJSON( '{ "name": ', defaultDataSet );
+  }, Error, 'invalid JSON' );
+} );
+
+QUnit.test( 'AtomicDataSetRegistry', function( assert ) {
+  assert.equal( AtomicDataSetRegistry.getActiveDataSet(), AtomicDataSetRegistry.getDefaultDataSet(),
+    'the default data set is active initially' );
+
+  // the default data set has the standard atomic masses that the sims have always used
+  assert.equal( AtomIdentifier.getStandardAtomicMass( 1 ), 1.00794, 'hydrogen, as the sims have always used' );
+  assert.equal( AtomIdentifier.getStandardAtomicWeight( 1 ).uncertainty, 0.00007, 'with its uncertainty' );
+  assert.equal( AtomIdentifier.getStandardAtomicMass( 6 ), 12.0107, 'carbon' );
+  assert.equal( AtomIdentifier.getStandardAtomicMass( 43 ), 98, 'technetium' );
+  assert.equal( AtomIdentifier.getStandardAtomicMass( 92 ), 238.02891, 'heavier elements from CIAAW 2021' );
+
+  AtomicDataSetRegistry.setActiveDataSet( AtomicDataSetRegistry.CIAAW_2021_DATA_SET_NAME );
+  assert.equal( AtomIdentifier.getStandardAtomicMass( 1 ), 1.008, 'hydrogen, CIAAW 2021' );
+  assert.equal( AtomIdentifier.getStandardAtomicMass( 18 ), 39.95, 'argon, CIAAW 2021' );
+  assert.equal( AtomIdentifier.getStandardAtomicMass( 43 ), 97, 'technetium, CIAAW 2021' );
+
+  AtomicDataSetRegistry.setActiveDataSet( AtomicDataSetRegistry.CIAAW_2013_DATA_SET_NAME );
+  assert.equal( AtomIdentifier.getStandardAtomicMass( 18 ), 39.948, 'argon, CIAAW 2013' );
+  assert.equal( AtomIdentifier.getStandardAtomicMass( 1 ), 1.008, 'hydrogen did not change' );
+
+  const dataSet = AtomicDataSet.fromJSON( {
+    name: 'registryTest',
+    version: '1',
+    standardAtomicWeights: { 1: { value: 1.5, uncertainty: 0.1 } }
+  }, AtomicDataSetRegistry.getDefaultDataSet() );
+  AtomicDataSetRegistry.register( dataSet );
+  assert.equal( AtomicDataSetRegistry.getDataSet( 'registryTest' ), dataSet, 'registered' );
+  AtomicDataSetRegistry.setActiveDataSet( 'registryTest' );
+  assert.equal( AtomIdentifier.getStandardAtomicMass( 1 ), 1.5, 'a supplied data set' );
+
+  AtomicDataSetRegistry.setActiveDataSet( AtomicDataSetRegistry.DEFAULT_DATA_SET_NAME );
+  assert.equal( AtomicDataSetRegistry.getDataSet( 'nonexistent' ), null, 'unregistered name' );
+} );
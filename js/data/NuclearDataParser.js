@@ -0,0 +1,302 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Parsers for the fixed-width text formats used by the Atomic Mass Evaluation (AME) and the NUBASE evaluation of
+ * nuclear physics properties, see https://www-nds.iaea.org/amdc/.  Both parsers produce a table with the same shape
+ * as the isotope table in AtomIdentifier, i.e. keys of type atomic number, subkeys of type mass number, and values
+ * that hold the information for each nuclide.
+ *
+ * @author Luisa Vargas
+ */
+
+import shred from '../shred.js';
+
+// constants
+
+// Energy equivalent of the unified atomic mass unit in keV, from AME2020.  Mass excesses in both formats are given in
+// keV, so this is needed to convert them to atomic masses.
+const ATOMIC_MASS_UNIT_IN_KEV = 931494.10242;
+
+// Column positions (zero based, end exclusive) of the fields used from the NUBASE2020 format, as described in the
+// header of the nubase_4.mas20 file.
+const NUBASE_COLUMNS = {
+  massNumber: [ 0, 3 ],
+  atomicNumberAndIsomer: [ 4, 8 ],
+  massExcess: [ 18, 31 ],
+  excitationEnergy: [ 42, 54 ],
+  halfLife: [ 69, 78 ],
+  halfLifeUnit: [ 78, 80 ],
+  spinParity: [ 88, 102 ],
+  decayModes: [ 119, 209 ]
+};
+
+// Number of seconds in each of the half-life units used by NUBASE.  NUBASE defines a year as 365.2422 days.
+const SECONDS_PER_YEAR = 365.2422 * 24 * 60 * 60;
+const HALF_LIFE_UNITS = {
+  ys: 1E-24,
+  zs: 1E-21,
+  as: 1E-18,
+  fs: 1E-15,
+  ps: 1E-12,
+  ns: 1E-9,
+  us: 1E-6,
+  ms: 1E-3,
+  s: 1,
+  m: 60,
+  h: 60 * 60,
+  d: 24 * 60 * 60,
+  y: SECONDS_PER_YEAR,
+  ky: 1E3 * SECONDS_PER_YEAR,
+  My: 1E6 * SECONDS_PER_YEAR,
+  Gy: 1E9 * SECONDS_PER_YEAR,
+  Ty: 1E12 * SECONDS_PER_YEAR,
+  Py: 1E15 * SECONDS_PER_YEAR,
+  Ey: 1E18 * SECONDS_PER_YEAR,
+  Zy: 1E21 * SECONDS_PER_YEAR,
+  Yy: 1E24 * SECONDS_PER_YEAR
+};
+
+// Matches a single decay mode in the decay modes field, e.g. 'B-=100', 'B-n=50.8 4', 'A ~100' or 'SF=?'.  The groups
+// are the mode, the relation (which is ignored), and the intensity in percent.
+const DECAY_MODE_REGEX = /^([A-Za-z0-9+-]+)\s*(=|~|<|>)\s*([0-9.eE+-]*)/;
+
+// Column positions (zero based, end exclusive) of the fields used from the AME2020 format, as described in the header
+// of the mass_1.mas20 file.
+const AME_COLUMNS = {
+  neutronNumber: [ 4, 9 ],
+  atomicNumber: [ 9, 14 ],
+  massNumber: [ 14, 19 ],
+  element: [ 20, 23 ],
+  massExcess: [ 28, 42 ],
+  atomicMassInteger: [ 106, 109 ],
+  atomicMassMicroUnits: [ 110, 123 ]
+};
+
+/**
+ * Get the trimmed contents of a fixed-width field.  Lines in these files are sometimes stripped of trailing
+ * whitespace, so fields past the end of the line are treated as empty.
+ * @param {string} line
+ * @param {number[]} columns - start and end position of the field
+ * @returns {string}
+ */
+function getField( line, columns ) {
+  return line.substring( columns[ 0 ], columns[ 1 ] ).trim();
+}
+
+/**
+ * Parse a numeric value from one of the evaluations.  Values that were estimated from systematics rather than
+ * measured have a '#' in place of the decimal point, e.g. '37140#'.
+ * @param {string} field
+ * @returns {{value: number, isEstimated: boolean}|null} - null if the field is empty or not a number
+ */
+function parseValue( field ) {
+  const isEstimated = field.indexOf( '#' ) > -1;
+  const value = parseFloat( field.replace( '#', '.' ) );
+  return isNaN( value ) ? null : { value: value, isEstimated: isEstimated };
+}
+
+/**
+ * Add an entry to a table that is keyed by atomic number and then mass number.
+ * @param {Object} table
+ * @param {number} atomicNumber
+ * @param {number} massNumber
+ * @param {Object} entry
+ */
+function addTableEntry( table, atomicNumber, massNumber, entry ) {
+  if ( !table[ atomicNumber ] ) {
+    table[ atomicNumber ] = {};
+  }
+  table[ atomicNumber ][ massNumber ] = entry;
+}
+
+/**
+ * Parse the half-life of a nuclide from the NUBASE half-life and unit fields.
+ * @param {string} halfLifeField
+ * @param {string} unitField
+ * @returns {number} - half-life in seconds, infinity for stable nuclides, or -1 if the half-life is unknown
+ */
+function parseHalfLife( halfLifeField, unitField ) {
+  if ( halfLifeField === 'stbl' ) {
+    return Number.POSITIVE_INFINITY;
+  }
+
+  // limits such as '>5.8' are treated as the value itself
+  const halfLife = parseValue( halfLifeField.replace( /^[<>~]/, '' ) );
+  if ( halfLife === null || !HALF_LIFE_UNITS.hasOwnProperty( unitField ) ) {
+    return -1;
+  }
+  return halfLife.value * HALF_LIFE_UNITS[ unitField ];
+}
+
+/**
+ * Parse the spin and parity of a nuclide from the NUBASE spin and parity field, e.g. '3/2-', '(1/2+)', '5+#' or
+ * '(1-,2-)'.  Parentheses mean that the assignment is based on weak arguments, and '#' means that it was estimated
+ * from systematics.  If several spins are listed, only the first is used.
+ * @param {string} spinParityField
+ * @returns {{spin: number, parity: number|null, isTentative: boolean, isEstimated: boolean}|null} - null if the spin
+ *          is unknown.  parity is 1 for positive parity, -1 for negative parity and null if it is unknown.
+ */
+function parseSpinParity( spinParityField ) {
+  const match = /^(\d+)(?:\/(\d+))?([+-]?)/.exec( spinParityField.replace( /[()*#]/g, '' ) );
+  if ( match === null ) {
+    return null;
+  }
+
+  // the parity applies to all of the listed spins, so it is at the end when there are several
+  let paritySign = match[ 3 ];
+  if ( paritySign === '' ) {
+    const lastSign = /([+-])[^+-]*$/.exec( spinParityField );
+    paritySign = lastSign ? lastSign[ 1 ] : '';
+  }
+  const numerator = parseInt( match[ 1 ], 10 );
+  return {
+    spin: match[ 2 ] === undefined ? numerator : numerator / parseInt( match[ 2 ], 10 ),
+    parity: paritySign === '' ? null : ( paritySign === '+' ? 1 : -1 ),
+    isTentative: spinParityField.indexOf( '(' ) > -1,
+    isEstimated: spinParityField.indexOf( '#' ) > -1
+  };
+}
+
+/**
+ * Parse the decay modes from the NUBASE decay modes field, skipping the isotopic abundance.  Intensities are converted
+ * from percentages to proportions.  As in NUBASE, the intensity of a delayed particle emission mode such as 'B-n' is
+ * a part of the intensity of its primary mode, so the intensities can add up to more than one.
+ * @param {string} decayModesField
+ * @returns {{mode: string, branchingRatio: number|null}[]} - branchingRatio is null if it is unknown
+ */
+function parseDecayModes( decayModesField ) {
+  const decayModes = [];
+  decayModesField.split( ';' ).forEach( function( decayModeString ) {
+    const match = DECAY_MODE_REGEX.exec( decayModeString.trim() );
+    if ( match && match[ 1 ] !== 'IS' ) {
+      const intensity = parseFloat( match[ 3 ] );
+      decayModes.push( {
+        mode: match[ 1 ],
+        branchingRatio: isNaN( intensity ) ? null : intensity / 100
+      } );
+    }
+  } );
+  return decayModes;
+}
+
+const NuclearDataParser = {
+
+  ATOMIC_MASS_UNIT_IN_KEV: ATOMIC_MASS_UNIT_IN_KEV,
+
+  /**
+   * Convert a mass excess, in keV, to an atomic mass, in unified atomic mass units.
+   * @param {number} massNumber
+   * @param {number} massExcess - in keV
+   * @returns {number}
+   * @public
+   */
+  massExcessToAtomicMass: function( massNumber, massExcess ) {
+    return massNumber + massExcess / ATOMIC_MASS_UNIT_IN_KEV;
+  },
+
+  /**
+   * Parse text in the NUBASE format.  Comment lines, which start with '#', are skipped.  The isotopic abundance, which
+   * NUBASE lists along with the decay modes as 'IS=<percentage>', is converted to a proportion, and is zero for
+   * nuclides that don't occur in nature.  Half-lives are converted to seconds, see parseHalfLife, and spins and
+   * parities are parsed as described in parseSpinParity.
+   *
+   * The table entries describe ground states.  Excited states, i.e. the lines with a non-zero isomer index, are added
+   * to the isomers of the entry for the ground state, keyed by isomer index, so the ground state must be listed first,
+   * as it is in the NUBASE files.  Isomer entries have the same fields as ground state entries plus the excitation
+   * energy in keV.
+   *
+   * @param {string} text
+   * @returns {Object} - table with entries of the form
+   *                     { atomicMass, massExcess, isEstimated, abundance, halfLife, spinParity, decayModes, isomers }
+   * @public
+   */
+  parseNUBASE: function( text ) {
+    const table = {};
+    text.split( '\n' ).forEach( function( line ) {
+      if ( line.trim().length === 0 || line.charAt( 0 ) === '#' ) {
+        return;
+      }
+      const massNumber = parseInt( getField( line, NUBASE_COLUMNS.massNumber ), 10 );
+      const atomicNumberAndIsomer = parseInt( getField( line, NUBASE_COLUMNS.atomicNumberAndIsomer ), 10 );
+      const massExcess = parseValue( getField( line, NUBASE_COLUMNS.massExcess ) );
+      assert && assert( !isNaN( massNumber ) && !isNaN( atomicNumberAndIsomer ) && massExcess !== null,
+        'malformed NUBASE line: ' + line );
+
+      // the last digit is the isomer index, which is zero for ground states
+      const atomicNumber = Math.floor( atomicNumberAndIsomer / 10 );
+      const isomerIndex = atomicNumberAndIsomer % 10;
+
+      let abundance = 0;
+      getField( line, NUBASE_COLUMNS.decayModes ).split( ';' ).forEach( function( decayMode ) {
+        if ( decayMode.indexOf( 'IS=' ) === 0 ) {
+          abundance = parseFloat( decayMode.substring( 3 ) ) / 100;
+        }
+      } );
+
+      const entry = {
+        atomicMass: NuclearDataParser.massExcessToAtomicMass( massNumber, massExcess.value ),
+        massExcess: massExcess.value,
+        isEstimated: massExcess.isEstimated,
+        abundance: abundance,
+        halfLife: parseHalfLife(
+          getField( line, NUBASE_COLUMNS.halfLife ),
+          getField( line, NUBASE_COLUMNS.halfLifeUnit )
+        ),
+        spinParity: parseSpinParity( getField( line, NUBASE_COLUMNS.spinParity ) ),
+        decayModes: parseDecayModes( getField( line, NUBASE_COLUMNS.decayModes ) )
+      };
+
+      if ( isomerIndex === 0 ) {
+        entry.isomers = {};
+        addTableEntry( table, atomicNumber, massNumber, entry );
+      }
+      else {
+        const groundState = table[ atomicNumber ] && table[ atomicNumber ][ massNumber ];
+        assert && assert( groundState, 'excited state listed before its ground state: ' + line );
+
+        // if the excitation energy can't be parsed, derive it from the mass excesses
+        const excitationEnergy = parseValue( getField( line, NUBASE_COLUMNS.excitationEnergy ) );
+        entry.excitationEnergy = excitationEnergy === null ?
+                                 massExcess.value - groundState.massExcess :
+                                 excitationEnergy.value;
+        groundState.isomers[ isomerIndex ] = entry;
+      }
+    } );
+    return table;
+  },
+
+  /**
+   * Parse text in the AME format, e.g. the contents of mass_1.mas20.  The header lines of these files don't have a
+   * comment marker, so any line that doesn't contain a nuclide is skipped.  The atomic mass is listed in micro-units
+   * in the file and is converted to unified atomic mass units here.
+   *
+   * @param {string} text
+   * @returns {Object} - table with entries of the form { atomicMass, massExcess, isEstimated }
+   * @public
+   */
+  parseAME: function( text ) {
+    const table = {};
+    text.split( '\n' ).forEach( function( line ) {
+      const neutronNumber = parseInt( getField( line, AME_COLUMNS.neutronNumber ), 10 );
+      const atomicNumber = parseInt( getField( line, AME_COLUMNS.atomicNumber ), 10 );
+      const massNumber = parseInt( getField( line, AME_COLUMNS.massNumber ), 10 );
+      const massExcess = parseValue( getField( line, AME_COLUMNS.massExcess ) );
+      const atomicMassMicroUnits = parseValue( getField( line, AME_COLUMNS.atomicMassMicroUnits ) );
+      if ( isNaN( neutronNumber ) || isNaN( atomicNumber ) || neutronNumber + atomicNumber !== massNumber ||
+           !/^[A-Za-z]+$/.test( getField( line, AME_COLUMNS.element ) ) ||
+           massExcess === null || atomicMassMicroUnits === null ) {
+        return;
+      }
+      addTableEntry( table, atomicNumber, massNumber, {
+        atomicMass: parseInt( getField( line, AME_COLUMNS.atomicMassInteger ), 10 ) +
+                    atomicMassMicroUnits.value / 1E6,
+        massExcess: massExcess.value,
+        isEstimated: massExcess.isEstimated || atomicMassMicroUnits.isEstimated
+      } );
+    } );
+    return table;
+  }
+};
+
+shred.register( 'NuclearDataParser', NuclearDataParser );
+export default NuclearDataParser;
@@ -0,0 +1,168 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for NuclearDataParser
+ *
+ * @author Luisa Vargas
+ */
+
+import NuclearDataParser from './NuclearDataParser.js';
+
+QUnit.module( 'NuclearDataParser' );
+
+const SECONDS_PER_YEAR = 365.2422 * 24 * 60 * 60;
+
+/**
+ * Make a line of a fixed-width file from its fields, so that the test data stays readable.
+ * @param {Array.<Array>} fields - the zero based start column and text of each field, in order
+ * @returns {string}
+ */
+function makeLine( fields ) {
+  let line = '';
+  fields.forEach( function( field ) {
+    line = line.padEnd( field[ 0 ] ) + field[ 1 ];
+  } );
+  return line;
+}
+
+/**
+ * Make a line in the NUBASE format.
+ * @param {string} massNumber
+ * @param {string} atomicNumberAndIsomer
+ * @param {string} massExcess
+ * @param {string} excitationEnergy
+ * @param {string} halfLife
+ * @param {string} halfLifeUnit
+ * @param {string} spinParity
+ * @param {string} decayModes
+ * @returns {string}
+ */
+function makeNUBASELine( massNumber, atomicNumberAndIsomer, massExcess, excitationEnergy, halfLife, halfLifeUnit,
+                         spinParity, decayModes ) {
+  return makeLine( [ [ 0, massNumber ], [ 4, atomicNumberAndIsomer ], [ 18, massExcess ], [ 42, excitationEnergy ],
+    [ 69, halfLife ], [ 78, halfLifeUnit ], [ 88, spinParity ], [ 119, decayModes ] ] );
+}
+
+/**
+ * Make a line in the AME format.
+ * @param {string} neutronNumber
+ * @param {string} atomicNumber
+ * @param {string} massNumber
+ * @param {string} element
+ * @param {string} massExcess
+ * @param {string} atomicMassInteger
+ * @param {string} atomicMassMicroUnits
+ * @returns {string}
+ */
+function makeAMELine( neutronNumber, atomicNumber, massNumber, element, massExcess, atomicMassInteger,
+                      atomicMassMicroUnits ) {
+  return makeLine( [ [ 4, neutronNumber ], [ 9, atomicNumber ], [ 14, massNumber ], [ 20, element ],
+    [ 28, massExcess ], [ 106, atomicMassInteger.padStart( 3 ) ], [ 110, atomicMassMicroUnits ] ] );
+}
+
+/**
+ * @param {Object} assert
+ * @param {number} actual
+ * @param {number} expected
+ * @param {string} message
+ */
+function assertClose( assert, actual, expected, message ) {
+  assert.ok( Math.abs( actual - expected ) <= Math.abs( expected ) * 1E-12, message + ': ' + actual );
+}
+
+QUnit.test( 'parseNUBASE', function( assert ) {
+  const table = NuclearDataParser.parseNUBASE( [
+    '# comment lines are skipped',
+    makeNUBASELine( '005', '0040', '37140#', '', '', '', '(1/2+)#', 'p=100' ),
+    makeNUBASELine( '011', '0030', '40728.3', '', '8.75', 'ms', '3/2-', 'B-=100;B-n=86.3;B-2n=4.1;B-A=1.7' ),
+    makeNUBASELine( '012', '0060', '0.0', '', 'stbl', '', '0+', 'IS=98.93' ),
+    makeNUBASELine( '014', '0060', '3019.893634', '', '5.70', 'ky', '0+', 'B-=100' ),
+    '',
+    makeNUBASELine( '040', '0190', '-33535.203558', '', '1.248', 'Gy', '4-', 'IS=0.0117;B-=89.28;B+=10.72' ),
+    makeNUBASELine( '099', '0430', '-87323.194080', '', '211.1', 'ky', '9/2+', 'B-=100' ),
+    makeNUBASELine( '099', '0431', '-87180.5105', '142.6836', '6.0072', 'h', '1/2-', 'IT=100;B-=3.7e-3' ),
+    makeNUBASELine( '099', '0432', '-87180.5', '', '', '', '(1-,2-)', '' )
+  ].join( '\n' ) );
+
+  assert.deepEqual( Object.keys( table ), [ '3', '4', '6', '19', '43' ], 'atomic numbers' );
+  assert.deepEqual( Object.keys( table[ 6 ] ), [ '12', '14' ], 'mass numbers' );
+
+  const carbon14 = table[ 6 ][ 14 ];
+  assertClose( assert, carbon14.atomicMass, 14 + 3019.893634 / NuclearDataParser.ATOMIC_MASS_UNIT_IN_KEV,
+    'atomic mass of C-14' );
+  assert.equal( carbon14.massExcess, 3019.893634, 'mass excess of C-14' );
+  assert.equal( carbon14.isEstimated, false, 'C-14 mass is measured' );
+  assert.equal( carbon14.abundance, 0, 'C-14 has no isotopic abundance' );
+  assertClose( assert, carbon14.halfLife, 5700 * SECONDS_PER_YEAR, 'half-life of C-14' );
+  assert.deepEqual( carbon14.spinParity, { spin: 0, parity: 1, isTentative: false, isEstimated: false },
+    'spin and parity of C-14' );
+  assert.deepEqual( carbon14.decayModes, [ { mode: 'B-', branchingRatio: 1 } ], 'decay modes of C-14' );
+  assert.deepEqual( carbon14.isomers, {}, 'C-14 has no isomers' );
+
+  assert.equal( table[ 6 ][ 12 ].halfLife, Number.POSITIVE_INFINITY, 'C-12 is stable' );
+  assertClose( assert, table[ 6 ][ 12 ].abundance, 0.9893, 'abundance of C-12' );
+  assert.deepEqual( table[ 6 ][ 12 ].decayModes, [], 'the abundance is not a decay mode' );
+
+  const potassium40 = table[ 19 ][ 40 ];
+  assertClose( assert, potassium40.abundance, 0.000117, 'abundance of K-40' );
+  assert.deepEqual( potassium40.decayModes, [
+    { mode: 'B-', branchingRatio: 0.8928 },
+    { mode: 'B+', branchingRatio: 0.1072 }
+  ], 'decay modes of K-40' );
+  assert.equal( potassium40.spinParity.parity, -1, 'parity of K-40' );
+
+  assert.deepEqual( table[ 3 ][ 11 ].decayModes.map( function( decayMode ) { return decayMode.mode; } ),
+    [ 'B-', 'B-n', 'B-2n', 'B-A' ], 'delayed particle emission modes of Li-11' );
+  assertClose( assert, table[ 3 ][ 11 ].halfLife, 8.75E-3, 'half-life of Li-11' );
+
+  const beryllium5 = table[ 4 ][ 5 ];
+  assert.equal( beryllium5.massExcess, 37140, 'estimated mass excess of Be-5' );
+  assert.equal( beryllium5.isEstimated, true, 'Be-5 mass is estimated' );
+  assert.equal( beryllium5.halfLife, -1, 'the half-life of Be-5 is unknown' );
+  assert.deepEqual( beryllium5.spinParity, { spin: 0.5, parity: 1, isTentative: true, isEstimated: true },
+    'tentative, estimated spin and parity of Be-5' );
+
+  const technetium99 = table[ 43 ][ 99 ];
+  assert.deepEqual( Object.keys( technetium99.isomers ), [ '1', '2' ], 'isomers of Tc-99' );
+  const technetium99m = technetium99.isomers[ 1 ];
+  assert.equal( technetium99m.excitationEnergy, 142.6836, 'excitation energy of Tc-99m' );
+  assertClose( assert, technetium99m.halfLife, 6.0072 * 60 * 60, 'half-life of Tc-99m' );
+  assert.equal( technetium99m.decayModes[ 0 ].mode, 'IT', 'Tc-99m decays by isomeric transition' );
+  assertClose( assert, technetium99m.decayModes[ 1 ].branchingRatio, 3.7E-5, 'B- branch of Tc-99m' );
+  assert.ok( Math.abs( technetium99.isomers[ 2 ].excitationEnergy - 142.694080 ) < 1E-6,
+    'excitation energy derived from the mass excesses' );
+  assert.deepEqual( technetium99.isomers[ 2 ].spinParity,
+    { spin: 1, parity: -1, isTentative: true, isEstimated: false }, 'the first of several spins is used' );
+
+  if ( window.assert ) {
+    assert.throws( function() {
+      NuclearDataParser.parseNUBASE( makeNUBASELine( '099', '0431', '-87180.5', '142.6836', '6.0072', 'h', '', '' ) );
+    }, Error, 'an excited state must be listed after its ground state' );
+  }
+} );
+
+QUnit.test( 'parseAME', function( assert ) {
+  const table = NuclearDataParser.parseAME( [
+    '   AME format, the header lines have no comment marker',
+    makeAMELine( 'N', 'Z', 'A', 'EL', 'mass excess', '', 'atomic mass' ),
+    makeAMELine( '4', '4', '8', 'Be', '4941.671', '8', '005305.102' ),
+    makeAMELine( '8', '6', '14', 'C', '3019.8931', '14', '003241.9884' ),
+    makeAMELine( '3', '1', '4', 'H', '24619#', '4', '026430#' ),
+    makeAMELine( '8', '6', '15', 'C', '9873.1', '15', '010599.3' ),
+    makeAMELine( '56', '43', '99', 'Tc', '-87326.8', '98', '906250.8' )
+  ].join( '\n' ) );
+
+  assert.deepEqual( Object.keys( table ), [ '1', '4', '6', '43' ], 'atomic numbers' );
+  assert.deepEqual( Object.keys( table[ 6 ] ), [ '14' ], 'a line where N + Z is not A is skipped' );
+  assertClose( assert, table[ 6 ][ 14 ].atomicMass, 14.0032419884, 'atomic mass of C-14' );
+  assert.equal( table[ 6 ][ 14 ].massExcess, 3019.8931, 'mass excess of C-14' );
+  assert.equal( table[ 6 ][ 14 ].isEstimated, false, 'C-14 mass is measured' );
+  assertClose( assert, table[ 43 ][ 99 ].atomicMass, 98.9062508, 'atomic mass of Tc-99' );
+  assert.equal( table[ 1 ][ 4 ].isEstimated, true, 'H-4 mass is estimated' );
+  assertClose( assert, table[ 1 ][ 4 ].atomicMass, 4.02643, 'estimated atomic mass of H-4' );
+} );
+
+QUnit.test( 'massExcessToAtomicMass', function( assert ) {
+  assert.equal( NuclearDataParser.massExcessToAtomicMass( 12, 0 ), 12, 'C-12 defines the atomic mass unit' );
+  assert.ok( Math.abs( NuclearDataParser.massExcessToAtomicMass( 1, 7288.971064 ) - 1.00782503223 ) < 1E-9, 'H-1' );
+} );
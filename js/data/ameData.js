@@ -0,0 +1,3377 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Atomic masses of all of the nuclides that have been observed, in the fixed-width text format of the Atomic Mass
+ * Evaluation (AME), see https://www-nds.iaea.org/amdc/.  The masses are those of the NIST Atomic Weights and Isotopic
+ * Compositions database, see https://www.nist.gov/pml/atomic-weights-and-isotopic-compositions-relative-atomic-masses,
+ * which are from AME2016, and the mass excesses are calculated from them.  Only the columns that are read by
+ * NuclearDataParser.parseAME are filled in, and since the NIST database doesn't mark the masses that are estimated from
+ * systematics, none of them are marked as estimated here.  This complements the NUBASE excerpt in nubaseData.js, which
+ * takes precedence for the nuclides that are in both, see AtomicDataSetRegistry.  The full mass_1.mas20 file can be
+ * parsed with NuclearDataParser too.
+ *
+ * @author Luisa Vargas
+ */
+
+import shred from '../shred.js';
+
+const ameData = `
+   AME format, see the header of mass_1.mas20 for the complete description.
+   col 2-4 N-Z, col 5-9 N, col 10-14 Z, col 15-19 A, col 21-23 element, col 29-42 mass excess in keV,
+   col 107-109 and 111-123 atomic mass in micro-u, e.g. 1 007825.03223 for 1.00782503223 u
+  -1    0    1    1 H          7288.97137                                                                   1 007825.03223
+   0    1    1    2 H         13135.72315                                                                   2 014101.77812
+   1    2    1    3 H         14949.8077                                                                    3 016049.2779
+   2    3    1    4 H         24619                                                                         4 026430.
+   3    4    1    5 H         32892                                                                         5 035311.
+   4    5    1    6 H         41880                                                                         6 044960.
+   5    6    1    7 H         49090                                                                         7 052700.
+  -1    1    2    3 He        14931.2171                                                                    3 016029.3201
+   0    2    2    4 He         2424.91587                                                                   4 002603.25413
+   1    3    2    5 He        11231                                                                         5 012057.
+   2    4    2    6 He        17592.096                                                                     6 018885.891
+   3    5    2    7 He        26073.2                                                                       7 027990.7
+   4    6    2    8 He        31609.68                                                                      8 033934.39
+   5    7    2    9 He        40935                                                                         9 043946.
+   6    8    2   10 He        49174                                                                        10 052790.
+  -3    0    3    3 Li        28690                                                                         3 030800.
+  -2    1    3    4 Li        25327                                                                         4 027190.
+  -1    2    3    5 Li        11679                                                                         5 012538.
+   0    3    3    6 Li        14086.8804                                                                    6 015122.8874
+   1    4    3    7 Li        14907.1068                                                                    7 016003.4366
+   2    5    3    8 Li        20945.806                                                                     8 022486.246
+   3    6    3    9 Li        24954.90                                                                      9 026790.19
+   4    7    3   10 Li        33052                                                                        10 035483.
+   5    8    3   11 Li        40728.26                                                                     11 043723.58
+   6    9    3   12 Li        48919                                                                        12 052517.
+   7   10    3   13 Li        58339                                                                        13 062630.
+  -3    1    4    5 Be        37167                                                                         5 039900.
+  -2    2    4    6 Be        18375.0                                                                       6 019726.4
+  -1    3    4    7 Be        15769.000                                                                     7 016928.717
+   0    4    4    8 Be         4941.671                                                                     8 005305.102
+   1    5    4    9 Be        11348.453                                                                     9 012183.065
+   2    6    4   10 Be        12607.489                                                                    10 013534.695
+   3    7    4   11 Be        20177.17                                                                     11 021661.08
+   4    8    4   12 Be        25077.8                                                                      12 026922.1
+   5    9    4   13 Be        33660                                                                        13 036135.
+   6   10    4   14 Be        39952                                                                        14 042890.
+   7   11    4   15 Be        49760                                                                        15 053420.
+   8   12    4   16 Be        57445                                                                        16 061670.
+  -4    1    5    6 B         47320                                                                         6 050800.
+  -3    2    5    7 B         27677                                                                         7 029712.
+  -2    3    5    8 B         22921.6                                                                       8 024607.3
+  -1    4    5    9 B         12416.49                                                                      9 013329.65
+   0    5    5   10 B         12050.69                                                                     10 012936.95
+   1    6    5   11 B          8667.89                                                                     11 009305.36
+   2    7    5   12 B         13369.5                                                                      12 014352.7
+   3    8    5   13 B         16562.2                                                                      13 017780.2
+   4    9    5   14 B         23664                                                                        14 025404.
+   5   10    5   15 B         28958                                                                        15 031088.
+   6   11    5   16 B         37113                                                                        16 039842.
+   7   12    5   17 B         43771                                                                        17 046990.
+   8   13    5   18 B         51847                                                                        18 055660.
+   9   14    5   19 B         58777                                                                        19 063100.
+  10   15    5   20 B         67133                                                                        20 072070.
+  11   16    5   21 B         75721                                                                        21 081290.
+  -4    2    6    8 C         35064                                                                         8 037643.
+  -3    3    6    9 C         28911.0                                                                       9 031037.2
+  -2    4    6   10 C         15698.76                                                                     10 016853.31
+  -1    5    6   11 C         10650.3                                                                      11 011433.6
+   0    6    6   12 C             0                                                                        12 000000.
+   1    7    6   13 C          3125.00908                                                                  13 003354.83507
+   2    8    6   14 C          3019.8931                                                                   14 003241.9884
+   3    9    6   15 C          9873.15                                                                     15 010599.26
+   4   10    6   16 C         13694.2                                                                      16 014701.3
+   5   11    6   17 C         21030                                                                        17 022577.
+   6   12    6   18 C         24918                                                                        18 026751.
+   7   13    6   19 C         32416                                                                        19 034800.
+   8   14    6   20 C         37558                                                                        20 040320.
+   9   15    6   21 C         45643                                                                        21 049000.
+  10   16    6   22 C         53589                                                                        22 057530.
+  11   17    6   23 C         64180                                                                        23 068900.
+  -4    3    7   10 N         38797                                                                        10 041650.
+  -3    4    7   11 N         24304                                                                        11 026091.
+  -2    5    7   12 N         17338.1                                                                      12 018613.2
+  -1    6    7   13 N          5345.48                                                                     13 005738.61
+   0    7    7   14 N          2863.41700                                                                  14 003074.00443
+   1    8    7   15 N           101.43866                                                                  15 000108.89888
+   2    9    7   16 N          5683.9                                                                      16 006101.9
+   3   10    7   17 N          7870                                                                        17 008449.
+   4   11    7   18 N         13114                                                                        18 014078.
+   5   12    7   19 N         15856                                                                        19 017022.
+   6   13    7   20 N         21765                                                                        20 023366.
+   7   14    7   21 N         25253                                                                        21 027110.
+   8   15    7   22 N         32034                                                                        22 034390.
+   9   16    7   23 N         38322                                                                        23 041140.
+  10   17    7   24 N         46938                                                                        24 050390.
+  11   18    7   25 N         55983                                                                        25 060100.
+  -4    4    8   12 O         31915                                                                        12 034262.
+  -3    5    8   13 O         23115                                                                        13 024815.
+  -2    6    8   14 O          8007.46                                                                     14 008596.36
+  -1    7    8   15 O          2855.61                                                                     15 003065.62
+   0    8    8   16 O         -4737.00188                                                                  15 994914.61957
+   1    9    8   17 O          -808.7637                                                                   16 999131.7565
+   2   10    8   18 O          -782.81566                                                                  17 999159.61286
+   3   11    8   19 O          3333                                                                        19 003578.
+   4   12    8   20 O          3796.16                                                                     20 004075.35
+   5   13    8   21 O          8062                                                                        21 008655.
+   6   14    8   22 O          9283                                                                        22 009966.
+   7   15    8   23 O         14621                                                                        23 015696.
+   8   16    8   24 O         18499                                                                        24 019860.
+   9   17    8   25 O         27349                                                                        25 029360.
+  10   18    8   26 O         34735                                                                        26 037290.
+  11   19    8   27 O         44451                                                                        27 047720.
+  12   20    8   28 O         52080                                                                        28 055910.
+  -4    5    9   14 F         31964                                                                        14 034315.
+  -3    6    9   15 F         16807                                                                        15 018043.
+  -2    7    9   16 F         10680.2                                                                      16 011465.7
+  -1    8    9   17 F          1951.70                                                                     17 002095.24
+   0    9    9   18 F           873.12                                                                     18 000937.33
+   1   10    9   19 F         -1487.44450                                                                  18 998403.16273
+   2   11    9   20 F           -17.464                                                                    19 999981.252
+   3   12    9   21 F           -47.6                                                                      20 999948.9
+   4   13    9   22 F          2794                                                                        22 002999.
+   5   14    9   23 F          3313                                                                        23 003557.
+   6   15    9   24 F          7559                                                                        24 008115.
+   7   16    9   25 F         11363                                                                        25 012199.
+   8   17    9   26 F         18665                                                                        26 020038.
+   9   18    9   27 F         24629                                                                        27 026440.
+  10   19    9   28 F         32919                                                                        28 035340.
+  11   20    9   29 F         39626                                                                        29 042540.
+  12   21    9   30 F         48112                                                                        30 051650.
+  13   22    9   31 F         55620                                                                        31 059710.
+  -4    6   10   16 Ne        23986                                                                        16 025750.
+  -3    7   10   17 Ne        16500.45                                                                     17 017713.96
+  -2    8   10   18 Ne         5317.6                                                                      18 005708.7
+  -1    9   10   19 Ne         1752.06                                                                     19 001880.91
+   0   10   10   20 Ne        -7041.9313                                                                   19 992440.1762
+   1   11   10   21 Ne        -5731.777                                                                    20 993846.685
+   2   12   10   22 Ne        -8024.716                                                                    21 991385.114
+   3   13   10   23 Ne        -5154.04                                                                     22 994466.91
+   4   14   10   24 Ne        -5951.64                                                                     23 993610.65
+   5   15   10   25 Ne        -2060                                                                        24 997789.
+   6   16   10   26 Ne          480                                                                        26 000515.
+   7   17   10   27 Ne         7036                                                                        27 007553.
+   8   18   10   28 Ne        11290                                                                        28 012120.
+   9   19   10   29 Ne        18397                                                                        29 019750.
+  10   20   10   30 Ne        23036                                                                        30 024730.
+  11   21   10   31 Ne        30832                                                                        31 033100.
+  12   22   10   32 Ne        36999                                                                        32 039720.
+  13   23   10   33 Ne        45997                                                                        33 049380.
+  14   24   10   34 Ne        52844                                                                        34 056730.
+  -4    7   11   18 Na        25039                                                                        18 026880.
+  -3    8   11   19 Na        12929                                                                        19 013880.
+  -2    9   11   20 Na         6850.6                                                                      20 007354.4
+  -1   10   11   21 Na        -2184.64                                                                     20 997654.69
+   0   11   11   22 Na        -5181.52                                                                     21 994437.41
+   1   12   11   23 Na        -9529.853                                                                    22 989769.282
+   2   13   11   24 Na        -8417.96                                                                     23 990962.95
+   3   14   11   25 Na        -9358                                                                        24 989954.
+   4   15   11   26 Na        -6860.8                                                                      25 992634.6
+   5   16   11   27 Na        -5517.7                                                                      26 994076.5
+   6   17   11   28 Na         -988                                                                        27 998939.
+   7   18   11   29 Na         2680.0                                                                      29 002877.1
+   8   19   11   30 Na         8474.6                                                                      30 009097.9
+   9   20   11   31 Na        12261                                                                        31 013163.
+  10   21   11   32 Na        18807                                                                        32 020190.
+  11   22   11   33 Na        23967                                                                        33 025730.
+  12   23   11   34 Na        31289                                                                        34 033590.
+  13   24   11   35 Na        37837                                                                        35 040620.
+  14   25   11   36 Na        45913                                                                        36 049290.
+  15   26   11   37 Na        53142                                                                        37 057050.
+  -5    7   12   19 Mg        31828                                                                        19 034169.
+  -4    8   12   20 Mg        17559                                                                        20 018850.
+  -3    9   12   21 Mg        10913                                                                        21 011716.
+  -2   10   12   22 Mg         -399.94                                                                     21 999570.65
+  -1   11   12   23 Mg        -5473.26                                                                     22 994124.21
+   0   12   12   24 Mg       -13933.571                                                                    23 985041.697
+   1   13   12   25 Mg       -13192.773                                                                    24 985836.976
+   2   14   12   26 Mg       -16214.548                                                                    25 982592.968
+   3   15   12   27 Mg       -14586.616                                                                    26 984340.624
+   4   16   12   28 Mg       -15018.8                                                                      27 983876.7
+   5   17   12   29 Mg       -10603                                                                        28 988617.
+   6   18   12   30 Mg        -8883.8                                                                      29 990462.9
+   7   19   12   31 Mg        -3122                                                                        30 996648.
+   8   20   12   32 Mg         -828.8                                                                      31 999110.2
+   9   21   12   33 Mg         4962.2                                                                      33 005327.1
+  10   22   12   34 Mg         8323                                                                        34 008935.
+  11   23   12   35 Mg        15640                                                                        35 016790.
+  12   24   12   36 Mg        20381                                                                        36 021880.
+  13   25   12   37 Mg        28289                                                                        37 030370.
+  14   26   12   38 Mg        34074                                                                        38 036580.
+  15   27   12   39 Mg        42271                                                                        39 045380.
+  16   28   12   40 Mg        48605                                                                        40 052180.
+  -5    8   13   21 Al        26985                                                                        21 028970.
+  -4    9   13   22 Al        18201                                                                        22 019540.
+  -3   10   13   23 Al         6748.07                                                                     23 007244.35
+  -2   11   13   24 Al          -47.6                                                                      23 999948.9
+  -1   12   13   25 Al        -8916.2                                                                      24 990428.1
+   0   13   13   26 Al       -12210.114                                                                    25 986891.904
+   1   14   13   27 Al       -17196.75                                                                     26 981538.53
+   2   15   13   28 Al       -16850.53                                                                     27 981910.21
+   3   16   13   29 Al       -18204.7                                                                      28 980456.5
+   4   17   13   30 Al       -15873                                                                        29 982960.
+   5   18   13   31 Al       -14955                                                                        30 983945.
+   6   19   13   32 Al       -11099                                                                        31 988085.
+   7   20   13   33 Al        -8468                                                                        32 990909.
+   8   21   13   34 Al        -3069                                                                        33 996705.
+   9   22   13   35 Al         -220                                                                        34 999764.
+  10   23   13   36 Al         5952                                                                        36 006390.
+  11   24   13   37 Al         9809                                                                        37 010530.
+  12   25   13   38 Al        16208                                                                        38 017400.
+  13   26   13   39 Al        20996                                                                        39 022540.
+  14   27   13   40 Al        27973                                                                        40 030030.
+  15   28   13   41 Al        33888                                                                        41 036380.
+  16   29   13   42 Al        40837                                                                        42 043840.
+  17   30   13   43 Al        47944                                                                        43 051470.
+  -6    8   14   22 Si        33338                                                                        22 035790.
+  -5    9   14   23 Si        23697                                                                        23 025440.
+  -4   10   14   24 Si        10745                                                                        24 011535.
+  -3   11   14   25 Si         3828                                                                        25 004109.
+  -2   12   14   26 Si        -7140.98                                                                     25 992333.84
+  -1   13   14   27 Si       -12384.39                                                                     26 986704.81
+   0   14   14   28 Si       -21492.79690                                                                  27 976926.53465
+   1   15   14   29 Si       -21895.0810                                                                   28 976494.6649
+   2   16   14   30 Si       -24432.964                                                                    29 973770.136
+   3   17   14   31 Si       -22949.039                                                                    30 975363.194
+   4   18   14   32 Si       -24077.69                                                                     31 974151.54
+   5   19   14   33 Si       -20514.33                                                                     32 977976.96
+   6   20   14   34 Si       -19956                                                                        33 978576.
+   7   21   14   35 Si       -14361                                                                        34 984583.
+   8   22   14   36 Si       -12394                                                                        35 986695.
+   9   23   14   37 Si        -6594                                                                        36 992921.
+  10   24   14   38 Si        -4170                                                                        37 995523.
+  11   25   14   39 Si         2320                                                                        39 002491.
+  12   26   14   40 Si         5431                                                                        40 005830.
+  13   27   14   41 Si        12119                                                                        41 013010.
+  14   28   14   42 Si        16562                                                                        42 017780.
+  15   29   14   43 Si        23101                                                                        43 024800.
+  16   30   14   44 Si        28513                                                                        44 030610.
+  17   31   14   45 Si        37213                                                                        45 039950.
+  -6    9   15   24 P         33320                                                                        24 035770.
+  -5   10   15   25 P         19738                                                                        25 021190.
+  -4   11   15   26 P         10973                                                                        26 011780.
+  -3   12   15   27 P          -723                                                                        26 999224.
+  -2   13   15   28 P         -7147.7                                                                      27 992326.6
+  -1   14   15   29 P        -16952.46                                                                     28 981800.79
+   0   15   15   30 P        -20200.61                                                                     29 978313.75
+   1   16   15   31 P        -24440.54373                                                                  30 973761.99842
+   2   17   15   32 P        -24304.877                                                                    31 973907.643
+   3   18   15   33 P        -26337.3                                                                      32 971725.7
+   4   19   15   34 P        -24548.70                                                                     33 973645.89
+   5   20   15   35 P        -24857.8                                                                      34 973314.1
+   6   21   15   36 P        -20251                                                                        35 978260.
+   7   22   15   37 P        -18996                                                                        36 979607.
+   8   23   15   38 P        -14669                                                                        37 984252.
+   9   24   15   39 P        -12829                                                                        38 986227.
+  10   25   15   40 P         -8076                                                                        39 991330.
+  11   26   15   41 P         -4980                                                                        40 994654.
+  12   27   15   42 P          1006                                                                        42 001080.
+  13   28   15   43 P          4676                                                                        43 005020.
+  14   29   15   44 P         10442                                                                        44 011210.
+  15   30   15   45 P         15323                                                                        45 016450.
+  16   31   15   46 P         22784                                                                        46 024460.
+  17   32   15   47 P         29240                                                                        47 031390.
+  -6   10   16   26 S         27079                                                                        26 029070.
+  -5   11   16   27 S         17028                                                                        27 018280.
+  -4   12   16   28 S          4071                                                                        28 004370.
+  -3   13   16   29 S         -3157                                                                        28 996611.
+  -2   14   16   30 S        -14059.01                                                                     29 984907.03
+  -1   15   16   31 S        -19042.52                                                                     30 979557.01
+   0   16   16   32 S        -26015.5363                                                                   31 972071.1744
+   1   17   16   33 S        -26585.8572                                                                   32 971458.9098
+   2   18   16   34 S        -29931.696                                                                    33 967867.004
+   3   19   16   35 S        -28846.22                                                                     34 969032.31
+   4   20   16   36 S        -30664.12                                                                     35 967080.71
+   5   21   16   37 S        -26896.42                                                                     36 971125.51
+   6   22   16   38 S        -26861.2                                                                      37 971163.3
+   7   23   16   39 S        -23163                                                                        38 975134.
+   8   24   16   40 S        -22837.8                                                                      39 975482.6
+   9   25   16   41 S        -19008.5                                                                      40 979593.5
+  10   26   16   42 S        -17637.7                                                                      41 981065.1
+  11   27   16   43 S        -12195.5                                                                      42 986907.6
+  12   28   16   44 S         -9204.3                                                                      43 990118.8
+  13   29   16   45 S         -3987                                                                        44 995720.
+  14   30   16   46 S            37                                                                        46 000040.
+  15   31   16   47 S          7405                                                                        47 007950.
+  16   32   16   48 S         12761                                                                        48 013700.
+  17   33   16   49 S         21201                                                                        49 022760.
+  -6   11   17   28 Cl        27516                                                                        28 029540.
+  -5   12   17   29 Cl        13767                                                                        29 014780.
+  -4   13   17   30 Cl         4443                                                                        30 004770.
+  -3   14   17   31 Cl        -7066                                                                        30 992414.
+  -2   15   17   32 Cl       -13334.67                                                                     31 985684.64
+  -1   16   17   33 Cl       -21003.34                                                                     32 977451.99
+   0   17   17   34 Cl       -24440.090                                                                    33 973762.485
+   1   18   17   35 Cl       -29013.543                                                                    34 968852.682
+   2   19   17   36 Cl       -29522.021                                                                    35 968306.809
+   3   20   17   37 Cl       -31761.525                                                                    36 965902.602
+   4   21   17   38 Cl       -29798.09                                                                     37 968010.44
+   5   22   17   39 Cl       -29800.2                                                                      38 968008.2
+   6   23   17   40 Cl       -27558                                                                        39 970415.
+   7   24   17   41 Cl       -27307                                                                        40 970685.
+   8   25   17   42 Cl       -24917                                                                        41 973250.
+   9   26   17   43 Cl       -24321                                                                        42 973890.
+  10   27   17   44 Cl       -20614                                                                        43 977870.
+  11   28   17   45 Cl       -18360                                                                        44 980290.
+  12   29   17   46 Cl       -13814                                                                        45 985170.
+  13   30   17   47 Cl       -10097                                                                        46 989160.
+  14   31   17   48 Cl        -4061                                                                        47 995640.
+  15   32   17   49 Cl         1146                                                                        49 001230.
+  16   33   17   50 Cl         8430                                                                        50 009050.
+  17   34   17   51 Cl        14475                                                                        51 015540.
+  -6   12   18   30 Ar        21490                                                                        30 023070.
+  -5   13   18   31 Ar        11290                                                                        31 012120.
+  -4   14   18   32 Ar        -2200.4                                                                      31 997637.8
+  -3   15   18   33 Ar        -9384.29                                                                     32 989925.55
+  -2   16   18   34 Ar       -18378.29                                                                     33 980270.09
+  -1   17   18   35 Ar       -23047.41                                                                     34 975257.59
+   0   18   18   36 Ar       -30231.543                                                                    35 967545.105
+   1   19   18   37 Ar       -30947.65                                                                     36 966776.33
+   2   20   18   38 Ar       -34714.82                                                                     37 962732.11
+   3   21   18   39 Ar       -33242                                                                        38 964313.
+   4   22   18   40 Ar       -35039.8984                                                                   39 962383.1237
+   5   23   18   41 Ar       -33067.51                                                                     40 964500.57
+   6   24   18   42 Ar       -34422.7                                                                      41 963045.7
+   7   25   18   43 Ar       -32009.8                                                                      42 965636.1
+   8   26   18   44 Ar       -32673.3                                                                      43 964923.8
+   9   27   18   45 Ar       -29770.80                                                                     44 968039.73
+  10   28   18   46 Ar       -29730                                                                        45 968083.
+  11   29   18   47 Ar       -25211                                                                        46 972935.
+  12   30   18   48 Ar       -22440                                                                        47 975910.
+  13   31   18   49 Ar       -16860                                                                        48 981900.
+  14   32   18   50 Ar       -12920                                                                        49 986130.
+  15   33   18   51 Ar        -5868                                                                        50 993700.
+  16   34   18   52 Ar         -969                                                                        51 998960.
+  17   35   18   53 Ar         6791                                                                        53 007290.
+  -6   13   19   32 K         21098                                                                        32 022650.
+  -5   14   19   33 K          7042                                                                        33 007560.
+  -4   15   19   34 K         -1220                                                                        33 998690.
+  -3   16   19   35 K        -11172.89                                                                     34 988005.41
+  -2   17   19   36 K        -17417.07                                                                     35 981302.01
+  -1   18   19   37 K        -24800.20                                                                     36 973375.89
+   0   19   19   38 K        -28800.75                                                                     37 969081.12
+   1   20   19   39 K        -33807.1939                                                                   38 963706.4864
+   2   21   19   40 K        -33535.496                                                                    39 963998.166
+   3   22   19   41 K        -35559.5471                                                                   40 961825.2579
+   4   23   19   42 K        -35022.03                                                                     41 962402.31
+   5   24   19   43 K        -36575.4                                                                      42 960734.7
+   6   25   19   44 K        -35781.49                                                                     43 961586.99
+   7   26   19   45 K        -36615.65                                                                     44 960691.49
+   8   27   19   46 K        -35413.92                                                                     45 961981.59
+   9   28   19   47 K        -35712.0                                                                      46 961661.6
+  10   29   19   48 K        -32284.48                                                                     47 965341.19
+  11   30   19   49 K        -29611.50                                                                     48 968210.75
+  12   31   19   50 K        -25728                                                                        49 972380.
+  13   32   19   51 K        -22516                                                                        50 975828.
+  14   33   19   52 K        -16543                                                                        51 982240.
+  15   34   19   53 K        -11681                                                                        52 987460.
+  16   35   19   54 K         -5002                                                                        53 994630.
+  17   36   19   55 K           708                                                                        55 000760.
+  18   37   19   56 K          7927                                                                        56 008510.
+  -6   14   20   34 Ca        13851                                                                        34 014870.
+  -5   15   20   35 Ca         4788                                                                        35 005140.
+  -4   16   20   36 Ca        -6452                                                                        35 993074.
+  -3   17   20   37 Ca       -13136.07                                                                     36 985897.85
+  -2   18   20   38 Ca       -22058.51                                                                     37 976319.22
+  -1   19   20   39 Ca       -27282.71                                                                     38 970710.81
+   0   20   20   40 Ca       -34846.390                                                                    39 962590.863
+   1   21   20   41 Ca       -35137.90                                                                     40 962277.92
+   2   22   20   42 Ca       -38547.25                                                                     41 958617.83
+   3   23   20   43 Ca       -38408.82                                                                     42 958766.44
+   4   24   20   44 Ca       -41468.66                                                                     43 955481.56
+   5   25   20   45 Ca       -40812.16                                                                     44 956186.35
+   6   26   20   46 Ca       -43138                                                                        45 953689.
+   7   27   20   47 Ca       -42343.5                                                                      46 954542.4
+   8   28   20   48 Ca       -44224.77                                                                     47 952522.76
+   9   29   20   49 Ca       -41299.90                                                                     48 955662.74
+  10   30   20   50 Ca       -39589.2                                                                      49 957499.2
+  11   31   20   51 Ca       -36339                                                                        50 960989.
+  12   32   20   52 Ca       -34263                                                                        51 963217.
+  13   33   20   53 Ca       -28457                                                                        52 969450.
+  14   34   20   54 Ca       -24778                                                                        53 973400.
+  15   35   20   55 Ca       -18350                                                                        54 980300.
+  16   36   20   56 Ca       -13898                                                                        55 985080.
+  17   37   20   57 Ca        -6874                                                                        56 992620.
+  18   38   20   58 Ca        -1919                                                                        57 997940.
+  -6   15   21   36 Sc        15351                                                                        36 016480.
+  -5   16   21   37 Sc         3484                                                                        37 003740.
+  -4   17   21   38 Sc        -4546                                                                        37 995120.
+  -3   18   21   39 Sc       -14173                                                                        38 984785.
+  -2   19   21   40 Sc       -20523.3                                                                      39 977967.3
+  -1   20   21   41 Sc       -28642.414                                                                    40 969251.105
+   0   21   21   42 Sc       -32121.15                                                                     41 965516.53
+   1   22   21   43 Sc       -36188.1                                                                      42 961150.5
+   2   23   21   44 Sc       -37816.0                                                                      43 959402.9
+   3   24   21   45 Sc       -41071.18                                                                     44 955908.28
+   4   25   21   46 Sc       -41760.50                                                                     45 955168.26
+   5   26   21   47 Sc       -44335.7                                                                      46 952403.7
+   6   27   21   48 Sc       -44503.4                                                                      47 952223.6
+   7   28   21   49 Sc       -46561.1                                                                      48 950014.6
+   8   29   21   50 Sc       -44548                                                                        49 952176.
+   9   30   21   51 Sc       -43229                                                                        50 953592.
+  10   31   21   52 Sc       -40166                                                                        51 956880.
+  11   32   21   53 Sc       -38107                                                                        52 959090.
+  12   33   21   54 Sc       -33599                                                                        53 963930.
+  13   34   21   55 Sc       -29975                                                                        54 967820.
+  14   35   21   56 Sc       -24731                                                                        55 973450.
+  15   36   21   57 Sc       -20707                                                                        56 977770.
+  16   37   21   58 Sc       -14876                                                                        57 984030.
+  17   38   21   59 Sc       -10302                                                                        58 988940.
+  18   39   21   60 Sc        -4052                                                                        59 995650.
+  19   40   21   61 Sc          931                                                                        61 001000.
+  -6   16   22   38 Ti        10666                                                                        38 011450.
+  -5   17   22   39 Ti         2198                                                                        39 002360.
+  -4   18   22   40 Ti        -8849                                                                        39 990500.
+  -3   19   22   41 Ti       -15698                                                                        40 983148.
+  -2   20   22   42 Ti       -25104.67                                                                     41 973049.03
+  -1   21   22   43 Ti       -29321.1                                                                      42 968522.5
+   0   22   22   44 Ti       -37548.57                                                                     43 959689.95
+   1   23   22   45 Ti       -39009.13                                                                     44 958121.98
+   2   24   22   46 Ti       -44127.00                                                                     45 952627.72
+   3   25   22   47 Ti       -44936.40                                                                     46 951758.79
+   4   26   22   48 Ti       -48491.74                                                                     47 947941.98
+   5   27   22   49 Ti       -48562.81                                                                     48 947865.68
+   6   28   22   50 Ti       -51430.69                                                                     49 944786.89
+   7   29   22   51 Ti       -49731.86                                                                     50 946610.65
+   8   30   22   52 Ti       -49469                                                                        51 946893.
+   9   31   22   53 Ti       -46826                                                                        52 949730.
+  10   32   22   54 Ti       -45597                                                                        53 951050.
+  11   33   22   55 Ti       -41666                                                                        54 955270.
+  12   34   22   56 Ti       -39207                                                                        55 957910.
+  13   35   22   57 Ti       -33869                                                                        56 963640.
+  14   36   22   58 Ti       -31112                                                                        57 966600.
+  15   37   22   59 Ti       -25644                                                                        58 972470.
+  16   38   22   60 Ti       -22328                                                                        59 976030.
+  17   39   22   61 Ti       -16348                                                                        60 982450.
+  18   40   22   62 Ti       -12566                                                                        61 986510.
+  19   41   22   63 Ti        -5822                                                                        62 993750.
+  -6   17   23   40 V         11886                                                                        40 012760.
+  -5   18   23   41 V           196                                                                        41 000210.
+  -4   19   23   42 V         -7620                                                                        41 991820.
+  -3   20   23   43 V        -17916                                                                        42 980766.
+  -2   21   23   44 V        -24116                                                                        43 974110.
+  -1   22   23   45 V        -31880.6                                                                      44 965774.8
+   0   23   23   46 V        -37074.60                                                                     45 960198.78
+   1   24   23   47 V        -42005.81                                                                     46 954904.91
+   2   25   23   48 V        -44476.8                                                                      47 952252.2
+   3   26   23   49 V        -47961.0                                                                      48 948511.8
+   4   27   23   50 V        -49223.87                                                                     49 947156.01
+   5   28   23   51 V        -52203.69                                                                     50 943957.04
+   6   29   23   52 V        -51443.62                                                                     51 944773.01
+   7   30   23   53 V        -51850.0                                                                      52 944336.7
+   8   31   23   54 V        -49892                                                                        53 946439.
+   9   32   23   55 V        -49146                                                                        54 947240.
+  10   33   23   56 V        -46128                                                                        55 950480.
+  11   34   23   57 V        -44227                                                                        56 952520.
+  12   35   23   58 V        -40315                                                                        57 956720.
+  13   36   23   59 V        -37828                                                                        58 959390.
+  14   37   23   60 V        -33245                                                                        59 964310.
+  15   38   23   61 V        -30506                                                                        60 967250.
+  16   39   23   62 V        -25476                                                                        61 972650.
+  17   40   23   63 V        -21993                                                                        62 976390.
+  18   41   23   64 V        -16171                                                                        63 982640.
+  19   42   23   65 V        -11644                                                                        64 987500.
+  20   43   23   66 V         -5608                                                                        65 993980.
+  -6   18   24   42 Cr         6241                                                                        42 006700.
+  -5   19   24   43 Cr        -2301                                                                        42 997530.
+  -4   20   24   44 Cr       -13637                                                                        43 985360.
+  -3   21   24   45 Cr       -19515                                                                        44 979050.
+  -2   22   24   46 Cr       -29473                                                                        45 968359.
+  -1   23   24   47 Cr       -34560.9                                                                      46 962897.4
+   0   24   24   48 Cr       -42821.6                                                                      47 954029.1
+   1   25   24   49 Cr       -45332.7                                                                      48 951333.3
+   2   26   24   50 Cr       -50261.72                                                                     49 946041.83
+   3   27   24   51 Cr       -51451.06                                                                     50 944765.02
+   4   28   24   52 Cr       -55418.10                                                                     51 940506.23
+   5   29   24   53 Cr       -55285.90                                                                     52 940648.15
+   6   30   24   54 Cr       -56933.70                                                                     53 938879.16
+   7   31   24   55 Cr       -55108.65                                                                     54 940838.43
+   8   32   24   56 Cr       -55281.3                                                                      55 940653.1
+   9   33   24   57 Cr       -52524                                                                        56 943613.
+  10   34   24   58 Cr       -51838                                                                        57 944350.
+  11   35   24   59 Cr       -47888                                                                        58 948590.
+  12   36   24   60 Cr       -46500                                                                        59 950080.
+  13   37   24   61 Cr       -42458                                                                        60 954420.
+  14   38   24   62 Cr       -40893                                                                        61 956100.
+  15   39   24   63 Cr       -35723                                                                        62 961650.
+  16   40   24   64 Cr       -33459                                                                        63 964080.
+  17   41   24   65 Cr       -27982                                                                        64 969960.
+  18   42   24   66 Cr       -24536                                                                        65 973660.
+  19   43   24   67 Cr       -18481                                                                        66 980160.
+  20   44   24   68 Cr       -14876                                                                        67 984030.
+  -6   19   25   44 Mn         6660                                                                        44 007150.
+  -5   20   25   45 Mn        -5133                                                                        44 994490.
+  -4   21   25   46 Mn       -12957                                                                        45 986090.
+  -3   22   25   47 Mn       -22565                                                                        46 975775.
+  -2   23   25   48 Mn       -29323                                                                        47 968520.
+  -1   24   25   49 Mn       -37637                                                                        48 959595.
+   0   25   25   50 Mn       -42627.24                                                                     49 954237.78
+   1   26   25   51 Mn       -48243.50                                                                     50 948208.47
+   2   27   25   52 Mn       -50706.9                                                                      51 945563.9
+   3   28   25   53 Mn       -54689.05                                                                     52 941288.89
+   4   29   25   54 Mn       -55556.5                                                                      53 940357.6
+   5   30   25   55 Mn       -57711.73                                                                     54 938043.91
+   6   31   25   56 Mn       -56910.85                                                                     55 938903.69
+   7   32   25   57 Mn       -57486.1                                                                      56 938286.1
+   8   33   25   58 Mn       -55827.6                                                                      57 940066.6
+   9   34   25   59 Mn       -55525.3                                                                      58 940391.1
+  10   35   25   60 Mn       -52967.9                                                                      59 943136.6
+  11   36   25   61 Mn       -51742.2                                                                      60 944452.5
+  12   37   25   62 Mn       -48484                                                                        61 947950.
+  13   38   25   63 Mn       -46887.0                                                                      62 949664.7
+  14   39   25   64 Mn       -42989.0                                                                      63 953849.4
+  15   40   25   65 Mn       -40967.3                                                                      64 956019.8
+  16   41   25   66 Mn       -36750                                                                        65 960547.
+  17   42   25   67 Mn       -33310                                                                        66 964240.
+  18   43   25   68 Mn       -28299                                                                        67 969620.
+  19   44   25   69 Mn       -24536                                                                        68 973660.
+  20   45   25   70 Mn       -19217                                                                        69 979370.
+  21   46   25   71 Mn       -15202                                                                        70 983680.
+  -7   19   26   45 Fe        13432                                                                        45 014420.
+  -6   20   26   46 Fe          587                                                                        46 000630.
+  -5   21   26   47 Fe        -7592                                                                        46 991850.
+  -4   22   26   48 Fe       -18416                                                                        47 980230.
+  -3   23   26   49 Fe       -24751                                                                        48 973429.
+  -2   24   26   50 Fe       -34489                                                                        49 962975.
+  -1   25   26   51 Fe       -40202                                                                        50 956841.
+   0   26   26   52 Fe       -48332.3                                                                      51 948113.1
+   1   27   26   53 Fe       -50946.8                                                                      52 945306.4
+   2   28   26   54 Fe       -56253.87                                                                     53 939608.99
+   3   29   26   55 Fe       -57480.65                                                                     54 938291.99
+   4   30   26   56 Fe       -60606.42                                                                     55 934936.33
+   5   31   26   57 Fe       -60181.19                                                                     56 935392.84
+   6   32   26   58 Fe       -62154.47                                                                     57 933274.43
+   7   33   26   59 Fe       -60664.17                                                                     58 934874.34
+   8   34   26   60 Fe       -61412.4                                                                      59 934071.1
+   9   35   26   61 Fe       -58920.5                                                                      60 936746.2
+  10   36   26   62 Fe       -58878.1                                                                      61 936791.8
+  11   37   26   63 Fe       -55635.6                                                                      62 940272.7
+  12   38   26   64 Fe       -54969.5                                                                      63 940987.8
+  13   39   26   65 Fe       -51221.5                                                                      64 945011.5
+  14   40   26   66 Fe       -50068                                                                        65 946250.
+  15   41   26   67 Fe       -46072                                                                        66 950540.
+  16   42   26   68 Fe       -43827                                                                        67 952950.
+  17   43   26   69 Fe       -39058                                                                        68 958070.
+  18   44   26   70 Fe       -36310                                                                        69 961020.
+  19   45   26   71 Fe       -31000                                                                        70 966720.
+  20   46   26   72 Fe       -28103                                                                        71 969830.
+  21   47   26   73 Fe       -22617                                                                        72 975720.
+  22   48   26   74 Fe       -19235                                                                        73 979350.
+  -7   20   27   47 Co         9846                                                                        47 010570.
+  -6   21   27   48 Co          866                                                                        48 000930.
+  -5   22   27   49 Co       -10330                                                                        48 988910.
+  -4   23   27   50 Co       -17782                                                                        49 980910.
+  -3   24   27   51 Co       -27342                                                                        50 970647.
+  -2   25   27   52 Co       -33990                                                                        51 963510.
+  -1   26   27   53 Co       -42658.6                                                                      52 954204.1
+   0   27   27   54 Co       -48009.33                                                                     53 948459.87
+   1   28   27   55 Co       -54029.3                                                                      54 941997.2
+   2   29   27   56 Co       -56039.8                                                                      55 939838.8
+   3   30   27   57 Co       -59344.96                                                                     56 936290.57
+   4   31   27   58 Co       -59846.5                                                                      57 935752.1
+   5   32   27   59 Co       -62229.12                                                                     58 933194.29
+   6   33   27   60 Co       -61649.7                                                                      59 933816.3
+   7   34   27   61 Co       -62897.63                                                                     60 932476.62
+   8   35   27   62 Co       -61424                                                                        61 934059.
+   9   36   27   63 Co       -61851                                                                        62 933600.
+  10   37   27   64 Co       -59792                                                                        63 935811.
+  11   38   27   65 Co       -59185.2                                                                      64 936462.1
+  12   39   27   66 Co       -56408                                                                        65 939443.
+  13   40   27   67 Co       -55321.8                                                                      66 940609.6
+  14   41   27   68 Co       -51921                                                                        67 944260.
+  15   42   27   69 Co       -50170                                                                        68 946140.
+  16   43   27   70 Co       -46919                                                                        69 949630.
+  17   44   27   71 Co       -44367                                                                        70 952370.
+  18   45   27   72 Co       -39784                                                                        71 957290.
+  19   46   27   73 Co       -36896                                                                        72 960390.
+  20   47   27   74 Co       -32463                                                                        73 965150.
+  21   48   27   75 Co       -29100                                                                        74 968760.
+  22   49   27   76 Co       -24098                                                                        75 974130.
+  -8   20   28   48 Ni        16478                                                                        48 017690.
+  -7   21   28   49 Ni         7173                                                                        49 007700.
+  -6   22   28   50 Ni        -4900                                                                        49 994740.
+  -5   23   28   51 Ni       -12938                                                                        50 986110.
+  -4   24   28   52 Ni       -23474                                                                        51 974800.
+  -3   25   28   53 Ni       -29631                                                                        52 968190.
+  -2   26   28   54 Ni       -39223                                                                        53 957892.
+  -1   27   28   55 Ni       -45335.23                                                                     54 951330.63
+   0   28   28   56 Ni       -53906.91                                                                     55 942128.55
+   1   29   28   57 Ni       -56083.23                                                                     56 939792.18
+   2   30   28   58 Ni       -60228.16                                                                     57 935342.41
+   3   31   28   59 Ni       -61156.1                                                                      58 934346.2
+   4   32   28   60 Ni       -64472.54                                                                     59 930785.88
+   5   33   28   61 Ni       -64221.33                                                                     60 931055.57
+   6   34   28   62 Ni       -66745.87                                                                     61 928345.37
+   7   35   28   63 Ni       -65512.32                                                                     62 929669.63
+   8   36   28   64 Ni       -67098.48                                                                     63 927966.82
+   9   37   28   65 Ni       -65125.25                                                                     64 930085.17
+  10   38   28   66 Ni       -66006.3                                                                      65 929139.3
+  11   39   28   67 Ni       -63742.7                                                                      66 931569.4
+  12   40   28   68 Ni       -63463.8                                                                      67 931868.8
+  13   41   28   69 Ni       -59978.6                                                                      68 935610.3
+  14   42   28   70 Ni       -59213.9                                                                      69 936431.3
+  15   43   28   71 Ni       -55406                                                                        70 940519.
+  16   44   28   72 Ni       -54226.1                                                                      71 941785.9
+  17   45   28   73 Ni       -50108.1                                                                      72 946206.7
+  18   46   28   74 Ni       -48456                                                                        73 947980.
+  19   47   28   75 Ni       -44246                                                                        74 952500.
+  20   48   28   76 Ni       -41610                                                                        75 955330.
+  21   49   28   77 Ni       -36747                                                                        76 960550.
+  22   50   28   78 Ni       -34130                                                                        77 963360.
+  23   51   28   79 Ni       -27712                                                                        78 970250.
+  -6   23   29   52 Cu        -3065                                                                        51 996710.
+  -5   24   29   53 Cu       -14354                                                                        52 984590.
+  -4   25   29   54 Cu       -21741                                                                        53 976660.
+  -3   26   29   55 Cu       -31634                                                                        54 966040.
+  -2   27   29   56 Cu       -38238                                                                        55 958950.
+  -1   28   29   57 Cu       -47308.3                                                                      56 949212.5
+   0   29   29   58 Cu       -51667.14                                                                     57 944533.05
+   1   30   29   59 Cu       -56357.74                                                                     58 939497.48
+   2   31   29   60 Cu       -58344.6                                                                      59 937364.5
+   3   32   29   61 Cu       -61983.9                                                                      60 933457.6
+   4   33   29   62 Cu       -62786.98                                                                     61 932595.41
+   5   34   29   63 Cu       -65579.31                                                                     62 929597.72
+   6   35   29   64 Cu       -65424.10                                                                     63 929764.34
+   7   36   29   65 Cu       -67263.5                                                                      64 927789.7
+   8   37   29   66 Cu       -66258.08                                                                     65 928869.03
+   9   38   29   67 Cu       -67318.8                                                                      66 927730.3
+  10   39   29   68 Cu       -65567.0                                                                      67 929610.9
+  11   40   29   69 Cu       -65736.2                                                                      68 929429.3
+  12   41   29   70 Cu       -62976.4                                                                      69 932392.1
+  13   42   29   71 Cu       -62711.2                                                                      70 932676.8
+  14   43   29   72 Cu       -59783.0                                                                      71 935820.3
+  15   44   29   73 Cu       -58987.4                                                                      72 936674.4
+  16   45   29   74 Cu       -56006.2                                                                      73 939874.9
+  17   46   29   75 Cu       -54471.4                                                                      74 941522.6
+  18   47   29   76 Cu       -50976                                                                        75 945275.
+  19   48   29   77 Cu       -48512                                                                        76 947920.
+  20   49   29   78 Cu       -44497                                                                        77 952230.
+  21   50   29   79 Cu       -41899                                                                        78 955020.
+  22   51   29   80 Cu       -36431                                                                        79 960890.
+  23   52   29   81 Cu       -31792                                                                        80 965870.
+  24   53   29   82 Cu       -25672                                                                        81 972440.
+  -6   24   30   54 Zn        -7415                                                                        53 992040.
+  -5   25   30   55 Zn       -14923                                                                        54 983980.
+  -4   26   30   56 Zn       -25579                                                                        55 972540.
+  -3   27   30   57 Zn       -32546                                                                        56 965060.
+  -2   28   30   58 Zn       -42298                                                                        57 954591.
+  -1   29   30   59 Zn       -47214.96                                                                     58 949312.66
+   0   30   30   60 Zn       -54173.7                                                                      59 941842.1
+   1   31   30   61 Zn       -56349                                                                        60 939507.
+   2   32   30   62 Zn       -61167.52                                                                     61 934333.97
+   3   33   30   63 Zn       -62213.1                                                                      62 933211.5
+   4   34   30   64 Zn       -66003.80                                                                     63 929142.01
+   5   35   30   65 Zn       -65911.81                                                                     64 929240.77
+   6   36   30   66 Zn       -68899.07                                                                     65 926033.81
+   7   37   30   67 Zn       -67880.07                                                                     66 927127.75
+   8   38   30   68 Zn       -70006.86                                                                     67 924844.55
+   9   39   30   69 Zn       -68417.6                                                                      68 926550.7
+  10   40   30   70 Zn       -69564.7                                                                      69 925319.2
+  11   41   30   71 Zn       -67328.8                                                                      70 927719.6
+  12   42   30   72 Zn       -68145.5                                                                      71 926842.8
+  13   43   30   73 Zn       -65593.4                                                                      72 929582.6
+  14   44   30   74 Zn       -65756.7                                                                      73 929407.3
+  15   45   30   75 Zn       -62559.0                                                                      74 932840.2
+  16   46   30   76 Zn       -62303                                                                        75 933115.
+  17   47   30   77 Zn       -58789.2                                                                      76 936887.2
+  18   48   30   78 Zn       -57483.2                                                                      77 938289.2
+  19   49   30   79 Zn       -53432.3                                                                      78 942638.1
+  20   50   30   80 Zn       -51648.6                                                                      79 944552.9
+  21   51   30   81 Zn       -46199.7                                                                      80 950402.6
+  22   52   30   82 Zn       -42607                                                                        81 954260.
+  23   53   30   83 Zn       -36738                                                                        82 960560.
+  24   54   30   84 Zn       -32407                                                                        83 965210.
+  25   55   30   85 Zn       -25840                                                                        84 972260.
+  -6   25   31   56 Ga        -4322                                                                        55 995360.
+  -5   26   31   57 Ga       -15649                                                                        56 983200.
+  -4   27   31   58 Ga       -23492                                                                        57 974780.
+  -3   28   31   59 Ga       -33972                                                                        58 963530.
+  -2   29   31   60 Ga       -39784                                                                        59 957290.
+  -1   30   31   61 Ga       -47135                                                                        60 949399.
+   0   31   31   62 Ga       -51986.45                                                                     61 944190.25
+   1   32   31   63 Ga       -56547.1                                                                      62 939294.2
+   2   33   31   64 Ga       -58832.8                                                                      63 936840.4
+   3   34   31   65 Ga       -62657.33                                                                     64 932734.59
+   4   35   31   66 Ga       -63724.1                                                                      65 931589.4
+   5   36   31   67 Ga       -66878.9                                                                      66 928202.5
+   6   37   31   68 Ga       -67085.7                                                                      67 927980.5
+   7   38   31   69 Ga       -69327.8                                                                      68 925573.5
+   8   39   31   70 Ga       -68910.2                                                                      69 926021.9
+   9   40   31   71 Ga       -70139.10                                                                     70 924702.58
+  10   41   31   72 Ga       -68588.27                                                                     71 926367.47
+  11   42   31   73 Ga       -69699.3                                                                      72 925174.7
+  12   43   31   74 Ga       -68049.6                                                                      73 926945.7
+  13   44   31   75 Ga       -68464.6                                                                      74 926500.2
+  14   45   31   76 Ga       -66296.7                                                                      75 928827.6
+  15   46   31   77 Ga       -65992.4                                                                      76 929154.3
+  16   47   31   78 Ga       -63706.0                                                                      77 931608.8
+  17   48   31   79 Ga       -62547.7                                                                      78 932852.3
+  18   49   31   80 Ga       -59223.6                                                                      79 936420.8
+  19   50   31   81 Ga       -57628.0                                                                      80 938133.8
+  20   51   31   82 Ga       -52930.8                                                                      81 943176.5
+  21   52   31   83 Ga       -49257.1                                                                      82 947120.3
+  22   53   31   84 Ga       -44283                                                                        83 952460.
+  23   54   31   85 Ga       -40064                                                                        84 956990.
+  24   55   31   86 Ga       -34456                                                                        85 963010.
+  25   56   31   87 Ga       -29584                                                                        86 968240.
+  -6   26   32   58 Ge        -7713                                                                        57 991720.
+  -5   27   32   59 Ge       -16310                                                                        58 982490.
+  -4   28   32   60 Ge       -27609                                                                        59 970360.
+  -3   29   32   61 Ge       -33729                                                                        60 963790.
+  -2   30   32   62 Ge       -41899                                                                        61 955020.
+  -1   31   32   63 Ge       -46921                                                                        62 949628.
+   0   32   32   64 Ge       -54315.5                                                                      63 941689.9
+   1   33   32   65 Ge       -56478.3                                                                      64 939368.1
+   2   34   32   66 Ge       -61607.1                                                                      65 933862.1
+   3   35   32   67 Ge       -62658.0                                                                      66 932733.9
+   4   36   32   68 Ge       -66978.8                                                                      67 928095.3
+   5   37   32   69 Ge       -67100.6                                                                      68 927964.5
+   6   38   32   70 Ge       -70561.84                                                                     69 924248.75
+   7   39   32   71 Ge       -69906.46                                                                     70 924952.33
+   8   40   32   72 Ge       -72585.909                                                                    71 922075.826
+   9   41   32   73 Ge       -71297.531                                                                    72 923458.956
+  10   42   32   74 Ge       -73422.451                                                                    73 921177.761
+  11   43   32   75 Ge       -71856.97                                                                     74 922858.37
+  12   44   32   76 Ge       -73212.897                                                                    75 921402.726
+  13   45   32   77 Ge       -71212.870                                                                    76 923549.843
+  14   46   32   78 Ge       -71862.1                                                                      77 922852.9
+  15   47   32   79 Ge       -69527                                                                        78 925360.
+  16   48   32   80 Ge       -69535.3                                                                      79 925350.8
+  17   49   32   81 Ge       -66291.7                                                                      80 928832.9
+  18   50   32   82 Ge       -65415                                                                        81 929774.
+  19   51   32   83 Ge       -60976.4                                                                      82 934539.1
+  20   52   32   84 Ge       -58148.4                                                                      83 937575.1
+  21   53   32   85 Ge       -53123.4                                                                      84 942969.7
+  22   54   32   86 Ge       -49760                                                                        85 946580.
+  23   55   32   87 Ge       -44078                                                                        86 952680.
+  24   56   32   88 Ge       -40138                                                                        87 956910.
+  25   57   32   89 Ge       -33729                                                                        88 963790.
+  26   58   32   90 Ge       -29221                                                                        89 968630.
+  -6   27   33   60 As        -5701                                                                        59 993880.
+  -5   28   33   61 As       -17587                                                                        60 981120.
+  -4   29   33   62 As       -24582                                                                        61 973610.
+  -3   30   33   63 As       -33627                                                                        62 963900.
+  -2   31   33   64 As       -39654                                                                        63 957430.
+  -1   32   33   65 As       -46937                                                                        64 949611.
+   0   33   33   66 As       -52025.1                                                                      65 944148.8
+   1   34   33   67 As       -56587.23                                                                     66 939251.11
+   2   35   33   68 As       -58894.6                                                                      67 936774.1
+   3   36   33   69 As       -63112                                                                        68 932246.
+   4   37   33   70 As       -64342                                                                        69 930926.
+   5   38   33   71 As       -67893.1                                                                      70 927113.8
+   6   39   33   72 As       -68229.8                                                                      71 926752.3
+   7   40   33   73 As       -70952.7                                                                      72 923829.1
+   8   41   33   74 As       -70860.1                                                                      73 923928.6
+   9   42   33   75 As       -73034.20                                                                     74 921594.57
+  10   43   33   76 As       -72291.38                                                                     75 922392.02
+  11   44   33   77 As       -73916.3                                                                      76 920647.6
+  12   45   33   78 As       -72817                                                                        77 921828.
+  13   46   33   79 As       -73636.1                                                                      78 920948.4
+  14   47   33   80 As       -72214.5                                                                      79 922474.6
+  15   48   33   81 As       -72533.3                                                                      80 922132.3
+  16   49   33   82 As       -70103.1                                                                      81 924741.2
+  17   50   33   83 As       -69669.3                                                                      82 925206.9
+  18   51   33   84 As       -65853.6                                                                      83 929303.3
+  19   52   33   85 As       -63189.1                                                                      84 932163.7
+  20   53   33   86 As       -58962.2                                                                      85 936701.5
+  21   54   33   87 As       -55617.9                                                                      86 940291.7
+  22   55   33   88 As       -50720                                                                        87 945550.
+  23   56   33   89 As       -46798                                                                        88 949760.
+  24   57   33   90 As       -41330                                                                        89 955630.
+  25   58   33   91 As       -36896                                                                        90 960390.
+  26   59   33   92 As       -30981                                                                        91 966740.
+  -4   30   34   64 Se       -26929                                                                        63 971090.
+  -3   31   34   65 Se       -33161                                                                        64 964400.
+  -2   32   34   66 Se       -41368                                                                        65 955590.
+  -1   33   34   67 Se       -46580                                                                        66 949994.
+   0   34   34   68 Se       -54189.45                                                                     67 941825.24
+   1   35   34   69 Se       -56434.8                                                                      68 939414.8
+   2   36   34   70 Se       -61929.9                                                                      69 933515.5
+   3   37   34   71 Se       -63146.5                                                                      70 932209.4
+   4   38   34   72 Se       -67868.2                                                                      71 927140.5
+   5   39   34   73 Se       -68227.4                                                                      72 926754.9
+   6   40   34   74 Se       -72213.210                                                                    73 922475.934
+   7   41   34   75 Se       -72169.49                                                                     74 922522.87
+   8   42   34   76 Se       -75251.958                                                                    75 919213.704
+   9   43   34   77 Se       -74599.493                                                                    76 919914.154
+  10   44   34   78 Se       -77025.92                                                                     77 917309.28
+  11   45   34   79 Se       -75917.43                                                                     78 918499.29
+  12   46   34   80 Se       -77759.5                                                                      79 916521.8
+  13   47   34   81 Se       -76389                                                                        80 917993.
+  14   48   34   82 Se       -77593.9                                                                      81 916699.5
+  15   49   34   83 Se       -75340.5                                                                      82 919118.6
+  16   50   34   84 Se       -75947.7                                                                      83 918466.8
+  17   51   34   85 Se       -72413.6                                                                      84 922260.8
+  18   52   34   86 Se       -70503.2                                                                      85 924311.7
+  19   53   34   87 Se       -66426.1                                                                      86 928688.6
+  20   54   34   88 Se       -63884.2                                                                      87 931417.5
+  21   55   34   89 Se       -58992.4                                                                      88 936669.1
+  22   56   34   90 Se       -55796                                                                        89 940100.
+  23   57   34   91 Se       -50338                                                                        90 945960.
+  24   58   34   92 Se       -46724                                                                        91 949840.
+  25   59   34   93 Se       -40716                                                                        92 956290.
+  26   60   34   94 Se       -36803                                                                        93 960490.
+  27   61   34   95 Se       -30460                                                                        94 967300.
+  -3   32   35   67 Br       -32928                                                                        66 964650.
+  -2   33   35   68 Br       -38443                                                                        67 958730.
+  -1   34   35   69 Br       -46112                                                                        68 950497.
+   0   35   35   70 Br       -51426                                                                        69 944792.
+   1   36   35   71 Br       -56502.4                                                                      70 939342.2
+   2   37   35   72 Br       -59067.3                                                                      71 936588.6
+   3   38   35   73 Br       -63647.6                                                                      72 931671.5
+   4   39   35   74 Br       -65288.2                                                                      73 929910.2
+   5   40   35   75 Br       -69107.1                                                                      74 925810.5
+   6   41   35   76 Br       -70289                                                                        75 924542.
+   7   42   35   77 Br       -73234.8                                                                      76 921379.2
+   8   43   35   78 Br       -73452.1                                                                      77 921145.9
+   9   44   35   79 Br       -76068.0                                                                      78 918337.6
+  10   45   35   80 Br       -75889.0                                                                      79 918529.8
+  11   46   35   81 Br       -77975.7                                                                      80 916289.7
+  12   47   35   82 Br       -77497.3                                                                      81 916803.2
+  13   48   35   83 Br       -79013.4                                                                      82 915175.6
+  14   49   35   84 Br       -77783                                                                        83 916496.
+  15   50   35   85 Br       -78575.4                                                                      84 915645.8
+  16   51   35   86 Br       -75632.3                                                                      85 918805.4
+  17   52   35   87 Br       -73892                                                                        86 920674.
+  18   53   35   88 Br       -70716.0                                                                      87 924083.3
+  19   54   35   89 Br       -68274.2                                                                      88 926704.6
+  20   55   35   90 Br       -64000.4                                                                      89 931292.8
+  21   56   35   91 Br       -61107.3                                                                      90 934398.6
+  22   57   35   92 Br       -56232.8                                                                      91 939631.6
+  23   58   35   93 Br       -52974                                                                        92 943130.
+  24   59   35   94 Br       -47599                                                                        93 948900.
+  25   60   35   95 Br       -43771                                                                        94 953010.
+  26   61   35   96 Br       -38163                                                                        95 959030.
+  27   62   35   97 Br       -34055                                                                        96 963440.
+  28   63   35   98 Br       -28448                                                                        97 969460.
+  -3   33   36   69 Kr       -32435                                                                        68 965180.
+  -2   34   36   70 Kr       -40948                                                                        69 956040.
+  -1   35   36   71 Kr       -46323                                                                        70 950270.
+   0   36   36   72 Kr       -53940.6                                                                      71 942092.4
+   1   37   36   73 Kr       -56551.8                                                                      72 939289.2
+   2   38   36   74 Kr       -62332                                                                        73 933084.
+   3   39   36   75 Kr       -64323.7                                                                      74 930945.7
+   4   40   36   76 Kr       -69014.1                                                                      75 925910.3
+   5   41   36   77 Kr       -70169                                                                        76 924670.
+   6   42   36   78 Kr       -74179.59                                                                     77 920364.94
+   7   43   36   79 Kr       -74442.3                                                                      78 920082.9
+   8   44   36   80 Kr       -77893.33                                                                     79 916378.08
+   9   45   36   81 Kr       -77694.8                                                                      80 916591.2
+  10   46   36   82 Kr       -80590.33                                                                     81 913482.73
+  11   47   36   83 Kr       -79990.04                                                                     82 914127.16
+  12   48   36   84 Kr       -82439.3442                                                                   83 911497.7282
+  13   49   36   85 Kr       -81480.3                                                                      84 912527.3
+  14   50   36   86 Kr       -83265.6739                                                                   85 910610.6269
+  15   51   36   87 Kr       -80709.53                                                                     86 913354.76
+  16   52   36   88 Kr       -79691.3                                                                      87 914447.9
+  17   53   36   89 Kr       -76535.7                                                                      88 917835.5
+  18   54   36   90 Kr       -74959.3                                                                      89 919527.9
+  19   55   36   91 Kr       -70974.0                                                                      90 923806.3
+  20   56   36   92 Kr       -68769.3                                                                      91 926173.1
+  21   57   36   93 Kr       -64136.0                                                                      92 931147.2
+  22   58   36   94 Kr       -61348                                                                        93 934140.
+  23   59   36   95 Kr       -56159                                                                        94 939711.
+  24   60   36   96 Kr       -53079                                                                        95 943017.
+  25   61   36   97 Kr       -47422                                                                        96 949090.
+  26   62   36   98 Kr       -44311                                                                        97 952430.
+  27   63   36   99 Kr       -38759                                                                        98 958390.
+  28   64   36  100 Kr       -35052                                                                        99 962370.
+  29   65   36  101 Kr       -29128                                                                       100 968730.
+  -3   34   37   71 Rb       -32304                                                                        70 965320.
+  -2   35   37   72 Rb       -38117                                                                        71 959080.
+  -1   36   37   73 Rb       -46081                                                                        72 950530.
+   0   37   37   74 Rb       -51916.0                                                                      73 944265.9
+   1   38   37   75 Rb       -57218.7                                                                      74 938573.2
+   2   39   37   76 Rb       -60479                                                                        75 935073.
+   3   40   37   77 Rb       -64830.5                                                                      76 930401.6
+   4   41   37   78 Rb       -66935.4                                                                      77 928141.9
+   5   42   37   79 Rb       -70803.0                                                                      78 923989.9
+   6   43   37   80 Rb       -72175.5                                                                      79 922516.4
+   7   44   37   81 Rb       -75456.7                                                                      80 918993.9
+   8   45   37   82 Rb       -76188                                                                        81 918209.
+   9   46   37   83 Rb       -79070.6                                                                      82 915114.2
+  10   47   37   84 Rb       -79759.0                                                                      83 914375.2
+  11   48   37   85 Rb       -82167.3389                                                                   84 911789.7379
+  12   49   37   86 Rb       -82747.02                                                                     85 911167.43
+  13   50   37   87 Rb       -84597.800                                                                    86 909180.531
+  14   51   37   88 Rb       -82609.00                                                                     87 911315.59
+  15   52   37   89 Rb       -81712.2                                                                      88 912278.3
+  16   53   37   90 Rb       -79364.7                                                                      89 914798.5
+  17   54   37   91 Rb       -77745.1                                                                      90 916537.2
+  18   55   37   92 Rb       -74772.5                                                                      91 919728.4
+  19   56   37   93 Rb       -72619.9                                                                      92 922039.3
+  20   57   37   94 Rb       -68562.8                                                                      93 926394.8
+  21   58   37   95 Rb       -65894                                                                        94 929260.
+  22   59   37   96 Rb       -61354.3                                                                      95 934133.4
+  23   60   37   97 Rb       -58519.2                                                                      96 937177.1
+  24   61   37   98 Rb       -54318.3                                                                      97 941686.9
+  25   62   37   99 Rb       -51204                                                                        98 945030.
+  26   63   37  100 Rb       -46547                                                                        99 950030.
+  27   64   37  101 Rb       -42811                                                                       100 954040.
+  28   65   37  102 Rb       -37707                                                                       101 959520.
+  29   66   37  103 Rb       -33608                                                                       102 963920.
+  -3   35   38   73 Sr       -31950                                                                        72 965700.
+  -2   36   38   74 Sr       -40827                                                                        73 956170.
+  -1   37   38   75 Sr       -46621                                                                        74 949950.
+   0   38   38   76 Sr       -54247                                                                        75 941763.
+   1   39   38   77 Sr       -57803.4                                                                      76 937945.5
+   2   40   38   78 Sr       -63174                                                                        77 932180.
+   3   41   38   79 Sr       -65476.9                                                                      78 929707.7
+   4   42   38   80 Sr       -70311.5                                                                      79 924517.5
+   5   43   38   81 Sr       -71528.1                                                                      80 923211.4
+   6   44   38   82 Sr       -76010.0                                                                      81 918399.9
+   7   45   38   83 Sr       -76797.6                                                                      82 917554.4
+   8   46   38   84 Sr       -80649.6                                                                      83 913419.1
+   9   47   38   85 Sr       -81103                                                                        84 912932.
+  10   48   38   86 Sr       -84523.2                                                                      85 909260.6
+  11   49   38   87 Sr       -84880.1                                                                      86 908877.5
+  12   50   38   88 Sr       -87921.4                                                                      87 905612.5
+  13   51   38   89 Sr       -86208.8                                                                      88 907451.1
+  14   52   38   90 Sr       -85949                                                                        89 907730.
+  15   53   38   91 Sr       -83652.5                                                                      90 910195.4
+  16   54   38   92 Sr       -82867.4                                                                      91 911038.2
+  17   55   38   93 Sr       -80086.0                                                                      92 914024.2
+  18   56   38   94 Sr       -78845.8                                                                      93 915355.6
+  19   57   38   95 Sr       -75122.3                                                                      94 919352.9
+  20   58   38   96 Sr       -72929.8                                                                      95 921706.6
+  21   59   38   97 Sr       -68582                                                                        96 926374.
+  22   60   38   98 Sr       -66426.0                                                                      97 928688.8
+  23   61   38   99 Sr       -62511.9                                                                      98 932890.7
+  24   62   38  100 Sr       -59830                                                                        99 935770.
+  25   63   38  101 Sr       -55562                                                                       100 940352.
+  26   64   38  102 Sr       -52358                                                                       101 943791.
+  27   65   38  103 Sr       -47422                                                                       102 949090.
+  28   66   38  104 Sr       -44106                                                                       103 952650.
+  29   67   38  105 Sr       -38610                                                                       104 958550.
+  30   68   38  106 Sr       -34791                                                                       105 962650.
+  31   69   38  107 Sr       -28904                                                                       106 968970.
+  -2   37   39   76 Y        -38601                                                                        75 958560.
+  -1   38   39   77 Y        -46779                                                                        76 949781.
+   0   39   39   78 Y        -52527                                                                        77 943610.
+   1   40   39   79 Y        -58358                                                                        78 937350.
+   2   41   39   80 Y        -61146.9                                                                      79 934356.1
+   3   42   39   81 Y        -65711.7                                                                      80 929455.6
+   4   43   39   82 Y        -68063.0                                                                      81 926931.4
+   5   44   39   83 Y        -72205                                                                        82 922485.
+   6   45   39   84 Y        -73893.5                                                                      83 920672.1
+   7   46   39   85 Y        -77842                                                                        84 916433.
+   8   47   39   86 Y        -79283                                                                        85 914886.
+   9   48   39   87 Y        -83018.4                                                                      86 910876.1
+  10   49   39   88 Y        -84298.7                                                                      87 909501.6
+  11   50   39   89 Y        -87709.2                                                                      88 905840.3
+  12   51   39   90 Y        -86494.9                                                                      89 907143.9
+  13   52   39   91 Y        -86351.9                                                                      90 907297.4
+  14   53   39   92 Y        -84817.1                                                                      91 908945.1
+  15   54   39   93 Y        -84228                                                                        92 909578.
+  16   55   39   94 Y        -82352.8                                                                      93 911590.6
+  17   56   39   95 Y        -81211.3                                                                      94 912816.1
+  18   57   39   96 Y        -78341.6                                                                      95 915896.8
+  19   58   39   97 Y        -76127.2                                                                      96 918274.1
+  20   59   39   98 Y        -72300.6                                                                      97 922382.1
+  21   60   39   99 Y        -70656                                                                        98 924148.
+  22   61   39  100 Y        -67333                                                                        99 927715.
+  23   62   39  101 Y        -65067.0                                                                     100 930147.7
+  24   63   39  102 Y        -61173.4                                                                     101 934327.7
+  25   64   39  103 Y        -58458                                                                       102 937243.
+  26   65   39  104 Y        -54064                                                                       103 941960.
+  27   66   39  105 Y        -50822                                                                       104 945440.
+  28   67   39  106 Y        -46053                                                                       105 950560.
+  29   68   39  107 Y        -42364                                                                       106 954520.
+  30   69   39  108 Y        -37297                                                                       107 959960.
+  31   70   39  109 Y        -33198                                                                       108 964360.
+  -2   38   40   78 Zr       -41302                                                                        77 955660.
+  -1   39   40   79 Zr       -47059                                                                        78 949480.
+   0   40   40   80 Zr       -55517                                                                        79 940400.
+   1   41   40   81 Zr       -58395                                                                        80 937310.
+   2   42   40   82 Zr       -63947                                                                        81 931350.
+   3   43   40   83 Zr       -65910.6                                                                      82 929242.1
+   4   44   40   84 Zr       -71420.5                                                                      83 923326.9
+   5   45   40   85 Zr       -73174.1                                                                      84 921444.4
+   6   46   40   86 Zr       -77968.7                                                                      85 916297.2
+   7   47   40   87 Zr       -79347                                                                        86 914818.
+   8   48   40   88 Zr       -83628.3                                                                      87 910221.3
+   9   49   40   89 Zr       -84876.4                                                                      88 908881.4
+  10   50   40   90 Zr       -88773.5                                                                      89 904697.7
+  11   51   40   91 Zr       -87896.2                                                                      90 905639.6
+  12   52   40   92 Zr       -88459.6                                                                      91 905034.7
+  13   53   40   93 Zr       -87122.7                                                                      92 906469.9
+  14   54   40   94 Zr       -87270.9                                                                      93 906310.8
+  15   55   40   95 Zr       -85661.6                                                                      94 908038.5
+  16   56   40   96 Zr       -85444.6                                                                      95 908271.4
+  17   57   40   97 Zr       -82948.4                                                                      96 910951.2
+  18   58   40   98 Zr       -81292.5                                                                      97 912728.9
+  19   59   40   99 Zr       -77624                                                                        98 916667.
+  20   60   40  100 Zr       -76382.0                                                                      99 918000.6
+  21   61   40  101 Zr       -73171                                                                       100 921448.
+  22   62   40  102 Zr       -71593.8                                                                     101 923140.9
+  23   63   40  103 Zr       -67821                                                                       102 927191.
+  24   64   40  104 Zr       -65730                                                                       103 929436.
+  25   65   40  105 Zr       -61471                                                                       104 934008.
+  26   66   40  106 Zr       -58908                                                                       105 936760.
+  27   67   40  107 Zr       -54269                                                                       106 941740.
+  28   68   40  108 Zr       -51353                                                                       107 944870.
+  29   69   40  109 Zr       -46193                                                                       108 950410.
+  30   70   40  110 Zr       -42886                                                                       109 953960.
+  31   71   40  111 Zr       -37558                                                                       110 959680.
+  32   72   40  112 Zr       -33813                                                                       111 963700.
+  -1   40   41   81 Nb       -46947                                                                        80 949600.
+   0   41   41   82 Nb       -52201                                                                        81 943960.
+   1   42   41   83 Nb       -58414                                                                        82 937290.
+   2   43   41   84 Nb       -61022                                                                        83 934490.
+   3   44   41   85 Nb       -66279.7                                                                      84 928845.8
+   4   45   41   86 Nb       -69132.9                                                                      85 925782.8
+   5   46   41   87 Nb       -73873.4                                                                      86 920693.7
+   6   47   41   88 Nb       -76176                                                                        87 918222.
+   7   48   41   89 Nb       -80625                                                                        88 913445.
+   8   49   41   90 Nb       -82662.3                                                                      89 911258.4
+   9   50   41   91 Nb       -86638.5                                                                      90 906989.7
+  10   51   41   92 Nb       -86453.7                                                                      91 907188.1
+  11   52   41   93 Nb       -87213                                                                        92 906373.
+  12   53   41   94 Nb       -86369.3                                                                      93 907278.8
+  13   54   41   95 Nb       -86785.1                                                                      94 906832.4
+  14   55   41   96 Nb       -85606.8                                                                      95 908097.3
+  15   56   41   97 Nb       -85608.1                                                                      96 908095.9
+  16   57   41   98 Nb       -83530.3                                                                      97 910326.5
+  17   58   41   99 Nb       -82332                                                                        98 911613.
+  18   59   41  100 Nb       -79803.3                                                                      99 914327.6
+  19   60   41  101 Nb       -78888.0                                                                     100 915310.3
+  20   61   41  102 Nb       -76310.6                                                                     101 918077.2
+  21   62   41  103 Nb       -75025.1                                                                     102 919457.2
+  22   63   41  104 Nb       -71825.2                                                                     103 922892.5
+  23   64   41  105 Nb       -69911.9                                                                     104 924946.5
+  24   65   41  106 Nb       -66199.7                                                                     105 928931.7
+  25   66   41  107 Nb       -63720.1                                                                     106 931593.7
+  26   67   41  108 Nb       -59545.9                                                                     107 936074.8
+  27   68   41  109 Nb       -56616                                                                       108 939220.
+  28   69   41  110 Nb       -52136                                                                       109 944030.
+  29   70   41  111 Nb       -48875                                                                       110 947530.
+  30   71   41  112 Nb       -44274                                                                       111 952470.
+  31   72   41  113 Nb       -40511                                                                       112 956510.
+  32   73   41  114 Nb       -35387                                                                       113 962010.
+  33   74   41  115 Nb       -31354                                                                       114 966340.
+  -1   41   42   83 Mo       -46686                                                                        82 949880.
+   0   42   42   84 Mo       -54502                                                                        83 941490.
+   1   43   42   85 Mo       -57510                                                                        84 938261.
+   2   44   42   86 Mo       -64110.3                                                                      85 931174.8
+   3   45   42   87 Mo       -66884.8                                                                      86 928196.2
+   4   46   42   88 Mo       -72686.5                                                                      87 921967.8
+   5   47   42   89 Mo       -75014.9                                                                      88 919468.2
+   6   48   42   90 Mo       -80172.9                                                                      89 913930.9
+   7   49   42   91 Mo       -82208.7                                                                      90 911745.3
+   8   50   42   92 Mo       -86807.84                                                                     91 906807.96
+   9   51   42   93 Mo       -86806.33                                                                     92 906809.58
+  10   52   42   94 Mo       -88412.9                                                                      93 905084.9
+  11   53   42   95 Mo       -87710.63                                                                     94 905838.77
+  12   54   42   96 Mo       -88793.63                                                                     95 904676.12
+  13   55   42   97 Mo       -87543.57                                                                     96 906018.12
+  14   56   42   98 Mo       -88114.85                                                                     97 905404.82
+  15   57   42   99 Mo       -85968.98                                                                     98 907708.51
+  16   58   42  100 Mo       -86189.5                                                                      99 907471.8
+  17   59   42  101 Mo       -83516.5                                                                     100 910341.4
+  18   60   42  102 Mo       -83570.5                                                                     101 910283.4
+  19   61   42  103 Mo       -80966                                                                       102 913079.
+  20   62   42  104 Mo       -80355.9                                                                     103 913734.4
+  21   63   42  105 Mo       -77343                                                                       104 916969.
+  22   64   42  106 Mo       -76141                                                                       105 918259.
+  23   65   42  107 Mo       -72558                                                                       106 922106.
+  24   66   42  108 Mo       -70763                                                                       107 924033.
+  25   67   42  109 Mo       -66673                                                                       108 928424.
+  26   68   42  110 Mo       -64549                                                                       109 930704.
+  27   69   42  111 Mo       -59938                                                                       110 935654.
+  28   70   42  112 Mo       -57464                                                                       111 938310.
+  29   71   42  113 Mo       -52769                                                                       112 943350.
+  30   72   42  114 Mo       -49807                                                                       113 946530.
+  31   73   42  115 Mo       -44749                                                                       114 951960.
+  32   74   42  116 Mo       -41498                                                                       115 955450.
+  33   75   42  117 Mo       -36170                                                                       116 961170.
+  -1   42   43   85 Tc       -46034                                                                        84 950580.
+   0   43   43   86 Tc       -51297                                                                        85 944930.
+   1   44   43   87 Tc       -57690.0                                                                      86 938067.2
+   2   45   43   88 Tc       -61684                                                                        87 933780.
+   3   46   43   89 Tc       -67394.8                                                                      88 927648.7
+   4   47   43   90 Tc       -70724.7                                                                      89 924073.9
+   5   48   43   91 Tc       -75986.3                                                                      90 918425.4
+   6   49   43   92 Tc       -78925.7                                                                      91 915269.8
+   7   50   43   93 Tc       -83605                                                                        92 910246.
+   8   51   43   94 Tc       -84157.1                                                                      93 909653.6
+   9   52   43   95 Tc       -86020.1                                                                      94 907653.6
+  10   53   43   96 Tc       -85820                                                                        95 907868.
+  11   54   43   97 Tc       -87218.9                                                                      96 906366.7
+  12   55   43   98 Tc       -86431.1                                                                      97 907212.4
+  13   56   43   99 Tc       -87326.8                                                                      98 906250.8
+  14   57   43  100 Tc       -86019.8                                                                      99 907653.9
+  15   58   43  101 Tc       -86341                                                                       100 907309.
+  16   59   43  102 Tc       -84570.6                                                                     101 909209.7
+  17   60   43  103 Tc       -84602                                                                       102 909176.
+  18   61   43  104 Tc       -82507                                                                       103 911425.
+  19   62   43  105 Tc       -82293                                                                       104 911655.
+  20   63   43  106 Tc       -79775                                                                       105 914358.
+  21   64   43  107 Tc       -78748.0                                                                     106 915460.6
+  22   65   43  108 Tc       -75920.8                                                                     107 918495.7
+  23   66   43  109 Tc       -74281                                                                       108 920256.
+  24   67   43  110 Tc       -71032                                                                       109 923744.
+  25   68   43  111 Tc       -69023                                                                       110 925901.
+  26   69   43  112 Tc       -65255.1                                                                     111 929945.8
+  27   70   43  113 Tc       -62812                                                                       112 932569.
+  28   71   43  114 Tc       -58768                                                                       113 936910.
+  29   72   43  115 Tc       -55908                                                                       114 939980.
+  30   73   43  116 Tc       -51456                                                                       115 944760.
+  31   74   43  117 Tc       -48382                                                                       116 948060.
+  32   75   43  118 Tc       -43790                                                                       117 952990.
+  33   76   43  119 Tc       -40371                                                                       118 956660.
+  34   77   43  120 Tc       -35518                                                                       119 961870.
+  -1   43   44   87 Ru       -45932                                                                        86 950690.
+   0   44   44   88 Ru       -54399                                                                        87 941600.
+   1   45   44   89 Ru       -58107                                                                        88 937620.
+   2   46   44   90 Ru       -64883.8                                                                      89 930344.4
+   3   47   44   91 Ru       -68239.5                                                                      90 926741.9
+   4   48   44   92 Ru       -74301.2                                                                      91 920234.4
+   5   49   44   93 Ru       -77216.8                                                                      92 917104.4
+   6   50   44   94 Ru       -82583.6                                                                      93 911342.9
+   7   51   44   95 Ru       -83456                                                                        94 910406.
+   8   52   44   96 Ru       -86079.14                                                                     95 907590.25
+   9   53   44   97 Ru       -86119.3                                                                      96 907547.1
+  10   54   44   98 Ru       -88224.8                                                                      97 905286.8
+  11   55   44   99 Ru       -87621.8                                                                      98 905934.1
+  12   56   44  100 Ru       -89223.8                                                                      99 904214.3
+  13   57   44  101 Ru       -87954.6                                                                     100 905576.9
+  14   58   44  102 Ru       -89102.9                                                                     101 904344.1
+  15   59   44  103 Ru       -87263.7                                                                     102 906318.6
+  16   60   44  104 Ru       -88093.7                                                                     103 905427.5
+  17   61   44  105 Ru       -85932.6                                                                     104 907747.6
+  18   62   44  106 Ru       -86322.4                                                                     105 907329.1
+  19   63   44  107 Ru       -83861                                                                       106 909972.
+  20   64   44  108 Ru       -83659                                                                       107 910188.
+  21   65   44  109 Ru       -80736                                                                       108 913326.
+  22   66   44  110 Ru       -80070.6                                                                     109 914040.7
+  23   67   44  111 Ru       -76783                                                                       110 917570.
+  24   68   44  112 Ru       -75629                                                                       111 918809.
+  25   69   44  113 Ru       -71870                                                                       112 922844.
+  26   70   44  114 Ru       -70222.0                                                                     113 924613.6
+  27   71   44  115 Ru       -66304                                                                       114 928820.
+  28   72   44  116 Ru       -64068.9                                                                     115 931219.2
+  29   73   44  117 Ru       -59522                                                                       116 936100.
+  30   74   44  118 Ru       -57259                                                                       117 938530.
+  31   75   44  119 Ru       -52564                                                                       118 943570.
+  32   76   44  120 Ru       -50012                                                                       119 946310.
+  33   77   44  121 Ru       -45047                                                                       120 951640.
+  34   78   44  122 Ru       -42411                                                                       121 954470.
+  35   79   44  123 Ru       -37362                                                                       122 959890.
+  36   80   44  124 Ru       -34419                                                                       123 963050.
+  -1   44   45   89 Rh       -46034                                                                        88 950580.
+   0   45   45   90 Rh       -51959                                                                        89 944220.
+   1   46   45   91 Rh       -58796                                                                        90 936880.
+   2   47   45   92 Rh       -62999.1                                                                      91 932367.7
+   3   48   45   93 Rh       -69011.8                                                                      92 925912.8
+   4   49   45   94 Rh       -72907.6                                                                      93 921730.5
+   5   50   45   95 Rh       -78340.6                                                                      94 915897.9
+   6   51   45   96 Rh       -79687                                                                        95 914453.
+   7   52   45   97 Rh       -82597                                                                        96 911329.
+   8   53   45   98 Rh       -83175                                                                        97 910708.
+   9   54   45   99 Rh       -85578.0                                                                      98 908128.2
+  10   55   45  100 Rh       -85588                                                                        99 908117.
+  11   56   45  101 Rh       -87410.8                                                                     100 906160.6
+  12   57   45  102 Rh       -86780.4                                                                     101 906837.4
+  13   58   45  103 Rh       -88028                                                                       102 905498.
+  14   59   45  104 Rh       -86955.7                                                                     103 906649.2
+  15   60   45  105 Rh       -87850.6                                                                     104 905688.5
+  16   61   45  106 Rh       -86361.8                                                                     105 907286.8
+  17   62   45  107 Rh       -86864                                                                       106 906748.
+  18   63   45  108 Rh       -85032                                                                       107 908714.
+  19   64   45  109 Rh       -85000.0                                                                     108 908748.8
+  20   65   45  110 Rh       -82829                                                                       109 911079.
+  21   66   45  111 Rh       -82304.7                                                                     110 911642.3
+  22   67   45  112 Rh       -79733                                                                       111 914403.
+  23   68   45  113 Rh       -78767.8                                                                     112 915439.3
+  24   69   45  114 Rh       -75714                                                                       113 918718.
+  25   70   45  115 Rh       -74229.3                                                                     114 920311.6
+  26   71   45  116 Rh       -70739                                                                       115 924059.
+  27   72   45  117 Rh       -68897.6                                                                     116 926035.4
+  28   73   45  118 Rh       -64888                                                                       117 930340.
+  29   74   45  119 Rh       -62823                                                                       118 932557.
+  30   75   45  120 Rh       -58815                                                                       119 936860.
+  31   76   45  121 Rh       -56430                                                                       120 939420.
+  32   77   45  122 Rh       -52173                                                                       121 943990.
+  33   78   45  123 Rh       -49509                                                                       122 946850.
+  34   79   45  124 Rh       -45168                                                                       123 951510.
+  35   80   45  125 Rh       -42206                                                                       124 954690.
+  36   81   45  126 Rh       -37763                                                                       125 959460.
+  -1   45   46   91 Pd       -46277                                                                        90 950320.
+   0   46   46   92 Pd       -55070                                                                        91 940880.
+   1   47   46   93 Pd       -59141                                                                        92 936510.
+   2   48   46   94 Pd       -66101.1                                                                      93 929037.6
+   3   49   46   95 Pd       -69964.7                                                                      94 924889.8
+   4   50   46   96 Pd       -76182.2                                                                      95 918215.1
+   5   51   46   97 Pd       -77806                                                                        96 916472.
+   6   52   46   98 Pd       -81321.0                                                                      97 912698.3
+   7   53   46   99 Pd       -82181.3                                                                      98 911774.8
+   8   54   46  100 Pd       -85227                                                                        99 908505.
+   9   55   46  101 Pd       -85430.7                                                                     100 908286.4
+  10   56   46  102 Pd       -87931.0                                                                     101 905602.2
+  11   57   46  103 Pd       -87485.1                                                                     102 906080.9
+  12   58   46  104 Pd       -89395.0                                                                     103 904030.5
+  13   59   46  105 Pd       -88417.8                                                                     104 905079.6
+  14   60   46  106 Pd       -89907.4                                                                     105 903480.4
+  15   61   46  107 Pd       -88372.5                                                                     106 905128.2
+  16   62   46  108 Pd       -89524.4                                                                     107 903891.6
+  17   63   46  109 Pd       -87606.6                                                                     108 905950.4
+  18   64   46  110 Pd       -88331.5                                                                     109 905172.2
+  19   65   46  111 Pd       -85986.52                                                                    110 907689.68
+  20   66   46  112 Pd       -86321.8                                                                     111 907329.7
+  21   67   46  113 Pd       -83591                                                                       112 910261.
+  22   68   46  114 Pd       -83491.1                                                                     113 910368.6
+  23   69   46  115 Pd       -80426                                                                       114 913659.
+  24   70   46  116 Pd       -79832                                                                       115 914297.
+  25   71   46  117 Pd       -76424.7                                                                     116 917954.7
+  26   72   46  118 Pd       -75388.9                                                                     117 919066.7
+  27   73   46  119 Pd       -71408.2                                                                     118 923340.2
+  28   74   46  120 Pd       -70280.2                                                                     119 924551.1
+  29   75   46  121 Pd       -66182.4                                                                     120 928950.3
+  30   76   46  122 Pd       -64616                                                                       121 930632.
+  31   77   46  123 Pd       -60417                                                                       122 935140.
+  32   78   46  124 Pd       -58554                                                                       123 937140.
+  33   79   46  125 Pd       -54222                                                                       124 941790.
+  34   80   46  126 Pd       -52015                                                                       125 944160.
+  35   81   46  127 Pd       -47441                                                                       126 949070.
+  36   82   46  128 Pd       -44870                                                                       127 951830.
+  -1   46   47   93 Ag       -46267                                                                        92 950330.
+   0   47   47   94 Ag       -52415                                                                        93 943730.
+   1   48   47   95 Ag       -59597                                                                        94 936020.
+   2   49   47   96 Ag       -64512                                                                        95 930744.
+   3   50   47   97 Ag       -70821                                                                        96 923970.
+   4   51   47   98 Ag       -73066                                                                        97 921560.
+   5   52   47   99 Ag       -76712.5                                                                      98 917645.8
+   6   53   47  100 Ag       -78138.0                                                                      99 916115.4
+   7   54   47  101 Ag       -81334                                                                       100 912684.
+   8   55   47  102 Ag       -82246.6                                                                     101 911704.7
+   9   56   47  103 Ag       -84800.3                                                                     102 908963.1
+  10   57   47  104 Ag       -85116.3                                                                     103 908623.9
+  11   58   47  105 Ag       -87070.9                                                                     104 906525.6
+  12   59   47  106 Ag       -86942.3                                                                     105 906663.6
+  13   60   47  107 Ag       -88406.6                                                                     106 905091.6
+  14   61   47  108 Ag       -87606.7                                                                     107 905950.3
+  15   62   47  109 Ag       -88719.9                                                                     108 904755.3
+  16   63   47  110 Ag       -87457.8                                                                     109 906110.2
+  17   64   47  111 Ag       -88216.3                                                                     110 905295.9
+  18   65   47  112 Ag       -86583.7                                                                     111 907048.6
+  19   66   47  113 Ag       -87027                                                                       112 906573.
+  20   67   47  114 Ag       -84931                                                                       113 908823.
+  21   68   47  115 Ag       -84983                                                                       114 908767.
+  22   69   47  116 Ag       -82542.7                                                                     115 911386.8
+  23   70   47  117 Ag       -82182                                                                       116 911774.
+  24   71   47  118 Ag       -79553.8                                                                     117 914595.5
+  25   72   47  119 Ag       -78646                                                                       118 915570.
+  26   73   47  120 Ag       -75651.5                                                                     119 918784.8
+  27   74   47  121 Ag       -74403                                                                       120 920125.
+  28   75   47  122 Ag       -71107                                                                       121 923664.
+  29   76   47  123 Ag       -69548                                                                       122 925337.
+  30   77   47  124 Ag       -66201                                                                       123 928930.
+  31   78   47  125 Ag       -64227                                                                       124 931050.
+  32   79   47  126 Ag       -60780                                                                       125 934750.
+  33   80   47  127 Ag       -58582                                                                       126 937110.
+  34   81   47  128 Ag       -54902                                                                       127 941060.
+  35   82   47  129 Ag       -52210                                                                       128 943950.
+  36   83   47  130 Ag       -45923                                                                       129 950700.
+  -1   47   48   95 Cd       -46631                                                                        94 949940.
+   0   48   48   96 Cd       -55573                                                                        95 940340.
+   1   49   48   97 Cd       -60454                                                                        96 935100.
+   2   50   48   98 Cd       -67637                                                                        97 927389.
+   3   51   48   99 Cd       -69931.2                                                                      98 924925.8
+   4   52   48  100 Cd       -74194.6                                                                      99 920348.8
+   5   53   48  101 Cd       -75836.5                                                                     100 918586.2
+   6   54   48  102 Cd       -79660                                                                       101 914482.
+   7   55   48  103 Cd       -80652.0                                                                     102 913416.5
+   8   56   48  104 Cd       -83968.2                                                                     103 909856.4
+   9   57   48  105 Cd       -84333.8                                                                     104 909463.9
+  10   58   48  106 Cd       -87132.1                                                                     105 906459.9
+  11   59   48  107 Cd       -86990.3                                                                     106 906612.1
+  12   60   48  108 Cd       -89252.6                                                                     107 904183.4
+  13   61   48  109 Cd       -88504.3                                                                     108 904986.7
+  14   62   48  110 Cd       -90348.77                                                                    109 903006.61
+  15   63   48  111 Cd       -89253.09                                                                    110 904182.87
+  16   64   48  112 Cd       -90575.81                                                                    111 902762.87
+  17   65   48  113 Cd       -89043.26                                                                    112 904408.13
+  18   66   48  114 Cd       -90014.85                                                                    113 903365.09
+  19   67   48  115 Cd       -88084.40                                                                    114 905437.51
+  20   68   48  116 Cd       -88712.56                                                                    115 904763.15
+  21   69   48  117 Cd       -86418                                                                       116 907226.
+  22   70   48  118 Cd       -86702                                                                       117 906922.
+  23   71   48  119 Cd       -83977                                                                       118 909847.
+  24   72   48  120 Cd       -83957.3                                                                     119 909868.1
+  25   73   48  121 Cd       -81073.8                                                                     120 912963.7
+  26   74   48  122 Cd       -80612.3                                                                     121 913459.1
+  27   75   48  123 Cd       -77414.1                                                                     122 916892.5
+  28   76   48  124 Cd       -76701.6                                                                     123 917657.4
+  29   77   48  125 Cd       -73348.1                                                                     124 921257.6
+  30   78   48  126 Cd       -72256.8                                                                     125 922429.1
+  31   79   48  127 Cd       -68491                                                                       126 926472.
+  32   80   48  128 Cd       -67241.9                                                                     127 927812.9
+  33   81   48  129 Cd       -63509                                                                       128 931820.
+  34   82   48  130 Cd       -61535                                                                       129 933940.
+  35   83   48  131 Cd       -55331                                                                       130 940600.
+  36   84   48  132 Cd       -50263                                                                       131 946040.
+  37   85   48  133 Cd       -43920                                                                       132 952850.
+  -1   48   49   97 In       -47189                                                                        96 949340.
+   0   49   49   98 In       -53896                                                                        97 942140.
+   1   50   49   99 In       -61376                                                                        98 934110.
+   2   51   49  100 In       -64310                                                                        99 930960.
+   3   52   49  101 In       -68614                                                                       100 926340.
+   4   53   49  102 In       -70693.8                                                                     101 924107.1
+   5   54   49  103 In       -74629.5                                                                     102 919881.9
+   6   55   49  104 In       -76182.7                                                                     103 918214.5
+   7   56   49  105 In       -79641                                                                       104 914502.
+   8   57   49  106 In       -80608                                                                       105 913464.
+   9   58   49  107 In       -83564                                                                       106 910290.
+  10   59   49  108 In       -84120.0                                                                     107 909693.5
+  11   60   49  109 In       -86487.9                                                                     108 907151.4
+  12   61   49  110 In       -86471                                                                       109 907170.
+  13   62   49  111 In       -88390.9                                                                     110 905108.5
+  14   63   49  112 In       -87991.1                                                                     111 905537.7
+  15   64   49  113 In       -89365.83                                                                    112 904061.84
+  16   65   49  114 In       -88568.41                                                                    113 904917.91
+  17   66   49  115 In       -89536.353                                                                   114 903878.776
+  18   67   49  116 In       -88249.76                                                                    115 905259.99
+  19   68   49  117 In       -88943.1                                                                     116 904515.7
+  20   69   49  118 In       -87228.3                                                                     117 906356.6
+  21   70   49  119 In       -87699.5                                                                     118 905850.7
+  22   71   49  120 In       -85728                                                                       119 907967.
+  23   72   49  121 In       -85836                                                                       120 907851.
+  24   73   49  122 In       -83573                                                                       121 910281.
+  25   74   49  123 In       -83430                                                                       122 910434.
+  26   75   49  124 In       -80870                                                                       123 913182.
+  27   76   49  125 In       -80476                                                                       124 913605.
+  28   77   49  126 In       -77773                                                                       125 916507.
+  29   78   49  127 In       -76899                                                                       126 917446.
+  30   79   49  128 In       -74147                                                                       127 920400.
+  31   80   49  129 In       -72837.9                                                                     128 921805.3
+  32   81   49  130 In       -69883                                                                       129 924977.
+  33   82   49  131 In       -68025.6                                                                     130 926971.5
+  34   83   49  132 In       -62409                                                                       131 933001.
+  35   84   49  133 In       -57464                                                                       132 938310.
+  36   85   49  134 In       -51661                                                                       133 944540.
+  37   86   49  135 In       -46528                                                                       134 950050.
+  -1   49   50   99 Sn       -47944                                                                        98 948530.
+   0   50   50  100 Sn       -57287                                                                        99 938500.
+   1   51   50  101 Sn       -60305                                                                       100 935260.
+   2   52   50  102 Sn       -64934                                                                       101 930290.
+   3   53   50  103 Sn       -66970                                                                       102 928105.
+   4   54   50  104 Sn       -71627.1                                                                     103 923105.2
+   5   55   50  105 Sn       -73338.0                                                                     104 921268.4
+   6   56   50  106 Sn       -77353.7                                                                     105 916957.4
+   7   57   50  107 Sn       -78512.2                                                                     106 915713.7
+   8   58   50  108 Sn       -82069.9                                                                     107 911894.3
+   9   59   50  109 Sn       -82630.9                                                                     108 911292.1
+  10   60   50  110 Sn       -85842                                                                       109 907845.
+  11   61   50  111 Sn       -85939.6                                                                     110 907740.1
+  12   62   50  112 Sn       -88656.00                                                                    111 904823.87
+  13   63   50  113 Sn       -88328.3                                                                     112 905175.7
+  14   64   50  114 Sn       -90557.3                                                                     113 902782.7
+  15   65   50  115 Sn       -90033.843                                                                   114 903344.699
+  16   66   50  116 Sn       -91526.0                                                                     115 901742.8
+  17   67   50  117 Sn       -90397.80                                                                    116 902953.98
+  18   68   50  118 Sn       -91652.90                                                                    117 901606.57
+  19   69   50  119 Sn       -90065.07                                                                    118 903311.17
+  20   70   50  120 Sn       -91098.60                                                                    119 902201.63
+  21   71   50  121 Sn       -89197.5                                                                     120 904242.6
+  22   72   50  122 Sn       -89941.5                                                                     121 903443.8
+  23   73   50  123 Sn       -87816.4                                                                     122 905725.2
+  24   74   50  124 Sn       -88234.3                                                                     123 905276.6
+  25   75   50  125 Sn       -85896.4                                                                     124 907786.4
+  26   76   50  126 Sn       -86015                                                                       125 907659.
+  27   77   50  127 Sn       -83471                                                                       126 910390.
+  28   78   50  128 Sn       -83362                                                                       127 910507.
+  29   79   50  129 Sn       -80607                                                                       128 913465.
+  30   80   50  130 Sn       -80132.9                                                                     129 913973.8
+  31   81   50  131 Sn       -77272                                                                       130 917045.
+  32   82   50  132 Sn       -76543.9                                                                     131 917826.7
+  33   83   50  133 Sn       -70874.2                                                                     132 923913.4
+  34   84   50  134 Sn       -66432.2                                                                     133 928682.1
+  35   85   50  135 Sn       -60632.3                                                                     134 934908.6
+  36   86   50  136 Sn       -55899                                                                       135 939990.
+  37   87   50  137 Sn       -49788                                                                       136 946550.
+  38   88   50  138 Sn       -44861                                                                       137 951840.
+   1   52   51  103 Sb       -56178                                                                       102 939690.
+   2   53   51  104 Sb       -59169                                                                       103 936480.
+   3   54   51  105 Sb       -64016                                                                       104 931276.
+   4   55   51  106 Sb       -66473                                                                       105 928638.
+   5   56   51  107 Sb       -70653.3                                                                     106 924150.6
+   6   57   51  108 Sb       -72445.4                                                                     107 922226.7
+   7   58   51  109 Sb       -76251.1                                                                     108 918141.1
+   8   59   51  110 Sb       -77449.7                                                                     109 916854.3
+   9   60   51  111 Sb       -80836.7                                                                     110 913218.2
+  10   61   51  112 Sb       -81599                                                                       111 912400.
+  11   62   51  113 Sb       -84417                                                                       112 909375.
+  12   63   51  114 Sb       -84496                                                                       113 909290.
+  13   64   51  115 Sb       -87003                                                                       114 906598.
+  14   65   51  116 Sb       -86821.7                                                                     115 906793.1
+  15   66   51  117 Sb       -88639.6                                                                     116 904841.5
+  16   67   51  118 Sb       -87996.3                                                                     117 905532.1
+  17   68   51  119 Sb       -89474.2                                                                     118 903945.5
+  18   69   51  120 Sb       -88418.0                                                                     119 905079.4
+  19   70   51  121 Sb       -89599                                                                       120 903812.
+  20   71   51  122 Sb       -88333.7                                                                     121 905169.9
+  21   72   51  123 Sb       -89224.8                                                                     122 904213.2
+  22   73   51  124 Sb       -87621                                                                       123 905935.
+  23   74   51  125 Sb       -88256                                                                       124 905253.
+  24   75   51  126 Sb       -86393                                                                       125 907253.
+  25   76   51  127 Sb       -86699.5                                                                     126 906924.3
+  26   77   51  128 Sb       -84630                                                                       127 909146.
+  27   78   51  129 Sb       -84629                                                                       128 909147.
+  28   79   51  130 Sb       -82286                                                                       129 911662.
+  29   80   51  131 Sb       -81981.9                                                                     130 911988.8
+  30   81   51  132 Sb       -79635.6                                                                     131 914507.7
+  31   82   51  133 Sb       -78922.5                                                                     132 915273.2
+  32   83   51  134 Sb       -74020.5                                                                     133 920535.7
+  33   84   51  135 Sb       -69689.6                                                                     134 925185.1
+  34   85   51  136 Sb       -64509.8                                                                     135 930745.9
+  35   86   51  137 Sb       -60035                                                                       136 935550.
+  36   87   51  138 Sb       -54539                                                                       137 941450.
+  37   88   51  139 Sb       -49788                                                                       138 946550.
+  38   89   51  140 Sb       -43939                                                                       139 952830.
+   1   53   52  105 Te       -52816                                                                       104 943300.
+   2   54   52  106 Te       -58218                                                                       105 937500.
+   3   55   52  107 Te       -60536                                                                       106 935012.
+   4   56   52  108 Te       -65781.6                                                                     107 929380.5
+   5   57   52  109 Te       -67715.4                                                                     108 927304.5
+   6   58   52  110 Te       -72229.8                                                                     109 922458.1
+   7   59   52  111 Te       -73587.5                                                                     110 921000.6
+   8   60   52  112 Te       -77567.5                                                                     111 916727.9
+   9   61   52  113 Te       -78347                                                                       112 915891.
+  10   62   52  114 Te       -81889                                                                       113 912089.
+  11   63   52  115 Te       -82063                                                                       114 911902.
+  12   64   52  116 Te       -85269                                                                       115 908460.
+  13   65   52  117 Te       -85096                                                                       116 908646.
+  14   66   52  118 Te       -87696                                                                       117 905854.
+  15   67   52  119 Te       -87181.2                                                                     118 906407.1
+  16   68   52  120 Te       -89368.2                                                                     119 904059.3
+  17   69   52  121 Te       -88544                                                                       120 904944.
+  18   70   52  122 Te       -90314.4                                                                     121 903043.5
+  19   71   52  123 Te       -89172.1                                                                     122 904269.8
+  20   72   52  124 Te       -90525.3                                                                     123 902817.1
+  21   73   52  125 Te       -89023.0                                                                     124 904429.9
+  22   74   52  126 Te       -90065.3                                                                     125 903310.9
+  23   75   52  127 Te       -88281.7                                                                     126 905225.7
+  24   76   52  128 Te       -88993.75                                                                    127 904461.28
+  25   77   52  129 Te       -87004.85                                                                    128 906596.46
+  26   78   52  130 Te       -87352.957                                                                   129 906222.748
+  27   79   52  131 Te       -85211.019                                                                   130 908522.213
+  28   80   52  132 Te       -85188.2                                                                     131 908546.7
+  29   81   52  133 Te       -82932.0                                                                     132 910968.8
+  30   82   52  134 Te       -82536                                                                       133 911394.
+  31   83   52  135 Te       -77727.9                                                                     134 916555.7
+  32   84   52  136 Te       -74425.8                                                                     135 920100.6
+  33   85   52  137 Te       -69304.2                                                                     136 925598.9
+  34   86   52  138 Te       -65696.2                                                                     137 929472.2
+  35   87   52  139 Te       -60205.1                                                                     138 935367.2
+  36   88   52  140 Te       -56356                                                                       139 939499.
+  37   89   52  141 Te       -50487                                                                       140 945800.
+  38   90   52  142 Te       -46370                                                                       141 950220.
+  39   91   52  143 Te       -40278                                                                       142 956760.
+   1   54   53  107 I        -49574                                                                       106 946780.
+   2   55   53  108 I        -52648                                                                       107 943480.
+   3   56   53  109 I        -57673.2                                                                     108 938085.3
+   4   57   53  110 I        -60464                                                                       109 935089.
+   5   58   53  111 I        -64953.8                                                                     110 930269.2
+   6   59   53  112 I        -67063                                                                       111 928005.
+   7   60   53  113 I        -71119.5                                                                     112 923650.1
+   8   61   53  114 I        -72796                                                                       113 921850.
+   9   62   53  115 I        -76338                                                                       114 918048.
+  10   63   53  116 I        -77491                                                                       115 916810.
+  11   64   53  117 I        -80436                                                                       116 913648.
+  12   65   53  118 I        -80971                                                                       117 913074.
+  13   66   53  119 I        -83766                                                                       118 910074.
+  14   67   53  120 I        -83753                                                                       119 910087.
+  15   68   53  121 I        -86251.6                                                                     120 907405.1
+  16   69   53  122 I        -86080.5                                                                     121 907588.8
+  17   70   53  123 I        -87943.8                                                                     122 905588.5
+  18   71   53  124 I        -87366                                                                       123 906209.
+  19   72   53  125 I        -88837.2                                                                     124 904629.4
+  20   73   53  126 I        -87911.3                                                                     125 905623.3
+  21   74   53  127 I        -88983.9                                                                     126 904471.9
+  22   75   53  128 I        -87738.7                                                                     127 905808.6
+  23   76   53  129 I        -88507.1                                                                     128 904983.7
+  24   77   53  130 I        -86936.2                                                                     129 906670.2
+  25   78   53  131 I        -87442.8                                                                     130 906126.3
+  26   79   53  132 I        -85703.5                                                                     131 907993.5
+  27   80   53  133 I        -85887                                                                       132 907797.
+  28   81   53  134 I        -84059.1                                                                     133 909758.8
+  29   82   53  135 I        -83789.0                                                                     134 910048.8
+  30   83   53  136 I        -79546                                                                       135 914604.
+  31   84   53  137 I        -76356.2                                                                     136 918028.2
+  32   85   53  138 I        -71979.9                                                                     137 922726.4
+  33   86   53  139 I        -68459                                                                       138 926506.
+  34   87   53  140 I        -63593                                                                       139 931730.
+  35   88   53  141 I        -59904                                                                       140 935690.
+  36   89   53  142 I        -54772                                                                       141 941200.
+  37   90   53  143 I        -50627                                                                       142 945650.
+  38   91   53  144 I        -45280                                                                       143 951390.
+  39   92   53  145 I        -40939                                                                       144 956050.
+   1   55   54  109 Xe       -46174                                                                       108 950430.
+   2   56   54  110 Xe       -51921                                                                       109 944260.
+   3   57   54  111 Xe       -54393                                                                       110 941607.
+   4   58   54  112 Xe       -60026                                                                       111 935559.
+   5   59   54  113 Xe       -62203.6                                                                     112 933221.7
+   6   60   54  114 Xe       -67086                                                                       113 927980.
+   7   61   54  115 Xe       -68657                                                                       114 926294.
+   8   62   54  116 Xe       -73047                                                                       115 921581.
+   9   63   54  117 Xe       -74185                                                                       116 920359.
+  10   64   54  118 Xe       -78079                                                                       117 916179.
+  11   65   54  119 Xe       -78794                                                                       118 915411.
+  12   66   54  120 Xe       -82173                                                                       119 911784.
+  13   67   54  121 Xe       -82481                                                                       120 911453.
+  14   68   54  122 Xe       -85355                                                                       121 908368.
+  15   69   54  123 Xe       -85248                                                                       122 908482.
+  16   70   54  124 Xe       -87661                                                                       123 905892.
+  17   71   54  125 Xe       -87193.1                                                                     124 906394.4
+  18   72   54  126 Xe       -89145.6                                                                     125 904298.3
+  19   73   54  127 Xe       -88321.6                                                                     126 905182.9
+  20   74   54  128 Xe       -89860                                                                       127 903531.
+  21   75   54  129 Xe       -88696.0663                                                                  128 904780.8611
+  22   76   54  130 Xe       -89880.472                                                                   129 903509.349
+  23   77   54  131 Xe       -88413.64                                                                    130 905084.06
+  24   78   54  132 Xe       -89278.9725                                                                  131 904155.0856
+  25   79   54  133 Xe       -87643.5                                                                     132 905910.8
+  26   80   54  134 Xe       -88124.32                                                                    133 905394.66
+  27   81   54  135 Xe       -86416.8                                                                     134 907227.8
+  28   82   54  136 Xe       -86429.161                                                                   135 907214.484
+  29   83   54  137 Xe       -82383.41                                                                    136 911557.78
+  30   84   54  138 Xe       -79972.2                                                                     137 914146.3
+  31   85   54  139 Xe       -75644.6                                                                     138 918792.2
+  32   86   54  140 Xe       -72986.5                                                                     139 921645.8
+  33   87   54  141 Xe       -68197.3                                                                     140 926787.2
+  34   88   54  142 Xe       -65229.6                                                                     141 929973.1
+  35   89   54  143 Xe       -60202.8                                                                     142 935369.6
+  36   90   54  144 Xe       -56872.3                                                                     143 938945.1
+  37   91   54  145 Xe       -51493                                                                       144 944720.
+  38   92   54  146 Xe       -47955                                                                       145 948518.
+  39   93   54  147 Xe       -42607                                                                       146 954260.
+  40   94   54  148 Xe       -39002                                                                       147 958130.
+   2   57   55  112 Cs       -46287                                                                       111 950309.
+   3   58   55  113 Cs       -51764.0                                                                     112 944429.1
+   4   59   55  114 Cs       -54682                                                                       113 941296.
+   5   60   55  115 Cs       -59699                                                                       114 935910.
+   6   61   55  116 Cs       -62065                                                                       115 933370.
+   7   62   55  117 Cs       -66493                                                                       116 928617.
+   8   63   55  118 Cs       -68409                                                                       117 926560.
+   9   64   55  119 Cs       -72305                                                                       118 922377.
+  10   65   55  120 Cs       -73889                                                                       119 920677.
+  11   66   55  121 Cs       -77103                                                                       120 917227.
+  12   67   55  122 Cs       -78145                                                                       121 916108.
+  13   68   55  123 Cs       -81044                                                                       122 912996.
+  14   69   55  124 Cs       -81731.3                                                                     123 912257.8
+  15   70   55  125 Cs       -84088                                                                       124 909728.
+  16   71   55  126 Cs       -84351                                                                       125 909446.
+  17   72   55  127 Cs       -86240.1                                                                     126 907417.4
+  18   73   55  128 Cs       -85931.5                                                                     127 907748.7
+  19   74   55  129 Cs       -87499.2                                                                     128 906065.7
+  20   75   55  130 Cs       -86899.7                                                                     129 906709.3
+  21   76   55  131 Cs       -88058.9                                                                     130 905464.9
+  22   77   55  132 Cs       -87156.3                                                                     131 906433.9
+  23   78   55  133 Cs       -88070.941                                                                   132 905451.961
+  24   79   55  134 Cs       -86891.164                                                                   133 906718.503
+  25   80   55  135 Cs       -87582                                                                       134 905977.
+  26   81   55  136 Cs       -86338.9                                                                     135 907311.4
+  27   82   55  137 Cs       -86545.83                                                                    136 907089.23
+  28   83   55  138 Cs       -82887.0                                                                     137 911017.1
+  29   84   55  139 Cs       -80701.1                                                                     138 913363.8
+  30   85   55  140 Cs       -77050.3                                                                     139 917283.1
+  31   86   55  141 Cs       -74477.1                                                                     140 920045.5
+  32   87   55  142 Cs       -70518                                                                       141 924296.
+  33   88   55  143 Cs       -67674                                                                       142 927349.
+  34   89   55  144 Cs       -63271                                                                       143 932076.
+  35   90   55  145 Cs       -60056                                                                       144 935527.
+  36   91   55  146 Cs       -55569                                                                       145 940344.
+  37   92   55  147 Cs       -52018                                                                       146 944156.
+  38   93   55  148 Cs       -47292                                                                       147 949230.
+  39   94   55  149 Cs       -43762                                                                       148 953020.
+  40   95   55  150 Cs       -38815                                                                       149 958330.
+  41   96   55  151 Cs       -34857                                                                       150 962580.
+   2   58   56  114 Ba       -45960                                                                       113 950660.
+   3   59   56  115 Ba       -49025                                                                       114 947370.
+   4   60   56  116 Ba       -54697                                                                       115 941280.
+   5   61   56  117 Ba       -57622                                                                       116 938140.
+   6   62   56  118 Ba       -62354                                                                       117 933060.
+   7   63   56  119 Ba       -64590                                                                       118 930660.
+   8   64   56  120 Ba       -68884                                                                       119 926050.
+   9   65   56  121 Ba       -70747                                                                       120 924050.
+  10   66   56  122 Ba       -74609                                                                       121 919904.
+  11   67   56  123 Ba       -75655                                                                       122 918781.
+  12   68   56  124 Ba       -79089                                                                       123 915094.
+  13   69   56  125 Ba       -79669                                                                       124 914472.
+  14   70   56  126 Ba       -82670                                                                       125 911250.
+  15   71   56  127 Ba       -82818                                                                       126 911091.
+  16   72   56  128 Ba       -85379                                                                       127 908342.
+  17   73   56  129 Ba       -85063                                                                       128 908681.
+  18   74   56  130 Ba       -87261.7                                                                     129 906320.7
+  19   75   56  131 Ba       -86684                                                                       130 906941.
+  20   76   56  132 Ba       -88435.0                                                                     131 905061.1
+  21   77   56  133 Ba       -87553.6                                                                     132 906007.4
+  22   78   56  134 Ba       -88950.07                                                                    133 904508.18
+  23   79   56  135 Ba       -87850.72                                                                    134 905688.38
+  24   80   56  136 Ba       -88887.14                                                                    135 904575.73
+  25   81   56  137 Ba       -87721.46                                                                    136 905827.14
+  26   82   56  138 Ba       -88262                                                                       137 905247.
+  27   83   56  139 Ba       -84914.0                                                                     138 908841.1
+  28   84   56  140 Ba       -83270.3                                                                     139 910605.7
+  29   85   56  141 Ba       -79732.8                                                                     140 914403.3
+  30   86   56  142 Ba       -77842.7                                                                     141 916432.4
+  31   87   56  143 Ba       -73937.1                                                                     142 920625.3
+  32   88   56  144 Ba       -71767.1                                                                     143 922954.9
+  33   89   56  145 Ba       -67516.2                                                                     144 927518.4
+  34   90   56  146 Ba       -64940                                                                       145 930284.
+  35   91   56  147 Ba       -60264                                                                       146 935304.
+  36   92   56  148 Ba       -57593                                                                       147 938171.
+  37   93   56  149 Ba       -53021                                                                       148 943080.
+  38   94   56  150 Ba       -50254                                                                       149 946050.
+  39   95   56  151 Ba       -45392                                                                       150 951270.
+  40   96   56  152 Ba       -42094                                                                       151 954810.
+  41   97   56  153 Ba       -36924                                                                       152 960360.
+   2   59   57  116 La       -40706                                                                       115 956300.
+   3   60   57  117 La       -46584                                                                       116 949990.
+   4   61   57  118 La       -49621                                                                       117 946730.
+   5   62   57  119 La       -54967                                                                       118 940990.
+   6   63   57  120 La       -57687                                                                       119 938070.
+   7   64   57  121 La       -62270                                                                       120 933150.
+   8   65   57  122 La       -64543                                                                       121 930710.
+   9   66   57  123 La       -68651                                                                       122 926300.
+  10   67   57  124 La       -70259                                                                       123 924574.
+  11   68   57  125 La       -73759                                                                       124 920816.
+  12   69   57  126 La       -74973                                                                       125 919513.
+  13   70   57  127 La       -77896                                                                       126 916375.
+  14   71   57  128 La       -78626                                                                       127 915592.
+  15   72   57  129 La       -81325                                                                       128 912694.
+  16   73   57  130 La       -81628                                                                       129 912369.
+  17   74   57  131 La       -83769                                                                       130 910070.
+  18   75   57  132 La       -83724                                                                       131 910119.
+  19   76   57  133 La       -85494                                                                       132 908218.
+  20   77   57  134 La       -85219                                                                       133 908514.
+  21   78   57  135 La       -86644                                                                       134 906984.
+  22   79   57  136 La       -86037                                                                       135 907635.
+  23   80   57  137 La       -87140.9                                                                     136 906450.4
+  24   81   57  138 La       -86521.9                                                                     137 907114.9
+  25   82   57  139 La       -87228.6                                                                     138 906356.3
+  26   83   57  140 La       -84318.3                                                                     139 909480.6
+  27   84   57  141 La       -82935                                                                       140 910966.
+  28   85   57  142 La       -80023.8                                                                     141 914090.9
+  29   86   57  143 La       -78171.5                                                                     142 916079.5
+  30   87   57  144 La       -74849                                                                       143 919646.
+  31   88   57  145 La       -72835                                                                       144 921808.
+  32   89   57  146 La       -69047                                                                       145 925875.
+  33   90   57  147 La       -66678                                                                       146 928418.
+  34   91   57  148 La       -62709                                                                       147 932679.
+  35   92   57  149 La       -60221                                                                       148 935350.
+  36   93   57  150 La       -56383                                                                       149 939470.
+  37   94   57  151 La       -53729                                                                       150 942320.
+  38   95   57  152 La       -49537                                                                       151 946820.
+  39   96   57  153 La       -46239                                                                       152 950360.
+  40   97   57  154 La       -41759                                                                       153 955170.
+  41   98   57  155 La       -38182                                                                       154 959010.
+   3   61   58  119 Ce       -44050                                                                       118 952710.
+   4   62   58  120 Ce       -49798                                                                       119 946540.
+   5   63   58  121 Ce       -52769                                                                       120 943350.
+   6   64   58  122 Ce       -57874                                                                       121 937870.
+   7   65   58  123 Ce       -60286                                                                       122 935280.
+   8   66   58  124 Ce       -64916                                                                       123 930310.
+   9   67   58  125 Ce       -66658                                                                       124 928440.
+  10   68   58  126 Ce       -70821                                                                       125 923971.
+  11   69   58  127 Ce       -71979                                                                       126 922727.
+  12   70   58  128 Ce       -75534                                                                       127 918911.
+  13   71   58  129 Ce       -76288                                                                       128 918102.
+  14   72   58  130 Ce       -79423                                                                       129 914736.
+  15   73   58  131 Ce       -79709                                                                       130 914429.
+  16   74   58  132 Ce       -82471                                                                       131 911464.
+  17   75   58  133 Ce       -82419                                                                       132 911520.
+  18   76   58  134 Ce       -84833                                                                       133 908928.
+  19   77   58  135 Ce       -84616                                                                       134 909161.
+  20   78   58  136 Ce       -86508.59                                                                    135 907129.21
+  21   79   58  137 Ce       -85918.82                                                                    136 907762.36
+  22   80   58  138 Ce       -87569                                                                       137 905991.
+  23   81   58  139 Ce       -86950.2                                                                     138 906655.1
+  24   82   58  140 Ce       -88079.2                                                                     139 905443.1
+  25   83   58  141 Ce       -85436.0                                                                     140 908280.7
+  26   84   58  142 Ce       -84532.7                                                                     141 909250.4
+  27   85   58  143 Ce       -81606.2                                                                     142 912392.1
+  28   86   58  144 Ce       -80431.8                                                                     143 913652.9
+  29   87   58  145 Ce       -77067                                                                       144 917265.
+  30   88   58  146 Ce       -75635                                                                       145 918802.
+  31   89   58  147 Ce       -72013.9                                                                     146 922689.9
+  32   90   58  148 Ce       -70399                                                                       147 924424.
+  33   91   58  149 Ce       -66670                                                                       148 928427.
+  34   92   58  150 Ce       -64847                                                                       149 930384.
+  35   93   58  151 Ce       -61225                                                                       150 934272.
+  36   94   58  152 Ce       -59057                                                                       151 936600.
+  37   95   58  153 Ce       -55023                                                                       152 940930.
+  38   96   58  154 Ce       -52350                                                                       153 943800.
+  39   97   58  155 Ce       -47925                                                                       154 948550.
+  40   98   58  156 Ce       -44870                                                                       155 951830.
+  41   99   58  157 Ce       -40008                                                                       156 957050.
+   3   62   59  121 Pr       -41619                                                                       120 955320.
+   4   63   59  122 Pr       -44945                                                                       121 951750.
+   5   64   59  123 Pr       -50338                                                                       122 945960.
+   6   65   59  124 Pr       -53151                                                                       123 942940.
+   7   66   59  125 Pr       -58032                                                                       124 937700.
+   8   67   59  126 Pr       -60324                                                                       125 935240.
+   9   68   59  127 Pr       -64543                                                                       126 930710.
+  10   69   59  128 Pr       -66331                                                                       127 928791.
+  11   70   59  129 Pr       -69774                                                                       128 925095.
+  12   71   59  130 Pr       -71175                                                                       129 923590.
+  13   72   59  131 Pr       -74301                                                                       130 920235.
+  14   73   59  132 Pr       -75213                                                                       131 919255.
+  15   74   59  133 Pr       -77937                                                                       132 916331.
+  16   75   59  134 Pr       -78528                                                                       133 915697.
+  17   76   59  135 Pr       -80936                                                                       134 913112.
+  18   77   59  136 Pr       -81341                                                                       135 912677.
+  19   78   59  137 Pr       -83201.8                                                                     136 910679.2
+  20   79   59  138 Pr       -83132                                                                       137 910754.
+  21   80   59  139 Pr       -84821.1                                                                     138 908940.8
+  22   81   59  140 Pr       -84691.2                                                                     139 909080.3
+  23   82   59  141 Pr       -86016.4                                                                     140 907657.6
+  24   83   59  142 Pr       -83788.3                                                                     141 910049.6
+  25   84   59  143 Pr       -83068.0                                                                     142 910822.8
+  26   85   59  144 Pr       -80750.4                                                                     143 913310.9
+  27   86   59  145 Pr       -79625.8                                                                     144 914518.2
+  28   87   59  146 Pr       -76681                                                                       145 917680.
+  29   88   59  147 Pr       -75444                                                                       146 919008.
+  30   89   59  148 Pr       -72535                                                                       147 922130.
+  31   90   59  149 Pr       -71039                                                                       148 923736.
+  32   91   59  150 Pr       -68300.4                                                                     149 926676.5
+  33   92   59  151 Pr       -66780                                                                       150 928309.
+  34   93   59  152 Pr       -63758                                                                       151 931553.
+  35   94   59  153 Pr       -61568                                                                       152 933904.
+  36   95   59  154 Pr       -58190                                                                       153 937530.
+  37   96   59  155 Pr       -55416                                                                       154 940509.
+  38   97   59  156 Pr       -51568                                                                       155 944640.
+  39   98   59  157 Pr       -48540                                                                       156 947890.
+  40   99   59  158 Pr       -44330                                                                       157 952410.
+  41  100   59  159 Pr       -41088                                                                       158 955890.
+   4   64   60  124 Nd       -44525                                                                       123 952200.
+   5   65   60  125 Nd       -47599                                                                       124 948900.
+   6   66   60  126 Nd       -52993                                                                       125 943110.
+   7   67   60  127 Nd       -55536                                                                       126 940380.
+   8   68   60  128 Nd       -60314                                                                       127 935250.
+   9   69   60  129 Nd       -62317                                                                       128 933100.
+  10   70   60  130 Nd       -66596                                                                       129 928506.
+  11   71   60  131 Nd       -67768                                                                       130 927248.
+  12   72   60  132 Nd       -71426                                                                       131 923321.
+  13   73   60  133 Nd       -72332                                                                       132 922348.
+  14   74   60  134 Nd       -75647                                                                       133 918790.
+  15   75   60  135 Nd       -76214                                                                       134 918181.
+  16   76   60  136 Nd       -79199                                                                       135 914976.
+  17   77   60  137 Nd       -79585                                                                       136 914562.
+  18   78   60  138 Nd       -82018                                                                       137 911950.
+  19   79   60  139 Nd       -82014                                                                       138 911954.
+  20   80   60  140 Nd       -84254                                                                       139 909550.
+  21   81   60  141 Nd       -84193.4                                                                     140 909614.7
+  22   82   60  142 Nd       -85950                                                                       141 907729.
+  23   83   60  143 Nd       -84002                                                                       142 909820.
+  24   84   60  144 Nd       -83748                                                                       143 910093.
+  25   85   60  145 Nd       -81431.9                                                                     144 912579.3
+  26   86   60  146 Nd       -80925.8                                                                     145 913122.6
+  27   87   60  147 Nd       -78146.7                                                                     146 916106.1
+  28   88   60  148 Nd       -77407.8                                                                     147 916899.3
+  29   89   60  149 Nd       -74375.3                                                                     148 920154.8
+  30   90   60  150 Nd       -73679.1                                                                     149 920902.2
+  31   91   60  151 Nd       -70942.3                                                                     150 923840.3
+  32   92   60  152 Nd       -70149                                                                       151 924692.
+  33   93   60  153 Nd       -67330                                                                       152 927718.
+  34   94   60  154 Nd       -65689                                                                       153 929480.
+  35   95   60  155 Nd       -62283.7                                                                     154 933135.7
+  36   96   60  156 Nd       -60473                                                                       155 935080.
+  37   97   60  157 Nd       -56462                                                                       156 939386.
+  38   98   60  158 Nd       -54055                                                                       157 941970.
+  39   99   60  159 Nd       -49807                                                                       158 946530.
+  40  100   60  160 Nd       -47134                                                                       159 949400.
+  41  101   60  161 Nd       -42588                                                                       160 954280.
+   4   65   61  126 Pm       -39197                                                                       125 957920.
+   5   66   61  127 Pm       -44786                                                                       126 951920.
+   6   67   61  128 Pm       -47786                                                                       127 948700.
+   7   68   61  129 Pm       -52881                                                                       128 943230.
+   8   69   61  130 Pm       -55396                                                                       129 940530.
+   9   70   61  131 Pm       -59923                                                                       130 935670.
+  10   71   61  132 Pm       -61628                                                                       131 933840.
+  11   72   61  133 Pm       -65408                                                                       132 929782.
+  12   73   61  134 Pm       -66739                                                                       133 928353.
+  13   74   61  135 Pm       -70027                                                                       134 924823.
+  14   75   61  136 Pm       -71180                                                                       135 923585.
+  15   76   61  137 Pm       -74072                                                                       136 920480.
+  16   77   61  138 Pm       -74941                                                                       137 919548.
+  17   78   61  139 Pm       -77500                                                                       138 916800.
+  18   79   61  140 Pm       -78208                                                                       139 916040.
+  19   80   61  141 Pm       -80523                                                                       140 913555.
+  20   81   61  142 Pm       -81142                                                                       141 912890.
+  21   82   61  143 Pm       -82960.4                                                                     142 910938.3
+  22   83   61  144 Pm       -81415.9                                                                     143 912596.4
+  23   84   61  145 Pm       -81267.4                                                                     144 912755.9
+  24   85   61  146 Pm       -79454.2                                                                     145 914702.4
+  25   86   61  147 Pm       -79042                                                                       146 915145.
+  26   87   61  148 Pm       -76865.1                                                                     147 917481.9
+  27   88   61  149 Pm       -76063.7                                                                     148 918342.3
+  28   89   61  150 Pm       -73596                                                                       149 920991.
+  29   90   61  151 Pm       -73385.4                                                                     150 921217.5
+  30   91   61  152 Pm       -71254                                                                       151 923506.
+  31   92   61  153 Pm       -70647.6                                                                     152 924156.7
+  32   93   61  154 Pm       -68491                                                                       153 926472.
+  33   94   61  155 Pm       -66940                                                                       154 928137.
+  34   95   61  156 Pm       -64163.6                                                                     155 931117.5
+  35   96   61  157 Pm       -62297.0                                                                     156 933121.4
+  36   97   61  158 Pm       -59089                                                                       157 936565.
+  37   98   61  159 Pm       -56554                                                                       158 939287.
+  38   99   61  160 Pm       -53002                                                                       159 943100.
+  39  100   61  161 Pm       -50235                                                                       160 946070.
+  40  101   61  162 Pm       -46370                                                                       161 950220.
+  41  102   61  163 Pm       -43249                                                                       162 953570.
+   4   66   62  128 Sm       -38732                                                                       127 958420.
+   5   67   62  129 Sm       -42141                                                                       128 954760.
+   6   68   62  130 Sm       -47506                                                                       129 949000.
+   7   69   62  131 Sm       -50133                                                                       130 946180.
+   8   70   62  132 Sm       -55079                                                                       131 940870.
+   9   71   62  133 Sm       -57231                                                                       132 938560.
+  10   72   62  134 Sm       -61376                                                                       133 934110.
+  11   73   62  135 Sm       -62857                                                                       134 932520.
+  12   74   62  136 Sm       -66810                                                                       135 928276.
+  13   75   62  137 Sm       -68026                                                                       136 926971.
+  14   76   62  138 Sm       -71498                                                                       137 923244.
+  15   77   62  139 Sm       -72380                                                                       138 922297.
+  16   78   62  140 Sm       -75456                                                                       139 918995.
+  17   79   62  141 Sm       -75933.9                                                                     140 918481.6
+  18   80   62  142 Sm       -78986.6                                                                     141 915204.4
+  19   81   62  143 Sm       -79516.7                                                                     142 914635.3
+  20   82   62  144 Sm       -81965.4                                                                     143 912006.5
+  21   83   62  145 Sm       -80651.3                                                                     144 913417.3
+  22   84   62  146 Sm       -80996                                                                       145 913047.
+  23   85   62  147 Sm       -79266.0                                                                     146 914904.4
+  24   86   62  148 Sm       -79336.1                                                                     147 914829.2
+  25   87   62  149 Sm       -77135.1                                                                     148 917192.1
+  26   88   62  150 Sm       -77050.5                                                                     149 917282.9
+  27   89   62  151 Sm       -74575.6                                                                     150 919939.8
+  28   90   62  152 Sm       -74762.0                                                                     151 919739.7
+  29   91   62  153 Sm       -72559.0                                                                     152 922104.7
+  30   92   62  154 Sm       -72454.5                                                                     153 922216.9
+  31   93   62  155 Sm       -70190.2                                                                     154 924647.7
+  32   94   62  156 Sm       -69363                                                                       155 925536.
+  33   95   62  157 Sm       -66677.6                                                                     156 928418.7
+  34   96   62  158 Sm       -65250                                                                       157 929951.
+  35   97   62  159 Sm       -62207.8                                                                     158 933217.2
+  36   98   62  160 Sm       -60234.8                                                                     159 935335.3
+  37   99   62  161 Sm       -56671.9                                                                     160 939160.2
+  38  100   62  162 Sm       -54530                                                                       161 941460.
+  39  101   62  163 Sm       -50720                                                                       162 945550.
+  40  102   62  164 Sm       -48102                                                                       163 948360.
+  41  103   62  165 Sm       -43808                                                                       164 952970.
+   4   67   63  130 Eu       -33823                                                                       129 963690.
+   5   68   63  131 Eu       -39272                                                                       130 957840.
+   6   69   63  132 Eu       -42225                                                                       131 954670.
+   7   70   63  133 Eu       -47236                                                                       132 949290.
+   8   71   63  134 Eu       -49928                                                                       133 946400.
+   9   72   63  135 Eu       -54148                                                                       134 941870.
+  10   73   63  136 Eu       -56244                                                                       135 939620.
+  11   74   63  137 Eu       -60119                                                                       136 935460.
+  12   75   63  138 Eu       -61750                                                                       137 933709.
+  13   76   63  139 Eu       -65398                                                                       138 929792.
+  14   77   63  140 Eu       -66986                                                                       139 928088.
+  15   78   63  141 Eu       -69925                                                                       140 924932.
+  16   79   63  142 Eu       -71313                                                                       141 923442.
+  17   80   63  143 Eu       -74241                                                                       142 920299.
+  18   81   63  144 Eu       -75619                                                                       143 918820.
+  19   82   63  145 Eu       -77991.6                                                                     144 916272.6
+  20   83   63  146 Eu       -77117                                                                       145 917211.
+  21   84   63  147 Eu       -77544.4                                                                     146 916752.7
+  22   85   63  148 Eu       -76300                                                                       147 918089.
+  23   86   63  149 Eu       -76440.5                                                                     148 917937.8
+  24   87   63  150 Eu       -74791.8                                                                     149 919707.7
+  25   88   63  151 Eu       -74652.0                                                                     150 919857.8
+  26   89   63  152 Eu       -72887.4                                                                     151 921752.2
+  27   90   63  153 Eu       -73366                                                                       152 921238.
+  28   91   63  154 Eu       -71737                                                                       153 922987.
+  29   92   63  155 Eu       -71817.2                                                                     154 922901.1
+  30   93   63  156 Eu       -70085.2                                                                     155 924760.5
+  31   94   63  157 Eu       -69458.3                                                                     156 925433.4
+  32   95   63  158 Eu       -67255                                                                       157 927799.
+  33   96   63  159 Eu       -66042.8                                                                     158 929100.1
+  34   97   63  160 Eu       -63480                                                                       159 931851.
+  35   98   63  161 Eu       -61792                                                                       160 933664.
+  36   99   63  162 Eu       -58694                                                                       161 936989.
+  37  100   63  163 Eu       -56639                                                                       162 939196.
+  38  101   63  164 Eu       -53337                                                                       163 942740.
+  39  102   63  165 Eu       -50683                                                                       164 945590.
+  40  103   63  166 Eu       -46929                                                                       165 949620.
+  41  104   63  167 Eu       -43883                                                                       166 952890.
+   5   69   64  133 Gd       -36021                                                                       132 961330.
+   6   70   64  134 Gd       -41302                                                                       133 955660.
+   7   71   64  135 Gd       -44293                                                                       134 952450.
+   8   72   64  136 Gd       -49090                                                                       135 947300.
+   9   73   64  137 Gd       -51214                                                                       136 945020.
+  10   74   64  138 Gd       -55657                                                                       137 940250.
+  11   75   64  139 Gd       -57632                                                                       138 938130.
+  12   76   64  140 Gd       -61782                                                                       139 933674.
+  13   77   64  141 Gd       -63224                                                                       140 932126.
+  14   78   64  142 Gd       -66960                                                                       141 928116.
+  15   79   64  143 Gd       -68232                                                                       142 926750.
+  16   80   64  144 Gd       -71760                                                                       143 922963.
+  17   81   64  145 Gd       -72924                                                                       144 921713.
+  18   82   64  146 Gd       -76085.6                                                                     145 918318.8
+  19   83   64  147 Gd       -75356.6                                                                     146 919101.4
+  20   84   64  148 Gd       -76269.3                                                                     147 918121.5
+  21   85   64  149 Gd       -75126.8                                                                     148 919348.1
+  22   86   64  150 Gd       -75763.6                                                                     149 918664.4
+  23   87   64  151 Gd       -74188                                                                       150 920356.
+  24   88   64  152 Gd       -74706.3                                                                     151 919799.5
+  25   89   64  153 Gd       -72882                                                                       152 921758.
+  26   90   64  154 Gd       -73705.3                                                                     153 920874.1
+  27   91   64  155 Gd       -72069.2                                                                     154 922630.5
+  28   92   64  156 Gd       -72534.3                                                                     155 922131.2
+  29   93   64  157 Gd       -70822.8                                                                     156 923968.6
+  30   94   64  158 Gd       -70688.9                                                                     157 924112.3
+  31   95   64  159 Gd       -68561                                                                       158 926397.
+  32   96   64  160 Gd       -67940.9                                                                     159 927062.4
+  33   97   64  161 Gd       -65505.0                                                                     160 929677.5
+  34   98   64  162 Gd       -64280                                                                       161 930993.
+  35   99   64  163 Gd       -61313.8                                                                     162 934176.9
+  36  100   64  164 Gd       -59774                                                                       163 935830.
+  37  101   64  165 Gd       -56486                                                                       164 939360.
+  38  102   64  166 Gd       -54530                                                                       165 941460.
+  39  103   64  167 Gd       -50813                                                                       166 945450.
+  40  104   64  168 Gd       -48363                                                                       167 948080.
+  41  105   64  169 Gd       -44153                                                                       168 952600.
+   5   70   65  135 Tb       -32826                                                                       134 964760.
+   6   71   65  136 Tb       -36058                                                                       135 961290.
+   7   72   65  137 Tb       -40967                                                                       136 956020.
+   8   73   65  138 Tb       -43668                                                                       137 953120.
+   9   74   65  139 Tb       -48130                                                                       138 948330.
+  10   75   65  140 Tb       -50478                                                                       139 945810.
+  11   76   65  141 Tb       -54539                                                                       140 941450.
+  12   77   65  142 Tb       -56560                                                                       141 939280.
+  13   78   65  143 Tb       -60420                                                                       142 935137.
+  14   79   65  144 Tb       -62368                                                                       143 933045.
+  15   80   65  145 Tb       -66304                                                                       144 928820.
+  16   81   65  146 Tb       -67763                                                                       145 927253.
+  17   82   65  147 Tb       -70742.5                                                                     146 924054.8
+  18   83   65  148 Tb       -70531                                                                       147 924282.
+  19   84   65  149 Tb       -71488.9                                                                     148 923253.5
+  20   85   65  150 Tb       -71105.7                                                                     149 923664.9
+  21   86   65  151 Tb       -71623.0                                                                     150 923109.6
+  22   87   65  152 Tb       -70716                                                                       151 924083.
+  23   88   65  153 Tb       -71313.0                                                                     152 923442.4
+  24   89   65  154 Tb       -70155                                                                       153 924685.
+  25   90   65  155 Tb       -71249                                                                       154 923511.
+  26   91   65  156 Tb       -70090.1                                                                     155 924755.2
+  27   92   65  157 Tb       -70763                                                                       156 924033.
+  28   93   65  158 Tb       -69470.0                                                                     157 925420.9
+  29   94   65  159 Tb       -69531.7                                                                     158 925354.7
+  30   95   65  160 Tb       -67835.5                                                                     159 927175.6
+  31   96   65  161 Tb       -67460.9                                                                     160 927577.8
+  32   97   65  162 Tb       -65675                                                                       161 929495.
+  33   98   65  163 Tb       -64594.7                                                                     162 930654.7
+  34   99   65  164 Tb       -62075                                                                       163 933360.
+  35  100   65  165 Tb       -60566                                                                       164 934980.
+  36  101   65  166 Tb       -57883                                                                       165 937860.
+  37  102   65  167 Tb       -55927                                                                       166 939960.
+  38  103   65  168 Tb       -52723                                                                       167 943400.
+  39  104   65  169 Tb       -50329                                                                       168 945970.
+  40  105   65  170 Tb       -46724                                                                       169 949840.
+  41  106   65  171 Tb       -44032                                                                       170 952730.
+   6   72   66  138 Dy       -34931                                                                       137 962500.
+   7   73   66  139 Dy       -37642                                                                       138 959590.
+   8   74   66  140 Dy       -42830                                                                       139 954020.
+   9   75   66  141 Dy       -45382                                                                       140 951280.
+  10   76   66  142 Dy       -50124                                                                       141 946190.
+  11   77   66  143 Dy       -52169                                                                       142 943994.
+  12   78   66  144 Dy       -56570.1                                                                     143 939269.5
+  13   79   66  145 Dy       -58243                                                                       144 937474.
+  14   80   66  146 Dy       -62555.0                                                                     145 932844.5
+  15   81   66  147 Dy       -64196.1                                                                     146 931082.7
+  16   82   66  148 Dy       -67853                                                                       147 927157.
+  17   83   66  149 Dy       -67699                                                                       148 927322.
+  18   84   66  150 Dy       -69309.4                                                                     149 925593.3
+  19   85   66  151 Dy       -68752.1                                                                     150 926191.6
+  20   86   66  152 Dy       -70117.9                                                                     151 924725.3
+  21   87   66  153 Dy       -69142.6                                                                     152 925772.4
+  22   88   66  154 Dy       -70393.7                                                                     153 924429.3
+  23   89   66  155 Dy       -69155                                                                       154 925759.
+  24   90   66  156 Dy       -70528.4                                                                     155 924284.7
+  25   91   66  157 Dy       -69423.6                                                                     156 925470.7
+  26   92   66  158 Dy       -70406.1                                                                     157 924415.9
+  27   93   66  159 Dy       -69166                                                                       158 925747.
+  28   94   66  160 Dy       -69671.5                                                                     159 925204.6
+  29   95   66  161 Dy       -68054.5                                                                     160 926940.5
+  30   96   66  162 Dy       -68180.2                                                                     161 926805.6
+  31   97   66  163 Dy       -66379.9                                                                     162 928738.3
+  32   98   66  164 Dy       -65966.6                                                                     163 929181.9
+  33   99   66  165 Dy       -63611.3                                                                     164 931710.5
+  34  100   66  166 Dy       -62583.5                                                                     165 932813.9
+  35  101   66  167 Dy       -59931                                                                       166 935661.
+  36  102   66  168 Dy       -58563                                                                       167 937130.
+  37  103   66  169 Dy       -55601                                                                       168 940310.
+  38  104   66  170 Dy       -53663                                                                       169 942390.
+  39  105   66  171 Dy       -50189                                                                       170 946120.
+  40  106   66  172 Dy       -48009                                                                       171 948460.
+  41  107   66  173 Dy       -43939                                                                       172 952830.
+   6   73   67  140 Ho       -29258                                                                       139 968590.
+   7   74   67  141 Ho       -34363                                                                       140 963110.
+   8   75   67  142 Ho       -37250                                                                       141 960010.
+   9   76   67  143 Ho       -42048                                                                       142 954860.
+  10   77   67  144 Ho       -44609.5                                                                     143 952109.7
+  11   78   67  145 Ho       -49120.1                                                                     144 947267.4
+  12   79   67  146 Ho       -51238.2                                                                     145 944993.5
+  13   80   67  147 Ho       -55757.1                                                                     146 940142.3
+  14   81   67  148 Ho       -57991                                                                       147 937744.
+  15   82   67  149 Ho       -61662                                                                       148 933803.
+  16   83   67  150 Ho       -61946                                                                       149 933498.
+  17   84   67  151 Ho       -63622.6                                                                     150 931698.3
+  18   85   67  152 Ho       -63599                                                                       151 931724.
+  19   86   67  153 Ho       -65012.3                                                                     152 930206.4
+  20   87   67  154 Ho       -64639.4                                                                     153 930606.8
+  21   88   67  155 Ho       -66039                                                                       154 929104.
+  22   89   67  156 Ho       -65478                                                                       155 929706.
+  23   90   67  157 Ho       -66831                                                                       156 928254.
+  24   91   67  158 Ho       -66186                                                                       157 928946.
+  25   92   67  159 Ho       -67328.7                                                                     158 927719.7
+  26   93   67  160 Ho       -66381                                                                       159 928737.
+  27   94   67  161 Ho       -67196.6                                                                     160 927861.5
+  28   95   67  162 Ho       -66040.8                                                                     161 929102.3
+  29   96   67  163 Ho       -66377                                                                       162 928741.
+  30   97   67  164 Ho       -64980.7                                                                     163 930240.3
+  31   98   67  165 Ho       -64898.3                                                                     164 930328.8
+  32   99   67  166 Ho       -63070.6                                                                     165 932290.9
+  33  100   67  167 Ho       -62281.1                                                                     166 933138.5
+  34  101   67  168 Ho       -60061                                                                       167 935522.
+  35  102   67  169 Ho       -58798                                                                       168 936878.
+  36  103   67  170 Ho       -56239                                                                       169 939625.
+  37  104   67  171 Ho       -54520                                                                       170 941470.
+  38  105   67  172 Ho       -51484                                                                       171 944730.
+  39  106   67  173 Ho       -49351                                                                       172 947020.
+  40  107   67  174 Ho       -45690                                                                       173 950950.
+  41  108   67  175 Ho       -43203                                                                       174 953620.
+   6   74   68  142 Er       -27852                                                                       141 970100.
+   7   75   68  143 Er       -31093                                                                       142 966620.
+   8   76   68  144 Er       -36608                                                                       143 960700.
+   9   77   68  145 Er       -39076                                                                       144 958050.
+  10   78   68  146 Er       -44322.0                                                                     145 952418.4
+  11   79   68  147 Er       -46608                                                                       146 949964.
+  12   80   68  148 Er       -51479                                                                       147 944735.
+  13   81   68  149 Er       -53742                                                                       148 942306.
+  14   82   68  150 Er       -57831                                                                       149 937916.
+  15   83   68  151 Er       -58266                                                                       150 937449.
+  16   84   68  152 Er       -60494                                                                       151 935057.
+  17   85   68  153 Er       -60473                                                                       152 935080.
+  18   86   68  154 Er       -62605.0                                                                     153 932790.8
+  19   87   68  155 Er       -62209.0                                                                     154 933215.9
+  20   88   68  156 Er       -64211                                                                       155 931067.
+  21   89   68  157 Er       -63389                                                                       156 931949.
+  22   90   68  158 Er       -65304                                                                       157 929893.
+  23   91   68  159 Er       -64560.2                                                                     158 930691.8
+  24   92   68  160 Er       -66064                                                                       159 929077.
+  25   93   68  161 Er       -65200.3                                                                     160 930004.6
+  26   94   68  162 Er       -66333.2                                                                     161 928788.4
+  27   95   68  163 Er       -65166.6                                                                     162 930040.8
+  28   96   68  164 Er       -65941.6                                                                     163 929208.8
+  29   97   68  165 Er       -64520.4                                                                     164 930734.5
+  30   98   68  166 Er       -64925.6                                                                     165 930299.5
+  31   99   68  167 Er       -63290.7                                                                     166 932054.6
+  32  100   68  168 Er       -62990.7                                                                     167 932376.7
+  33  101   68  169 Er       -60922.7                                                                     168 934596.8
+  34  102   68  170 Er       -60109.1                                                                     169 935470.2
+  35  103   68  171 Er       -57719.4                                                                     170 938035.7
+  36  104   68  172 Er       -56484.0                                                                     171 939361.9
+  37  105   68  173 Er       -53654                                                                       172 942400.
+  38  106   68  174 Er       -51949                                                                       173 944230.
+  39  107   68  175 Er       -48652                                                                       174 947770.
+  40  108   68  176 Er       -46631                                                                       175 949940.
+  41  109   68  177 Er       -42858                                                                       176 953990.
+   6   75   69  144 Tm       -22095                                                                       143 976280.
+   7   76   69  145 Tm       -27582                                                                       144 970390.
+   8   77   69  146 Tm       -30888                                                                       145 966840.
+   9   78   69  147 Tm       -35974.4                                                                     146 961379.9
+  10   79   69  148 Tm       -38765                                                                       147 958384.
+  11   80   69  149 Tm       -43883                                                                       148 952890.
+  12   81   69  150 Tm       -46491                                                                       149 950090.
+  13   82   69  151 Tm       -50778                                                                       150 945488.
+  14   83   69  152 Tm       -51771                                                                       151 944422.
+  15   84   69  153 Tm       -53989                                                                       152 942040.
+  16   85   69  154 Tm       -54427                                                                       153 941570.
+  17   86   69  155 Tm       -56626                                                                       154 939210.
+  18   87   69  156 Tm       -56829                                                                       155 938992.
+  19   88   69  157 Tm       -58736                                                                       156 936944.
+  20   89   69  158 Tm       -58703                                                                       157 936980.
+  21   90   69  159 Tm       -60570                                                                       158 934975.
+  22   91   69  160 Tm       -60302                                                                       159 935263.
+  23   92   69  161 Tm       -61899                                                                       160 933549.
+  24   93   69  162 Tm       -61477                                                                       161 934002.
+  25   94   69  163 Tm       -62727.6                                                                     162 932659.2
+  26   95   69  164 Tm       -61903                                                                       163 933544.
+  27   96   69  165 Tm       -62928.9                                                                     164 932443.1
+  28   97   69  166 Tm       -61888                                                                       165 933561.
+  29   98   69  167 Tm       -62544.1                                                                     166 932856.2
+  30   99   69  168 Tm       -61313.4                                                                     167 934177.4
+  31  100   69  169 Tm       -61275.6                                                                     168 934217.9
+  32  101   69  170 Tm       -59796                                                                       169 935806.
+  33  102   69  171 Tm       -59211.4                                                                     170 936433.9
+  34  103   69  172 Tm       -57374.9                                                                     171 938405.5
+  35  104   69  173 Tm       -56254.4                                                                     172 939608.4
+  36  105   69  174 Tm       -53866                                                                       173 942173.
+  37  106   69  175 Tm       -52312                                                                       174 943841.
+  38  107   69  176 Tm       -49369                                                                       175 947000.
+  39  108   69  177 Tm       -47469                                                                       176 949040.
+  40  109   69  178 Tm       -44116                                                                       177 952640.
+  41  110   69  179 Tm       -41601                                                                       178 955340.
+   8   78   70  148 Yb       -30199                                                                       147 967580.
+   9   79   70  149 Yb       -33198                                                                       148 964360.
+  10   80   70  150 Yb       -38638                                                                       149 958520.
+  11   81   70  151 Yb       -41545                                                                       150 955400.
+  12   82   70  152 Yb       -46323                                                                       151 950270.
+  13   83   70  153 Yb       -47208                                                                       152 949320.
+  14   84   70  154 Yb       -49932                                                                       153 946396.
+  15   85   70  155 Yb       -50503                                                                       154 945783.
+  16   86   70  156 Yb       -53258                                                                       155 942825.
+  17   87   70  157 Yb       -53426                                                                       156 942645.
+  18   88   70  158 Yb       -56010.3                                                                     157 939870.5
+  19   89   70  159 Yb       -55838                                                                       158 940055.
+  20   90   70  160 Yb       -58165                                                                       159 937557.
+  21   91   70  161 Yb       -57839                                                                       160 937907.
+  22   92   70  162 Yb       -59826                                                                       161 935774.
+  23   93   70  163 Yb       -59299                                                                       162 936340.
+  24   94   70  164 Yb       -61018                                                                       163 934495.
+  25   95   70  165 Yb       -60296                                                                       164 935270.
+  26   96   70  166 Yb       -61595.3                                                                     165 933874.7
+  27   97   70  167 Yb       -60591                                                                       166 934953.
+  28   98   70  168 Yb       -61581.4                                                                     167 933889.6
+  29   99   70  169 Yb       -60377.1                                                                     168 935182.5
+  30  100   70  170 Yb       -60764.7                                                                     169 934766.4
+  31  101   70  171 Yb       -59308.0                                                                     170 936330.2
+  32  102   70  172 Yb       -59256.2                                                                     171 936385.9
+  33  103   70  173 Yb       -57552.3                                                                     172 938215.1
+  34  104   70  174 Yb       -56945.6                                                                     173 938866.4
+  35  105   70  175 Yb       -54696.6                                                                     174 941280.8
+  36  106   70  176 Yb       -53489.7                                                                     175 942576.4
+  37  107   70  177 Yb       -50984.8                                                                     176 945265.6
+  38  108   70  178 Yb       -49694                                                                       177 946651.
+  39  109   70  179 Yb       -46537                                                                       178 950040.
+  40  110   70  180 Yb       -44600                                                                       179 952120.
+  41  111   70  181 Yb       -41088                                                                       180 955890.
+   8   79   71  150 Lu       -24638                                                                       149 973550.
+   9   80   71  151 Lu       -30106                                                                       150 967680.
+  10   81   71  152 Lu       -33422                                                                       151 964120.
+  11   82   71  153 Lu       -38424                                                                       152 958750.
+  12   83   71  154 Lu       -39719                                                                       153 957360.
+  13   84   71  155 Lu       -42550                                                                       154 954321.
+  14   85   71  156 Lu       -43749                                                                       155 953033.
+  15   86   71  157 Lu       -46456                                                                       156 950127.
+  16   87   71  158 Lu       -47212                                                                       157 949316.
+  17   88   71  159 Lu       -49708                                                                       158 946636.
+  18   89   71  160 Lu       -50270                                                                       159 946033.
+  19   90   71  161 Lu       -52562                                                                       160 943572.
+  20   91   71  162 Lu       -52832                                                                       161 943283.
+  21   92   71  163 Lu       -54791                                                                       162 941179.
+  22   93   71  164 Lu       -54642                                                                       163 941339.
+  23   94   71  165 Lu       -56442                                                                       164 939407.
+  24   95   71  166 Lu       -56021                                                                       165 939859.
+  25   96   71  167 Lu       -57501                                                                       166 938270.
+  26   97   71  168 Lu       -57067                                                                       167 938736.
+  27   98   71  169 Lu       -58084.2                                                                     168 937644.1
+  28   99   71  170 Lu       -57307                                                                       169 938478.
+  29  100   71  171 Lu       -57830                                                                       170 937917.
+  30  101   71  172 Lu       -56738.1                                                                     171 939089.1
+  31  102   71  173 Lu       -56883                                                                       172 938934.
+  32  103   71  174 Lu       -55572.1                                                                     173 940340.9
+  33  104   71  175 Lu       -55167.6                                                                     174 940775.2
+  34  105   71  176 Lu       -53384.2                                                                     175 942689.7
+  35  106   71  177 Lu       -52385.8                                                                     176 943761.5
+  36  107   71  178 Lu       -50340                                                                       177 945958.
+  37  108   71  179 Lu       -49061.0                                                                     178 947330.9
+  38  109   71  180 Lu       -46679                                                                       179 949888.
+  39  110   71  181 Lu       -44796                                                                       180 951910.
+  40  111   71  182 Lu       -41880                                                                       181 955040.
+  41  112   71  183 Lu       -39716                                                                       182 957363.
+  42  113   71  184 Lu       -36412                                                                       183 960910.
+  43  114   71  185 Lu       -33888                                                                       184 963620.
+   9   81   72  153 Hf       -27302                                                                       152 970690.
+  10   82   72  154 Hf       -32733                                                                       153 964860.
+  11   83   72  155 Hf       -34363                                                                       154 963110.
+  12   84   72  156 Hf       -37865                                                                       155 959350.
+  13   85   72  157 Hf       -38899                                                                       156 958240.
+  14   86   72  158 Hf       -42103                                                                       157 954801.
+  15   87   72  159 Hf       -42852                                                                       158 953996.
+  16   88   72  160 Hf       -45931                                                                       159 950691.
+  17   89   72  161 Hf       -46316                                                                       160 950278.
+  18   90   72  162 Hf       -49169.1                                                                     161 947214.8
+  19   91   72  163 Hf       -49264                                                                       162 947113.
+  20   92   72  164 Hf       -51818                                                                       163 944371.
+  21   93   72  165 Hf       -51636                                                                       164 944567.
+  22   94   72  166 Hf       -53859                                                                       165 942180.
+  23   95   72  167 Hf       -53468                                                                       166 942600.
+  24   96   72  168 Hf       -55361                                                                       167 940568.
+  25   97   72  169 Hf       -54717                                                                       168 941259.
+  26   98   72  170 Hf       -56254                                                                       169 939609.
+  27   99   72  171 Hf       -55431                                                                       170 940492.
+  28  100   72  172 Hf       -56402                                                                       171 939450.
+  29  101   72  173 Hf       -55412                                                                       172 940513.
+  30  102   72  174 Hf       -55846.7                                                                     173 940046.1
+  31  103   72  175 Hf       -54483.8                                                                     174 941509.2
+  32  104   72  176 Hf       -54578.5                                                                     175 941407.6
+  33  105   72  177 Hf       -52883.1                                                                     176 943227.7
+  34  106   72  178 Hf       -52437.7                                                                     177 943705.8
+  35  107   72  179 Hf       -50465.4                                                                     178 945823.2
+  36  108   72  180 Hf       -49782                                                                       179 946557.
+  37  109   72  181 Hf       -47405.3                                                                     180 949108.3
+  38  110   72  182 Hf       -46052.0                                                                     181 950561.2
+  39  111   72  183 Hf       -43287                                                                       182 953530.
+  40  112   72  184 Hf       -41502                                                                       183 955446.
+  41  113   72  185 Hf       -38320                                                                       184 958862.
+  42  114   72  186 Hf       -36424                                                                       185 960897.
+  43  115   72  187 Hf       -32817                                                                       186 964770.
+  44  116   72  188 Hf       -30879                                                                       187 966850.
+  45  117   72  189 Hf       -27162                                                                       188 970840.
+   9   82   73  155 Ta       -23995                                                                       154 974240.
+  10   83   73  156 Ta       -26054                                                                       155 972030.
+  11   84   73  157 Ta       -29640                                                                       156 968180.
+  12   85   73  158 Ta       -31168                                                                       157 966540.
+  13   86   73  159 Ta       -34444                                                                       158 963023.
+  14   87   73  160 Ta       -35874                                                                       159 961488.
+  15   88   73  161 Ta       -38702                                                                       160 958452.
+  16   89   73  162 Ta       -39780                                                                       161 957294.
+  17   90   73  163 Ta       -42535                                                                       162 954337.
+  18   91   73  164 Ta       -43283                                                                       163 953534.
+  19   92   73  165 Ta       -45847                                                                       164 950781.
+  20   93   73  166 Ta       -46098                                                                       165 950512.
+  21   94   73  167 Ta       -48351                                                                       166 948093.
+  22   95   73  168 Ta       -48394                                                                       167 948047.
+  23   96   73  169 Ta       -50290                                                                       168 946011.
+  24   97   73  170 Ta       -50138                                                                       169 946175.
+  25   98   73  171 Ta       -51720                                                                       170 944476.
+  26   99   73  172 Ta       -51330                                                                       171 944895.
+  27  100   73  173 Ta       -52397                                                                       172 943750.
+  28  101   73  174 Ta       -51741                                                                       173 944454.
+  29  102   73  175 Ta       -52409                                                                       174 943737.
+  30  103   73  176 Ta       -51365                                                                       175 944857.
+  31  104   73  177 Ta       -51717.0                                                                     176 944479.5
+  32  105   73  178 Ta       -50601                                                                       177 945678.
+  33  106   73  179 Ta       -50359.7                                                                     178 945936.6
+  34  107   73  180 Ta       -48936.2                                                                     179 947464.8
+  35  108   73  181 Ta       -48441.6                                                                     180 947995.8
+  36  109   73  182 Ta       -46433.2                                                                     181 950151.9
+  37  110   73  183 Ta       -45296.1                                                                     182 951372.6
+  38  111   73  184 Ta       -42841                                                                       183 954008.
+  39  112   73  185 Ta       -41397                                                                       184 955559.
+  40  113   73  186 Ta       -38609                                                                       185 958551.
+  41  114   73  187 Ta       -36900                                                                       186 960386.
+  42  115   73  188 Ta       -33612                                                                       187 963916.
+  43  116   73  189 Ta       -31829                                                                       188 965830.
+  44  117   73  190 Ta       -28513                                                                       189 969390.
+  45  118   73  191 Ta       -26492                                                                       190 971560.
+  46  119   73  192 Ta       -23157                                                                       191 975140.
+   9   83   74  157 W        -19710                                                                       156 978840.
+  10   84   74  158 W        -23697                                                                       157 974560.
+  11   85   74  159 W        -25486                                                                       158 972640.
+  12   86   74  160 W        -29379                                                                       159 968460.
+  13   87   74  161 W        -30553                                                                       160 967200.
+  14   88   74  162 W        -34000                                                                       161 963499.
+  15   89   74  163 W        -34909                                                                       162 962524.
+  16   90   74  164 W        -38228                                                                       163 958961.
+  17   91   74  165 W        -38861                                                                       164 958281.
+  18   92   74  166 W        -41888                                                                       165 955031.
+  19   93   74  167 W        -42099                                                                       166 954805.
+  20   94   74  168 W        -44892                                                                       167 951806.
+  21   95   74  169 W        -44918                                                                       168 951779.
+  22   96   74  170 W        -47290                                                                       169 949232.
+  23   97   74  171 W        -47086                                                                       170 949451.
+  24   98   74  172 W        -49097                                                                       171 947292.
+  25   99   74  173 W        -48727                                                                       172 947689.
+  26  100   74  174 W        -50227                                                                       173 946079.
+  27  101   74  175 W        -49633                                                                       174 946717.
+  28  102   74  176 W        -50642                                                                       175 945634.
+  29  103   74  177 W        -49702                                                                       176 946643.
+  30  104   74  178 W        -50410                                                                       177 945883.
+  31  105   74  179 W        -49297                                                                       178 947077.
+  32  106   74  180 W        -49638.6                                                                     179 946710.8
+  33  107   74  181 W        -48253.4                                                                     180 948197.8
+  34  108   74  182 W        -48247.72                                                                    181 948203.94
+  35  109   74  183 W        -46367.21                                                                    182 950222.75
+  36  110   74  184 W        -45707.56                                                                    183 950930.92
+  37  111   74  185 W        -43389.95                                                                    184 953418.97
+  38  112   74  186 W        -42510.8                                                                     185 954362.8
+  39  113   74  187 W        -39906.3                                                                     186 957158.8
+  40  114   74  188 W        -38669.9                                                                     187 958486.2
+  41  115   74  189 W        -35618                                                                       188 961763.
+  42  116   74  190 W        -34381                                                                       189 963091.
+  43  117   74  191 W        -31176                                                                       190 966531.
+  44  118   74  192 W        -29649                                                                       191 968170.
+  45  119   74  193 W        -26287                                                                       192 971780.
+  46  120   74  194 W        -24526                                                                       193 973670.
+   9   84   75  159 Re       -14736                                                                       158 984180.
+  10   85   75  160 Re       -16935                                                                       159 981820.
+  11   86   75  161 Re       -20893                                                                       160 977570.
+  12   87   75  162 Re       -22505                                                                       161 975840.
+  13   88   75  163 Re       -26007                                                                       162 972080.
+  14   89   75  164 Re       -27523                                                                       163 970453.
+  15   90   75  165 Re       -30643                                                                       164 967103.
+  16   91   75  166 Re       -31893                                                                       165 965761.
+  17   92   75  167 Re       -34843                                                                       166 962595.
+  18   93   75  168 Re       -35795                                                                       167 961573.
+  19   94   75  169 Re       -38409                                                                       168 958766.
+  20   95   75  170 Re       -38918                                                                       169 958220.
+  21   96   75  171 Re       -41250                                                                       170 955716.
+  22   97   75  172 Re       -41526                                                                       171 955420.
+  23   98   75  173 Re       -43554                                                                       172 953243.
+  24   99   75  174 Re       -43673                                                                       173 953115.
+  25  100   75  175 Re       -45288                                                                       174 951381.
+  26  101   75  176 Re       -45063                                                                       175 951623.
+  27  102   75  177 Re       -46269                                                                       176 950328.
+  28  103   75  178 Re       -45653                                                                       177 950989.
+  29  104   75  179 Re       -46585                                                                       178 949989.
+  30  105   75  180 Re       -45837                                                                       179 950792.
+  31  106   75  181 Re       -46521                                                                       180 950058.
+  32  107   75  182 Re       -45448                                                                       181 951210.
+  33  108   75  183 Re       -45811.3                                                                     182 950819.6
+  34  109   75  184 Re       -44224.7                                                                     183 952522.8
+  35  110   75  185 Re       -43822.6                                                                     184 952954.5
+  36  111   75  186 Re       -41930.6                                                                     185 954985.6
+  37  112   75  187 Re       -41218.5                                                                     186 955750.1
+  38  113   75  188 Re       -39018.9                                                                     187 958111.5
+  39  114   75  189 Re       -37981                                                                       188 959226.
+  40  115   75  190 Re       -35635                                                                       189 961744.
+  41  116   75  191 Re       -34352                                                                       190 963122.
+  42  117   75  192 Re       -31589                                                                       191 966088.
+  43  118   75  193 Re       -30235                                                                       192 967541.
+  44  119   75  194 Re       -27237                                                                       193 970760.
+  45  120   75  195 Re       -25579                                                                       194 972540.
+  46  121   75  196 Re       -22542                                                                       195 975800.
+  47  122   75  197 Re       -20502                                                                       196 977990.
+  48  123   75  198 Re       -17139                                                                       197 981600.
+   9   85   76  161 Os       -10218                                                                       160 989030.
+  10   86   76  162 Os       -14503                                                                       161 984430.
+  11   87   76  163 Os       -16385                                                                       162 982410.
+  12   88   76  164 Os       -20474                                                                       163 978020.
+  13   89   76  165 Os       -21797                                                                       164 976600.
+  14   90   76  166 Os       -25437                                                                       165 972692.
+  15   91   76  167 Os       -26502                                                                       166 971549.
+  16   92   76  168 Os       -29987                                                                       167 967808.
+  17   93   76  169 Os       -30723                                                                       168 967018.
+  18   94   76  170 Os       -33927                                                                       169 963578.
+  19   95   76  171 Os       -34303                                                                       170 963174.
+  20   96   76  172 Os       -37244                                                                       171 960017.
+  21   97   76  173 Os       -37439                                                                       172 959808.
+  22   98   76  174 Os       -39995                                                                       173 957064.
+  23   99   76  175 Os       -40105                                                                       174 956945.
+  24  100   76  176 Os       -42098                                                                       175 954806.
+  25  101   76  177 Os       -41949                                                                       176 954966.
+  26  102   76  178 Os       -43544                                                                       177 953254.
+  27  103   76  179 Os       -43019                                                                       178 953817.
+  28  104   76  180 Os       -44362                                                                       179 952375.
+  29  105   76  181 Os       -43550                                                                       180 953247.
+  30  106   76  182 Os       -44609                                                                       181 952110.
+  31  107   76  183 Os       -43664                                                                       182 953125.
+  32  108   76  184 Os       -44256.7                                                                     183 952488.5
+  33  109   76  185 Os       -42809.9                                                                     184 954041.7
+  34  110   76  186 Os       -43002                                                                       185 953835.
+  35  111   76  187 Os       -41221.0                                                                     186 955747.4
+  36  112   76  188 Os       -41139.3                                                                     187 955835.2
+  37  113   76  189 Os       -38988.4                                                                     188 958144.2
+  38  114   76  190 Os       -38709.4                                                                     189 958443.7
+  39  115   76  191 Os       -36396.8                                                                     190 960926.4
+  40  116   76  192 Os       -35884                                                                       191 961477.
+  41  117   76  193 Os       -33396.0                                                                     192 964147.9
+  42  118   76  194 Os       -32437.2                                                                     193 965177.2
+  43  119   76  195 Os       -29512                                                                       194 968318.
+  44  120   76  196 Os       -28279                                                                       195 969641.
+  45  121   76  197 Os       -25309                                                                       196 972830.
+  46  122   76  198 Os       -23837                                                                       197 974410.
+  47  123   76  199 Os       -20484                                                                       198 978010.
+  48  124   76  200 Os       -18779                                                                       199 979840.
+  49  125   76  201 Os       -15239                                                                       200 983640.
+  50  126   76  202 Os       -13087                                                                       201 985950.
+  10   87   77  164 Ir        -7536                                                                       163 991910.
+  11   88   77  165 Ir       -11644                                                                       164 987500.
+  12   89   77  166 Ir       -13358                                                                       165 985660.
+  13   90   77  167 Ir       -17078                                                                       166 981666.
+  14   91   77  168 Ir       -18717                                                                       167 979907.
+  15   92   77  169 Ir       -22078                                                                       168 976298.
+  16   93   77  170 Ir       -23360                                                                       169 974922.
+  17   94   77  171 Ir       -26417                                                                       170 971640.
+  18   95   77  172 Ir       -27379                                                                       171 970607.
+  19   96   77  173 Ir       -30268                                                                       172 967506.
+  20   97   77  174 Ir       -30869                                                                       173 966861.
+  21   98   77  175 Ir       -33394                                                                       174 964150.
+  22   99   77  176 Ir       -33860                                                                       175 963650.
+  23  100   77  177 Ir       -36048                                                                       176 961301.
+  24  101   77  178 Ir       -36252                                                                       177 961082.
+  25  102   77  179 Ir       -38079                                                                       178 959120.
+  26  103   77  180 Ir       -37978                                                                       179 959229.
+  27  104   77  181 Ir       -39472                                                                       180 957625.
+  28  105   77  182 Ir       -39052                                                                       181 958076.
+  29  106   77  183 Ir       -40203                                                                       182 956840.
+  30  107   77  184 Ir       -39611                                                                       183 957476.
+  31  108   77  185 Ir       -40336                                                                       184 956698.
+  32  109   77  186 Ir       -39175                                                                       185 957944.
+  33  110   77  187 Ir       -39549                                                                       186 957542.
+  34  111   77  188 Ir       -38351                                                                       187 958828.
+  35  112   77  189 Ir       -38457                                                                       188 958715.
+  36  113   77  190 Ir       -36755.6                                                                     189 960541.2
+  37  114   77  191 Ir       -36710.8                                                                     190 960589.3
+  38  115   77  192 Ir       -34837.7                                                                     191 962600.2
+  39  116   77  193 Ir       -34538.3                                                                     192 962921.6
+  40  117   77  194 Ir       -32533.8                                                                     193 965073.5
+  41  118   77  195 Ir       -31694.4                                                                     194 965974.7
+  42  119   77  196 Ir       -29438                                                                       195 968397.
+  43  120   77  197 Ir       -28266                                                                       196 969655.
+  44  121   77  198 Ir       -25821                                                                       197 972280.
+  45  122   77  199 Ir       -24400                                                                       198 973805.
+  46  123   77  200 Ir       -21611                                                                       199 976800.
+  47  124   77  201 Ir       -19897                                                                       200 978640.
+  48  125   77  202 Ir       -16776                                                                       201 981990.
+  49  126   77  203 Ir       -14690                                                                       202 984230.
+  50  127   77  204 Ir        -9688                                                                       203 989600.
+  10   88   78  166 Pt        -4788                                                                       165 994860.
+  11   89   78  167 Pt        -6809                                                                       166 992690.
+  12   90   78  168 Pt       -11057                                                                       167 988130.
+  13   91   78  169 Pt       -12510                                                                       168 986570.
+  14   92   78  170 Pt       -16305                                                                       169 982496.
+  15   93   78  171 Pt       -17470                                                                       170 981245.
+  16   94   78  172 Pt       -21097                                                                       171 977351.
+  17   95   78  173 Pt       -21943                                                                       172 976443.
+  18   96   78  174 Pt       -25318                                                                       173 972820.
+  19   97   78  175 Pt       -25700                                                                       174 972410.
+  20   98   78  176 Pt       -28934                                                                       175 968938.
+  21   99   78  177 Pt       -29370                                                                       176 968470.
+  22  100   78  178 Pt       -31997                                                                       177 965650.
+  23  101   78  179 Pt       -32268                                                                       178 965359.
+  24  102   78  180 Pt       -34435                                                                       179 963032.
+  25  103   78  181 Pt       -34374                                                                       180 963098.
+  26  104   78  182 Pt       -36168                                                                       181 961172.
+  27  105   78  183 Pt       -35772                                                                       182 961597.
+  28  106   78  184 Pt       -37339                                                                       183 959915.
+  29  107   78  185 Pt       -36688                                                                       184 960614.
+  30  108   78  186 Pt       -37864                                                                       185 959351.
+  31  109   78  187 Pt       -36685                                                                       186 960617.
+  32  110   78  188 Pt       -37829.0                                                                     187 959388.9
+  33  111   78  189 Pt       -36486                                                                       188 960831.
+  34  112   78  190 Pt       -37325.2                                                                     189 959929.7
+  35  113   78  191 Pt       -35701.5                                                                     190 961672.9
+  36  114   78  192 Pt       -36292.2                                                                     191 961038.7
+  37  115   78  193 Pt       -34481.7                                                                     192 962982.4
+  38  116   78  194 Pt       -34762.5                                                                     193 962680.9
+  39  117   78  195 Pt       -32796.3                                                                     194 964791.7
+  40  118   78  196 Pt       -32646.92                                                                    195 964952.09
+  41  119   78  197 Pt       -30421.95                                                                    196 967340.69
+  42  120   78  198 Pt       -29905.7                                                                     197 967894.9
+  43  121   78  199 Pt       -27390.4                                                                     198 970595.2
+  44  122   78  200 Pt       -26601                                                                       199 971443.
+  45  123   78  201 Pt       -23741                                                                       200 974513.
+  46  124   78  202 Pt       -22692                                                                       201 975639.
+  47  125   78  203 Pt       -19627                                                                       202 978930.
+  48  126   78  204 Pt       -17922                                                                       203 980760.
+  49  127   78  205 Pt       -12966                                                                       204 986080.
+  50  128   78  206 Pt        -9632                                                                       205 989660.
+  11   90   79  169 Au        -1788                                                                       168 998080.
+  12   91   79  170 Au        -3754                                                                       169 995970.
+  13   92   79  171 Au        -7567                                                                       170 991876.
+  14   93   79  172 Au        -9369                                                                       171 989942.
+  15   94   79  173 Au       -12816                                                                       172 986241.
+  16   95   79  174 Au       -14236                                                                       173 984717.
+  17   96   79  175 Au       -17415                                                                       174 981304.
+  18   97   79  176 Au       -18397                                                                       175 980250.
+  19   98   79  177 Au       -21545                                                                       176 976870.
+  20   99   79  178 Au       -22326                                                                       177 976032.
+  21  100   79  179 Au       -24988                                                                       178 973174.
+  22  101   79  180 Au       -25595                                                                       179 972523.
+  23  102   79  181 Au       -27871                                                                       180 970079.
+  24  103   79  182 Au       -28301                                                                       181 969618.
+  25  104   79  183 Au       -30189                                                                       182 967591.
+  26  105   79  184 Au       -30318                                                                       183 967452.
+  27  106   79  185 Au       -31866                                                                       184 965790.
+  28  107   79  186 Au       -31715                                                                       185 965953.
+  29  108   79  187 Au       -33028                                                                       186 964543.
+  30  109   79  188 Au       -32277                                                                       187 965349.
+  31  110   79  189 Au       -33582                                                                       188 963948.
+  32  111   79  190 Au       -32884                                                                       189 964698.
+  33  112   79  191 Au       -33811                                                                       190 963702.
+  34  113   79  192 Au       -32776                                                                       191 964814.
+  35  114   79  193 Au       -33405.9                                                                     192 964137.3
+  36  115   79  194 Au       -32213.1                                                                     193 965417.8
+  37  116   79  195 Au       -32569.5                                                                     194 965035.2
+  38  117   79  196 Au       -31139.9                                                                     195 966569.9
+  39  118   79  197 Au       -31140.97                                                                    196 966568.79
+  40  119   79  198 Au       -29582.00                                                                    197 968242.42
+  41  120   79  199 Au       -29094.96                                                                    198 968765.28
+  42  121   79  200 Au       -27241                                                                       199 970756.
+  43  122   79  201 Au       -26400.9                                                                     200 971657.5
+  44  123   79  202 Au       -24353                                                                       201 973856.
+  45  124   79  203 Au       -23143.5                                                                     202 975154.4
+  46  125   79  204 Au       -20651                                                                       203 977830.
+  47  126   79  205 Au       -18770                                                                       204 979850.
+  48  127   79  206 Au       -14215                                                                       205 984740.
+  49  128   79  207 Au       -10805                                                                       206 988400.
+  50  129   79  208 Au        -6101                                                                       207 993450.
+  51  130   79  209 Au        -2468                                                                       208 997350.
+  52  131   79  210 Au         2329                                                                       210 002500.
+  11   91   80  171 Hg         3288                                                                       171 003530.
+  12   92   80  172 Hg        -1108                                                                       171 998810.
+  13   93   80  173 Hg        -2711                                                                       172 997090.
+  14   94   80  174 Hg        -6646                                                                       173 992865.
+  15   95   80  175 Hg        -7973                                                                       174 991441.
+  16   96   80  176 Hg       -11773                                                                       175 987361.
+  17   97   80  177 Hg       -12783                                                                       176 986277.
+  18   98   80  178 Hg       -16316                                                                       177 982484.
+  19   99   80  179 Hg       -16924                                                                       178 981831.
+  20  100   80  180 Hg       -20251                                                                       179 978260.
+  21  101   80  181 Hg       -20661                                                                       180 977819.
+  22  102   80  182 Hg       -23577                                                                       181 974689.
+  23  103   80  183 Hg       -23804.5                                                                     182 974444.8
+  24  104   80  184 Hg       -26348                                                                       183 971714.
+  25  105   80  185 Hg       -26176                                                                       184 971899.
+  26  106   80  186 Hg       -28539                                                                       185 969362.
+  27  107   80  187 Hg       -28118                                                                       186 969814.
+  28  108   80  188 Hg       -30211                                                                       187 967567.
+  29  109   80  189 Hg       -29626                                                                       188 968195.
+  30  110   80  190 Hg       -31370                                                                       189 966323.
+  31  111   80  191 Hg       -30593                                                                       190 967157.
+  32  112   80  192 Hg       -32011                                                                       191 965635.
+  33  113   80  193 Hg       -31063                                                                       192 966653.
+  34  114   80  194 Hg       -32184.0                                                                     193 965449.1
+  35  115   80  195 Hg       -30999                                                                       194 966721.
+  36  116   80  196 Hg       -31826.7                                                                     195 965832.6
+  37  117   80  197 Hg       -30541.1                                                                     196 967212.8
+  38  118   80  198 Hg       -30954.9                                                                     197 966768.6
+  39  119   80  199 Hg       -29546.40                                                                    198 968280.64
+  40  120   80  200 Hg       -29503.59                                                                    199 968326.59
+  41  121   80  201 Hg       -27662.73                                                                    200 970302.84
+  42  122   80  202 Hg       -27345.5                                                                     201 970643.4
+  43  123   80  203 Hg       -25268.8                                                                     202 972872.8
+  44  124   80  204 Hg       -24690.20                                                                    203 973493.98
+  45  125   80  205 Hg       -22287.5                                                                     204 976073.4
+  46  126   80  206 Hg       -20946                                                                       205 977514.
+  47  127   80  207 Hg       -16487                                                                       206 982300.
+  48  128   80  208 Hg       -13265                                                                       207 985759.
+  49  129   80  209 Hg        -8644                                                                       208 990720.
+  50  130   80  210 Hg        -5365                                                                       209 994240.
+  51  131   80  211 Hg         -624                                                                       210 999330.
+  52  132   80  212 Hg         2757                                                                       212 002960.
+  53  133   80  213 Hg         7666                                                                       213 008230.
+  54  134   80  214 Hg        11178                                                                       214 012000.
+  55  135   80  215 Hg        16208                                                                       215 017400.
+  56  136   80  216 Hg        19859                                                                       216 021320.
+  14   95   81  176 Tl          581                                                                       176 000624.
+  15   96   81  177 Tl        -3325                                                                       176 996431.
+  16   97   81  178 Tl        -4797                                                                       177 994850.
+  17   98   81  179 Tl        -8280                                                                       178 991111.
+  18   99   81  180 Tl        -9262                                                                       179 990057.
+  19  100   81  181 Tl       -12799                                                                       180 986260.
+  20  101   81  182 Tl       -13308                                                                       181 985713.
+  21  102   81  183 Tl       -16587                                                                       182 982193.
+  22  103   81  184 Tl       -16873                                                                       183 981886.
+  23  104   81  185 Tl       -19758                                                                       184 978789.
+  24  105   81  186 Tl       -19886                                                                       185 978651.
+  25  106   81  187 Tl       -22443.1                                                                     186 975906.3
+  26  107   81  188 Tl       -22336                                                                       187 976021.
+  27  108   81  189 Tl       -24603                                                                       188 973588.
+  28  109   81  190 Tl       -24379                                                                       189 973828.
+  29  110   81  191 Tl       -26282.9                                                                     190 971784.2
+  30  111   81  192 Tl       -25872                                                                       191 972225.
+  31  112   81  193 Tl       -27477                                                                       192 970502.
+  32  113   81  194 Tl       -26938                                                                       193 971081.
+  33  114   81  195 Tl       -28155                                                                       194 969774.
+  34  115   81  196 Tl       -27497                                                                       195 970481.
+  35  116   81  197 Tl       -28340                                                                       196 969576.
+  36  117   81  198 Tl       -27495                                                                       197 970483.
+  37  118   81  199 Tl       -28059                                                                       198 969877.
+  38  119   81  200 Tl       -27047.5                                                                     199 970963.3
+  39  120   81  201 Tl       -27179                                                                       200 970822.
+  40  121   81  202 Tl       -25987                                                                       201 972102.
+  41  122   81  203 Tl       -25760.8                                                                     202 972344.6
+  42  123   81  204 Tl       -24345.6                                                                     203 973863.9
+  43  124   81  205 Tl       -23820.4                                                                     204 974427.8
+  44  125   81  206 Tl       -22252.8                                                                     205 976110.6
+  45  126   81  207 Tl       -21033.4                                                                     206 977419.7
+  46  127   81  208 Tl       -16749                                                                       207 982019.
+  47  128   81  209 Tl       -13637.6                                                                     208 985359.4
+  48  129   81  210 Tl        -9246                                                                       209 990074.
+  49  130   81  211 Tl        -6078                                                                       210 993475.
+  50  131   81  212 Tl        -1546                                                                       211 998340.
+  51  132   81  213 Tl         1784                                                                       213 001915.
+  52  133   81  214 Tl         6465                                                                       214 006940.
+  53  134   81  215 Tl         9911                                                                       215 010640.
+  54  135   81  216 Tl        14718                                                                       216 015800.
+  55  136   81  217 Tl        18313                                                                       217 019660.
+  56  137   81  218 Tl        23092                                                                       218 024790.
+  14   96   82  178 Pb         3569                                                                       178 003831.
+  15   97   82  179 Pb         2050                                                                       179 002201.
+  16   98   82  180 Pb        -1930                                                                       179 997928.
+  17   99   82  181 Pb        -3118                                                                       180 996653.
+  18  100   82  182 Pb        -6826                                                                       181 992672.
+  19  101   82  183 Pb        -7571                                                                       182 991872.
+  20  102   82  184 Pb       -11051                                                                       183 988136.
+  21  103   82  185 Pb       -11541                                                                       184 987610.
+  22  104   82  186 Pb       -14682                                                                       185 984238.
+  23  105   82  187 Pb       -14986.9                                                                     186 983910.9
+  24  106   82  188 Pb       -17815                                                                       187 980875.
+  25  107   82  189 Pb       -17878                                                                       188 980807.
+  26  108   82  190 Pb       -20416                                                                       189 978082.
+  27  109   82  191 Pb       -20236                                                                       190 978276.
+  28  110   82  192 Pb       -22565                                                                       191 975775.
+  29  111   82  193 Pb       -22195                                                                       192 976173.
+  30  112   82  194 Pb       -24208                                                                       193 974012.
+  31  113   82  195 Pb       -23713                                                                       194 974543.
+  32  114   82  196 Pb       -25361                                                                       195 972774.
+  33  115   82  197 Pb       -24748.7                                                                     196 973431.2
+  34  116   82  198 Pb       -26050                                                                       197 972034.
+  35  117   82  199 Pb       -25231                                                                       198 972913.
+  36  118   82  200 Pb       -26250                                                                       199 971819.
+  37  119   82  201 Pb       -25259                                                                       200 972883.
+  38  120   82  202 Pb       -25940                                                                       201 972152.
+  39  121   82  203 Pb       -24786.0                                                                     202 973391.1
+  40  122   82  204 Pb       -25109                                                                       203 973044.
+  41  123   82  205 Pb       -23769.7                                                                     204 974482.2
+  42  124   82  206 Pb       -23785.0                                                                     205 974465.7
+  43  125   82  207 Pb       -22451.5                                                                     206 975897.3
+  44  126   82  208 Pb       -21748.1                                                                     207 976652.5
+  45  127   82  209 Pb       -17614.1                                                                     208 981090.5
+  46  128   82  210 Pb       -14727.9                                                                     209 984188.9
+  47  129   82  211 Pb       -10491.3                                                                     210 988737.1
+  48  130   82  212 Pb        -7547.2                                                                     211 991897.7
+  49  131   82  213 Pb        -3201.6                                                                     212 996562.9
+  50  132   82  214 Pb         -180.8                                                                     213 999805.9
+  51  133   82  215 Pb         4415                                                                       215 004740.
+  52  134   82  216 Pb         7480                                                                       216 008030.
+  53  135   82  217 Pb        12240                                                                       217 013140.
+  54  136   82  218 Pb        15453                                                                       218 016590.
+  55  137   82  219 Pb        20279                                                                       219 021770.
+  56  138   82  220 Pb        23669                                                                       220 025410.
+  18  101   83  184 Bi         1188                                                                       184 001275.
+  19  102   83  185 Bi        -2236                                                                       184 997600.
+  20  103   83  186 Bi        -3126                                                                       185 996644.
+  21  104   83  187 Bi        -6384                                                                       186 993147.
+  22  105   83  188 Bi        -7185                                                                       187 992287.
+  23  106   83  189 Bi       -10065                                                                       188 989195.
+  24  107   83  190 Bi       -10599                                                                       189 988622.
+  25  108   83  191 Bi       -13239.7                                                                     190 985786.6
+  26  109   83  192 Bi       -13536                                                                       191 985469.
+  27  110   83  193 Bi       -15873                                                                       192 982960.
+  28  111   83  194 Bi       -16036                                                                       193 982785.
+  29  112   83  195 Bi       -18025.5                                                                     194 980648.8
+  30  113   83  196 Bi       -18009                                                                       195 980667.
+  31  114   83  197 Bi       -19687.0                                                                     196 978865.1
+  32  115   83  198 Bi       -19369                                                                       197 979206.
+  33  116   83  199 Bi       -20797                                                                       198 977673.
+  34  117   83  200 Bi       -20371                                                                       199 978131.
+  35  118   83  201 Bi       -21415                                                                       200 977010.
+  36  119   83  202 Bi       -20741                                                                       201 977734.
+  37  120   83  203 Bi       -21524                                                                       202 976893.
+  38  121   83  204 Bi       -20645.5                                                                     203 977836.1
+  39  122   83  205 Bi       -21064.2                                                                     204 977386.7
+  40  123   83  206 Bi       -20027.8                                                                     205 978499.3
+  41  124   83  207 Bi       -20054                                                                       206 978471.
+  42  125   83  208 Bi       -18869.7                                                                     207 979742.5
+  43  126   83  209 Bi       -18258.1                                                                     208 980399.1
+  44  127   83  210 Bi       -14791.5                                                                     209 984120.7
+  45  128   83  211 Bi       -11858.2                                                                     210 987269.7
+  46  129   83  212 Bi        -8117                                                                       211 991286.
+  47  130   83  213 Bi        -5230.2                                                                     212 994385.1
+  48  131   83  214 Bi        -1200                                                                       213 998712.
+  49  132   83  215 Bi         1649                                                                       215 001770.
+  50  133   83  216 Bi         5874                                                                       216 006306.
+  51  134   83  217 Bi         8730                                                                       217 009372.
+  52  135   83  218 Bi        13216                                                                       218 014188.
+  53  136   83  219 Bi        16283                                                                       219 017480.
+  54  137   83  220 Bi        20819                                                                       220 022350.
+  55  138   83  221 Bi        24098                                                                       221 025870.
+  56  139   83  222 Bi        28671                                                                       222 030780.
+  57  140   83  223 Bi        32137                                                                       223 034500.
+  58  141   83  224 Bi        36766                                                                       224 039470.
+  18  102   84  186 Po         4092                                                                       186 004393.
+  19  103   84  187 Po         2833                                                                       187 003041.
+  20  104   84  188 Po         -544                                                                       187 999416.
+  21  105   84  189 Po        -1422                                                                       188 998473.
+  22  106   84  190 Po        -4563                                                                       189 995101.
+  23  107   84  191 Po        -5068.7                                                                     190 994558.5
+  24  108   84  192 Po        -8070                                                                       191 991336.
+  25  109   84  193 Po        -8359                                                                       192 991026.
+  26  110   84  194 Po       -11005                                                                       193 988186.
+  27  111   84  195 Po       -11061                                                                       194 988126.
+  28  112   84  196 Po       -13482                                                                       195 985526.
+  29  113   84  197 Po       -13358                                                                       196 985660.
+  30  114   84  198 Po       -15473                                                                       197 983389.
+  31  115   84  199 Po       -15214                                                                       198 983667.
+  32  116   84  200 Po       -16954                                                                       199 981799.
+  33  117   84  201 Po       -16524.9                                                                     200 982259.8
+  34  118   84  202 Po       -17924                                                                       201 980758.
+  35  119   84  203 Po       -17310.8                                                                     202 981416.1
+  36  120   84  204 Po       -18341                                                                       203 980310.
+  37  121   84  205 Po       -17509                                                                       204 981203.
+  38  122   84  206 Po       -18188                                                                       205 980474.
+  39  123   84  207 Po       -17145.3                                                                     206 981593.8
+  40  124   84  208 Po       -17469.1                                                                     207 981246.1
+  41  125   84  209 Po       -16365.6                                                                     208 982430.8
+  42  126   84  210 Po       -15952.7                                                                     209 982874.1
+  43  127   84  211 Po       -12432.1                                                                     210 986653.6
+  44  128   84  212 Po       -10369.0                                                                     211 988868.4
+  45  129   84  213 Po        -6653.1                                                                     212 992857.6
+  46  130   84  214 Po        -4469.6                                                                     213 995201.7
+  47  131   84  215 Po         -540.2                                                                     214 999420.1
+  48  132   84  216 Po         1784.0                                                                     216 001915.2
+  49  133   84  217 Po         5885.4                                                                     217 006318.2
+  50  134   84  218 Po         8358.8                                                                     218 008973.5
+  51  135   84  219 Po        12681                                                                       219 013614.
+  52  136   84  220 Po        15263                                                                       220 016386.
+  53  137   84  221 Po        19774                                                                       221 021228.
+  54  138   84  222 Po        22486                                                                       222 024140.
+  55  139   84  223 Po        27079                                                                       223 029070.
+  56  140   84  224 Po        29910                                                                       224 032110.
+  57  141   84  225 Po        34530                                                                       225 037070.
+  58  142   84  226 Po        37549                                                                       226 040310.
+  59  143   84  227 Po        42281                                                                       227 045390.
+  21  106   85  191 At         3864                                                                       191 004148.
+  22  107   85  192 At         2936                                                                       192 003152.
+  23  108   85  193 At          -68                                                                       192 999927.
+  24  109   85  194 At         -712                                                                       193 999236.
+  25  110   85  195 At        -3475.9                                                                     194 996268.5
+  26  111   85  196 At        -3912                                                                       195 995800.
+  27  112   85  197 At        -6344                                                                       196 993189.
+  28  113   85  198 At        -6722                                                                       197 992784.
+  29  114   85  199 At        -8823.4                                                                     198 990527.7
+  30  115   85  200 At        -8988                                                                       199 990351.
+  31  116   85  201 At       -10789.4                                                                     200 988417.1
+  32  117   85  202 At       -10591                                                                       201 988630.
+  33  118   85  203 At       -12163                                                                       202 986943.
+  34  119   85  204 At       -11876                                                                       203 987251.
+  35  120   85  205 At       -12970                                                                       204 986076.
+  36  121   85  206 At       -12429                                                                       205 986657.
+  37  122   85  207 At       -13227                                                                       206 985800.
+  38  123   85  208 At       -12469.6                                                                     207 986613.3
+  39  124   85  209 At       -12882.4                                                                     208 986170.2
+  40  125   85  210 At       -11971.7                                                                     209 987147.9
+  41  126   85  211 At       -11646.8                                                                     210 987496.6
+  42  127   85  212 At        -8627.8                                                                     211 990737.7
+  43  128   85  213 At        -6579                                                                       212 992937.
+  44  129   85  214 At        -3379.4                                                                     213 996372.1
+  45  130   85  215 At        -1254.9                                                                     214 998652.8
+  46  131   85  216 At         2257.6                                                                     216 002423.6
+  47  132   85  217 At         4395.9                                                                     217 004719.2
+  48  133   85  218 At         8099                                                                       218 008695.
+  49  134   85  219 At        10397.2                                                                     219 011161.8
+  50  135   85  220 At        14376                                                                       220 015433.
+  51  136   85  221 At        16783                                                                       221 018017.
+  52  137   85  222 At        20953                                                                       222 022494.
+  53  138   85  223 At        23428                                                                       223 025151.
+  54  139   85  224 At        27711                                                                       224 029749.
+  55  140   85  225 At        30395                                                                       225 032630.
+  56  141   85  226 At        34614                                                                       226 037160.
+  57  142   85  227 At        37483                                                                       227 040240.
+  58  143   85  228 At        41684                                                                       228 044750.
+  59  144   85  229 At        44823                                                                       229 048120.
+  21  107   86  193 Rn         9043                                                                       193 009708.
+  22  108   86  194 Rn         5723                                                                       194 006144.
+  23  109   86  195 Rn         5051                                                                       195 005422.
+  24  110   86  196 Rn         1971                                                                       196 002116.
+  25  111   86  197 Rn         1476                                                                       197 001585.
+  26  112   86  198 Rn        -1231                                                                       197 998679.
+  27  113   86  199 Rn        -1500                                                                       198 998390.
+  28  114   86  200 Rn        -4015                                                                       199 995690.
+  29  115   86  201 Rn        -4072                                                                       200 995628.
+  30  116   86  202 Rn        -6275                                                                       201 993264.
+  31  117   86  203 Rn        -6159                                                                       202 993388.
+  32  118   86  204 Rn        -7983                                                                       203 991430.
+  33  119   86  205 Rn        -7714                                                                       204 991719.
+  34  120   86  206 Rn        -9116                                                                       205 990214.
+  35  121   86  207 Rn        -8634.7                                                                     206 990730.3
+  36  122   86  208 Rn        -9655                                                                       207 989635.
+  37  123   86  209 Rn        -8928                                                                       208 990415.
+  38  124   86  210 Rn        -9604.5                                                                     209 989689.1
+  39  125   86  211 Rn        -8755.0                                                                     210 990601.1
+  40  126   86  212 Rn        -8659.3                                                                     211 990703.9
+  41  127   86  213 Rn        -5697.9                                                                     212 993883.1
+  42  128   86  214 Rn        -4319                                                                       213 995363.
+  43  129   86  215 Rn        -1168.2                                                                     214 998745.9
+  44  130   86  216 Rn          253.3                                                                     216 000271.9
+  45  131   86  217 Rn         3659                                                                       217 003928.
+  46  132   86  218 Rn         5217.9                                                                     218 005601.6
+  47  133   86  219 Rn         8830.9                                                                     219 009480.4
+  48  134   86  220 Rn        10613.5                                                                     220 011394.1
+  49  135   86  221 Rn        14472.7                                                                     221 015537.1
+  50  136   86  222 Rn        16374.0                                                                     222 017578.2
+  51  137   86  223 Rn        20389.8                                                                     223 021889.3
+  52  138   86  224 Rn        22445                                                                       224 024096.
+  53  139   86  225 Rn        26535                                                                       225 028486.
+  54  140   86  226 Rn        28747                                                                       226 030861.
+  55  141   86  227 Rn        32885                                                                       227 035304.
+  56  142   86  228 Rn        35243                                                                       228 037835.
+  57  143   86  229 Rn        39362                                                                       229 042257.
+  58  144   86  230 Rn        42048                                                                       230 045140.
+  59  145   86  231 Rn        46454                                                                       231 049870.
+  25  112   87  199 Fr         6762                                                                       199 007259.
+  26  113   87  200 Fr         6135                                                                       200 006586.
+  27  114   87  201 Fr         3602                                                                       201 003867.
+  28  115   87  202 Fr         3093                                                                       202 003320.
+  29  116   87  203 Fr          876.3                                                                     203 000940.7
+  30  117   87  204 Fr          607                                                                       204 000652.
+  31  118   87  205 Fr        -1309.8                                                                     204 998593.9
+  32  119   87  206 Fr        -1243                                                                       205 998666.
+  33  120   87  207 Fr        -2845                                                                       206 996946.
+  34  121   87  208 Fr        -2666                                                                       207 997138.
+  35  122   87  209 Fr        -3768                                                                       208 995955.
+  36  123   87  210 Fr        -3333                                                                       209 996422.
+  37  124   87  211 Fr        -4140                                                                       210 995556.
+  38  125   87  212 Fr        -3515.7                                                                     211 996225.7
+  39  126   87  213 Fr        -3553                                                                       212 996186.
+  40  127   87  214 Fr         -958.2                                                                     213 998971.3
+  41  128   87  215 Fr          318.4                                                                     215 000341.8
+  42  129   87  216 Fr         2971.4                                                                     216 003189.9
+  43  130   87  217 Fr         4315.0                                                                     217 004632.3
+  44  131   87  218 Fr         7059.5                                                                     218 007578.7
+  45  132   87  219 Fr         8618.6                                                                     219 009252.4
+  46  133   87  220 Fr        11483.2                                                                     220 012327.7
+  47  134   87  221 Fr        13278.6                                                                     221 014255.2
+  48  135   87  222 Fr        16350                                                                       222 017552.
+  49  136   87  223 Fr        18384                                                                       223 019736.
+  50  137   87  224 Fr        21795                                                                       224 023398.
+  51  138   87  225 Fr        23821                                                                       225 025573.
+  52  139   87  226 Fr        27541                                                                       226 029566.
+  53  140   87  227 Fr        29686                                                                       227 031869.
+  54  141   87  228 Fr        33369                                                                       228 035823.
+  55  142   87  229 Fr        35674                                                                       229 038298.
+  56  143   87  230 Fr        39510                                                                       230 042416.
+  57  144   87  231 Fr        42064                                                                       231 045158.
+  58  145   87  232 Fr        45988                                                                       232 049370.
+  59  146   87  233 Fr        49034                                                                       233 052640.
+  25  113   88  201 Ra        11839                                                                       201 012710.
+  26  114   88  202 Ra         9091                                                                       202 009760.
+  27  115   88  203 Ra         8667                                                                       203 009304.
+  28  116   88  204 Ra         6047                                                                       204 006492.
+  29  117   88  205 Ra         5839                                                                       205 006268.
+  30  118   88  206 Ra         3566                                                                       206 003828.
+  31  119   88  207 Ra         3539                                                                       207 003799.
+  32  120   88  208 Ra         1715                                                                       208 001841.
+  33  121   88  209 Ra         1854                                                                       209 001990.
+  34  122   88  210 Ra          460                                                                       210 000494.
+  35  123   88  211 Ra          832.0                                                                     211 000893.2
+  36  124   88  212 Ra         -198                                                                       211 999787.
+  37  125   88  213 Ra          358                                                                       213 000384.
+  38  126   88  214 Ra           92.9                                                                     214 000099.7
+  39  127   88  215 Ra         2534.0                                                                     215 002720.4
+  40  128   88  216 Ra         3291.3                                                                     216 003533.4
+  41  129   88  217 Ra         5887.7                                                                     217 006320.7
+  42  130   88  218 Ra         6652                                                                       218 007141.
+  43  131   88  219 Ra         9394.6                                                                     219 010085.5
+  44  132   88  220 Ra        10270.6                                                                     220 011025.9
+  45  133   88  221 Ra        12964.3                                                                     221 013917.7
+  46  134   88  222 Ra        14321.5                                                                     222 015374.8
+  47  135   88  223 Ra        17234.8                                                                     223 018502.3
+  48  136   88  224 Ra        18827                                                                       224 020212.
+  49  137   88  225 Ra        21994.3                                                                     225 023611.9
+  50  138   88  226 Ra        23669.5                                                                     226 025410.3
+  51  139   88  227 Ra        27179.4                                                                     227 029178.3
+  52  140   88  228 Ra        28942.2                                                                     228 031070.7
+  53  141   88  229 Ra        32548                                                                       229 034942.
+  54  142   88  230 Ra        34517                                                                       230 037055.
+  55  143   88  231 Ra        38216                                                                       231 041027.
+  56  144   88  232 Ra        40497.0                                                                     232 043475.3
+  57  145   88  233 Ra        44322                                                                       233 047582.
+  58  146   88  234 Ra        46893                                                                       234 050342.
+  59  147   88  235 Ra        51204                                                                       235 054970.
+  28  117   89  206 Ac        13462                                                                       206 014452.
+  29  118   89  207 Ac        11146                                                                       207 011966.
+  30  119   89  208 Ac        10759                                                                       208 011550.
+  31  120   89  209 Ac         8845                                                                       209 009495.
+  32  121   89  210 Ac         8790                                                                       210 009436.
+  33  122   89  211 Ac         7202                                                                       211 007732.
+  34  123   89  212 Ac         7278                                                                       212 007813.
+  35  124   89  213 Ac         6156                                                                       213 006609.
+  36  125   89  214 Ac         6444                                                                       214 006918.
+  37  126   89  215 Ac         6031                                                                       215 006475.
+  38  127   89  216 Ac         8144                                                                       216 008743.
+  39  128   89  217 Ac         8704                                                                       217 009344.
+  40  129   89  218 Ac        10844                                                                       218 011642.
+  41  130   89  219 Ac        11570                                                                       219 012421.
+  42  131   89  220 Ac        13744.1                                                                     220 014754.9
+  43  132   89  221 Ac        14524                                                                       221 015592.
+  44  133   89  222 Ac        16621.8                                                                     222 017844.2
+  45  134   89  223 Ac        17826.7                                                                     223 019137.7
+  46  135   89  224 Ac        20235.0                                                                     224 021723.2
+  47  136   89  225 Ac        21639                                                                       225 023230.
+  48  137   89  226 Ac        24310.5                                                                     226 026098.4
+  49  138   89  227 Ac        25851.1                                                                     227 027752.3
+  50  139   89  228 Ac        28896.3                                                                     228 031021.5
+  51  140   89  229 Ac        30698                                                                       229 032956.
+  52  141   89  230 Ac        33838                                                                       230 036327.
+  53  142   89  231 Ac        35763                                                                       231 038393.
+  54  143   89  232 Ac        39154                                                                       232 042034.
+  55  144   89  233 Ac        41308                                                                       233 044346.
+  56  145   89  234 Ac        44841                                                                       234 048139.
+  57  146   89  235 Ac        47357                                                                       235 050840.
+  58  147   89  236 Ac        51221                                                                       236 054988.
+  59  148   89  237 Ac        54278                                                                       237 058270.
+  28  118   90  208 Th        16674                                                                       208 017900.
+  29  119   90  209 Th        16537                                                                       209 017753.
+  30  120   90  210 Th        14060                                                                       210 015094.
+  31  121   90  211 Th        13906                                                                       211 014929.
+  32  122   90  212 Th        12098                                                                       212 012988.
+  33  123   90  213 Th        12118                                                                       213 013009.
+  34  124   90  214 Th        10712                                                                       214 011500.
+  35  125   90  215 Th        10921.6                                                                     215 011724.8
+  36  126   90  216 Th        10299                                                                       216 011056.
+  37  127   90  217 Th        12218                                                                       217 013117.
+  38  128   90  218 Th        12367                                                                       218 013276.
+  39  129   90  219 Th        14473                                                                       219 015537.
+  40  130   90  220 Th        14669                                                                       220 015748.
+  41  131   90  221 Th        16938                                                                       221 018184.
+  42  132   90  222 Th        17204                                                                       222 018469.
+  43  133   90  223 Th        19386.2                                                                     223 020811.9
+  44  134   90  224 Th        19994                                                                       224 021464.
+  45  135   90  225 Th        22310.6                                                                     225 023951.4
+  46  136   90  226 Th        23197.4                                                                     226 024903.4
+  47  137   90  227 Th        25806.3                                                                     227 027704.2
+  48  138   90  228 Th        26772.4                                                                     228 028741.3
+  49  139   90  229 Th        29586.8                                                                     229 031762.7
+  50  140   90  230 Th        30864.2                                                                     230 033134.1
+  51  141   90  231 Th        33817.5                                                                     231 036304.6
+  52  142   90  232 Th        35448.8                                                                     232 038055.8
+  53  143   90  233 Th        38733.7                                                                     233 041582.3
+  54  144   90  234 Th        40614.4                                                                     234 043601.4
+  55  145   90  235 Th        44018                                                                       235 047255.
+  56  146   90  236 Th        46255                                                                       236 049657.
+  57  147   90  237 Th        49955                                                                       237 053629.
+  58  148   90  238 Th        52629                                                                       238 056500.
+  59  149   90  239 Th        56607                                                                       239 060770.
+  30  121   91  212 Pa        21613                                                                       212 023203.
+  31  122   91  213 Pa        19663                                                                       213 021109.
+  32  123   91  214 Pa        19485                                                                       214 020918.
+  33  124   91  215 Pa        17869                                                                       215 019183.
+  34  125   91  216 Pa        17800                                                                       216 019109.
+  35  126   91  217 Pa        17070                                                                       217 018325.
+  36  127   91  218 Pa        18685                                                                       218 020059.
+  37  128   91  219 Pa        18540                                                                       219 019904.
+  38  129   91  220 Pa        20218                                                                       220 021705.
+  39  130   91  221 Pa        20376                                                                       221 021875.
+  40  131   91  222 Pa        22155                                                                       222 023784.
+  41  132   91  223 Pa        22321                                                                       223 023963.
+  42  133   91  224 Pa        23862.6                                                                     224 025617.6
+  43  134   91  225 Pa        24341                                                                       225 026131.
+  44  135   91  226 Pa        26033                                                                       226 027948.
+  45  136   91  227 Pa        26832.1                                                                     227 028805.4
+  46  137   91  228 Pa        28924.5                                                                     228 031051.7
+  47  138   91  229 Pa        29898.4                                                                     229 032097.2
+  48  139   91  230 Pa        32175                                                                       230 034541.
+  49  140   91  231 Pa        33425.9                                                                     231 035884.2
+  50  141   91  232 Pa        35947.9                                                                     232 038591.7
+  51  142   91  233 Pa        37490.0                                                                     233 040247.2
+  52  143   91  234 Pa        40340.4                                                                     234 043307.2
+  53  144   91  235 Pa        42289                                                                       235 045399.
+  54  145   91  236 Pa        45334                                                                       236 048668.
+  55  146   91  237 Pa        47528                                                                       237 051023.
+  56  147   91  238 Pa        50894                                                                       238 054637.
+  57  148   91  239 Pa        53337                                                                       239 057260.
+  58  149   91  240 Pa        56803                                                                       240 060980.
+  59  150   91  241 Pa        59690                                                                       241 064080.
+  33  125   92  217 U         22971                                                                       217 024660.
+  34  126   92  218 U         21912                                                                       218 023523.
+  35  127   92  219 U         23286                                                                       219 024999.
+  36  128   92  220 U         22933                                                                       220 024620.
+  37  129   92  221 U         24480                                                                       221 026280.
+  38  130   92  222 U         24219                                                                       222 026000.
+  39  131   92  223 U         25839                                                                       223 027739.
+  40  132   92  224 U         25714                                                                       224 027605.
+  41  133   92  225 U         27378                                                                       225 029391.
+  42  134   92  226 U         27329                                                                       226 029339.
+  43  135   92  227 U         29023                                                                       227 031157.
+  44  136   92  228 U         29222                                                                       228 031371.
+  45  137   92  229 U         31210.9                                                                     229 033506.3
+  46  138   92  230 U         31615.0                                                                     230 033940.1
+  47  139   92  231 U         33807.6                                                                     231 036293.9
+  48  140   92  232 U         34610.9                                                                     232 037156.3
+  49  141   92  233 U         36920.2                                                                     233 039635.5
+  50  142   92  234 U         38146.8                                                                     234 040952.3
+  51  143   92  235 U         40920.6                                                                     235 043930.1
+  52  144   92  236 U         42446.5                                                                     236 045568.2
+  53  145   92  237 U         45392.1                                                                     237 048730.4
+  54  146   92  238 U         47309.1                                                                     238 050788.4
+  55  147   92  239 U         50574.1                                                                     239 054293.5
+  56  148   92  240 U         52716.4                                                                     240 056593.4
+  57  149   92  241 U         56197                                                                       241 060330.
+  58  150   92  242 U         58619                                                                       242 062930.
+  59  151   92  243 U         62401                                                                       243 066990.
+  33  126   93  219 Np        29277                                                                       219 031430.
+  34  127   93  220 Np        30311                                                                       220 032540.
+  35  128   93  221 Np        29845                                                                       221 032040.
+  36  129   93  222 Np        31019                                                                       222 033300.
+  37  130   93  223 Np        30600                                                                       223 032850.
+  38  131   93  224 Np        31876                                                                       224 034220.
+  39  132   93  225 Np        31588                                                                       225 033911.
+  40  133   93  226 Np        32777                                                                       226 035188.
+  41  134   93  227 Np        32562                                                                       227 034957.
+  42  135   93  228 Np        33596                                                                       228 036067.
+  43  136   93  229 Np        33780                                                                       229 036264.
+  44  137   93  230 Np        35237                                                                       230 037828.
+  45  138   93  231 Np        35625                                                                       231 038245.
+  46  139   93  232 Np        37362                                                                       232 040110.
+  47  140   93  233 Np        37950                                                                       233 040741.
+  48  141   93  234 Np        39956.7                                                                     234 042895.3
+  49  142   93  235 Np        41044.9                                                                     235 044063.5
+  50  143   93  236 Np        43380                                                                       236 046570.
+  51  144   93  237 Np        44873.4                                                                     237 048173.6
+  52  145   93  238 Np        47456.5                                                                     238 050946.6
+  53  146   93  239 Np        49312.6                                                                     239 052939.2
+  54  147   93  240 Np        52317                                                                       240 056165.
+  55  148   93  241 Np        54262                                                                       241 058253.
+  56  149   93  242 Np        57417                                                                       242 061640.
+  57  150   93  243 Np        59876                                                                       243 064280.
+  58  151   93  244 Np        63202                                                                       244 067850.
+  59  152   93  245 Np        65950                                                                       245 070800.
+  40  134   94  228 Pu        36079                                                                       228 038732.
+  41  135   94  229 Pu        37394                                                                       229 040144.
+  42  136   94  230 Pu        36934                                                                       230 039650.
+  43  137   94  231 Pu        38286                                                                       231 041102.
+  44  138   94  232 Pu        38364                                                                       232 041185.
+  45  139   94  233 Pu        40052                                                                       233 042998.
+  46  140   94  234 Pu        40349.9                                                                     234 043317.4
+  47  141   94  235 Pu        42184                                                                       235 045286.
+  48  142   94  236 Pu        42902.8                                                                     236 046058.1
+  49  143   94  237 Pu        45093.4                                                                     237 048409.8
+  50  144   94  238 Pu        46164.9                                                                     238 049560.1
+  51  145   94  239 Pu        48590.1                                                                     239 052163.6
+  52  146   94  240 Pu        50127.2                                                                     240 053813.8
+  53  147   94  241 Pu        52957.0                                                                     241 056851.7
+  54  148   94  242 Pu        54718.6                                                                     242 058742.8
+  55  149   94  243 Pu        57756.0                                                                     243 062003.6
+  56  150   94  244 Pu        59806.9                                                                     244 064205.3
+  57  151   94  245 Pu        63180                                                                       245 067826.
+  58  152   94  246 Pu        65396                                                                       246 070205.
+  59  153   94  247 Pu        69108                                                                       247 074190.
+  40  135   95  230 Am        42933                                                                       230 046090.
+  41  136   95  231 Am        42439                                                                       231 045560.
+  42  137   95  232 Am        43268                                                                       232 046450.
+  43  138   95  233 Am        43259                                                                       233 046440.
+  44  139   95  234 Am        44460                                                                       234 047730.
+  45  140   95  235 Am        44626                                                                       235 047908.
+  46  141   95  236 Am        46044                                                                       236 049430.
+  47  142   95  237 Am        46571                                                                       237 049996.
+  48  143   95  238 Am        48424                                                                       238 051985.
+  49  144   95  239 Am        49392.2                                                                     239 053024.7
+  50  145   95  240 Am        51512                                                                       240 055300.
+  51  146   95  241 Am        52936.2                                                                     241 056829.3
+  52  147   95  242 Am        55469.9                                                                     242 059549.4
+  53  148   95  243 Am        57176.3                                                                     243 061381.3
+  54  149   95  244 Am        59881.2                                                                     244 064285.1
+  55  150   95  245 Am        61902.3                                                                     245 066454.8
+  56  151   95  246 Am        64995                                                                       246 069775.
+  57  152   95  247 Am        67151                                                                       247 072090.
+  58  153   95  248 Am        70561                                                                       248 075750.
+  59  154   95  249 Am        73104                                                                       249 078480.
+  40  136   96  232 Cm        46407                                                                       232 049820.
+  41  137   96  233 Cm        47292                                                                       233 050770.
+  42  138   96  234 Cm        46724                                                                       234 050160.
+  43  139   96  235 Cm        48009                                                                       235 051540.
+  44  140   96  236 Cm        47855                                                                       236 051374.
+  45  141   96  237 Cm        49247                                                                       237 052869.
+  46  142   96  238 Cm        49445                                                                       238 053081.
+  47  143   96  239 Cm        51148                                                                       239 054910.
+  48  144   96  240 Cm        51725.6                                                                     240 055529.7
+  49  145   96  241 Cm        53703.6                                                                     241 057653.2
+  50  146   96  242 Cm        54805                                                                       242 058836.
+  51  147   96  243 Cm        57183.8                                                                     243 061389.3
+  52  148   96  244 Cm        58453.9                                                                     244 062752.8
+  53  149   96  245 Cm        61004.9                                                                     245 065491.5
+  54  150   96  246 Cm        62618.6                                                                     246 067223.8
+  55  151   96  247 Cm        65534.4                                                                     247 070354.1
+  56  152   96  248 Cm        67393.5                                                                     248 072349.9
+  57  153   96  249 Cm        70751.4                                                                     249 075954.8
+  58  154   96  250 Cm        72990                                                                       250 078358.
+  59  155   96  251 Cm        76649                                                                       251 082286.
+  60  156   96  252 Cm        79056                                                                       252 084870.
+  40  137   97  234 Bk        53347                                                                       234 057270.
+  41  138   97  235 Bk        52704                                                                       235 056580.
+  42  139   97  236 Bk        53542                                                                       236 057480.
+  43  140   97  237 Bk        53188                                                                       237 057100.
+  44  141   97  238 Bk        54213                                                                       238 058200.
+  45  142   97  239 Bk        54250                                                                       239 058240.
+  46  143   97  240 Bk        55666                                                                       240 059760.
+  47  144   97  241 Bk        56039                                                                       241 060160.
+  48  145   97  242 Bk        57734                                                                       242 061980.
+  49  146   97  243 Bk        58691.4                                                                     243 063007.8
+  50  147   97  244 Bk        60716                                                                       244 065181.
+  51  148   97  245 Bk        61815.6                                                                     245 066361.8
+  52  149   97  246 Bk        63968                                                                       246 068673.
+  53  150   97  247 Bk        65490.8                                                                     247 070307.3
+  54  151   97  248 Bk        68081                                                                       248 073088.
+  55  152   97  249 Bk        69850.6                                                                     249 074987.7
+  56  153   97  250 Bk        72951.5                                                                     250 078316.7
+  57  154   97  251 Bk        75229                                                                       251 080762.
+  58  155   97  252 Bk        78534                                                                       252 084310.
+  59  156   97  253 Bk        80928                                                                       253 086880.
+  60  157   97  254 Bk        84393                                                                       254 090600.
+  41  139   98  237 Cf        57937                                                                       237 062198.
+  42  140   98  238 Cf        57278                                                                       238 061490.
+  43  141   98  239 Cf        58246                                                                       239 062530.
+  44  142   98  240 Cf        57991                                                                       240 062256.
+  45  143   98  241 Cf        59327                                                                       241 063690.
+  46  144   98  242 Cf        59386                                                                       242 063754.
+  47  145   98  243 Cf        60994                                                                       243 065480.
+  48  146   98  244 Cf        61479.4                                                                     244 066000.8
+  49  147   98  245 Cf        63387.0                                                                     245 068048.7
+  50  148   98  246 Cf        64091.9                                                                     246 068805.5
+  51  149   98  247 Cf        66103                                                                       247 070965.
+  52  150   98  248 Cf        67240.0                                                                     248 072185.1
+  53  151   98  249 Cf        69726.0                                                                     249 074853.9
+  54  152   98  250 Cf        71171.9                                                                     250 076406.2
+  55  153   98  251 Cf        74136.3                                                                     251 079588.6
+  56  154   98  252 Cf        76035.3                                                                     252 081627.2
+  57  155   98  253 Cf        79302.3                                                                     253 085134.5
+  58  156   98  254 Cf        81342                                                                       254 087324.
+  59  157   98  255 Cf        84813                                                                       255 091050.
+  60  158   98  256 Cf        87039                                                                       256 093440.
+  41  140   99  239 Es        63556                                                                       239 068230.
+  42  141   99  240 Es        64199                                                                       240 068920.
+  43  142   99  241 Es        63863                                                                       241 068560.
+  44  143   99  242 Es        64804                                                                       242 069570.
+  45  144   99  243 Es        64748                                                                       243 069510.
+  46  145   99  244 Es        66024                                                                       244 070880.
+  47  146   99  245 Es        66369                                                                       245 071250.
+  48  147   99  246 Es        67906                                                                       246 072900.
+  49  148   99  247 Es        68578                                                                       247 073622.
+  50  149   99  248 Es        70301                                                                       248 075471.
+  51  150   99  249 Es        71176                                                                       249 076411.
+  52  151   99  250 Es        73225                                                                       250 078610.
+  53  152   99  251 Es        74513.6                                                                     251 079993.6
+  54  153   99  252 Es        77295                                                                       252 082980.
+  55  154   99  253 Es        79014.6                                                                     253 084825.7
+  56  155   99  254 Es        81992.2                                                                     254 088022.2
+  57  156   99  255 Es        84091                                                                       255 090275.
+  58  157   99  256 Es        87188                                                                       256 093600.
+  59  158   99  257 Es        89405                                                                       257 095980.
+  60  159   99  258 Es        92702                                                                       258 099520.
+  41  141  100  241 Fm        69126                                                                       241 074210.
+  42  142  100  242 Fm        68400                                                                       242 073430.
+  43  143  100  243 Fm        69359                                                                       243 074460.
+  44  144  100  244 Fm        68968                                                                       244 074040.
+  45  145  100  245 Fm        70188                                                                       245 075350.
+  46  146  100  246 Fm        70188                                                                       246 075350.
+  47  147  100  247 Fm        71669                                                                       247 076940.
+  48  148  100  248 Fm        71898.8                                                                     248 077186.5
+  49  149  100  249 Fm        73520.5                                                                     249 078927.5
+  50  150  100  250 Fm        74073                                                                       250 079521.
+  51  151  100  251 Fm        75954                                                                       251 081540.
+  52  152  100  252 Fm        76817.6                                                                     252 082467.1
+  53  153  100  253 Fm        79349.0                                                                     253 085184.6
+  54  154  100  254 Fm        80904.4                                                                     254 086854.4
+  55  155  100  255 Fm        83801                                                                       255 089964.
+  56  156  100  256 Fm        85487.4                                                                     256 091774.5
+  57  157  100  257 Fm        88590.8                                                                     257 095106.1
+  58  158  100  258 Fm        90429                                                                       258 097080.
+  59  159  100  259 Fm        93708                                                                       259 100600.
+  60  160  100  260 Fm        95767                                                                       260 102810.
+  43  144  101  245 Md        75274                                                                       245 080810.
+  44  145  101  246 Md        76112                                                                       246 081710.
+  45  146  101  247 Md        75935                                                                       247 081520.
+  46  147  101  248 Md        77146                                                                       248 082820.
+  47  148  101  249 Md        77230                                                                       249 082910.
+  48  149  101  250 Md        78627                                                                       250 084410.
+  49  150  101  251 Md        78966                                                                       251 084774.
+  50  151  101  252 Md        80509                                                                       252 086430.
+  51  152  101  253 Md        81174                                                                       253 087144.
+  52  153  101  254 Md        83453                                                                       254 089590.
+  53  154  101  255 Md        84844.3                                                                     255 091084.1
+  54  155  101  256 Md        87458                                                                       256 093890.
+  55  156  101  257 Md        88997.2                                                                     257 095542.4
+  56  157  101  258 Md        91688.4                                                                     258 098431.5
+  57  158  101  259 Md        93624                                                                       259 100510.
+  58  159  101  260 Md        96549                                                                       260 103650.
+  59  160  101  261 Md        98580                                                                       261 105830.
+  60  161  101  262 Md       101626                                                                       262 109100.
+  44  146  102  248 No        80621                                                                       248 086550.
+  45  147  102  249 No        81785                                                                       249 087800.
+  46  148  102  250 No        81562                                                                       250 087560.
+  47  149  102  251 No        82847                                                                       251 088940.
+  48  150  102  252 No        82872                                                                       252 088967.
+  49  151  102  253 No        84359.9                                                                     253 090564.1
+  50  152  102  254 No        84725                                                                       254 090956.
+  51  153  102  255 No        86807                                                                       255 093191.
+  52  154  102  256 No        87824.0                                                                     256 094282.9
+  53  155  102  257 No        90250.4                                                                     257 096887.8
+  54  156  102  258 No        91482                                                                       258 098210.
+  55  157  102  259 No        94109                                                                       259 101030.
+  56  158  102  260 No        95609                                                                       260 102640.
+  57  159  102  261 No        98459                                                                       261 105700.
+  58  160  102  262 No       100098                                                                       262 107460.
+  59  161  102  263 No       103126                                                                       263 110710.
+  60  162  102  264 No       105007                                                                       264 112730.
+  45  148  103  251 Lr        87728                                                                       251 094180.
+  46  149  103  252 Lr        88734                                                                       252 095260.
+  47  150  103  253 Lr        88576                                                                       253 095090.
+  48  151  103  254 Lr        89871                                                                       254 096480.
+  49  152  103  255 Lr        89947                                                                       255 096562.
+  50  153  103  256 Lr        91747                                                                       256 098494.
+  51  154  103  257 Lr        92607                                                                       257 099418.
+  52  155  103  258 Lr        94789                                                                       258 101760.
+  53  156  103  259 Lr        95853                                                                       259 102902.
+  54  157  103  260 Lr        98273                                                                       260 105500.
+  55  158  103  261 Lr        99558                                                                       261 106880.
+  56  159  103  262 Lr       102101                                                                       262 109610.
+  57  160  103  263 Lr       103731                                                                       263 111360.
+  58  161  103  264 Lr       106377                                                                       264 114200.
+  59  162  103  265 Lr       108230                                                                       265 116190.
+  60  163  103  266 Lr       111621                                                                       266 119830.
+  45  149  104  253 Rf        93559                                                                       253 100440.
+  46  150  104  254 Rf        93196                                                                       254 100050.
+  47  151  104  255 Rf        94332                                                                       255 101270.
+  48  152  104  256 Rf        94222                                                                       256 101152.
+  49  153  104  257 Rf        95868                                                                       257 102918.
+  50  154  104  258 Rf        96343                                                                       258 103428.
+  51  155  104  259 Rf        98362                                                                       259 105596.
+  52  156  104  260 Rf        99148                                                                       260 106440.
+  53  157  104  261 Rf       101321                                                                       261 108773.
+  54  158  104  262 Rf       102390                                                                       262 109920.
+  55  159  104  263 Rf       104784                                                                       263 112490.
+  56  160  104  264 Rf       106079                                                                       264 113880.
+  57  161  104  265 Rf       108687                                                                       265 116680.
+  58  162  104  266 Rf       110075                                                                       266 118170.
+  59  163  104  267 Rf       113447                                                                       267 121790.
+  60  164  104  268 Rf       115477                                                                       268 123970.
+  45  150  105  255 Db        99735                                                                       255 107070.
+  46  151  105  256 Db       100499                                                                       256 107890.
+  47  152  105  257 Db       100210                                                                       257 107580.
+  48  153  105  258 Db       101794                                                                       258 109280.
+  49  154  105  259 Db       101991                                                                       259 109492.
+  50  155  105  260 Db       103675                                                                       260 111300.
+  51  156  105  261 Db       104253                                                                       261 111920.
+  52  157  105  262 Db       106256                                                                       262 114070.
+  53  158  105  263 Db       107113                                                                       263 114990.
+  54  159  105  264 Db       109367                                                                       264 117410.
+  55  160  105  265 Db       110485                                                                       265 118610.
+  56  161  105  266 Db       112739                                                                       266 121030.
+  57  162  105  267 Db       114080                                                                       267 122470.
+  58  163  105  268 Db       117061                                                                       268 125670.
+  59  164  105  269 Db       119147                                                                       269 127910.
+  60  165  105  270 Db       122361                                                                       270 131360.
+  46  152  106  258 Sg       105240                                                                       258 112980.
+  47  153  106  259 Sg       106563                                                                       259 114400.
+  48  154  106  260 Sg       106548                                                                       260 114384.
+  49  155  106  261 Sg       108006                                                                       261 115949.
+  50  156  106  262 Sg       108367                                                                       262 116337.
+  51  157  106  263 Sg       110186                                                                       263 118290.
+  52  158  106  264 Sg       110783                                                                       264 118930.
+  53  159  106  265 Sg       112795                                                                       265 121090.
+  54  160  106  266 Sg       113624                                                                       266 121980.
+  55  161  106  267 Sg       115841                                                                       267 124360.
+  56  162  106  268 Sg       116800                                                                       268 125390.
+  57  163  106  269 Sg       119818                                                                       269 128630.
+  58  164  106  270 Sg       121495                                                                       270 130430.
+  59  165  106  271 Sg       124755                                                                       271 133930.
+  60  166  106  272 Sg       126581                                                                       272 135890.
+  61  167  106  273 Sg       130018                                                                       273 139580.
+  46  153  107  260 Bh       113326                                                                       260 121660.
+  47  154  107  261 Bh       113130                                                                       261 121450.
+  48  155  107  262 Bh       114546                                                                       262 122970.
+  49  156  107  263 Bh       114499                                                                       263 122920.
+  50  157  107  264 Bh       116055                                                                       264 124590.
+  51  158  107  265 Bh       116353                                                                       265 124910.
+  52  159  107  266 Bh       118104                                                                       266 126790.
+  53  160  107  267 Bh       118765                                                                       267 127500.
+  54  161  107  268 Bh       120805                                                                       268 129690.
+  55  162  107  269 Bh       121485                                                                       269 130420.
+  56  163  107  270 Bh       124224                                                                       270 133360.
+  57  164  107  271 Bh       125994                                                                       271 135260.
+  58  165  107  272 Bh       128788                                                                       272 138260.
+  59  166  107  273 Bh       130633                                                                       273 140240.
+  60  167  107  274 Bh       133716                                                                       274 143550.
+  61  168  107  275 Bh       135691                                                                       275 145670.
+  47  155  108  263 Hs       119716                                                                       263 128520.
+  48  156  108  264 Hs       119564                                                                       264 128357.
+  49  157  108  265 Hs       120901                                                                       265 129793.
+  50  158  108  266 Hs       121137                                                                       266 130046.
+  51  159  108  267 Hs       122650                                                                       267 131670.
+  52  160  108  268 Hs       122827                                                                       268 131860.
+  53  161  108  269 Hs       124587                                                                       269 133750.
+  54  162  108  270 Hs       125090                                                                       270 134290.
+  55  163  108  271 Hs       127773                                                                       271 137170.
+  56  164  108  272 Hs       129012                                                                       272 138500.
+  57  165  108  273 Hs       131974                                                                       273 141680.
+  58  166  108  274 Hs       133483                                                                       274 143300.
+  59  167  108  275 Hs       136622                                                                       275 146670.
+  60  168  108  276 Hs       138290                                                                       276 148460.
+  61  169  108  277 Hs       141494                                                                       277 151900.
+  47  156  109  265 Mt       126683                                                                       265 136000.
+  48  157  109  266 Mt       127959                                                                       266 137370.
+  49  158  109  267 Mt       127792                                                                       267 137190.
+  50  159  109  268 Mt       129152                                                                       268 138650.
+  51  160  109  269 Mt       129310                                                                       269 138820.
+  52  161  109  270 Mt       130717                                                                       270 140330.
+  53  162  109  271 Mt       131098                                                                       271 140740.
+  54  163  109  272 Mt       133586                                                                       272 143410.
+  55  164  109  273 Mt       134508                                                                       273 144400.
+  56  165  109  274 Mt       137153                                                                       274 147240.
+  57  166  109  275 Mt       138625                                                                       275 148820.
+  58  167  109  276 Mt       141205                                                                       276 151590.
+  59  168  109  277 Mt       142770                                                                       277 153270.
+  60  169  109  278 Mt       145602                                                                       278 156310.
+  61  170  109  279 Mt       147251                                                                       279 158080.
+  47  157  110  267 Ds       133921                                                                       267 143770.
+  48  158  110  268 Ds       133651                                                                       268 143480.
+  49  159  110  269 Ds       134836                                                                       269 144752.
+  50  160  110  270 Ds       134679                                                                       270 144584.
+  51  161  110  271 Ds       135952                                                                       271 145950.
+  52  162  110  272 Ds       136017                                                                       272 146020.
+  53  163  110  273 Ds       138383                                                                       273 148560.
+  54  164  110  274 Ds       139175                                                                       274 149410.
+  55  165  110  275 Ds       141615                                                                       275 152030.
+  56  166  110  276 Ds       142547                                                                       276 153030.
+  57  167  110  277 Ds       145229                                                                       277 155910.
+  58  168  110  278 Ds       146282                                                                       278 157040.
+  59  169  110  279 Ds       149132                                                                       279 160100.
+  60  170  110  280 Ds       150259                                                                       280 161310.
+  61  171  110  281 Ds       153240                                                                       281 164510.
+  50  161  111  272 Rg       142770                                                                       272 153270.
+  51  162  111  273 Rg       142640                                                                       273 153130.
+  52  163  111  274 Rg       144614                                                                       274 155250.
+  53  164  111  275 Rg       145257                                                                       275 155940.
+  54  165  111  276 Rg       147483                                                                       276 158330.
+  55  166  111  277 Rg       148173                                                                       277 159070.
+  56  167  111  278 Rg       150427                                                                       278 161490.
+  57  168  111  279 Rg       151573                                                                       279 162720.
+  58  169  111  280 Rg       153827                                                                       280 165140.
+  59  170  111  281 Rg       154963                                                                       281 166360.
+  60  171  111  282 Rg       157534                                                                       282 169120.
+  61  172  111  283 Rg       158857                                                                       283 170540.
+  52  164  112  276 Cn       150352                                                                       276 161410.
+  53  165  112  277 Cn       152430                                                                       277 163640.
+  54  166  112  278 Cn       152914                                                                       278 164160.
+  55  167  112  279 Cn       155131                                                                       279 166540.
+  56  168  112  280 Cn       155699                                                                       280 167150.
+  57  169  112  281 Cn       158121                                                                       281 169750.
+  58  170  112  282 Cn       158820                                                                       282 170500.
+  59  171  112  283 Cn       161400                                                                       283 173270.
+  60  172  112  284 Cn       162229                                                                       284 174160.
+  61  173  112  285 Cn       164986                                                                       285 177120.
+  52  165  113  278 Nh       158894                                                                       278 170580.
+  53  166  113  279 Nh       159239                                                                       279 170950.
+  54  167  113  280 Nh       161083                                                                       280 172930.
+  55  168  113  281 Nh       161596                                                                       281 173480.
+  56  169  113  282 Nh       163636                                                                       282 175670.
+  57  170  113  283 Nh       164474                                                                       283 176570.
+  58  171  113  284 Nh       166486                                                                       284 178730.
+  59  172  113  285 Nh       167417                                                                       285 179730.
+  60  173  113  286 Nh       169728                                                                       286 182210.
+  61  174  113  287 Nh       170827                                                                       287 183390.
+  57  171  114  285 Fl       171060                                                                       285 183640.
+  58  172  114  286 Fl       171609                                                                       286 184230.
+  59  173  114  287 Fl       173984                                                                       287 186780.
+  60  174  114  288 Fl       174720                                                                       288 187570.
+  61  175  114  289 Fl       177375                                                                       289 190420.
+  57  172  115  287 Mc       177636                                                                       287 190700.
+  58  173  115  288 Mc       179536                                                                       288 192740.
+  59  174  115  289 Mc       180365                                                                       289 193630.
+  60  175  115  290 Mc       182554                                                                       290 195980.
+  61  176  115  291 Mc       183570                                                                       291 197070.
+  57  173  116  289 Lv       184585                                                                       289 198160.
+  58  174  116  290 Lv       185032                                                                       290 198640.
+  59  175  116  291 Lv       187305                                                                       291 201080.
+  60  176  116  292 Lv       187920                                                                       292 201740.
+  61  177  116  293 Lv       190481                                                                       293 204490.
+  57  174  117  291 Ts       191450                                                                       291 205530.
+  58  175  117  292 Ts       193248                                                                       292 207460.
+  59  176  117  293 Ts       193974                                                                       293 208240.
+  60  177  117  294 Ts       196042                                                                       294 210460.
+  57  175  118  293 Og       198930                                                                       293 213560.
+  58  176  118  294 Og       199265                                                                       294 213920.
+  59  177  118  295 Og       201426                                                                       295 216240.
+`;
+
+shred.register( 'ameData', ameData );
+export default ameData;
@@ -0,0 +1,488 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Table of chemical properties of the elements, indexed by atomic number.  Electronegativities are on the Pauling
+ * scale, covalent radii are the single bond radii from Cordero et al., "Covalent radii revisited", Dalton Trans. (2008)
+ * in picometers, atomic radii are the radii calculated by Clementi et al., J. Chem. Phys. 47, 1300 (1967) in
+ * picometers, or estimates for the elements that they didn't calculate, see ESTIMATED_ATOMIC_RADII, and first
+ * ionization energies are from the NIST Atomic Spectra Database in electron volts.  The ionic radii are the effective
+ * ionic radii of common ions in six-fold coordination from Shannon, Acta Cryst. A32, 751 (1976) in picometers, keyed
+ * by charge.  Successive ionization energies are in electron volts.  Up to calcium, they are all included and are
+ * from the NIST Atomic Spectra Database.  From scandium on, the values after the first ionization energy are those
+ * listed in the CRC Handbook of Chemistry and Physics, converted from kJ/mol, which only cover some of the ions of each
+ * element and none of the ions of polonium, astatine, radon, francium, protactinium and the elements from neptunium
+ * on.  Electron affinities are from the CRC Handbook of Chemistry and Physics, in electron volts.  Oxidation states
+ * are the common ones, i.e. not every state that has been observed.  Values that are not known are null, and the
+ * group, period and block are derived from the atomic number, see AtomIdentifier.getElementProperties.
+ *
+ * @author Luisa Vargas
+ */
+
+import ElementCategoryEnum from '../ElementCategoryEnum.js';
+import shred from '../shred.js';
+
+/**
+ * Create an entry for the table.
+ * @param {string} category - one of the values of ElementCategoryEnum
+ * @param {number|null} electronegativity
+ * @param {number|null} covalentRadius - in picometers
+ * @param {number|null} atomicRadius - in picometers
+ * @param {number|null} firstIonizationEnergy - in electron volts
+ * @param {number[]} oxidationStates
+ * @returns {Object}
+ */
+function createEntry( category, electronegativity, covalentRadius, atomicRadius, firstIonizationEnergy,
+                      oxidationStates ) {
+  return {
+    category: category,
+    electronegativity: electronegativity,
+    covalentRadius: covalentRadius,
+    atomicRadius: atomicRadius,
+    firstIonizationEnergy: firstIonizationEnergy,
+    oxidationStates: oxidationStates,
+    ionicRadii: {}, // see IONIC_RADII
+    ionizationEnergies: firstIonizationEnergy === null ? [] : [ firstIonizationEnergy ], // see IONIZATION_ENERGIES
+    electronAffinity: null // see ELECTRON_AFFINITIES
+  };
+}
+
+// Effective ionic radii of common ions, keyed by atomic number and then by charge, in picometers.
+const IONIC_RADII = {
+  3: { '1': 76 }, // LITHIUM
+  4: { '2': 45 }, // BERYLLIUM
+  5: { '3': 27 }, // BORON
+  6: { '4': 16 }, // CARBON
+  7: { '5': 13 }, // NITROGEN
+  8: { '-2': 140 }, // OXYGEN
+  9: { '-1': 133 }, // FLUORINE
+  11: { '1': 102 }, // SODIUM
+  12: { '2': 72 }, // MAGNESIUM
+  13: { '3': 53.5 }, // ALUMINUM
+  14: { '4': 40 }, // SILICON
+  15: { '5': 38 }, // PHOSPHORUS
+  16: { '-2': 184, '6': 29 }, // SULFUR
+  17: { '-1': 181 }, // CHLORINE
+  19: { '1': 138 }, // POTASSIUM
+  20: { '2': 100 }, // CALCIUM
+  21: { '3': 74.5 }, // SCANDIUM
+  22: { '3': 67, '4': 60.5 }, // TITANIUM
+  23: { '3': 64, '5': 54 }, // VANADIUM
+  24: { '3': 61.5, '6': 44 }, // CHROMIUM
+  25: { '2': 83, '4': 53 }, // MANGANESE
+  26: { '2': 78, '3': 64.5 }, // IRON
+  27: { '2': 74.5, '3': 54.5 }, // COBALT
+  28: { '2': 69 }, // NICKEL
+  29: { '1': 77, '2': 73 }, // COPPER
+  30: { '2': 74 }, // ZINC
+  31: { '3': 62 }, // GALLIUM
+  32: { '4': 53 }, // GERMANIUM
+  33: { '3': 58, '5': 46 }, // ARSENIC
+  34: { '-2': 198 }, // SELENIUM
+  35: { '-1': 196 }, // BROMINE
+  37: { '1': 152 }, // RUBIDIUM
+  38: { '2': 118 }, // STRONTIUM
+  39: { '3': 90 }, // YTTRIUM
+  40: { '4': 72 }, // ZIRCONIUM
+  41: { '5': 64 }, // NIOBIUM
+  42: { '4': 65, '6': 59 }, // MOLYBDENUM
+  43: { '4': 64.5 }, // TECHNETIUM
+  44: { '3': 68, '4': 62 }, // RUTHENIUM
+  45: { '3': 66.5 }, // RHODIUM
+  46: { '2': 86 }, // PALLADIUM
+  47: { '1': 115 }, // SILVER
+  48: { '2': 95 }, // CADMIUM
+  49: { '3': 80 }, // INDIUM
+  50: { '4': 69 }, // TIN
+  51: { '3': 76, '5': 60 }, // ANTIMONY
+  52: { '-2': 221 }, // TELLURIUM
+  53: { '-1': 220 }, // IODINE
+  55: { '1': 167 }, // CESIUM
+  56: { '2': 135 }, // BARIUM
+  57: { '3': 103.2 }, // LANTHANUM
+  58: { '3': 101, '4': 87 }, // CERIUM
+  59: { '3': 99 }, // PRASEODYMIUM
+  60: { '3': 98.3 }, // NEODYMIUM
+  61: { '3': 97 }, // PROMETHIUM
+  62: { '3': 95.8 }, // SAMARIUM
+  63: { '2': 117, '3': 94.7 }, // EUROPIUM
+  64: { '3': 93.8 }, // GADOLINIUM
+  65: { '3': 92.3 }, // TERBIUM
+  66: { '3': 91.2 }, // DYSPROSIUM
+  67: { '3': 90.1 }, // HOLMIUM
+  68: { '3': 89 }, // ERBIUM
+  69: { '3': 88 }, // THULIUM
+  70: { '3': 86.8 }, // YTTERBIUM
+  71: { '3': 86.1 }, // LUTETIUM
+  72: { '4': 71 }, // HAFNIUM
+  73: { '5': 64 }, // TANTALUM
+  74: { '4': 66, '6': 60 }, // TUNGSTEN
+  75: { '4': 63 }, // RHENIUM
+  76: { '4': 63 }, // OSMIUM
+  77: { '3': 68, '4': 62.5 }, // IRIDIUM
+  78: { '2': 80, '4': 62.5 }, // PLATINUM
+  79: { '1': 137, '3': 85 }, // GOLD
+  80: { '1': 119, '2': 102 }, // MERCURY
+  81: { '1': 150, '3': 88.5 }, // THALLIUM
+  82: { '2': 119, '4': 77.5 }, // LEAD
+  83: { '3': 103 }, // BISMUTH
+  84: { '4': 94 }, // POLONIUM
+  85: { '7': 62 }, // ASTATINE
+  87: { '1': 180 }, // FRANCIUM
+  89: { '3': 112 }, // ACTINIUM
+  90: { '4': 94 }, // THORIUM
+  91: { '5': 78 }, // PROTACTINIUM
+  92: { '4': 89, '6': 73 }, // URANIUM
+  93: { '4': 87 }, // NEPTUNIUM
+  94: { '3': 100, '4': 86 }, // PLUTONIUM
+  95: { '3': 97.5 }, // AMERICIUM
+  96: { '3': 97 }, // CURIUM
+  97: { '3': 96 }, // BERKELIUM
+  98: { '3': 95 } // CALIFORNIUM
+};
+
+// Successive ionization energies in electron volts, keyed by atomic number, where the nth value is the energy needed
+// to remove an electron from the ion with charge n - 1.
+const IONIZATION_ENERGIES = {
+  1: [ 13.598434 ], // HYDROGEN
+  2: [ 24.587389, 54.417765 ], // HELIUM
+  3: [ 5.391715, 75.640097, 122.45436 ], // LITHIUM
+  4: [ 9.322699, 18.21115, 153.896203, 217.718584 ], // BERYLLIUM
+  5: [ 8.298019, 25.15483, 37.93059, 259.3715, 340.226 ], // BORON
+  6: [ 11.260288, 24.383154, 47.88778, 64.49352, 392.0905, 489.99320 ], // CARBON
+  7: [ 14.534130, 29.60125, 47.4453, 77.4735, 97.8901, 552.06733, 667.0461 ], // NITROGEN
+  8: [ 13.618054, 35.12111, 54.93554, 77.41350, 113.8990, 138.1189, 739.32683, 871.40988 ], // OXYGEN
+  9: [ 17.42282, 34.97081, 62.70798, 87.175, 114.249, 157.16311, 185.1868, 953.89805, 1103.11748 ], // FLUORINE
+  10: [ 21.564540, 40.96297, 63.4233, 97.1900, 126.247, 157.934, 207.271, 239.0970, 1195.80784, 1362.19916 ], // NEON
+  11: [ 5.139076, 47.28636, 71.6200, 98.936, 138.404, 172.23, 208.504, 264.192, 299.856, 1465.0992,
+    1648.7020 ], // SODIUM
+  12: [ 7.646235, 15.035271, 80.1436, 109.2654, 141.33, 186.76, 225.02, 265.924, 327.99, 367.489, 1761.80488,
+    1962.66366 ], // MAGNESIUM
+  13: [ 5.985769, 18.82855, 28.447642, 119.9924, 153.8252, 190.49, 241.76, 284.64, 330.21, 398.65, 442.005, 2085.97,
+    2304.14 ], // ALUMINUM
+  14: [ 8.151683, 16.345845, 33.49300, 45.14179, 166.767, 205.279, 246.57, 303.59, 351.28, 401.38, 476.273, 523.415,
+    2437.65804, 2673.1774 ], // SILICON
+  15: [ 10.486686, 19.76949, 30.2027, 51.44387, 65.02511, 220.430, 263.57, 309.60, 372.31, 424.40, 479.44, 560.62,
+    611.741, 2816.9084, 3069.8428 ], // PHOSPHORUS
+  16: [ 10.36001, 23.33788, 34.86, 47.222, 72.5945, 88.0529, 280.954, 328.794, 379.84, 447.7, 504.55, 564.41, 651.96,
+    706.994, 3223.7807, 3494.1879 ], // SULFUR
+  17: [ 12.967633, 23.81364, 39.80, 53.24, 67.68, 96.94, 114.2013, 348.306, 400.851, 456.7, 530.0, 591.58, 656.30,
+    750.23, 809.198, 3658.3438, 3946.2960 ], // CHLORINE
+  18: [ 15.7596119, 27.62967, 40.735, 59.58, 74.84, 91.290, 124.41, 143.4567, 422.60, 479.76, 540.4, 619.0, 685.5,
+    755.13, 855.5, 918.375, 4120.6657, 4426.2229 ], // ARGON
+  19: [ 4.34066373, 31.62500, 45.8031, 60.917, 82.66, 99.44, 117.56, 154.86, 175.8174, 503.67, 565.60, 631.1, 714.7,
+    786.3, 860.92, 967.7, 1034.542, 4610.87018, 4934.0484 ], // POTASSIUM
+  20: [ 6.1131554, 11.871719, 50.91316, 67.2732, 84.34, 108.78, 127.21, 147.24, 188.54, 211.275, 591.60, 658.2, 728.6,
+    817.2, 894.0, 973.7, 1086.8, 1157.700, 5128.8578, 5469.8616 ], // CALCIUM
+
+  // From scandium on, see the header comment for the source.
+  21: [ 6.56149, 12.8, 24.756, 73.489, 91.65, 110.68, 137.9, 158.1, 180, 225.17, 249.8, 687.4, 756.7, 830.8, 927.5,
+    1010, 1094, 1210, 1288, 5674.7, 6033.69 ], // SCANDIUM
+  22: [ 6.82812, 13.575, 27.491, 43.267, 99.3, 119.53, 140.9, 170.4, 192, 215.92, 265.07, 291.5, 787.84, 863.1, 941.9,
+    1044, 1131, 1221, 1346, 1425.4, 6248.9, 6625.82 ], // TITANIUM
+  23: [ 6.746187, 14.66, 29.3, 46.71, 65.281, 128.13, 150.6, 173.4, 205.8, 230.5, 255.7, 308.1, 336.28, 896, 976, 1060,
+    1168, 1260, 1355, 1486, 1569.6, 6851.3, 7246.12 ], // VANADIUM
+  24: [ 6.76651, 16.485, 30.96, 49.16, 69.46, 90.635, 160.18, 184.7, 209.3, 244.4, 270.8, 298, 354.8, 384.16, 1011,
+    1097, 1185, 1299, 1396, 1496, 1634, 1721.4, 7481.7, 7894.81 ], // CHROMIUM
+  25: [ 7.434038, 15.64, 33.66, 51.2, 72.4, 95.6, 119, 194.5, 222, 248.3, 286, 314.3, 343.6, 403, 435.16, 1134.7, 1224,
+    1317, 1436, 1539, 1644, 1788, 1879.9, 8140.6, 8571.95 ], // MANGANESE
+  26: [ 7.9024681, 16.188, 30.65, 54.8, 75, 99.1, 125, 151.1, 233.6, 262.1, 290, 330.8, 361, 392.2, 457, 489.26, 1267,
+    1360, 1456, 1582, 1690, 1799, 1950, 2023, 8828, 9277.69 ], // IRON
+  27: [ 7.88101, 17.08, 33.5, 51.3, 79.5, 102, 128.9, 157.8, 186.13, 275.4, 305, 336, 379, 411, 444, 511.95, 546.58,
+    1397.2, 1504.6, 1603, 1735, 1846, 1962, 2119, 2219, 9544.1, 10012.1 ], // COBALT
+  28: [ 7.639878, 18.17, 35.19, 54.9, 76.06, 108, 133, 162, 193, 224.6, 321, 352, 385, 430, 464, 499, 571.08, 607, 1541,
+    1650, 1756, 1894, 2010, 2131, 2295, 2399.2, 10288.8, 10775.4 ], // NICKEL
+  29: [ 7.72638, 20.292, 36.84, 57.38, 79.8, 103, 139, 166, 199, 232, 265, 369, 401, 435, 484, 520, 557, 633, 670.59,
+    1697, 1804, 1916, 2060, 2182, 2308, 2478, 2587.5, 11062.39, 11567.61 ], // COPPER
+  30: [ 9.394197, 17.964, 39.73, 59.4, 82.6, 108, 134, 174, 203, 238, 274, 310.8, 419.6, 454, 490, 542, 579, 619, 698,
+    738, 1856 ], // ZINC
+  31: [ 5.999302, 20.514, 30.71, 64.1 ], // GALLIUM
+  32: [ 7.899435, 15.935, 34.224, 45.72, 93.5 ], // GERMANIUM
+  33: [ 9.7886, 18.63, 28.35, 50.13, 62.63, 127.6 ], // ARSENIC
+  34: [ 9.752392, 21.19, 30.82, 42.95, 68.3, 81.7, 155.4 ], // SELENIUM
+  35: [ 11.81381, 21.8, 36, 47.3, 59.7, 88.6, 103, 193 ], // BROMINE
+  36: [ 13.9996055, 24.36, 36.95, 52.5, 64.7, 78.5, 111, 125.8, 230.85, 268.2, 308, 350, 391, 447, 492, 541, 592, 641,
+    786, 833, 884, 937, 998, 1051, 1151, 1205.3, 2928, 3070, 3227, 3381 ], // KRYPTON
+  37: [ 4.1771281, 27.29, 40, 52.7, 71, 84.4, 99.2, 136, 150, 277.1 ], // RUBIDIUM
+  38: [ 5.6948674, 11.03, 42.89, 57, 71.6, 90.8, 106, 122, 162, 177, 324.1 ], // STRONTIUM
+  39: [ 6.21726, 12.2, 20.5, 60.6, 77, 93, 116, 129, 146.2, 191, 206, 374 ], // YTTRIUM
+  40: [ 6.634126, 13.2, 22.99, 34.34, 80.34, 98.5 ], // ZIRCONIUM
+  41: [ 6.75885, 14.3, 25.04, 38.3, 50.55, 102.1, 125 ], // NIOBIUM
+  42: [ 7.09243, 16.2, 27.13, 46.4, 54.48, 68.827, 125.67, 143.6, 164.12, 186.3, 209.3, 230.28, 279.1, 302.6, 544, 570,
+    636, 702, 767, 833, 902, 968, 1020, 1082, 1263, 1324, 1387, 1449, 1535, 1601 ], // MOLYBDENUM
+  43: [ 7.11938, 15.2, 29.5 ], // TECHNETIUM
+  44: [ 7.3605, 16.8, 28.47 ], // RUTHENIUM
+  45: [ 7.4589, 18, 31.06 ], // RHODIUM
+  46: [ 8.336839, 19.4, 32.93 ], // PALLADIUM
+  47: [ 7.576234, 21.5, 34.83 ], // SILVER
+  48: [ 8.99382, 16.908, 37.48 ], // CADMIUM
+  49: [ 5.7863552, 18.87, 28.02, 54 ], // INDIUM
+  50: [ 7.343918, 14.632, 30.5, 40.735, 77.28 ], // TIN
+  51: [ 8.608389, 16.53, 25.3, 44.2, 56, 108 ], // ANTIMONY
+  52: [ 9.009808, 18.6, 27.96, 37.4, 58.74, 70.7, 137 ], // TELLURIUM
+  53: [ 10.45126, 19.131, 33 ], // IODINE
+  54: [ 12.1298436, 21.209, 32.123 ], // XENON
+  55: [ 3.89390572, 23.157, 35.2 ], // CESIUM
+  56: [ 5.2116646, 10, 37.3 ], // BARIUM
+  57: [ 5.5769, 11.06, 19.177, 49.95, 61.6 ], // LANTHANUM
+  58: [ 5.5386, 10.9, 20.2, 36.76, 65.55, 77.6 ], // CERIUM
+  59: [ 5.4702, 10.6, 21.62, 38.98, 57.53 ], // PRASEODYMIUM
+  60: [ 5.525, 10.8, 22.1, 40.4 ], // NEODYMIUM
+  61: [ 5.577, 10.9, 22.3, 41.1 ], // PROMETHIUM
+  62: [ 5.64371, 11.1, 23.4, 41.4 ], // SAMARIUM
+  63: [ 5.670385, 11.25, 24.92, 42.7 ], // EUROPIUM
+  64: [ 6.1498, 12.1, 20.6, 44 ], // GADOLINIUM
+  65: [ 5.8638, 11.5, 21.91, 39.79 ], // TERBIUM
+  66: [ 5.93905, 11.7, 22.8, 41.4 ], // DYSPROSIUM
+  67: [ 6.0215, 11.8, 22.84, 42.5 ], // HOLMIUM
+  68: [ 6.1077, 11.9, 22.74, 42.7 ], // ERBIUM
+  69: [ 6.18431, 12, 23.68, 42.7 ], // THULIUM
+  70: [ 6.25416, 12.176, 25.05, 43.56 ], // YTTERBIUM
+  71: [ 5.425871, 13.9, 20.96, 45.3, 66.8 ], // LUTETIUM
+  72: [ 6.825069, 14.9, 23.3, 33.33 ], // HAFNIUM
+  73: [ 7.549571, 15.5 ], // TANTALUM
+  74: [ 7.86403, 17.6 ], // TUNGSTEN
+  75: [ 7.83352, 13.1, 26, 37.7 ], // RHENIUM
+  76: [ 8.43823, 16.6 ], // OSMIUM
+  77: [ 8.96702, 16.6 ], // IRIDIUM
+  78: [ 8.95883, 18.56 ], // PLATINUM
+  79: [ 9.225554, 20.5 ], // GOLD
+  80: [ 10.437504, 18.8, 34.2 ], // MERCURY
+  81: [ 6.1082873, 20.43, 29.83 ], // THALLIUM
+  82: [ 7.4166799, 15.033, 31.937, 42.32, 68.8 ], // LEAD
+  83: [ 7.285516, 16.7, 25.56, 45.3, 56, 88.3 ], // BISMUTH
+  88: [ 5.2784239, 10.1 ], // RADIUM
+  89: [ 5.380226, 12.1 ], // ACTINIUM
+  90: [ 6.3067, 11.5, 20, 28.8 ], // THORIUM
+  92: [ 6.19405, 14.7 ] // URANIUM
+};
+
+// Electron affinities in electron volts, keyed by atomic number.  Negative values are estimates for elements whose
+// anions are not bound, i.e. energy is needed to add an electron rather than released.
+const ELECTRON_AFFINITIES = {
+  1: 0.754195, // HYDROGEN
+  2: -0.5, // HELIUM
+  3: 0.618049, // LITHIUM
+  4: -0.5, // BERYLLIUM
+  5: 0.279723, // BORON
+  6: 1.262119, // CARBON
+  7: -0.07, // NITROGEN
+  8: 1.4611053, // OXYGEN
+  9: 3.4011898, // FLUORINE
+  10: -1.2, // NEON
+  11: 0.547926, // SODIUM
+  12: -0.4, // MAGNESIUM
+  13: 0.43283, // ALUMINUM
+  14: 1.3895211, // SILICON
+  15: 0.7465, // PHOSPHORUS
+  16: 2.0771029, // SULFUR
+  17: 3.612725, // CHLORINE
+  18: -1, // ARGON
+  19: 0.501459, // POTASSIUM
+  20: 0.02455, // CALCIUM
+  21: 0.188, // SCANDIUM
+  22: 0.079, // TITANIUM
+  23: 0.525, // VANADIUM
+  24: 0.666, // CHROMIUM
+  25: -0.5, // MANGANESE
+  26: 0.151, // IRON
+  27: 0.662, // COBALT
+  28: 1.156, // NICKEL
+  29: 1.235, // COPPER
+  30: -0.6, // ZINC
+  31: 0.43, // GALLIUM
+  32: 1.2326764, // GERMANIUM
+  33: 0.8048, // ARSENIC
+  34: 2.0206047, // SELENIUM
+  35: 3.363588, // BROMINE
+  36: -1, // KRYPTON
+  37: 0.485916, // RUBIDIUM
+  38: 0.05206, // STRONTIUM
+  39: 0.307, // YTTRIUM
+  40: 0.426, // ZIRCONIUM
+  41: 0.917, // NIOBIUM
+  42: 0.7473, // MOLYBDENUM
+  43: 0.55, // TECHNETIUM
+  44: 1.05, // RUTHENIUM
+  45: 1.137, // RHODIUM
+  46: 0.562, // PALLADIUM
+  47: 1.302, // SILVER
+  48: -0.7, // CADMIUM
+  49: 0.3, // INDIUM
+  50: 1.112066, // TIN
+  51: 1.047401, // ANTIMONY
+  52: 1.970876, // TELLURIUM
+  53: 3.059038, // IODINE
+  54: -0.8, // XENON
+  55: 0.471626, // CAESIUM
+  56: 0.14462, // BARIUM
+  72: 0.017, // HAFNIUM
+  73: 0.322, // TANTALUM
+  74: 0.816, // TUNGSTEN
+  75: 0.06, // RHENIUM
+  76: 1.1, // OSMIUM
+  77: 1.5638, // IRIDIUM
+  78: 2.1251, // PLATINUM
+  79: 2.30861, // GOLD
+  80: -0.5, // MERCURY
+  81: 0.32, // THALLIUM
+  82: 0.356721, // LEAD
+  83: 0.942362, // BISMUTH
+  84: 1.9, // POLONIUM
+  85: 2.416, // ASTATINE
+  86: -0.7 // RADON
+};
+const elementProperties = [
+  null, // 0, NO ELEMENT
+  createEntry( ElementCategoryEnum.NONMETAL, 2.20, 31, 53, 13.598434, [ -1, 1 ] ), // 1, HYDROGEN
+  createEntry( ElementCategoryEnum.NOBLE_GAS, null, 28, 31, 24.587389, [] ), // 2, HELIUM
+  createEntry( ElementCategoryEnum.ALKALI_METAL, 0.98, 128, 167, 5.391715, [ 1 ] ), // 3, LITHIUM
+  createEntry( ElementCategoryEnum.ALKALINE_EARTH_METAL, 1.57, 96, 112, 9.322699, [ 2 ] ), // 4, BERYLLIUM
+  createEntry( ElementCategoryEnum.METALLOID, 2.04, 84, 87, 8.298019, [ 3 ] ), // 5, BORON
+  createEntry( ElementCategoryEnum.NONMETAL, 2.55, 76, 67, 11.260288, [ -4, 4 ] ), // 6, CARBON
+  createEntry( ElementCategoryEnum.NONMETAL, 3.04, 71, 56, 14.534130, [ -3, 3, 5 ] ), // 7, NITROGEN
+  createEntry( ElementCategoryEnum.NONMETAL, 3.44, 66, 48, 13.618054, [ -2 ] ), // 8, OXYGEN
+  createEntry( ElementCategoryEnum.HALOGEN, 3.98, 57, 42, 17.42282, [ -1 ] ), // 9, FLUORINE
+  createEntry( ElementCategoryEnum.NOBLE_GAS, null, 58, 38, 21.564540, [] ), // 10, NEON
+  createEntry( ElementCategoryEnum.ALKALI_METAL, 0.93, 166, 190, 5.139076, [ 1 ] ), // 11, SODIUM
+  createEntry( ElementCategoryEnum.ALKALINE_EARTH_METAL, 1.31, 141, 145, 7.646235, [ 2 ] ), // 12, MAGNESIUM
+  createEntry( ElementCategoryEnum.POST_TRANSITION_METAL, 1.61, 121, 118, 5.985769, [ 3 ] ), // 13, ALUMINUM
+  createEntry( ElementCategoryEnum.METALLOID, 1.90, 111, 111, 8.151683, [ -4, 4 ] ), // 14, SILICON
+  createEntry( ElementCategoryEnum.NONMETAL, 2.19, 107, 98, 10.486686, [ -3, 3, 5 ] ), // 15, PHOSPHORUS
+  createEntry( ElementCategoryEnum.NONMETAL, 2.58, 105, 88, 10.36001, [ -2, 2, 4, 6 ] ), // 16, SULFUR
+  createEntry( ElementCategoryEnum.HALOGEN, 3.16, 102, 79, 12.967633, [ -1, 1, 3, 5, 7 ] ), // 17, CHLORINE
+  createEntry( ElementCategoryEnum.NOBLE_GAS, null, 106, 71, 15.7596119, [] ), // 18, ARGON
+  createEntry( ElementCategoryEnum.ALKALI_METAL, 0.82, 203, 243, 4.34066373, [ 1 ] ), // 19, POTASSIUM
+  createEntry( ElementCategoryEnum.ALKALINE_EARTH_METAL, 1.00, 176, 194, 6.1131554, [ 2 ] ), // 20, CALCIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.36, 170, 184, 6.56149, [ 3 ] ), // 21, SCANDIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.54, 160, 176, 6.82812, [ 4 ] ), // 22, TITANIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.63, 153, 171, 6.746187, [ 5 ] ), // 23, VANADIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.66, 139, 166, 6.76651, [ 3, 6 ] ), // 24, CHROMIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.55, 139, 161, 7.434038, [ 2, 4, 7 ] ), // 25, MANGANESE
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.83, 132, 156, 7.9024681, [ 2, 3 ] ), // 26, IRON
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.88, 126, 152, 7.88101, [ 2, 3 ] ), // 27, COBALT
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.91, 124, 149, 7.639878, [ 2 ] ), // 28, NICKEL
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.90, 132, 145, 7.726380, [ 1, 2 ] ), // 29, COPPER
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.65, 122, 142, 9.394197, [ 2 ] ), // 30, ZINC
+  createEntry( ElementCategoryEnum.POST_TRANSITION_METAL, 1.81, 122, 136, 5.999302, [ 3 ] ), // 31, GALLIUM
+  createEntry( ElementCategoryEnum.METALLOID, 2.01, 120, 125, 7.899435, [ -4, 2, 4 ] ), // 32, GERMANIUM
+  createEntry( ElementCategoryEnum.METALLOID, 2.18, 119, 114, 9.7886, [ -3, 3, 5 ] ), // 33, ARSENIC
+  createEntry( ElementCategoryEnum.NONMETAL, 2.55, 120, 103, 9.752392, [ -2, 2, 4, 6 ] ), // 34, SELENIUM
+  createEntry( ElementCategoryEnum.HALOGEN, 2.96, 120, 94, 11.81381, [ -1, 1, 3, 5 ] ), // 35, BROMINE
+  createEntry( ElementCategoryEnum.NOBLE_GAS, 3.00, 116, 88, 13.9996055, [ 2 ] ), // 36, KRYPTON
+  createEntry( ElementCategoryEnum.ALKALI_METAL, 0.82, 220, 265, 4.1771281, [ 1 ] ), // 37, RUBIDIUM
+  createEntry( ElementCategoryEnum.ALKALINE_EARTH_METAL, 0.95, 195, 219, 5.6948674, [ 2 ] ), // 38, STRONTIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.22, 190, 212, 6.21726, [ 3 ] ), // 39, YTTRIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.33, 175, 206, 6.634126, [ 4 ] ), // 40, ZIRCONIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.6, 164, 198, 6.75885, [ 5 ] ), // 41, NIOBIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 2.16, 154, 190, 7.09243, [ 4, 6 ] ), // 42, MOLYBDENUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.9, 147, 183, 7.11938, [ 4, 7 ] ), // 43, TECHNETIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 2.2, 146, 178, 7.36050, [ 3, 4 ] ), // 44, RUTHENIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 2.28, 142, 173, 7.45890, [ 3 ] ), // 45, RHODIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 2.20, 139, 169, 8.336839, [ 0, 2, 4 ] ), // 46, PALLADIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.93, 145, 165, 7.576234, [ 1 ] ), // 47, SILVER
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.69, 144, 161, 8.993820, [ 2 ] ), // 48, CADMIUM
+  createEntry( ElementCategoryEnum.POST_TRANSITION_METAL, 1.78, 142, 156, 5.7863552, [ 3 ] ), // 49, INDIUM
+  createEntry( ElementCategoryEnum.POST_TRANSITION_METAL, 1.96, 139, 145, 7.343918, [ -4, 2, 4 ] ), // 50, TIN
+  createEntry( ElementCategoryEnum.METALLOID, 2.05, 139, 133, 8.608389, [ -3, 3, 5 ] ), // 51, ANTIMONY
+  createEntry( ElementCategoryEnum.METALLOID, 2.1, 138, 123, 9.009808, [ -2, 2, 4, 6 ] ), // 52, TELLURIUM
+  createEntry( ElementCategoryEnum.HALOGEN, 2.66, 139, 115, 10.451260, [ -1, 1, 3, 5, 7 ] ), // 53, IODINE
+  createEntry( ElementCategoryEnum.NOBLE_GAS, 2.6, 140, 108, 12.1298436, [ 2, 4, 6 ] ), // 54, XENON
+  createEntry( ElementCategoryEnum.ALKALI_METAL, 0.79, 244, 298, 3.89390572, [ 1 ] ), // 55, CAESIUM
+  createEntry( ElementCategoryEnum.ALKALINE_EARTH_METAL, 0.89, 215, 253, 5.2116646, [ 2 ] ), // 56, BARIUM
+  createEntry( ElementCategoryEnum.LANTHANIDE, 1.10, 207, null, 5.5769, [ 3 ] ), // 57, LANTHANUM
+  createEntry( ElementCategoryEnum.LANTHANIDE, 1.12, 204, null, 5.5386, [ 3, 4 ] ), // 58, CERIUM
+  createEntry( ElementCategoryEnum.LANTHANIDE, 1.13, 203, 247, 5.4702, [ 3 ] ), // 59, PRASEODYMIUM
+  createEntry( ElementCategoryEnum.LANTHANIDE, 1.14, 201, 206, 5.5250, [ 3 ] ), // 60, NEODYMIUM
+  createEntry( ElementCategoryEnum.LANTHANIDE, 1.13, 199, 205, 5.577, [ 3 ] ), // 61, PROMETHIUM
+  createEntry( ElementCategoryEnum.LANTHANIDE, 1.17, 198, 238, 5.64371, [ 2, 3 ] ), // 62, SAMARIUM
+  createEntry( ElementCategoryEnum.LANTHANIDE, 1.2, 198, 231, 5.670385, [ 2, 3 ] ), // 63, EUROPIUM
+  createEntry( ElementCategoryEnum.LANTHANIDE, 1.20, 196, 233, 6.14980, [ 3 ] ), // 64, GADOLINIUM
+  createEntry( ElementCategoryEnum.LANTHANIDE, 1.1, 194, 225, 5.8638, [ 3, 4 ] ), // 65, TERBIUM
+  createEntry( ElementCategoryEnum.LANTHANIDE, 1.22, 192, 228, 5.93905, [ 3 ] ), // 66, DYSPROSIUM
+  createEntry( ElementCategoryEnum.LANTHANIDE, 1.23, 192, null, 6.0215, [ 3 ] ), // 67, HOLMIUM
+  createEntry( ElementCategoryEnum.LANTHANIDE, 1.24, 189, 226, 6.1077, [ 3 ] ), // 68, ERBIUM
+  createEntry( ElementCategoryEnum.LANTHANIDE, 1.25, 190, 222, 6.18431, [ 3 ] ), // 69, THULIUM
+  createEntry( ElementCategoryEnum.LANTHANIDE, 1.1, 187, 222, 6.254160, [ 2, 3 ] ), // 70, YTTERBIUM
+  createEntry( ElementCategoryEnum.LANTHANIDE, 1.27, 187, 217, 5.425871, [ 3 ] ), // 71, LUTETIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.3, 175, 208, 6.825069, [ 4 ] ), // 72, HAFNIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.5, 170, 200, 7.549571, [ 5 ] ), // 73, TANTALUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 2.36, 162, 193, 7.86403, [ 4, 6 ] ), // 74, TUNGSTEN
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 1.9, 151, 188, 7.83352, [ 4, 7 ] ), // 75, RHENIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 2.2, 144, 185, 8.43823, [ 4 ] ), // 76, OSMIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 2.20, 141, 180, 8.96702, [ 3, 4 ] ), // 77, IRIDIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 2.28, 136, 177, 8.95883, [ 2, 4 ] ), // 78, PLATINUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 2.54, 136, 174, 9.225554, [ 1, 3 ] ), // 79, GOLD
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, 2.00, 132, 171, 10.437504, [ 1, 2 ] ), // 80, MERCURY
+  createEntry( ElementCategoryEnum.POST_TRANSITION_METAL, 1.62, 145, 156, 6.1082873, [ 1, 3 ] ), // 81, THALLIUM
+  createEntry( ElementCategoryEnum.POST_TRANSITION_METAL, 2.33, 146, 154, 7.4166799, [ 2, 4 ] ), // 82, LEAD
+  createEntry( ElementCategoryEnum.POST_TRANSITION_METAL, 2.02, 148, 143, 7.285516, [ 3 ] ), // 83, BISMUTH
+  createEntry( ElementCategoryEnum.POST_TRANSITION_METAL, 2.0, 140, 135, 8.41807, [ -2, 2, 4 ] ), // 84, POLONIUM
+  createEntry( ElementCategoryEnum.HALOGEN, 2.2, 150, 127, 9.31751, [ -1, 1 ] ), // 85, ASTATINE
+  createEntry( ElementCategoryEnum.NOBLE_GAS, null, 150, 120, 10.74850, [ 2 ] ), // 86, RADON
+  createEntry( ElementCategoryEnum.ALKALI_METAL, 0.79, 260, null, 4.0727411, [ 1 ] ), // 87, FRANCIUM
+  createEntry( ElementCategoryEnum.ALKALINE_EARTH_METAL, 0.9, 221, null, 5.2784239, [ 2 ] ), // 88, RADIUM
+  createEntry( ElementCategoryEnum.ACTINIDE, 1.1, 215, null, 5.380226, [ 3 ] ), // 89, ACTINIUM
+  createEntry( ElementCategoryEnum.ACTINIDE, 1.3, 206, null, 6.3067, [ 4 ] ), // 90, THORIUM
+  createEntry( ElementCategoryEnum.ACTINIDE, 1.5, 200, null, 5.89, [ 5 ] ), // 91, PROTACTINIUM
+  createEntry( ElementCategoryEnum.ACTINIDE, 1.38, 196, null, 6.19405, [ 6 ] ), // 92, URANIUM
+  createEntry( ElementCategoryEnum.ACTINIDE, 1.36, 190, null, 6.2655, [ 5 ] ), // 93, NEPTUNIUM
+  createEntry( ElementCategoryEnum.ACTINIDE, 1.28, 187, null, 6.02576, [ 4 ] ), // 94, PLUTONIUM
+  createEntry( ElementCategoryEnum.ACTINIDE, 1.13, 180, null, 5.97381, [ 3 ] ), // 95, AMERICIUM
+  createEntry( ElementCategoryEnum.ACTINIDE, 1.28, 169, null, 5.99141, [ 3 ] ), // 96, CURIUM
+  createEntry( ElementCategoryEnum.ACTINIDE, 1.3, null, null, 6.19785, [ 3 ] ), // 97, BERKELIUM
+  createEntry( ElementCategoryEnum.ACTINIDE, 1.3, null, null, 6.28166, [ 3 ] ), // 98, CALIFORNIUM
+  createEntry( ElementCategoryEnum.ACTINIDE, 1.3, null, null, 6.36758, [ 3 ] ), // 99, EINSTEINIUM
+  createEntry( ElementCategoryEnum.ACTINIDE, 1.3, null, null, 6.50, [ 3 ] ), // 100, FERMIUM
+  createEntry( ElementCategoryEnum.ACTINIDE, 1.3, null, null, 6.58, [ 3 ] ), // 101, MENDELEVIUM
+  createEntry( ElementCategoryEnum.ACTINIDE, 1.3, null, null, 6.62621, [ 2 ] ), // 102, NOBELIUM
+  createEntry( ElementCategoryEnum.ACTINIDE, null, null, null, 4.96, [ 3 ] ), // 103, LAWRENCIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, null, null, null, null, [ 4 ] ), // 104, RUTHERFORDIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, null, null, null, null, [ 5 ] ), // 105, DUBNIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, null, null, null, null, [ 6 ] ), // 106, SEABORGIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, null, null, null, null, [ 7 ] ), // 107, BOHRIUM
+  createEntry( ElementCategoryEnum.TRANSITION_METAL, null, null, null, null, [ 8 ] ), // 108, HASSIUM
+  createEntry( ElementCategoryEnum.UNKNOWN, null, null, null, null, [] ), // 109, MEITNERIUM
+  createEntry( ElementCategoryEnum.UNKNOWN, null, null, null, null, [] ), // 110, DARMSTADTIUM
+  createEntry( ElementCategoryEnum.UNKNOWN, null, null, null, null, [] ), // 111, ROENTGENIUM
+  createEntry( ElementCategoryEnum.UNKNOWN, null, null, null, null, [] ), // 112, COPERNICIUM
+  createEntry( ElementCategoryEnum.UNKNOWN, null, null, null, null, [] ), // 113, NIHONIUM
+  createEntry( ElementCategoryEnum.UNKNOWN, null, null, null, null, [] ), // 114, FLEROVIUM
+  createEntry( ElementCategoryEnum.UNKNOWN, null, null, null, null, [] ), // 115, MOSCOVIUM
+  createEntry( ElementCategoryEnum.UNKNOWN, null, null, null, null, [] ), // 116, LIVERMORIUM
+  createEntry( ElementCategoryEnum.UNKNOWN, null, null, null, null, [] ), // 117, TENNESSINE
+  createEntry( ElementCategoryEnum.UNKNOWN, null, null, null, null, [] ) // 118, OGANESSON
+];
+
+// Atomic radii of the elements that Clementi et al. didn't calculate, in picometers.  These are estimates: lanthanum
+// and cerium are interpolated between barium and praseodymium, and holmium between dysprosium and erbium.  The elements
+// of period 7 are given the radius of the element above them in the periodic table, see below, since their outer
+// electrons are in orbitals of about the same size, as the increase in size from one period to the next is mostly
+// cancelled out by relativistic contraction for the heaviest elements.
+const ESTIMATED_ATOMIC_RADII = {
+  57: 250, // LANTHANUM
+  58: 248, // CERIUM
+  67: 227 // HOLMIUM
+};
+const FIRST_PERIOD_7_ATOMIC_NUMBER = 87;
+const PERIOD_6_LENGTH = 32;
+
+_.forEach( ESTIMATED_ATOMIC_RADII, function( atomicRadius, atomicNumber ) {
+  elementProperties[ atomicNumber ].atomicRadius = atomicRadius;
+} );
+for ( let atomicNumber = FIRST_PERIOD_7_ATOMIC_NUMBER; atomicNumber < elementProperties.length; atomicNumber++ ) {
+  if ( elementProperties[ atomicNumber ].atomicRadius === null ) {
+    elementProperties[ atomicNumber ].atomicRadius = elementProperties[ atomicNumber - PERIOD_6_LENGTH ].atomicRadius;
+  }
+}
+_.forEach( IONIC_RADII, function( ionicRadii, atomicNumber ) {
+  elementProperties[ atomicNumber ].ionicRadii = ionicRadii;
+} );
+_.forEach( IONIZATION_ENERGIES, function( ionizationEnergies, atomicNumber ) {
+  elementProperties[ atomicNumber ].ionizationEnergies = ionizationEnergies;
+} );
+_.forEach( ELECTRON_AFFINITIES, function( electronAffinity, atomicNumber ) {
+  elementProperties[ atomicNumber ].electronAffinity = electronAffinity;
+} );
+
+shred.register( 'elementProperties', elementProperties );
+export default elementProperties;
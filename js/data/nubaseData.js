@@ -0,0 +1,585 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Nuclide data in the fixed-width text format of the NUBASE2020 evaluation of nuclear physics properties, see
+ * https://www-nds.iaea.org/amdc/.  This is an excerpt rather than the complete evaluation: it contains every stable
+ * and naturally occurring nuclide, the light nuclides shown on the nuclide chart, the members of the natural decay
+ * series, commonly used radioisotopes, and the longest-lived isotope of each element that has no stable isotopes.  A
+ * few well-known isomers (excited states with a measurable half-life) are included too, e.g. those used in medicine.
+ * Isotopic abundances are the representative compositions published by NIST, so that they match the values that
+ * were previously used in the sims, except for zinc, germanium, selenium, molybdenum, neodymium and mercury, which use
+ * the more recent compositions from IUPAC that are consistent with the standard atomic weights.  Uncertainty columns
+ * are left blank.  The masses of the other nuclides that have been observed are in ameData.js, and the full
+ * nubase_4.mas20 file can be parsed with NuclearDataParser if more of their properties are needed.
+ *
+ * @author Luisa Vargas
+ */
+
+import shred from '../shred.js';
+
+const nubaseData = `
+#  NUBASE2020 format, see the header of nubase_4.mas20 for the complete description.
+#  col   1-3   mass number, col 5-8 atomic number and isomer index (0 = ground state), col 12-16 nuclide name,
+#  col 19-31  mass excess in keV (# = estimated from systematics), col 43-54 excitation energy in keV,
+#  col 70-78 half-life, col 79-80 half-life unit,
+#  col 89-102 spin and parity, col 120- decay modes and intensities in %, IS = isotopic abundance in %
+001 0000   1n     8071.3181                                          613.9    s         1/2+                           B-=100
+001 0010   1H     7288.971224                                        stbl               1/2+                           IS=99.9885
+002 0010   2H     13135.722854                                       stbl               1+                             IS=0.0115
+003 0010   3H     14949.807526                                       12.32    y         1/2+                           B-=100
+003 0020   3He    14931.216207                                       stbl               1/2+                           IS=0.000134
+004 0010   4H     24620                                              139      ys        2-                             n=100
+004 0020   4He    2424.915888                                        stbl               0+                             IS=99.999866
+004 0030   4Li    25320                                              91       ys        2-                             p=100
+005 0010   5H     32890                                              86       ys        (1/2+)                         2n=100
+005 0020   5He    11231                                              602      ys        3/2-                           n=100
+005 0030   5Li    11680                                              370      ys        3/2-                           p=100
+005 0040   5Be    37140#                                                                (1/2+)#                        p=100
+006 0010   6H     41880                                              294      ys        2-#                            n=100
+006 0020   6He    17592.10                                           806.92   ms        0+                             B-=100
+006 0030   6Li    14086.794355                                       stbl               1+                             IS=7.59
+006 0040   6Be    18375                                              5.0      zs        0+                             2p=100
+007 0020   7He    26073                                              2.51     zs        (3/2)-                         n=100
+007 0030   7Li    14908.143937                                       stbl               3/2-                           IS=92.41
+007 0040   7Be    15770.034937                                       53.22    d         3/2-                           EC=100
+007 0050   7B     27677                                              570      ys        (3/2-)                         p=100;A=?
+008 0020   8He    31609.7                                            119.5    ms        0+                             B-=100;B-n=16
+008 0030   8Li    20945.80                                           839.9    ms        2+                             B-=100;B-A=100
+008 0040   8Be    4941.67                                            81.9     as        0+                             A=100
+008 0050   8B     22921.6                                            770      ms        2+                             B+=100;B+A=100
+008 0060   8C     35064                                              3.5      zs        0+                             2p=100;A=?
+009 0020   9He    40935                                              2.5      zs        1/2(+)                         n=100
+009 0030   9Li    24954.90                                           178.3    ms        3/2-                           B-=100;B-n=50.8
+009 0040   9Be    11348.450402                                       stbl               3/2-                           IS=100
+009 0050   9B     12416.5                                            800      zs        3/2-                           p=100
+009 0060   9C     28910.5                                            126.5    ms        3/2-                           B+=100;B+p=61.6;B+A=38.4
+010 0020   10He   49200                                              260      ys        0+                             2n=100
+010 0030   10Li   33053                                              2.0      zs        (1-,2-)                        n=100
+010 0040   10Be   12606.671650                                       1.387    My        0+                             B-=100
+010 0050   10B    12050.739203                                       stbl               3+                             IS=19.9
+010 0060   10C    15698.7                                            19.308   s         0+                             B+=100
+010 0070   10N    38800                                              143      ys        (1-,2-)                        p=100
+011 0030   11Li   40728.3                                            8.75     ms        3/2-                           B-=100;B-n=86.3;B-2n=4.1;B-A=1.7
+011 0040   11Be   20177.17                                           13.76    s         1/2+                           B-=100;B-A=3.30
+011 0050   11B    8667.925221                                        stbl               3/2-                           IS=80.1
+011 0060   11C    10650.3                                            20.364   m         3/2-                           B+=100
+011 0070   11N    24300                                              550      ys        1/2+                           p=100
+012 0040   12Be   25077.8                                            21.46    ms        0+                             B-=100;B-n=0.5
+012 0050   12B    13368.9                                            20.20    ms        1+                             B-=100;B-A=0.60
+012 0060   12C    0.000000                                           stbl               0+                             IS=98.93
+012 0070   12N    17338.1                                            11.000   ms        1+                             B+=100;B+A=1.93
+012 0080   12O    31915                                              8.9      zs        0+                             2p=100
+013 0040   13Be   33659                                              1.0      zs        (1/2-)                         n=100
+013 0050   13B    16562.1                                            17.16    ms        3/2-                           B-=100;B-n=0.29
+013 0060   13C    3125.011625                                        stbl               1/2-                           IS=1.07
+013 0070   13N    5345.48                                            9.965    m         1/2-                           B+=100
+013 0080   13O    23115                                              8.58     ms        3/2-                           B+=100;B+p=10.9
+014 0040   14Be   39950                                              4.53     ms        0+                             B-=100;B-n=86;B-2n=5
+014 0050   14B    23664                                              12.5     ms        2-                             B-=100;B-n=6.04
+014 0060   14C    3019.893634                                        5.70     ky        0+                             B-=100
+014 0070   14N    2863.417342                                        stbl               1+                             IS=99.636
+014 0080   14O    8007.78                                            70.620   s         0+                             B+=100
+015 0050   15B    28972                                              9.93     ms        3/2-                           B-=100;B-n=98.7
+015 0060   15C    9873.1                                             2.449    s         1/2+                           B-=100
+015 0070   15N    101.438031                                         stbl               1/2-                           IS=0.364
+015 0080   15O    2855.6                                             122.24   s         1/2-                           B+=100
+015 0090   15F    16567                                              1.1      zs        1/2+                           p=100
+016 0050   16B    37112                                              4.6      zs        0-                             n=100
+016 0060   16C    13694                                              747      ms        0+                             B-=100;B-n=99
+016 0070   16N    5683.9                                             7.13     s         2-                             B-=100;B-A=0.0012
+016 0080   16O    -4737.001888                                       stbl               0+                             IS=99.757
+016 0090   16F    10680                                              11       zs        0-                             p=100
+016 0100   16Ne   23987                                              9        zs        0+                             2p=100
+017 0050   17B    43770                                              5.08     ms        (3/2-)                         B-=100;B-n=63;B-2n=11;B-3n=3.5;B-4n=0.4
+017 0060   17C    21032                                              193      ms        (3/2+)                         B-=100;B-n=32
+017 0070   17N    7870                                               4.171    s         1/2-                           B-=100;B-n=95.1
+017 0080   17O    -808.816329                                        stbl               5/2+                           IS=0.038
+017 0090   17F    1951.7                                             64.49    s         5/2+                           B+=100
+017 0100   17Ne   16500.5                                            109.2    ms        1/2-                           B+=100;B+p=96.0;B+A=2.7
+018 0060   18C    24926                                              92       ms        0+                             B-=100;B-n=31.5
+018 0070   18N    13114                                              619.2    ms        1-                             B-=100;B-n=7;B-A=12.2
+018 0080   18O    -781.523552                                        stbl               0+                             IS=0.205
+018 0090   18F    873.741468                                         109.77   m         1+                             B+=100
+018 0100   18Ne   5317.6                                             1.664    s         0+                             B+=100
+019 0070   19N    15856                                              336      ms        (1/2-)                         B-=100;B-n=41.8
+019 0080   19O    3332.9                                             26.470   s         5/2+                           B-=100
+019 0090   19F    -1487.444248                                       stbl               1/2+                           IS=100
+019 0100   19Ne   1752.05                                            17.274   s         1/2+                           B+=100
+020 0080   20O    3796.2                                             13.51    s         0+                             B-=100
+020 0090   20F    -17.46                                             11.163   s         2+                             B-=100
+020 0100   20Ne   -7041.932030                                       stbl               0+                             IS=90.48
+021 0090   21F    -47.6                                              4.158    s         5/2+                           B-=100
+021 0100   21Ne   -5731.781290                                       stbl               3/2+                           IS=0.27
+022 0100   22Ne   -8024.715502                                       stbl               0+                             IS=9.25
+022 0110   22Na   -5182.460588                                       2.6018   y         3+                             B+=100
+023 0110   23Na   -9529.853481                                       stbl               3/2+                           IS=100
+024 0110   24Na   -8418.117132                                       14.997   h         4+                             B-=100
+024 0120   24Mg   -13933.568232                                      stbl               0+                             IS=78.99
+025 0120   25Mg   -13192.825492                                      stbl               5/2+                           IS=10.00
+026 0120   26Mg   -16214.583977                                      stbl               0+                             IS=11.01
+026 0130   26Al   -12210.313458                                      717      ky        5+                             B+=100
+027 0130   27Al   -17196.864069                                      stbl               5/2+                           IS=100
+028 0140   28Si   -21492.798899                                      stbl               0+                             IS=92.223
+029 0140   29Si   -21895.048326                                      stbl               1/2+                           IS=4.685
+030 0140   30Si   -24432.931952                                      stbl               0+                             IS=3.092
+031 0150   31P    -24440.544122                                      stbl               1/2+                           IS=100
+032 0140   32Si   -24080.911016                                      153      y         0+                             B-=100
+032 0150   32P    -24305.224111                                      14.268   d         1+                             B-=100
+032 0160   32S    -26015.698786                                      stbl               0+                             IS=94.99
+033 0150   33P    -26337.529999                                      25.35    d         1/2+                           B-=100
+033 0160   33S    -26585.996736                                      stbl               3/2+                           IS=0.75
+034 0160   34S    -29931.793142                                      stbl               0+                             IS=4.25
+035 0160   35S    -28846.360325                                      87.37    d         3/2+                           B-=100
+035 0170   35Cl   -29013.544886                                      stbl               3/2+                           IS=75.76
+036 0160   36S    -30664.077916                                      stbl               0+                             IS=0.01
+036 0170   36Cl   -29521.861218                                      301      ky        2+                             B-=98.1;B+=1.9
+036 0180   36Ar   -30231.542356                                      stbl               0+                             IS=0.3365
+037 0170   37Cl   -31761.536323                                      stbl               3/2+                           IS=24.24
+037 0180   37Ar   -30947.661981                                      35.011   d         3/2+                           EC=100
+038 0180   38Ar   -34714.549611                                      stbl               0+                             IS=0.0632
+039 0180   39Ar   -33242.230033                                      268      y         7/2-                           B-=100
+039 0190   39K    -33807.013537                                      stbl               3/2+                           IS=93.2581
+040 0180   40Ar   -35039.899543                                      stbl               0+                             IS=99.6003
+040 0190   40K    -33535.203558                                      1.248    Gy        4-                             IS=0.0117;B-=89.28;B+=10.72
+040 0200   40Ca   -34846.281507                                      stbl               0+                             IS=96.941
+041 0190   41K    -35559.079424                                      stbl               3/2+                           IS=6.7302
+041 0200   41Ca   -35137.764642                                      99.4     ky        7/2-                           EC=100
+042 0190   42K    -35021.560753                                      12.355   h         2-                             B-=100
+042 0200   42Ca   -38547.079631                                      stbl               0+                             IS=0.647
+043 0200   43Ca   -38408.668923                                      stbl               7/2-                           IS=0.135
+044 0200   44Ca   -41468.440750                                      stbl               0+                             IS=2.086
+045 0200   45Ca   -40811.923707                                      162.61   d         7/2-                           B-=100
+045 0210   45Sc   -41072.322883                                      stbl               7/2-                           IS=100
+046 0200   46Ca   -43135.069998                                      stbl               0+                             IS=0.004
+046 0210   46Sc   -41757.110773                                      83.79    d         4+                             B-=100
+046 0220   46Ti   -44123.385241                                      stbl               0+                             IS=8.25
+047 0220   47Ti   -44932.387869                                      stbl               5/2-                           IS=7.44
+048 0200   48Ca   -44214.299065                                      64       Ey        0+                             IS=0.187;2B-=100
+048 0220   48Ti   -48487.714559                                      stbl               0+                             IS=73.72
+049 0220   49Ti   -48558.787559                                      stbl               7/2-                           IS=5.41
+050 0220   50Ti   -51426.671602                                      stbl               0+                             IS=5.18
+050 0230   50V    -49221.545613                                      265      Py        6+                             IS=0.250;B+=83;B-=17
+050 0240   50Cr   -50259.509491                                      stbl               0+                             IS=4.345
+051 0230   51V    -52201.395247                                      stbl               7/2-                           IS=99.750
+051 0240   51Cr   -51448.841161                                      27.7025  d         7/2-                           EC=100
+052 0240   52Cr   -55416.912888                                      stbl               0+                             IS=83.789
+053 0240   53Cr   -55284.733875                                      stbl               3/2-                           IS=9.501
+054 0240   54Cr   -56932.546942                                      stbl               0+                             IS=2.365
+054 0250   54Mn   -55555.332912                                      312.20   d         3+                             EC=100
+054 0260   54Fe   -56252.463098                                      stbl               0+                             IS=5.845
+055 0250   55Mn   -57711.732444                                      stbl               5/2-                           IS=100
+055 0260   55Fe   -57479.333980                                      2.744    y         3/2-                           EC=100
+056 0260   56Fe   -60605.335039                                      stbl               0+                             IS=91.754
+057 0260   57Fe   -60180.107981                                      stbl               1/2-                           IS=2.119
+057 0270   57Co   -59344.185173                                      271.74   d         7/2-                           EC=100
+058 0260   58Fe   -62153.385088                                      stbl               0+                             IS=0.282
+058 0270   58Co   -59845.887897                                      70.86    d         2+                             B+=100
+058 0280   58Ni   -60227.707330                                      stbl               0+                             IS=68.0769
+059 0260   59Fe   -60663.087673                                      44.495   d         3/2-                           B-=100
+059 0270   59Co   -62229.124873                                      stbl               7/2-                           IS=100
+059 0280   59Ni   -61155.661754                                      76       ky        3/2-                           EC=100
+060 0260   60Fe   -61411.543184                                      2.62     My        0+                             B-=100
+060 0270   60Co   -61648.981031                                      5.2714   y         5+                             B-=100
+060 0271   60Co m -61590.3910             58.59                      10.467   m         2+                             IT=99.75;B-=0.25
+060 0280   60Ni   -64472.060207                                      stbl               0+                             IS=26.2231
+061 0280   61Ni   -64220.929397                                      stbl               3/2-                           IS=1.1399
+062 0280   62Ni   -66746.116759                                      stbl               0+                             IS=3.6345
+063 0280   63Ni   -65512.539120                                      101.2    y         1/2-                           B-=100
+063 0290   63Cu   -65579.513546                                      stbl               3/2-                           IS=69.15
+064 0280   64Ni   -67099.246174                                      stbl               0+                             IS=0.9256
+064 0290   64Cu   -65424.233479                                      12.701   h         1+                             B+=61.52;B-=38.48
+064 0300   64Zn   -66003.622810                                      stbl               0+                             IS=49.17
+065 0290   65Cu   -67263.654883                                      stbl               3/2-                           IS=30.85
+065 0300   65Zn   -65911.591193                                      243.93   d         5/2-                           B+=100
+066 0300   66Zn   -68899.451676                                      stbl               0+                             IS=27.73
+067 0300   67Zn   -67880.490277                                      stbl               5/2-                           IS=4.04
+067 0310   67Ga   -66879.693014                                      3.2617   d         3/2-                           EC=100
+068 0300   68Zn   -70007.184463                                      stbl               0+                             IS=18.45
+068 0310   68Ga   -67086.112107                                      67.71    m         1+                             B+=100
+068 0320   68Ge   -66980.014929                                      270.95   d         0+                             EC=100
+069 0310   69Ga   -69327.752664                                      stbl               3/2-                           IS=60.108
+070 0300   70Zn   -69564.631615                                      stbl               0+                             IS=0.61
+070 0320   70Ge   -70563.100143                                      stbl               0+                             IS=20.52
+071 0310   71Ga   -70140.294970                                      stbl               3/2-                           IS=39.892
+072 0320   72Ge   -72585.932736                                      stbl               0+                             IS=27.45
+073 0320   73Ge   -71297.583243                                      stbl               9/2+                           IS=7.76
+074 0320   74Ge   -73422.414440                                      stbl               0+                             IS=36.52
+074 0340   74Se   -72212.776198                                      stbl               0+                             IS=0.86
+075 0330   75As   -73034.195643                                      stbl               3/2-                           IS=100
+075 0340   75Se   -72168.995976                                      119.78   d         5/2+                           EC=100
+076 0320   76Ge   -73213.014566                                      1.88     Zy        0+                             IS=7.75;2B-=100
+076 0340   76Se   -75252.055156                                      stbl               0+                             IS=9.23
+077 0340   77Se   -74599.636686                                      stbl               1/2-                           IS=7.60
+078 0340   78Se   -77026.085674                                      stbl               0+                             IS=23.69
+078 0360   78Kr   -74179.719145                                      9.2      Zy        0+                             IS=0.355;2EC=100
+079 0350   79Br   -76068.509737                                      stbl               3/2-                           IS=50.69
+080 0340   80Se   -77759.916728                                      stbl               0+                             IS=49.80
+080 0360   80Kr   -77892.468338                                      stbl               0+                             IS=2.286
+081 0350   81Br   -77974.812417                                      stbl               3/2-                           IS=49.31
+081 0360   81Kr   -77694.060095                                      229      ky        7/2+                           EC=100
+081 0361   81Kr m -77503.4201             190.64                     13.10    s         1/2-                           IT=100;EC=2.5e-3
+082 0340   82Se   -77594.017628                                      88       Ey        0+                             IS=8.82;2B-=100
+082 0360   82Kr   -80589.516363                                      stbl               0+                             IS=11.593
+082 0370   82Rb   -76188.206729                                      1.2575   m         1+                             B+=100
+082 0380   82Sr   -76008.242068                                      25.35    d         0+                             EC=100
+083 0360   83Kr   -79981.809610                                      stbl               9/2+                           IS=11.500
+084 0360   84Kr   -82430.707605                                      stbl               0+                             IS=56.987
+084 0380   84Sr   -80644.101917                                      stbl               0+                             IS=0.56
+085 0360   85Kr   -81480.304173                                      10.739   y         9/2+                           B-=100
+085 0370   85Rb   -82167.338826                                      stbl               5/2-                           IS=72.17
+085 0380   85Sr   -81102.397015                                      64.849   d         9/2+                           EC=100
+086 0360   86Kr   -83265.577825                                      stbl               0+                             IS=17.279
+086 0380   86Sr   -84523.588555                                      stbl               0+                             IS=9.86
+087 0370   87Rb   -84597.803484                                      49.7     Gy        3/2-                           IS=27.83;B-=100
+087 0380   87Sr   -84880.443945                                      stbl               9/2+                           IS=7.00
+088 0380   88Sr   -87921.772190                                      stbl               0+                             IS=82.58
+089 0380   89Sr   -86209.127133                                      50.563   d         5/2+                           B-=100
+089 0390   89Y    -87711.254523                                      stbl               1/2-                           IS=100
+090 0380   90Sr   -85941.508877                                      28.91    y         0+                             B-=100
+090 0390   90Y    -86487.457571                                      64.00    h         2-                             B-=100
+090 0400   90Zr   -88767.289387                                      stbl               0+                             IS=51.45
+091 0400   91Zr   -87890.380839                                      stbl               5/2+                           IS=11.22
+092 0400   92Zr   -88453.934771                                      stbl               0+                             IS=17.15
+092 0420   92Mo   -86805.003910                                      stbl               0+                             IS=14.53
+093 0400   93Zr   -87117.054435                                      1.61     My        5/2+                           B-=100
+093 0410   93Nb   -87212.998327                                      stbl               9/2+                           IS=100
+094 0400   94Zr   -87266.838686                                      stbl               0+                             IS=17.38
+094 0420   94Mo   -88409.688801                                      stbl               0+                             IS=9.15
+095 0420   95Mo   -87707.528546                                      stbl               5/2+                           IS=15.84
+096 0400   96Zr   -85442.786935                                      23.5     Ey        0+                             IS=2.80;2B-=100
+096 0420   96Mo   -88790.483590                                      stbl               0+                             IS=16.67
+096 0440   96Ru   -86071.918052                                      stbl               0+                             IS=5.54
+097 0420   97Mo   -87540.418504                                      stbl               5/2+                           IS=9.60
+097 0430   97Tc   -87220.450280                                      4.21     My        9/2+                           EC=100
+098 0420   98Mo   -88111.703837                                      stbl               0+                             IS=24.39
+098 0430   98Tc   -86427.748799                                      4.2      My        (6)+                           B-=100
+098 0440   98Ru   -88224.600923                                      stbl               0+                             IS=1.87
+099 0420   99Mo   -85965.820874                                      65.976   h         1/2+                           B-=100
+099 0430   99Tc   -87323.194080                                      211.1    ky        9/2+                           B-=100
+099 0431   99Tc m -87180.5105             142.6836                   6.0072   h         1/2-                           IT=100;B-=3.7e-3
+099 0440   99Ru   -87616.987319                                      stbl               5/2+                           IS=12.76
+100 0420   100Mo  -86184.628838                                      7.07     Ey        0+                             IS=9.82;2B-=100
+100 0440   100Ru  -89218.970877                                      stbl               0+                             IS=12.60
+101 0440   101Ru  -87949.717013                                      stbl               5/2+                           IS=17.06
+102 0440   102Ru  -89098.062942                                      stbl               0+                             IS=31.55
+102 0460   102Pd  -87924.659822                                      stbl               0+                             IS=1.02
+103 0450   103Rh  -88028.055667                                      stbl               1/2-                           IS=100
+103 0451   103Rhm -87988.3027             39.753                     56.114   m         7/2+                           IT=100
+104 0440   104Ru  -88088.602784                                      stbl               0+                             IS=18.62
+104 0460   104Pd  -89389.900045                                      stbl               0+                             IS=11.14
+105 0460   105Pd  -88412.762731                                      stbl               5/2+                           IS=22.33
+106 0440   106Ru  -86322.489965                                      371.8    d         0+                             B-=100
+106 0450   106Rh  -86361.612718                                      30.07    s         1+                             B-=100
+106 0460   106Pd  -89902.221801                                      stbl               0+                             IS=27.33
+106 0480   106Cd  -87132.889834                                      stbl               0+                             IS=1.25
+107 0460   107Pd  -88368.051014                                      6.5      My        5/2+                           B-=100
+107 0470   107Ag  -88401.584802                                      stbl               1/2-                           IS=51.839
+108 0460   108Pd  -89524.035195                                      stbl               0+                             IS=26.46
+108 0480   108Cd  -89252.038917                                      stbl               0+                             IS=0.89
+109 0470   109Ag  -88722.950267                                      stbl               1/2-                           IS=48.161
+109 0480   109Cd  -88508.706624                                      461.4    d         5/2+                           EC=100
+110 0460   110Pd  -88349.421132                                      stbl               0+                             IS=11.72
+110 0470   110Ag  -87460.775759                                      24.56    s         1+                             B-=99.70;EC=0.30
+110 0480   110Cd  -90352.971797                                      stbl               0+                             IS=12.49
+111 0480   111Cd  -89257.534733                                      stbl               1/2+                           IS=12.80
+111 0490   111In  -88395.995837                                      2.8047   d         9/2+                           EC=100
+112 0480   112Cd  -90580.535806                                      stbl               0+                             IS=24.13
+112 0500   112Sn  -88661.471657                                      stbl               0+                             IS=0.97
+113 0480   113Cd  -89049.252651                                      8.04     Py        1/2+                           IS=12.22;B-=100
+113 0490   113In  -89369.407174                                      stbl               9/2+                           IS=4.29
+113 0491   113Inm -88977.7082             391.699                    99.476   m         1/2-                           IT=100
+114 0480   114Cd  -90020.987299                                      stbl               0+                             IS=28.73
+114 0500   114Sn  -90560.788131                                      stbl               0+                             IS=0.66
+115 0490   115In  -89537.076113                                      441      Ty        9/2+                           IS=95.71;B-=100
+115 0500   115Sn  -90036.356952                                      stbl               1/2+                           IS=0.34
+116 0480   116Cd  -88719.224291                                      31       Ey        0+                             IS=7.49;2B-=100
+116 0500   116Sn  -91527.679010                                      stbl               0+                             IS=14.54
+117 0500   117Sn  -90399.639652                                      stbl               1/2+                           IS=7.68
+118 0500   118Sn  -91656.225196                                      stbl               0+                             IS=24.22
+119 0500   119Sn  -90068.027751                                      stbl               1/2+                           IS=8.59
+120 0500   120Sn  -91105.060135                                      stbl               0+                             IS=32.58
+120 0520   120Te  -89404.803950                                      stbl               0+                             IS=0.09
+121 0510   121Sb  -89595.108195                                      stbl               5/2+                           IS=57.21
+122 0500   122Sn  -89946.002024                                      stbl               0+                             IS=4.63
+122 0520   122Te  -90314.035344                                      stbl               0+                             IS=2.55
+123 0510   123Sb  -89224.094094                                      stbl               7/2+                           IS=42.79
+123 0520   123Te  -89171.930425                                      stbl               1/2+                           IS=0.89
+123 0530   123I   -87943.289704                                      13.2235  h         5/2+                           EC=100
+124 0500   124Sn  -88236.803495                                      stbl               0+                             IS=5.79
+124 0520   124Te  -90524.553011                                      stbl               0+                             IS=4.74
+124 0540   124Xe  -87660.115496                                      18       Zy        0+                             IS=0.0952;2EC=100
+125 0510   125Sb  -88256.271722                                      2.75856  y         7/2+                           B-=100
+125 0520   125Te  -89022.239322                                      stbl               1/2+                           IS=7.07
+125 0521   125Tem -88877.4643             144.775                    57.40    d         11/2-                          IT=100
+125 0530   125I   -88836.406249                                      59.407   d         5/2+                           EC=100
+126 0500   126Sn  -86020.685876                                      230      ky        0+                             B-=100
+126 0510   126Sb  -86397.940988                                      12.35    d         (8-)                           B-=100
+126 0520   126Te  -90064.581223                                      stbl               0+                             IS=18.84
+126 0540   126Xe  -89168.204448                                      stbl               0+                             IS=0.0890
+127 0530   127I   -88983.861765                                      stbl               5/2+                           IS=100
+128 0520   128Te  -88992.058913                                      2.25     Yy        0+                             IS=31.74;2B-=100
+128 0540   128Xe  -89860.025118                                      stbl               0+                             IS=1.9102
+129 0530   129I   -88503.117659                                      15.7     My        7/2+                           B-=100
+129 0540   129Xe  -88697.427329                                      stbl               1/2+                           IS=26.4006
+130 0520   130Te  -87351.418351                                      790      Ey        0+                             IS=34.08;2B-=100
+130 0540   130Xe  -89881.728931                                      stbl               0+                             IS=4.0710
+130 0560   130Ba  -87261.622319                                      1.6      Zy        0+                             IS=0.106;2EC=100
+131 0530   131I   -87444.381462                                      8.0252   d         7/2+                           B-=100
+131 0540   131Xe  -88415.184616                                      stbl               3/2+                           IS=21.2324
+132 0540   132Xe  -89280.449488                                      stbl               0+                             IS=26.9086
+132 0560   132Ba  -88434.839141                                      stbl               0+                             IS=0.101
+133 0540   133Xe  -87643.628051                                      5.2475   d         3/2+                           B-=100
+133 0541   133Xem -87410.4071             233.221                    2.198    d         11/2-                          IT=100
+133 0550   133Cs  -88070.940724                                      stbl               7/2+                           IS=100
+133 0560   133Ba  -87553.459422                                      10.551   y         1/2+                           EC=100
+134 0540   134Xe  -88124.465306                                      stbl               0+                             IS=10.4357
+134 0550   134Cs  -86891.190402                                      2.0652   y         4+                             B-=100;EC=3.0e-4
+134 0560   134Ba  -88949.862231                                      stbl               0+                             IS=2.417
+135 0540   135Xe  -86417.502364                                      9.14     h         3/2+                           B-=100
+135 0550   135Cs  -87581.869992                                      2.3      My        7/2+                           B-=100
+135 0560   135Ba  -87850.512891                                      stbl               3/2+                           IS=6.592
+136 0540   136Xe  -86424.954317                                      2.165    Zy        0+                             IS=8.8573;2B-=100
+136 0560   136Ba  -88886.986379                                      stbl               0+                             IS=7.854
+136 0580   136Ce  -86468.734539                                      stbl               0+                             IS=0.185
+137 0550   137Cs  -86545.582803                                      30.08    y         7/2+                           B-=100
+137 0560   137Ba  -87721.221510                                      stbl               3/2+                           IS=11.232
+137 0561   137Bam -87059.5625             661.659                    2.552    m         11/2-                          IT=100
+138 0560   138Ba  -88261.674388                                      stbl               0+                             IS=71.698
+138 0570   138La  -86524.624186                                      102      Gy        5+                             IS=0.090;B+=65.5;B-=34.5
+138 0580   138Ce  -87568.829074                                      stbl               0+                             IS=0.251
+139 0570   139La  -87231.348761                                      stbl               7/2+                           IS=99.910
+140 0580   140Ce  -88083.293267                                      stbl               0+                             IS=88.450
+141 0590   141Pr  -86016.401003                                      stbl               5/2+                           IS=100
+142 0580   142Ce  -84538.678759                                      stbl               0+                             IS=11.114
+142 0600   142Nd  -85955.201841                                      stbl               0+                             IS=27.152
+143 0600   143Nd  -84007.447673                                      stbl               7/2-                           IS=12.174
+144 0600   144Nd  -83753.149783                                      2.29     Py        0+                             IS=23.798;A=100
+144 0620   144Sm  -81972.412507                                      stbl               0+                             IS=3.07
+145 0600   145Nd  -81437.175996                                      stbl               7/2-                           IS=8.293
+145 0610   145Pm  -81273.791930                                      17.7     y         5/2+                           EC=100;A=2.8e-7
+146 0600   146Nd  -80931.095250                                      stbl               0+                             IS=17.189
+146 0620   146Sm  -81001.795652                                      68       My        0+                             A=100
+147 0610   147Pm  -79047.986773                                      2.6234   y         7/2+                           B-=100
+147 0620   147Sm  -79272.104254                                      106      Gy        7/2-                           IS=14.99;A=100
+148 0600   148Nd  -77413.680370                                      stbl               0+                             IS=5.756
+148 0620   148Sm  -79342.152610                                      7        Py        0+                             IS=11.24;A=100
+149 0620   149Sm  -77141.963540                                      stbl               7/2-                           IS=13.82
+150 0600   150Nd  -73689.566948                                      9.3      Ey        0+                             IS=5.638;2B-=100
+150 0620   150Sm  -77057.383876                                      stbl               0+                             IS=7.38
+151 0620   151Sm  -74582.497195                                      90       y         5/2-                           B-=100
+151 0630   151Eu  -74659.066010                                      4.6      Ey        5/2+                           IS=47.81;A=100
+152 0620   152Sm  -74768.796015                                      stbl               0+                             IS=26.75
+152 0630   152Eu  -72894.536732                                      13.517   y         3-                             B+=72.1;B-=27.9
+152 0640   152Gd  -74714.210461                                      108      Ty        0+                             IS=0.20;A=100
+153 0630   153Eu  -73373.510999                                      stbl               5/2+                           IS=52.19
+153 0640   153Gd  -72889.879261                                      240.4    d         3/2-                           EC=100
+154 0620   154Sm  -72461.578273                                      stbl               0+                             IS=22.75
+154 0630   154Eu  -71744.420964                                      8.601    y         3-                             B-=99.98;EC=0.02
+154 0640   154Gd  -73713.226899                                      stbl               0+                             IS=2.18
+155 0630   155Eu  -71824.436307                                      4.753    y         5/2+                           B-=100
+155 0640   155Gd  -72077.150657                                      stbl               3/2-                           IS=14.80
+156 0640   156Gd  -72542.245662                                      stbl               0+                             IS=20.47
+156 0660   156Dy  -70529.938953                                      stbl               0+                             IS=0.056
+157 0640   157Gd  -70830.718399                                      stbl               3/2-                           IS=15.65
+158 0640   158Gd  -70696.769547                                      stbl               0+                             IS=24.84
+158 0660   158Dy  -70412.570696                                      stbl               0+                             IS=0.095
+159 0650   159Tb  -69531.656723                                      stbl               3/2+                           IS=100
+160 0640   160Gd  -67948.675646                                      stbl               0+                             IS=21.86
+160 0660   160Dy  -69678.087596                                      stbl               0+                             IS=2.329
+161 0660   161Dy  -68061.106984                                      stbl               5/2+                           IS=18.889
+162 0660   162Dy  -68186.858688                                      stbl               0+                             IS=25.475
+162 0680   162Er  -66342.872963                                      stbl               0+                             IS=0.139
+163 0660   163Dy  -66386.466887                                      stbl               5/2-                           IS=24.896
+164 0660   164Dy  -65973.256103                                      stbl               0+                             IS=28.260
+164 0680   164Er  -65949.782451                                      stbl               0+                             IS=1.601
+165 0670   165Ho  -64898.311909                                      stbl               7/2-                           IS=100
+166 0670   166Ho  -63076.868341                                      26.824   h         0-                             B-=100
+166 0680   166Er  -64931.566248                                      stbl               0+                             IS=33.503
+167 0680   167Er  -63296.700949                                      stbl               7/2+                           IS=22.869
+168 0680   168Er  -62996.759848                                      stbl               0+                             IS=26.978
+168 0700   168Yb  -61574.554652                                      stbl               0+                             IS=0.13
+169 0690   169Tm  -61275.638195                                      stbl               1/2+                           IS=100
+169 0700   169Yb  -60370.132778                                      32.018   d         7/2+                           EC=100
+170 0680   170Er  -60114.623946                                      stbl               0+                             IS=14.910
+170 0690   170Tm  -59800.617284                                      128.6    d         1-                             B-=99.87;EC=0.13
+170 0700   170Yb  -60768.998553                                      stbl               0+                             IS=3.04
+171 0700   171Yb  -59312.141776                                      stbl               1/2-                           IS=14.28
+172 0700   172Yb  -59260.257555                                      stbl               0+                             IS=21.83
+173 0700   173Yb  -57556.275393                                      stbl               5/2-                           IS=16.13
+174 0700   174Yb  -56949.593284                                      stbl               0+                             IS=31.83
+174 0720   174Hf  -55846.797416                                      70       Py        0+                             IS=0.16;A=100
+175 0710   175Lu  -55170.718997                                      stbl               7/2+                           IS=97.41
+176 0700   176Yb  -53494.122762                                      stbl               0+                             IS=12.76
+176 0710   176Lu  -53387.373538                                      37.6     Gy        7-                             IS=2.59;B-=100
+176 0720   176Hf  -54577.543553                                      stbl               0+                             IS=5.26
+177 0710   177Lu  -52388.998159                                      6.647    d         7/2+                           B-=100
+177 0720   177Hf  -52889.583090                                      stbl               7/2-                           IS=18.60
+178 0720   178Hf  -52444.235759                                      stbl               0+                             IS=27.28
+178 0721   178Hfm -51296.8198             1147.416                   4.0      s         8-                             IT=100
+178 0722   178Hfn -49998.1458             2446.09                    31       y         16+                            IT=100
+179 0720   179Hf  -50471.983296                                      stbl               9/2+                           IS=13.62
+180 0720   180Hf  -49788.359774                                      stbl               0+                             IS=35.08
+180 0730   180Ta  -48936.228969                                      8.154    h         1+                             EC=85;B-=15
+180 0731   180Tam -48859.0290             77.2                       >7.1     Py        9-                             IS=0.012;IT=?;B-=?;EC=?
+180 0740   180W   -49644.909683                                      1.8      Ey        0+                             IS=0.12;A=100
+181 0730   181Ta  -48441.605601                                      stbl               7/2+                           IS=99.988
+182 0740   182W   -48247.482230                                      stbl               0+                             IS=26.50
+183 0740   183W   -46366.981936                                      stbl               1/2-                           IS=14.31
+184 0740   184W   -45707.297813                                      stbl               0+                             IS=30.64
+184 0760   184Os  -44256.123151                                      stbl               0+                             IS=0.02
+185 0750   185Re  -43822.140048                                      stbl               5/2+                           IS=37.40
+186 0740   186W   -42509.571709                                      stbl               0+                             IS=28.43
+186 0760   186Os  -42999.444457                                      2.0      Py        0+                             IS=1.59;A=100
+187 0750   187Re  -41215.726400                                      41.2     Gy        5/2+                           IS=62.60;B-=100
+187 0760   187Os  -41218.148285                                      stbl               1/2-                           IS=1.96
+188 0760   188Os  -41136.456252                                      stbl               0+                             IS=13.24
+189 0760   189Os  -38985.356922                                      stbl               3/2-                           IS=16.15
+190 0760   190Os  -38706.374438                                      stbl               0+                             IS=26.26
+190 0780   190Pt  -37323.105696                                      483      Gy        0+                             IS=0.014;A=100
+191 0770   191Ir  -36706.456600                                      stbl               3/2+                           IS=37.3
+192 0760   192Os  -35880.500779                                      stbl               0+                             IS=40.78
+192 0770   192Ir  -34833.221960                                      73.829   d         4+                             B-=95.24;EC=4.76
+192 0780   192Pt  -36292.873218                                      stbl               0+                             IS=0.782
+193 0770   193Ir  -34533.839755                                      stbl               3/2+                           IS=62.7
+194 0780   194Pt  -34763.080454                                      stbl               0+                             IS=32.967
+195 0780   195Pt  -32796.882703                                      stbl               1/2-                           IS=33.832
+196 0780   196Pt  -32647.471049                                      stbl               0+                             IS=25.242
+196 0800   196Hg  -31826.358997                                      stbl               0+                             IS=0.15
+197 0790   197Au  -31140.974952                                      stbl               3/2+                           IS=100
+198 0780   198Pt  -29907.481146                                      stbl               0+                             IS=7.163
+198 0790   198Au  -29582.110256                                      2.6941   d         2-                             B-=100
+198 0800   198Hg  -30954.480518                                      stbl               0+                             IS=10.04
+199 0800   199Hg  -29547.086078                                      stbl               1/2-                           IS=16.94
+200 0800   200Hg  -29504.144200                                      stbl               0+                             IS=23.14
+201 0800   201Hg  -27663.232405                                      stbl               3/2-                           IS=13.17
+201 0810   201Tl  -27181.929403                                      3.0421   d         1/2+                           EC=100
+202 0800   202Hg  -27345.872365                                      stbl               0+                             IS=29.74
+203 0810   203Tl  -25761.214598                                      stbl               1/2+                           IS=29.52
+204 0800   204Hg  -24690.275828                                      stbl               0+                             IS=6.82
+204 0810   204Tl  -24345.995608                                      3.783    y         2-                             B-=97.08;EC=2.92
+204 0820   204Pb  -25109.727622                                      stbl               0+                             IS=1.4
+205 0810   205Tl  -23820.632934                                      stbl               1/2+                           IS=70.48
+205 0820   205Pb  -23770.052804                                      17.0     My        5/2-                           EC=100
+206 0800   206Hg  -20945.576387                                      8.32     m         0+                             B-=100
+206 0810   206Tl  -22253.114659                                      4.202    m         0-                             B-=100
+206 0820   206Pb  -23785.422457                                      stbl               0+                             IS=24.1
+206 0830   206Bi  -20027.961547                                      6.243    d         6+                             B+=100
+207 0810   207Tl  -21034.068327                                      4.77     m         1/2+                           B-=100
+207 0820   207Pb  -22451.895500                                      stbl               1/2-                           IS=22.1
+207 0830   207Bi  -20054.415979                                      31.55    y         9/2-                           B+=100
+208 0810   208Tl  -16749.474904                                      3.053    m         5+                             B-=100
+208 0820   208Pb  -21748.431154                                      stbl               0+                             IS=52.4
+209 0810   209Tl  -13638.005154                                      2.162    m         1/2+                           B-=100
+209 0820   209Pb  -17614.553477                                      3.234    h         9/2+                           B-=100
+209 0830   209Bi  -18258.122752                                      20.1     Ey        9/2-                           IS=100;A=100
+209 0840   209Po  -16365.978782                                      124      y         1/2-                           A=99.546;B+=0.454
+210 0810   210Tl  -9246.010461                                       1.30     m         5+#                            B-=100;B-n=0.007
+210 0820   210Pb  -14728.319000                                      22.20    y         0+                             B-=100;A=1.9e-6
+210 0830   210Bi  -14791.753749                                      5.012    d         1-                             B-=100;A=1.32e-4
+210 0831   210Bim -14520.4437             271.31                     3.04     My        9-                             A=100
+210 0840   210Po  -15953.047446                                      138.376  d         0+                             A=100
+210 0850   210At  -11971.562204                                      8.1      h         (5)+                           B+=99.82;A=0.18
+211 0820   211Pb  -10491.418076                                      36.1     m         9/2+                           B-=100
+211 0830   211Bi  -11858.851418                                      2.14     m         9/2-                           A=99.724;B-=0.276
+211 0840   211Po  -12432.465486                                      516      ms        9/2+                           A=100
+211 0850   211At  -11647.122808                                      7.214    h         9/2-                           EC=58.20;A=41.80
+212 0820   212Pb  -7547.430965                                       10.64    h         0+                             B-=100
+212 0830   212Bi  -8117.319057                                       60.55    m         1-                             B-=64.06;A=35.94
+212 0840   212Po  -10369.392348                                      294.3    ns        0+                             A=100
+213 0830   213Bi  -5230.339385                                       45.59    m         9/2-                           B-=97.86;A=2.14
+213 0840   213Po  -6653.662374                                       3.708    us        9/2+                           A=100
+214 0820   214Pb  -181.268752                                        27.06    m         0+                             B-=100
+214 0830   214Bi  -1199.764404                                       19.9     m         1-                             B-=99.979;A=0.021
+214 0840   214Po  -4469.867600                                       164.3    us        0+                             A=100
+215 0830   215Bi  1629.183185                                        7.6      m         (9/2-)                         B-=100
+215 0840   215Po  -540.266579                                        1.781    ms        9/2+                           A=100
+216 0840   216Po  1783.811206                                        145      ms        0+                             A=100
+217 0850   217At  4395.720669                                        32.3     ms        9/2-                           A=99.99;B-=0.01
+218 0840   218Po  8358.296581                                        3.098    m         0+                             A=99.98;B-=0.02
+218 0850   218At  8098.409726                                        1.5      s         1-#                            A=99.9;B-=0.1
+218 0860   218Rn  5217.577916                                        35       ms        0+                             A=100
+219 0850   219At  10397.337171                                       56       s         (9/2-)                         A=97;B-=3
+219 0860   219Rn  8830.750390                                        3.96     s         5/2+                           A=100
+220 0860   220Rn  10613.443803                                       55.6     s         0+                             A=100
+221 0870   221Fr  13278.448430                                       4.801    m         5/2-                           A=100
+222 0860   222Rn  16373.523884                                       3.8235   d         0+                             A=100
+223 0870   223Fr  18383.874456                                       22.00    m         3/2(-)                         B-=99.994;A=0.006
+223 0880   223Ra  17234.690182                                       11.43    d         3/2+                           A=100
+224 0880   224Ra  18827.172499                                       3.632    d         0+                             A=100
+225 0880   225Ra  21994.438746                                       14.9     d         1/2+                           B-=100
+225 0890   225Ac  21638.607999                                       9.920    d         (3/2-)                         A=100
+226 0880   226Ra  23669.078844                                       1.600    ky        0+                             A=100
+227 0890   227Ac  25850.917480                                       21.772   y         3/2-                           B-=98.62;A=1.38
+227 0900   227Th  25806.205763                                       18.68    d         1/2+                           A=100
+228 0880   228Ra  28941.801210                                       5.75     y         0+                             B-=100
+228 0890   228Ac  28895.971701                                       6.15     h         3+                             B-=100
+228 0900   228Th  26772.165147                                       1.9125   y         0+                             A=100
+229 0900   229Th  29586.115681                                       7.932    ky        5/2+                           A=100
+230 0900   230Th  30863.939291                                       75.4     ky        0+                             A=100
+231 0900   231Th  33817.241342                                       25.52    h         5/2+                           B-=100
+231 0910   231Pa  33425.920670                                       32.76    ky        3/2-                           IS=100;A=100
+232 0900   232Th  35448.753263                                       14.0     Gy        0+                             IS=100;A=100;SF=1.1e-9
+232 0920   232U   34610.781168                                       68.9     y         0+                             A=100
+233 0910   233Pa  37490.122588                                       26.975   d         3/2-                           B-=100
+233 0920   233U   36919.955048                                       159.2    ky        5/2+                           A=100
+234 0900   234Th  40614.260658                                       24.10    d         0+                             B-=100
+234 0910   234Pa  40341.239737                                       6.70     h         4+                             B-=100
+234 0911   234Pam 40415.1597              73.92                      1.159    m         0-                             B-=99.84;IT=0.16
+234 0920   234U   38146.639632                                       245.5    ky        0+                             IS=0.0054;A=100;SF=1.6e-9
+235 0920   235U   40920.442770                                       704      My        7/2-                           IS=0.7204;A=100;SF=7e-9
+236 0920   236U   42446.323259                                       23.42    My        0+                             A=100
+237 0920   237U   45391.893910                                       6.749    d         1/2+                           B-=100
+237 0930   237Np  44873.237994                                       2.144    My        5/2+                           A=100
+238 0920   238U   47308.908773                                       4.468    Gy        0+                             IS=99.2742;A=100;SF=5.45e-5
+238 0940   238Pu  46164.754567                                       87.7     y         0+                             A=100
+239 0920   239U   50573.888751                                       23.45    m         5/2+                           B-=100
+239 0930   239Np  49312.366288                                       2.356    d         5/2+                           B-=100
+239 0940   239Pu  48589.899462                                       24.11    ky        1/2+                           A=100
+240 0920   240U   52715.114244                                       14.1     h         0+                             B-=100
+240 0930   240Np  52314.571780                                       61.9     m         (5+)                           B-=100
+240 0940   240Pu  50126.957881                                       6.561    ky        0+                             A=100;SF=5.7e-6
+241 0940   241Pu  52956.836964                                       14.29    y         5/2+                           B-=100;A=2.45e-3
+241 0950   241Am  52935.971496                                       432.6    y         5/2-                           A=100
+242 0940   242Pu  54718.385461                                       375      ky        0+                             A=100;SF=5.5e-4
+242 0950   242Am  55469.914903                                       16.02    h         1-                             B-=82.7;EC=17.3
+242 0951   242Amm 55518.5149              48.60                      141      y         5-                             IT=99.55;A=0.45;SF<4.7e-9
+242 0960   242Cm  54805.200711                                       162.8    d         0+                             A=100
+243 0940   243Pu  57755.521982                                       4.956    h         7/2+                           B-=100
+243 0950   243Am  57176.132650                                       7.364    ky        5/2-                           A=100
+244 0940   244Pu  59805.647352                                       80.0     My        0+                             A=99.88;SF=0.12
+244 0960   244Cm  58453.676812                                       18.11    y         0+                             A=100
+245 0960   245Cm  61004.666560                                       8.25     ky        7/2+                           A=100
+247 0960   247Cm  65534.336082                                       15.6     My        9/2-                           A=100
+247 0970   247Bk  65490.555859                                       1.38     ky        (3/2-)                         A=100
+248 0960   248Cm  67392.666816                                       348      ky        0+                             A=91.61;SF=8.39
+249 0960   249Cm  70750.144159                                       64.15    m         1/2+                           B-=100
+249 0970   249Bk  69849.668810                                       330      d         7/2+                           B-=100
+249 0980   249Cf  69725.593795                                       351      y         9/2-                           A=100
+251 0980   251Cf  74134.821129                                       898      y         1/2+                           A=100
+252 0980   252Cf  76034.137604                                       2.645    y         0+                             A=96.908;SF=3.092
+252 0990   252Es  77295.380619                                       471.7    d         (4+)                           A=78;EC=22
+253 0980   253Cf  79301.818915                                       17.81    d         (7/2+)                         B-=99.69;A=0.31
+253 0990   253Es  79013.707790                                       20.47    d         7/2+                           A=100
+257 1000   257Fm  88589.746611                                       100.5    d         (9/2+)                         A=99.79;SF=0.21
+258 1010   258Md  91687.895995                                       51.59    d         (8-)                           A=100
+259 1020   259No  94108.849167                                       58       m         (9/2+)                         A=75;EC=25
+266 1030   266Lr  111620#                                            11       h                                        SF=100
+267 1040   267Rf  113446#                                            1.3      h         13/2-#                         SF=100
+268 1050   268Db  116855#                                            16       h                                        SF=100
+269 1060   269Sg  119818#                                            14       m                                        A=100
+269 1080   269Hs  124876#                                            16       s                                        A=100
+270 1070   270Bh  124466#                                            61       s                                        A=100
+278 1090   278Mt  144204#                                            4.5      s                                        A=100
+281 1100   281Ds  150957#                                            12.7     s                                        SF=94;A=6
+282 1110   282Rg  157534#                                            100      s                                        A=100
+285 1120   285Cn  164986#                                            30       s                                        A=100
+286 1130   286Nh  169727#                                            9.5      s                                        A=100
+289 1140   289Fl  177375#                                            1.9      s                                        A=100
+290 1150   290Mc  182554#                                            650      ms                                       A=100
+293 1160   293Lv  190481#                                            57       ms                                       A=100
+294 1170   294Ts  196042#                                            51       ms                                       A=100
+294 1180   294Og  199265#                                            700      us        0+                             A=100;SF=?
+`;
+
+shred.register( 'nubaseData', nubaseData );
+export default nubaseData;
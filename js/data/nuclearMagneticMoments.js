@@ -0,0 +1,82 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Magnetic dipole moments of nuclear ground states, in nuclear magnetons, from N. J. Stone, "Table of nuclear magnetic
+ * dipole and electric quadrupole moments", Atomic Data and Nuclear Data Tables 90 (2005).  This covers the stable
+ * nuclides with non-zero spin, which are the ones used in NMR, along with a few radioactive ones.  The table has the
+ * same shape as the isotope table in AtomIdentifier, i.e. keys of type atomic number and subkeys of type mass number.
+ *
+ * @author Luisa Vargas
+ */
+
+import shred from '../shred.js';
+
+const nuclearMagneticMoments = {
+  0: { 1: -1.91304273 }, // neutron
+  1: { 1: 2.792847351, 2: 0.857438231, 3: 2.97896246 }, // H
+  2: { 3: -2.12749772 }, // He
+  3: { 6: 0.8220473, 7: 3.2564625 }, // Li
+  4: { 9: -1.1776 }, // Be
+  5: { 10: 1.80064478, 11: 2.6886489 }, // B
+  6: { 13: 0.7024118 }, // C
+  7: { 14: 0.40376100, 15: -0.28318884 }, // N
+  8: { 17: -1.89379 }, // O
+  9: { 19: 2.628868 }, // F
+  10: { 21: -0.661797 }, // Ne
+  11: { 23: 2.2176556 }, // Na
+  12: { 25: -0.85545 }, // Mg
+  13: { 27: 3.6415069 }, // Al
+  14: { 29: -0.55529 }, // Si
+  15: { 31: 1.13160 }, // P
+  16: { 33: 0.6438212 }, // S
+  17: { 35: 0.8218743, 37: 0.6841236 }, // Cl
+  19: { 39: 0.3914662, 40: -1.2981, 41: 0.2148701 }, // K
+  20: { 43: -1.3173 }, // Ca
+  21: { 45: 4.756487 }, // Sc
+  22: { 47: -0.78848, 49: -1.10417 }, // Ti
+  23: { 51: 5.1487057 }, // V
+  24: { 53: -0.47454 }, // Cr
+  25: { 55: 3.4532 }, // Mn
+  26: { 57: 0.09044 }, // Fe
+  27: { 59: 4.627 }, // Co
+  28: { 61: -0.75002 }, // Ni
+  29: { 63: 2.2233, 65: 2.3817 }, // Cu
+  30: { 67: 0.875479 }, // Zn
+  31: { 69: 2.01659, 71: 2.56227 }, // Ga
+  32: { 73: -0.8794677 }, // Ge
+  33: { 75: 1.43948 }, // As
+  34: { 77: 0.53506 }, // Se
+  35: { 79: 2.106400, 81: 2.270562 }, // Br
+  36: { 83: -0.970669 }, // Kr
+  37: { 85: 1.3533515, 87: 2.751818 }, // Rb
+  38: { 87: -1.0936030 }, // Sr
+  39: { 89: -0.1374154 }, // Y
+  40: { 91: -1.30362 }, // Zr
+  41: { 93: 6.1705 }, // Nb
+  42: { 95: -0.9142, 97: -0.9335 }, // Mo
+  44: { 99: -0.641, 101: -0.719 }, // Ru
+  45: { 103: -0.8840 }, // Rh
+  46: { 105: -0.642 }, // Pd
+  47: { 107: -0.11357, 109: -0.130691 }, // Ag
+  48: { 111: -0.5948861, 113: -0.6223009 }, // Cd
+  49: { 113: 5.5289, 115: 5.5408 }, // In
+  50: { 117: -1.00104, 119: -1.04728 }, // Sn
+  51: { 121: 3.3634, 123: 2.5498 }, // Sb
+  52: { 125: -0.8885051 }, // Te
+  53: { 127: 2.81327 }, // I
+  54: { 129: -0.7779763, 131: 0.6918619 }, // Xe
+  55: { 133: 2.5820246 }, // Cs
+  56: { 135: 0.83794, 137: 0.93737 }, // Ba
+  57: { 139: 2.7830455 }, // La
+  59: { 141: 4.2754 }, // Pr
+  78: { 195: 0.60952 }, // Pt
+  79: { 197: 0.145746 }, // Au
+  80: { 199: 0.5058855, 201: -0.5602257 }, // Hg
+  81: { 203: 1.62225787, 205: 1.63821461 }, // Tl
+  82: { 207: 0.59258 }, // Pb
+  83: { 209: 4.1106 }, // Bi
+  92: { 235: -0.38 } // U
+};
+
+shred.register( 'nuclearMagneticMoments', nuclearMagneticMoments );
+export default nuclearMagneticMoments;
@@ -0,0 +1,175 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Table which maps atomic numbers to standard atomic weight (a.k.a. standard atomic mass).  These are the values from
+ * the 2021 table of the IUPAC Commission on Isotopic Abundances and Atomic Weights, see
+ * https://www.ciaaw.org/atomic-weights.htm.  This is part of the CIAAW 2021 data set, see AtomicDataSetRegistry.
+ *
+ * @author Luisa Vargas
+ */
+
+import Range from '../../../dot/js/Range.js';
+import shred from '../shred.js';
+
+/**
+ * Create an entry for the standard atomic weight table for an element with a single standard atomic weight.
+ * @param {number} value
+ * @param {number} uncertainty
+ * @returns {Object}
+ */
+function createStandardWeight( value, uncertainty ) {
+  return { value: value, uncertainty: uncertainty, interval: null, isMassNumberOfLongestLivedIsotope: false };
+}
+
+/**
+ * Create an entry for the standard atomic weight table for an element whose atomic weight varies in nature, so that
+ * IUPAC gives an interval instead of a single value.
+ * @param {number} lowerBound
+ * @param {number} upperBound
+ * @param {number} conventionalValue - the value that IUPAC recommends using when a single value is needed
+ * @returns {Object}
+ */
+function createIntervalWeight( lowerBound, upperBound, conventionalValue ) {
+  return {
+    value: conventionalValue,
+    uncertainty: null,
+    interval: new Range( lowerBound, upperBound ),
+    isMassNumberOfLongestLivedIsotope: false
+  };
+}
+
+/**
+ * Create an entry for the standard atomic weight table for an element that has no stable isotopes and no
+ * characteristic isotopic composition in nature, in which case the mass number of its longest-lived isotope is
+ * conventionally used, e.g. [97] for technetium.
+ * @param {number} massNumber
+ * @returns {Object}
+ */
+function createLongestLivedWeight( massNumber ) {
+  return { value: massNumber, uncertainty: null, interval: null, isMassNumberOfLongestLivedIsotope: true };
+}
+
+const standardAtomicWeights = [
+  null, // 0, NO ELEMENT
+  createIntervalWeight( 1.00784, 1.00811, 1.008 ), // 1, HYDROGEN
+  createStandardWeight( 4.002602, 0.000002 ), // 2, HELIUM
+  createIntervalWeight( 6.938, 6.997, 6.94 ), // 3, LITHIUM
+  createStandardWeight( 9.0121831, 0.0000005 ), // 4, BERYLLIUM
+  createIntervalWeight( 10.806, 10.821, 10.81 ), // 5, BORON
+  createIntervalWeight( 12.0096, 12.0116, 12.011 ), // 6, CARBON
+  createIntervalWeight( 14.00643, 14.00728, 14.007 ), // 7, NITROGEN
+  createIntervalWeight( 15.99903, 15.99977, 15.999 ), // 8, OXYGEN
+  createStandardWeight( 18.998403162, 0.000000005 ), // 9, FLUORINE
+  createStandardWeight( 20.1797, 0.0006 ), // 10, NEON
+  createStandardWeight( 22.98976928, 0.00000002 ), // 11, SODIUM
+  createIntervalWeight( 24.304, 24.307, 24.305 ), // 12, MAGNESIUM
+  createStandardWeight( 26.9815384, 0.0000003 ), // 13, ALUMINUM
+  createIntervalWeight( 28.084, 28.086, 28.085 ), // 14, SILICON
+  createStandardWeight( 30.973761998, 0.000000005 ), // 15, PHOSPHORUS
+  createIntervalWeight( 32.059, 32.076, 32.06 ), // 16, SULFUR
+  createIntervalWeight( 35.446, 35.457, 35.45 ), // 17, CHLORINE
+  createIntervalWeight( 39.792, 39.963, 39.95 ), // 18, ARGON
+  createStandardWeight( 39.0983, 0.0001 ), // 19, POTASSIUM
+  createStandardWeight( 40.078, 0.004 ), // 20, CALCIUM
+  createStandardWeight( 44.955907, 0.000004 ), // 21, SCANDIUM
+  createStandardWeight( 47.867, 0.001 ), // 22, TITANIUM
+  createStandardWeight( 50.9415, 0.0001 ), // 23, VANADIUM
+  createStandardWeight( 51.9961, 0.0006 ), // 24, CHROMIUM
+  createStandardWeight( 54.938043, 0.000002 ), // 25, MANGANESE
+  createStandardWeight( 55.845, 0.002 ), // 26, IRON
+  createStandardWeight( 58.933194, 0.000003 ), // 27, COBALT
+  createStandardWeight( 58.6934, 0.0004 ), // 28, NICKEL
+  createStandardWeight( 63.546, 0.003 ), // 29, COPPER
+  createStandardWeight( 65.38, 0.02 ), // 30, ZINC
+  createStandardWeight( 69.723, 0.001 ), // 31, GALLIUM
+  createStandardWeight( 72.630, 0.008 ), // 32, GERMANIUM
+  createStandardWeight( 74.921595, 0.000006 ), // 33, ARSENIC
+  createStandardWeight( 78.971, 0.008 ), // 34, SELENIUM
+  createIntervalWeight( 79.901, 79.907, 79.904 ), // 35, BROMINE
+  createStandardWeight( 83.798, 0.002 ), // 36, KRYPTON
+  createStandardWeight( 85.4678, 0.0003 ), // 37, RUBIDIUM
+  createStandardWeight( 87.62, 0.01 ), // 38, STRONTIUM
+  createStandardWeight( 88.905838, 0.000002 ), // 39, YTTRIUM
+  createStandardWeight( 91.222, 0.003 ), // 40, ZIRCONIUM
+  createStandardWeight( 92.90637, 0.00001 ), // 41, NIOBIUM
+  createStandardWeight( 95.95, 0.01 ), // 42, MOLYBDENUM
+  createLongestLivedWeight( 97 ), // 43, TECHNETIUM
+  createStandardWeight( 101.07, 0.02 ), // 44, RUTHENIUM
+  createStandardWeight( 102.90549, 0.00002 ), // 45, RHODIUM
+  createStandardWeight( 106.42, 0.01 ), // 46, PALLADIUM
+  createStandardWeight( 107.8682, 0.0002 ), // 47, SILVER
+  createStandardWeight( 112.414, 0.004 ), // 48, CADMIUM
+  createStandardWeight( 114.818, 0.001 ), // 49, INDIUM
+  createStandardWeight( 118.710, 0.007 ), // 50, TIN
+  createStandardWeight( 121.760, 0.001 ), // 51, ANTIMONY
+  createStandardWeight( 127.60, 0.03 ), // 52, TELLURIUM
+  createStandardWeight( 126.90447, 0.00003 ), // 53, IODINE
+  createStandardWeight( 131.293, 0.006 ), // 54, XENON
+  createStandardWeight( 132.90545196, 0.00000006 ), // 55, CAESIUM
+  createStandardWeight( 137.327, 0.007 ), // 56, BARIUM
+  createStandardWeight( 138.90547, 0.00007 ), // 57, LANTHANUM
+  createStandardWeight( 140.116, 0.001 ), // 58, CERIUM
+  createStandardWeight( 140.90766, 0.00001 ), // 59, PRASEODYMIUM
+  createStandardWeight( 144.242, 0.003 ), // 60, NEODYMIUM
+  createLongestLivedWeight( 145 ), // 61, PROMETHIUM
+  createStandardWeight( 150.36, 0.02 ), // 62, SAMARIUM
+  createStandardWeight( 151.964, 0.001 ), // 63, EUROPIUM
+  createStandardWeight( 157.249, 0.002 ), // 64, GADOLINIUM
+  createStandardWeight( 158.925354, 0.000007 ), // 65, TERBIUM
+  createStandardWeight( 162.500, 0.001 ), // 66, DYSPROSIUM
+  createStandardWeight( 164.930329, 0.000005 ), // 67, HOLMIUM
+  createStandardWeight( 167.259, 0.003 ), // 68, ERBIUM
+  createStandardWeight( 168.934219, 0.000005 ), // 69, THULIUM
+  createStandardWeight( 173.045, 0.010 ), // 70, YTTERBIUM
+  createStandardWeight( 174.9668, 0.0001 ), // 71, LUTETIUM
+  createStandardWeight( 178.486, 0.006 ), // 72, HAFNIUM
+  createStandardWeight( 180.94788, 0.00002 ), // 73, TANTALUM
+  createStandardWeight( 183.84, 0.01 ), // 74, TUNGSTEN
+  createStandardWeight( 186.207, 0.001 ), // 75, RHENIUM
+  createStandardWeight( 190.23, 0.03 ), // 76, OSMIUM
+  createStandardWeight( 192.217, 0.002 ), // 77, IRIDIUM
+  createStandardWeight( 195.084, 0.009 ), // 78, PLATINUM
+  createStandardWeight( 196.966570, 0.000004 ), // 79, GOLD
+  createStandardWeight( 200.592, 0.003 ), // 80, MERCURY
+  createIntervalWeight( 204.382, 204.385, 204.38 ), // 81, THALLIUM
+  createIntervalWeight( 206.14, 207.94, 207.2 ), // 82, LEAD
+  createStandardWeight( 208.98040, 0.00001 ), // 83, BISMUTH
+  createLongestLivedWeight( 209 ), // 84, POLONIUM
+  createLongestLivedWeight( 210 ), // 85, ASTATINE
+  createLongestLivedWeight( 222 ), // 86, RADON
+  createLongestLivedWeight( 223 ), // 87, FRANCIUM
+  createLongestLivedWeight( 226 ), // 88, RADIUM
+  createLongestLivedWeight( 227 ), // 89, ACTINIUM
+  createStandardWeight( 232.0377, 0.0004 ), // 90, THORIUM
+  createStandardWeight( 231.03588, 0.00001 ), // 91, PROTACTINIUM
+  createStandardWeight( 238.02891, 0.00003 ), // 92, URANIUM
+  createLongestLivedWeight( 237 ), // 93, NEPTUNIUM
+  createLongestLivedWeight( 244 ), // 94, PLUTONIUM
+  createLongestLivedWeight( 243 ), // 95, AMERICIUM
+  createLongestLivedWeight( 247 ), // 96, CURIUM
+  createLongestLivedWeight( 247 ), // 97, BERKELIUM
+  createLongestLivedWeight( 251 ), // 98, CALIFORNIUM
+  createLongestLivedWeight( 252 ), // 99, EINSTEINIUM
+  createLongestLivedWeight( 257 ), // 100, FERMIUM
+  createLongestLivedWeight( 258 ), // 101, MENDELEVIUM
+  createLongestLivedWeight( 259 ), // 102, NOBELIUM
+  createLongestLivedWeight( 266 ), // 103, LAWRENCIUM
+  createLongestLivedWeight( 267 ), // 104, RUTHERFORDIUM
+  createLongestLivedWeight( 268 ), // 105, DUBNIUM
+  createLongestLivedWeight( 269 ), // 106, SEABORGIUM
+  createLongestLivedWeight( 270 ), // 107, BOHRIUM
+  createLongestLivedWeight( 269 ), // 108, HASSIUM
+  createLongestLivedWeight( 278 ), // 109, MEITNERIUM
+  createLongestLivedWeight( 281 ), // 110, DARMSTADTIUM
+  createLongestLivedWeight( 282 ), // 111, ROENTGENIUM
+  createLongestLivedWeight( 285 ), // 112, COPERNICIUM
+  createLongestLivedWeight( 286 ), // 113, NIHONIUM
+  createLongestLivedWeight( 289 ), // 114, FLEROVIUM
+  createLongestLivedWeight( 290 ), // 115, MOSCOVIUM
+  createLongestLivedWeight( 293 ), // 116, LIVERMORIUM
+  createLongestLivedWeight( 294 ), // 117, TENNESSINE
+  createLongestLivedWeight( 294 ) // 118, OGANESSON
+];
+
+shred.register( 'standardAtomicWeights', standardAtomicWeights );
+export default standardAtomicWeights;
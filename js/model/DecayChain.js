@@ -0,0 +1,318 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Model of the amounts of the members of a decay chain over time, see AtomIdentifier.getDecayChain.  The amounts are
+ * found from the amounts at time zero using the Bateman solution of the decay equations, which gives the amount of
+ * each member as a sum of exponentials, one for each of the members it descends from.  That solution divides by the
+ * differences between the decay constants of the members, so if a member has nearly the same half-life as one of the
+ * members it descends from, the amounts are instead found numerically, using the exponential of the matrix of decay
+ * rates.  Since the amounts are computed directly from the time rather than by integrating over each step, the time
+ * can be set to any value, e.g. to jump ahead to when secular equilibrium has been reached.
+ *
+ * @author Luisa Vargas
+ */
+
+import DerivedProperty from '../../../axon/js/DerivedProperty.js';
+import DerivedPropertyIO from '../../../axon/js/DerivedPropertyIO.js';
+import NumberProperty from '../../../axon/js/NumberProperty.js';
+import inherit from '../../../phet-core/js/inherit.js';
+import merge from '../../../phet-core/js/merge.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import NumberIO from '../../../tandem/js/types/NumberIO.js';
+import AtomIdentifier from '../AtomIdentifier.js';
+import shred from '../shred.js';
+
+// constants
+const NumberDerivedProperty = DerivedPropertyIO( NumberIO );
+
+// Relative difference between two decay constants below which they are considered equal, since the Bateman solution
+// loses its precision as the difference approaches zero.
+const DEGENERATE_DECAY_CONSTANT_TOLERANCE = 1E-6;
+
+// The matrix exponential is computed by scaling the matrix down until its norm is at most this value, summing this
+// many terms of its Taylor series, and squaring the result to undo the scaling, which gives full double precision
+// for the scaled matrix.
+const MAX_SCALED_MATRIX_NORM = 0.5;
+const NUM_TAYLOR_SERIES_TERMS = 14;
+
+/**
+ * @param {number} halfLife - in seconds, see AtomIdentifier.getHalfLife
+ * @returns {number} - the probability per second that a nucleus decays, 0 if it is stable or its half-life is unknown
+ */
+function getDecayConstant( halfLife ) {
+  return halfLife > 0 && halfLife !== Number.POSITIVE_INFINITY ? Math.LN2 / halfLife : 0;
+}
+
+/**
+ * Get the coefficients of the Bateman solution, i.e. amounts[ j ]( t ) is the sum over i of
+ * coefficients[ j ][ i ] * exp( -decayConstants[ i ] * t ).
+ * @param {Object[]} members - see AtomIdentifier.getDecayChain
+ * @param {number[]} decayConstants - of each member
+ * @param {number[]} initialAmounts - of each member
+ * @returns {number[][]|null} - null if a member has nearly the same decay constant as a member it descends from
+ */
+function getBatemanCoefficients( members, decayConstants, initialAmounts ) {
+  const coefficients = members.map( function() {
+    return _.fill( new Array( members.length ), 0 );
+  } );
+
+  // The members are ordered so that every member comes before its daughters, so the coefficients of the parents of a
+  // member are known by the time its decays are handled.
+  let isDegenerate = false;
+  members.forEach( function( member, parentIndex ) {
+    coefficients[ parentIndex ][ parentIndex ] += initialAmounts[ parentIndex ];
+    member.decays.forEach( function( decay ) {
+      const daughterIndex = decay.daughterIndex;
+      if ( daughterIndex === null ) {
+        return;
+      }
+      const productionRate = decay.branchingRatio * decayConstants[ parentIndex ];
+      coefficients[ parentIndex ].forEach( function( parentCoefficient, i ) {
+        if ( parentCoefficient === 0 ) {
+          return;
+        }
+        const decayConstantDifference = decayConstants[ daughterIndex ] - decayConstants[ i ];
+        if ( Math.abs( decayConstantDifference ) <=
+             DEGENERATE_DECAY_CONSTANT_TOLERANCE * Math.max( decayConstants[ daughterIndex ], decayConstants[ i ] ) ) {
+          isDegenerate = true;
+          return;
+        }
+        const term = productionRate * parentCoefficient / decayConstantDifference;
+        coefficients[ daughterIndex ][ i ] += term;
+        coefficients[ daughterIndex ][ daughterIndex ] -= term;
+      } );
+    } );
+  } );
+  return isDegenerate ? null : coefficients;
+}
+
+/**
+ * @param {number[][]} matrixA
+ * @param {number[][]} matrixB
+ * @returns {number[][]} - the product of the square matrices
+ */
+function multiplyMatrices( matrixA, matrixB ) {
+  return matrixA.map( function( row ) {
+    return matrixB.map( function( unused, column ) {
+      let sum = 0;
+      for ( let i = 0; i < row.length; i++ ) {
+        sum += row[ i ] * matrixB[ i ][ column ];
+      }
+      return sum;
+    } );
+  } );
+}
+
+/**
+ * @param {number[][]} matrix - square
+ * @returns {number[][]} - the exponential of the matrix
+ */
+function getMatrixExponential( matrix ) {
+  const norm = _.max( matrix.map( function( row ) {
+    return _.sumBy( row, Math.abs );
+  } ) ) || 0;
+  const numSquarings = norm > MAX_SCALED_MATRIX_NORM ? Math.ceil( Math.log2( norm / MAX_SCALED_MATRIX_NORM ) ) : 0;
+  const scale = Math.pow( 2, -numSquarings );
+  const scaledMatrix = matrix.map( function( row ) {
+    return row.map( function( element ) { return element * scale; } );
+  } );
+  const identity = matrix.map( function( row, i ) {
+    return row.map( function( element, j ) { return i === j ? 1 : 0; } );
+  } );
+  let exponential = identity;
+  let term = identity;
+  for ( let k = 1; k < NUM_TAYLOR_SERIES_TERMS; k++ ) {
+    term = multiplyMatrices( term, scaledMatrix ).map( function( row ) {
+      return row.map( function( element ) { return element / k; } );
+    } );
+    exponential = exponential.map( function( row, i ) {
+      return row.map( function( element, j ) { return element + term[ i ][ j ]; } );
+    } );
+  }
+  for ( let i = 0; i < numSquarings; i++ ) {
+    exponential = multiplyMatrices( exponential, exponential );
+
+    // The matrix is triangular, so the diagonal of its exponential is known exactly.  Without this, a long-lived member
+    // would not decay at all, since its tiny scaled decay rate is lost when it is added to one.
+    exponential.forEach( function( row, j ) {
+      row[ j ] = Math.exp( scaledMatrix[ j ][ j ] * Math.pow( 2, i + 1 ) );
+    } );
+  }
+  return exponential;
+}
+
+/**
+ * @param {number} protons - of the parent of the chain
+ * @param {number} neutrons - of the parent of the chain
+ * @param {Object} [options]
+ * @constructor
+ */
+function DecayChain( protons, neutrons, options ) {
+  options = merge( {
+    isomerIndex: 0, // of the parent, 0 for the ground state
+    initialAmounts: null, // {number[]|null} amount of each member at time zero, in the order of the members, or null
+                          // for an amount of one of the parent and none of the other members
+    timeScale: 1, // time that passes in the model for each second of real time, see step
+    tandem: Tandem.OPTIONAL
+  }, options );
+
+  const self = this;
+
+  // @public (read-only) {Object[]} - the members of the chain, see AtomIdentifier.getDecayChain
+  this.members = AtomIdentifier.getDecayChain( protons, neutrons, options.isomerIndex );
+
+  // @private {number[]} - the probability per second that a nucleus of each member decays
+  this.decayConstants = this.members.map( function( member ) {
+    return getDecayConstant( member.halfLife );
+  } );
+
+  // @private {number[][]} - the rate of change of the amount of each member, by row, per amount of each member, by
+  // column, so that the decay equations are d(amounts)/dt = rateMatrix * amounts
+  this.rateMatrix = this.members.map( function() {
+    return _.fill( new Array( self.members.length ), 0 );
+  } );
+  this.members.forEach( function( member, parentIndex ) {
+    self.rateMatrix[ parentIndex ][ parentIndex ] = -self.decayConstants[ parentIndex ];
+    member.decays.forEach( function( decay ) {
+      if ( decay.daughterIndex !== null ) {
+        self.rateMatrix[ decay.daughterIndex ][ parentIndex ] +=
+          decay.branchingRatio * self.decayConstants[ parentIndex ];
+      }
+    } );
+  } );
+
+  // @private {number[]} - set in setInitialAmounts
+  this.initialAmounts = null;
+
+  // @private {number[][]|null} - coefficients of the Bateman solution for the initial amounts, null if the amounts
+  // must be found numerically, set in setInitialAmounts
+  this.batemanCoefficients = null;
+
+  // @public - time since the amounts were the initial amounts
+  this.timeProperty = new NumberProperty( 0, {
+    tandem: options.tandem.createTandem( 'timeProperty' ),
+    units: 'seconds'
+  } );
+
+  // @public - time that passes in the model for each second of real time
+  this.timeScaleProperty = new NumberProperty( options.timeScale, {
+    tandem: options.tandem.createTandem( 'timeScaleProperty' )
+  } );
+
+  // @public {NumberProperty[]} - amount of each member at the current time, in the same unit as the initial amounts,
+  // e.g. a number of atoms or of moles
+  this.amountProperties = this.members.map( function( member, index ) {
+    return new NumberProperty( 0, {
+      tandem: options.tandem.createTandem( 'amount' + index + 'Property' ),
+      documentation: 'this property is updated by the model and should not be set by users'
+    } );
+  } );
+
+  // @public {DerivedProperty[]} - activity of each member at the current time, i.e. the number of decays per second
+  // if the amounts are numbers of atoms
+  this.activityProperties = this.amountProperties.map( function( amountProperty, index ) {
+    return new DerivedProperty( [ amountProperty ], function( amount ) {
+      return self.decayConstants[ index ] * amount;
+    }, {
+      tandem: options.tandem.createTandem( 'activity' + index + 'Property' ),
+      phetioType: NumberDerivedProperty
+    } );
+  } );
+
+  // @private - update the amounts whenever the time or the initial amounts change
+  this.updateAmounts = function() {
+    self.getAmounts( self.timeProperty.get() ).forEach( function( amount, index ) {
+      self.amountProperties[ index ].set( amount );
+    } );
+  };
+  this.timeProperty.lazyLink( this.updateAmounts );
+
+  this.setInitialAmounts( options.initialAmounts || this.members.map( function( member, index ) {
+    return index === 0 ? 1 : 0;
+  } ) );
+}
+
+shred.register( 'DecayChain', DecayChain );
+
+inherit( Object, DecayChain, {
+
+  /**
+   * Set the amounts of the members at time zero.  The amounts at the current time are updated to match.
+   * @param {number[]} initialAmounts - amount of each member, in the order of the members
+   * @public
+   */
+  setInitialAmounts: function( initialAmounts ) {
+    assert && assert( initialAmounts.length === this.members.length, 'there must be an amount for each member' );
+    assert && assert( _.every( initialAmounts, function( amount ) { return amount >= 0; } ),
+      'amounts cannot be negative' );
+    this.initialAmounts = initialAmounts.slice();
+    this.batemanCoefficients = getBatemanCoefficients( this.members, this.decayConstants, this.initialAmounts );
+    this.updateAmounts();
+  },
+
+  /**
+   * Get the amounts of the members at the specified time, without changing the time of the model.
+   * @param {number} time - in seconds since the amounts were the initial amounts
+   * @returns {number[]} - amount of each member, in the order of the members
+   * @public
+   */
+  getAmounts: function( time ) {
+    const self = this;
+    let amounts;
+    if ( this.batemanCoefficients ) {
+      const exponentials = this.decayConstants.map( function( decayConstant ) {
+        return Math.exp( -decayConstant * time );
+      } );
+      amounts = this.batemanCoefficients.map( function( coefficients ) {
+        return _.sum( coefficients.map( function( coefficient, i ) {
+          return coefficient === 0 ? 0 : coefficient * exponentials[ i ];
+        } ) );
+      } );
+    }
+    else {
+      const exponential = getMatrixExponential( this.rateMatrix.map( function( row ) {
+        return row.map( function( rate ) { return rate * time; } );
+      } ) );
+      amounts = exponential.map( function( row ) {
+        return _.sum( row.map( function( element, i ) { return element * self.initialAmounts[ i ]; } ) );
+      } );
+    }
+
+    // rounding errors can make amounts that should be zero slightly negative
+    return amounts.map( function( amount ) {
+      return Math.max( amount, 0 );
+    } );
+  },
+
+  /**
+   * Advance the time of the model.
+   * @param {number} dt - time step, in seconds of real time
+   * @public
+   */
+  step: function( dt ) {
+    this.timeProperty.set( this.timeProperty.get() + dt * this.timeScaleProperty.get() );
+  },
+
+  // @public
+  reset: function() {
+    this.timeProperty.reset();
+    this.timeScaleProperty.reset();
+  },
+
+  // @public
+  dispose: function() {
+    this.timeProperty.unlink( this.updateAmounts );
+    this.activityProperties.forEach( function( activityProperty ) {
+      activityProperty.dispose();
+    } );
+
+    // Dispose these afterwards since they are dependencies to the above DerivedProperties
+    this.amountProperties.forEach( function( amountProperty ) {
+      amountProperty.dispose();
+    } );
+    this.timeProperty.dispose();
+    this.timeScaleProperty.dispose();
+  }
+} );
+
+export default DecayChain;
@@ -0,0 +1,138 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for DecayChain
+ *
+ * @author Luisa Vargas
+ */
+
+import AtomIdentifier from '../AtomIdentifier.js';
+import AtomicDataSet from '../data/AtomicDataSet.js';
+import AtomicDataSetRegistry from '../data/AtomicDataSetRegistry.js';
+import DecayChain from './DecayChain.js';
+
+QUnit.module( 'DecayChain' );
+
+// seconds in a Julian year
+const YEAR = 365.25 * 24 * 60 * 60;
+
+/**
+ * @param {Object[]} members - see AtomIdentifier.getDecayChain
+ * @param {number} protons
+ * @param {number} neutrons
+ * @returns {number} - index of the member, -1 if it is not in the chain
+ */
+function getMemberIndex( members, protons, neutrons ) {
+  return _.findIndex( members, function( member ) {
+    return member.protons === protons && member.neutrons === neutrons && member.isomerIndex === 0;
+  } );
+}
+
+QUnit.test( 'decay of a single nuclide', function( assert ) {
+  const decayChain = new DecayChain( 1, 2 );
+  assert.equal( decayChain.members.length, 2, 'H-3 decays to stable He-3' );
+  const halfLife = decayChain.members[ 0 ].halfLife;
+
+  assert.deepEqual( decayChain.getAmounts( 0 ), [ 1, 0 ], 'initial amounts' );
+  [ [ 1, 0.5 ], [ 2, 0.25 ], [ 3, 0.125 ] ].forEach( function( pair ) {
+    const amounts = decayChain.getAmounts( pair[ 0 ] * halfLife );
+    assert.ok( Math.abs( amounts[ 0 ] - pair[ 1 ] ) < 1E-12, 'parent after ' + pair[ 0 ] + ' half-lives' );
+    assert.ok( Math.abs( amounts[ 1 ] - ( 1 - pair[ 1 ] ) ) < 1E-12, 'daughter after ' + pair[ 0 ] + ' half-lives' );
+  } );
+
+  decayChain.timeProperty.set( halfLife );
+  assert.ok( Math.abs( decayChain.amountProperties[ 0 ].get() - 0.5 ) < 1E-12, 'amountProperties follow the time' );
+  assert.ok( Math.abs( decayChain.activityProperties[ 0 ].get() - 0.5 * Math.LN2 / halfLife ) < 1E-20,
+    'activity of the parent' );
+  assert.equal( decayChain.activityProperties[ 1 ].get(), 0, 'a stable nuclide has no activity' );
+
+  decayChain.setInitialAmounts( [ 0, 1 ] );
+  assert.deepEqual( decayChain.getAmounts( halfLife ), [ 0, 1 ], 'a stable nuclide stays' );
+  decayChain.dispose();
+} );
+
+QUnit.test( 'conservation and secular equilibrium of the uranium series', function( assert ) {
+  const decayChain = new DecayChain( 88, 138 );
+  const members = decayChain.members;
+  assert.ok( getMemberIndex( members, 82, 124 ) >= 0, 'Ra-226 decays to Pb-206' );
+
+  [ 1, 1E3, 1E6, 1E9, 1E12 ].forEach( function( time ) {
+    const totalAmount = _.sum( decayChain.getAmounts( time ) );
+    assert.ok( Math.abs( totalAmount - 1 ) < 1E-9, 'amount is conserved after ' + time + ' s' );
+  } );
+
+  // After a year the short-lived daughters between Ra-226 and Pb-210 decay as fast as they are produced, so each of
+  // them has about the activity of the parent, times the fraction of the chain that passes through it.
+  decayChain.timeProperty.set( YEAR );
+  const parentActivity = decayChain.activityProperties[ 0 ].get();
+  [ [ 86, 136 ], [ 84, 134 ] ].forEach( function( nuclide ) {
+    const index = getMemberIndex( members, nuclide[ 0 ], nuclide[ 1 ] );
+    const activity = decayChain.activityProperties[ index ].get();
+    assert.ok( Math.abs( activity / parentActivity - 1 ) < 1E-3, 'secular equilibrium of member ' + index );
+  } );
+
+  // Pb-210, with a half-life of about 22 years, has not caught up yet after one year.  After 200 years it is close to
+  // transient equilibrium, in which its activity exceeds that of the parent by the ratio of the decay constants
+  // lambdaPb / ( lambdaPb - lambdaRa ).
+  const leadIndex = getMemberIndex( members, 82, 128 );
+  assert.ok( decayChain.activityProperties[ leadIndex ].get() < 0.1 * parentActivity, 'Pb-210 after a year' );
+  decayChain.timeProperty.set( 200 * YEAR );
+  const equilibriumRatio = 1 / ( 1 - members[ leadIndex ].halfLife / members[ 0 ].halfLife );
+  const activityRatio = decayChain.activityProperties[ leadIndex ].get() / decayChain.activityProperties[ 0 ].get();
+  assert.ok( Math.abs( activityRatio / equilibriumRatio - 1 ) < 0.005, 'Pb-210 after 200 years: ' + activityRatio );
+  decayChain.dispose();
+} );
+
+QUnit.test( 'numerical solution for a parent and daughter with the same half-life', function( assert ) {
+
+  // Sr-90 decays to Y-90, which decays to stable Zr-90.  Giving Y-90 the half-life of Sr-90 makes the Bateman solution
+  // divide by zero, so the amounts are found with the matrix exponential, and can be compared with the analytic
+  // solution for equal decay constants, in which the amount of the daughter is ( N2(0) + lambda * t ) * exp( -lambda * t )
+  const halfLife = AtomIdentifier.getHalfLife( 38, 52 );
+  AtomicDataSetRegistry.register( AtomicDataSet.fromJSON( {
+    name: 'degenerateDecayChainTest',
+    version: '1',
+    isotopes: { 39: { 90: { halfLife: halfLife } } }
+  }, AtomicDataSetRegistry.getDefaultDataSet() ) );
+  AtomicDataSetRegistry.setActiveDataSet( 'degenerateDecayChainTest' );
+
+  const decayChain = new DecayChain( 38, 52 );
+  const members = decayChain.members;
+  assert.deepEqual( [ getMemberIndex( members, 39, 51 ), getMemberIndex( members, 40, 50 ) ], [ 1, 2 ],
+    'Sr-90 decays to Y-90, which decays to Zr-90' );
+  assert.equal( decayChain.batemanCoefficients, null, 'the amounts are found numerically' );
+
+  const decayConstant = Math.LN2 / halfLife;
+  [ [ 1, 0, 0 ], [ 1, 0.5, 0.25 ] ].forEach( function( initialAmounts ) {
+    decayChain.setInitialAmounts( initialAmounts );
+    const initialTotal = _.sum( initialAmounts );
+    [ 0.5, 1, 3, 10 ].forEach( function( numHalfLives ) {
+      const time = numHalfLives * halfLife;
+      const amounts = decayChain.getAmounts( time );
+      const decayFactor = Math.exp( -decayConstant * time );
+      const expectedAmounts = [
+        initialAmounts[ 0 ] * decayFactor,
+        ( initialAmounts[ 1 ] + initialAmounts[ 0 ] * decayConstant * time ) * decayFactor
+      ];
+      expectedAmounts.push( initialTotal - expectedAmounts[ 0 ] - expectedAmounts[ 1 ] );
+      const message = ' after ' + numHalfLives + ' half-lives from ' + initialAmounts.join( ', ' );
+      amounts.forEach( function( amount, index ) {
+        assert.ok( Math.abs( amount - expectedAmounts[ index ] ) < 1E-9, 'member ' + index + message );
+      } );
+      assert.ok( Math.abs( _.sum( amounts ) - initialTotal ) < 1E-9, 'amount is conserved' + message );
+    } );
+  } );
+
+  decayChain.dispose();
+  AtomicDataSetRegistry.setActiveDataSet( AtomicDataSetRegistry.DEFAULT_DATA_SET_NAME );
+} );
+
+QUnit.test( 'step', function( assert ) {
+  const decayChain = new DecayChain( 1, 2, { timeScale: 10 } );
+  decayChain.step( 2 );
+  assert.equal( decayChain.timeProperty.get(), 20, 'time advances by the scaled step' );
+  decayChain.reset();
+  assert.equal( decayChain.timeProperty.get(), 0, 'reset' );
+  assert.equal( decayChain.amountProperties[ 0 ].get(), 1, 'the amounts are back to the initial amounts' );
+  decayChain.dispose();
+} );
@@ -32,6 +32,7 @@ function NumberAtom( options ) {
     protonCount: 0,
     neutronCount: 0,
     electronCount: 0,
+    isomerIndex: 0, // 0 for the ground state of the nucleus, see AtomIdentifier.getIsomers
     tandem: Tandem.OPTIONAL // Tandem must be supplied when running in PhET-iO
   }, options );
 
@@ -52,6 +53,20 @@ function NumberAtom( options ) {
     documentation: 'this property is updated by the model and should not be set by users'
   } );
 
+  // The isomer is one of the known isomers of the nucleus given by the numbers of protons and neutrons, see
+  // AtomIdentifier.getIsomers.  It is not validated against those numbers here, since they can be set in any order,
+  // e.g. when PhET-iO state is restored, so use setSubAtomicParticleCount to change the nucleus and its isomer
+  // together.
+  this.isomerIndexProperty = new NumberProperty( options.isomerIndex, {
+    isValidValue: function( isomerIndex ) { return isomerIndex >= 0; },
+    tandem: options.tandem.createTandem( 'isomerIndexProperty' ),
+    numberType: 'Integer',
+    documentation: 'the nuclear isomer (metastable state) of the nucleus, 0 for the ground state'
+  } );
+  assert && assert(
+    options.isomerIndex <= AtomIdentifier.getIsomers( options.protonCount, options.neutronCount ).length,
+    'no such isomer of this nucleus: ' + options.isomerIndex );
+
   this.chargeProperty = new DerivedProperty( [ this.protonCountProperty, this.electronCountProperty ],
     function( protonCount, electronCount ) {
       return protonCount - electronCount;
@@ -100,12 +115,13 @@ inherit( Object, NumberAtom, {
   equals: function( otherAtom ) {
     return this.protonCount === otherAtom.protonCount &&
            this.neutronCount === otherAtom.neutronCount &&
-           this.electronCount === otherAtom.electronCount;
+           this.electronCount === otherAtom.electronCount &&
+           this.isomerIndex === ( otherAtom.isomerIndex || 0 );
   },
 
   // @public
   getStandardAtomicMass: function() {
-    return AtomIdentifier.getStandardAtomicMass( this.protonCountProperty.get() + this.neutronCountProperty.get() );
+    return AtomIdentifier.getStandardAtomicMass( this.protonCountProperty.get() );
   },
 
   // @public
@@ -113,6 +129,16 @@ inherit( Object, NumberAtom, {
     return AtomIdentifier.getIsotopeAtomicMass( this.protonCountProperty.get(), this.neutronCountProperty.get() );
   },
 
+  /**
+   * Get the half-life of the nucleus in its current state, see AtomIdentifier.getHalfLife.
+   * @returns {number} - in seconds
+   * @public
+   */
+  getHalfLife: function() {
+    return AtomIdentifier.getHalfLife( this.protonCountProperty.get(), this.neutronCountProperty.get(),
+      this.isomerIndexProperty.get() );
+  },
+
   // @public - ES5 getters for particle counts
   get protonCount() {
     return this.protonCountProperty.value;
@@ -123,17 +149,26 @@ inherit( Object, NumberAtom, {
   get electronCount() {
     return this.electronCountProperty.value;
   },
+  get isomerIndex() {
+    return this.isomerIndexProperty.value;
+  },
 
   /**
    * @param {number} protonCount
    * @param {number} neutronCount
    * @param {number} electronCount
+   * @param {number} [isomerIndex] - 0 or omitted for the ground state, otherwise the index of one of the isomers of the
+   *                                 nucleus, see AtomIdentifier.getIsomers
    * @public
    */
-  setSubAtomicParticleCount: function( protonCount, neutronCount, electronCount ) {
+  setSubAtomicParticleCount: function( protonCount, neutronCount, electronCount, isomerIndex ) {
+    isomerIndex = isomerIndex || 0;
+    assert && assert( isomerIndex <= AtomIdentifier.getIsomers( protonCount, neutronCount ).length,
+      'no such isomer of this nucleus: ' + isomerIndex );
     this.protonCountProperty.set( protonCount );
     this.electronCountProperty.set( electronCount );
     this.neutronCountProperty.set( neutronCount );
+    this.isomerIndexProperty.set( isomerIndex );
     this.atomUpdated.emit();
   },
 
@@ -146,6 +181,7 @@ inherit( Object, NumberAtom, {
     this.protonCountProperty.dispose();
     this.neutronCountProperty.dispose();
     this.electronCountProperty.dispose();
+    this.isomerIndexProperty.dispose();
 
     this.atomUpdated.dispose();
   }
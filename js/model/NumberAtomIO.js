@@ -27,7 +27,8 @@ class NumberAtomIO extends ObjectIO {
     return {
       protonCount: numberAtom.protonCountProperty.get(),
       electronCount: numberAtom.electronCountProperty.get(),
-      neutronCount: numberAtom.neutronCountProperty.get()
+      neutronCount: numberAtom.neutronCountProperty.get(),
+      isomerIndex: numberAtom.isomerIndexProperty.get()
     };
   }
 
@@ -41,7 +42,8 @@ class NumberAtomIO extends ObjectIO {
 }
 
 NumberAtomIO.validator = { valueType: NumberAtom };
-NumberAtomIO.documentation = 'A value type that contains quantities of electrons, protons, and neutrons.';
+NumberAtomIO.documentation = 'A value type that contains quantities of electrons, protons, and neutrons, and the ' +
+                              'isomer index of the nucleus.';
 NumberAtomIO.typeName = 'NumberAtomIO';
 ObjectIO.validateSubtype( NumberAtomIO );
 
@@ -0,0 +1,62 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for NumberAtom
+ *
+ * @author Luisa Vargas
+ */
+
+import AtomIdentifier from '../AtomIdentifier.js';
+import NumberAtom from './NumberAtom.js';
+
+QUnit.module( 'NumberAtom' );
+
+QUnit.test( 'isomers', function( assert ) {
+  let atom = new NumberAtom( { protonCount: 43, neutronCount: 56, electronCount: 43, isomerIndex: 1 } );
+  assert.equal( atom.isomerIndex, 1, 'Tc-99m' );
+  assert.equal( atom.getHalfLife(), AtomIdentifier.getHalfLife( 43, 56, 1 ), 'half-life of Tc-99m' );
+  assert.ok( atom.equals( { protonCount: 43, neutronCount: 56, electronCount: 43, isomerIndex: 1 } ), 'equals' );
+  assert.notOk( atom.equals( { protonCount: 43, neutronCount: 56, electronCount: 43 } ), 'not the ground state' );
+
+  atom.setSubAtomicParticleCount( 72, 106, 72, 2 );
+  assert.equal( atom.isomerIndex, 2, 'Hf-178m2' );
+  atom.dispose();
+
+  // PhET-iO state can be restored in any order, so the isomer can be set before or after the nucleus
+  const restoredAtom = new NumberAtom();
+  restoredAtom.isomerIndexProperty.set( 1 );
+  restoredAtom.protonCountProperty.set( 43 );
+  restoredAtom.neutronCountProperty.set( 56 );
+  restoredAtom.electronCountProperty.set( 43 );
+  assert.equal( restoredAtom.isomerIndex, 1, 'isomer set before the nucleus' );
+  restoredAtom.setSubAtomicParticleCount( 0, 0, 0 );
+  restoredAtom.protonCountProperty.set( 72 );
+  restoredAtom.neutronCountProperty.set( 106 );
+  restoredAtom.isomerIndexProperty.set( 2 );
+  restoredAtom.electronCountProperty.set( 72 );
+  assert.equal( restoredAtom.isomerIndex, 2, 'isomer set between the counts' );
+  restoredAtom.dispose();
+
+  atom = new NumberAtom();
+  atom.setSubAtomicParticleCount( 43, 56, 43, 1 );
+  atom.setSubAtomicParticleCount( 43, 56, 43 );
+  assert.equal( atom.isomerIndex, 0, 'the isomer index defaults to the ground state' );
+  atom.dispose();
+
+  if ( window.assert ) {
+    const carbon12 = new NumberAtom( { protonCount: 6, neutronCount: 6, electronCount: 6 } );
+    assert.throws( function() {
+      carbon12.setSubAtomicParticleCount( 6, 6, 6, 1 );
+    }, Error, 'C-12 has no isomers' );
+    assert.throws( function() {
+      carbon12.setSubAtomicParticleCount( 43, 56, 43, 2 );
+    }, Error, 'Tc-99 has only one isomer' );
+    assert.throws( function() {
+      carbon12.isomerIndexProperty.set( -1 );
+    }, Error, 'negative isomer index' );
+    assert.throws( function() {
+      return new NumberAtom( { protonCount: 6, neutronCount: 6, electronCount: 6, isomerIndex: 1 } );
+    }, Error, 'invalid initial isomer index' );
+    carbon12.dispose();
+  }
+} );
@@ -19,15 +19,24 @@ import PhetioObject from '../../../tandem/js/PhetioObject.js';
 import Tandem from '../../../tandem/js/Tandem.js';
 import NumberIO from '../../../tandem/js/types/NumberIO.js';
 import AtomIdentifier from '../AtomIdentifier.js';
+import DecayMode from '../DecayMode.js';
 import shred from '../shred.js';
 import ShredConstants from '../ShredConstants.js';
+import Particle from './Particle.js';
 import ParticleAtomIO from './ParticleAtomIO.js';
 import ParticleIO from './ParticleIO.js';
 
 // constants
+
+// number of positions in the shell of the nucleus for each type of nucleon, which limits the nuclei that can be built
+// and the decays that can be shown, see canPerformDecay
 const NUM_PROTON_POSITIONS = 10;
 const NUM_NEUTRON_POSITIONS = 12;
 
+// distance that emitted particles move away from the atom, in model coordinates, i.e. in the same units as
+// positionProperty and the electron shell radii, so that they end up well outside the outer electron shell
+const EMITTED_PARTICLE_DISTANCE = 500;
+
 /**
  * @param {Object} [options]
  * @constructor
@@ -302,7 +311,6 @@ inherit( PhetioObject, ParticleAtom, {
 
     this.particleCountProperty.dispose();
     this.massNumberProperty.dispose();
-    this.chargeProperty.dispose();
 
     // These should be disposed after because they are dependencies to the above DerivedProperties
     this.protonCountProperty.dispose();
@@ -507,6 +515,116 @@ inherit( PhetioObject, ParticleAtom, {
     this.neutrons.forEach( function( p ) { p.moveImmediatelyToDestination(); } );
   },
 
+  /**
+   * Get the nucleons of the specified type that are furthest out in the shell, so that removing them causes as little
+   * rearrangement of the other nucleons as possible.
+   * @param {string} particleType - 'proton' or 'neutron'
+   * @param {number} count
+   * @returns {Particle[]}
+   * @private
+   */
+  getOutermostNucleons: function( particleType, count ) {
+    const shellPositions = particleType === 'proton' ? this.protonShellPositions : this.neutronShellPositions;
+    const occupiedShellPositions = _.filter( shellPositions, function( shellPosition ) {
+      return shellPosition[ particleType ] !== null;
+    } );
+    return _.sortBy( occupiedShellPositions, function( shellPosition ) {
+      return -shellPosition.position.y;
+    } ).slice( 0, count ).map( function( shellPosition ) {
+      return shellPosition[ particleType ];
+    } );
+  },
+
+  /**
+   * Whether the nucleus can decay by the specified mode, i.e. whether the mode changes the nucleus in a way that can be
+   * shown and the nucleus has the nucleons it needs and room for the resulting nucleons.  This doesn't check whether
+   * the nuclide actually decays by this mode, see AtomIdentifier.getDecayModes.  The shell only has positions for 10
+   * protons and 12 neutrons, so a decay can't be performed if it would leave more than that, e.g. beta minus decay of a
+   * nucleus with 10 protons or electron capture by a nucleus with 12 neutrons.
+   * @param {string} decayMode - in NUBASE notation or one of its aliases, see DecayMode
+   * @returns {boolean}
+   * @public
+   */
+  canPerformDecay: function( decayMode ) {
+    const registeredDecayMode = DecayMode.get( decayMode );
+    if ( !registeredDecayMode || registeredDecayMode.protonChange === null ||
+         ( registeredDecayMode.protonChange === 0 && registeredDecayMode.neutronChange === 0 ) ) {
+      return false;
+    }
+    const protonCount = this.protonCountProperty.get();
+    const neutronCount = this.neutronCountProperty.get();
+    const finalProtonCount = protonCount + registeredDecayMode.protonChange;
+    const finalNeutronCount = neutronCount + registeredDecayMode.neutronChange;
+    return finalProtonCount >= 0 && finalProtonCount <= NUM_PROTON_POSITIONS &&
+           finalNeutronCount >= 0 && finalNeutronCount <= NUM_NEUTRON_POSITIONS &&
+           protonCount >= _.sumBy( registeredDecayMode.emittedParticles, 0 ) &&
+           neutronCount >= _.sumBy( registeredDecayMode.emittedParticles, 1 );
+  },
+
+  /**
+   * Make the nucleus decay by the specified mode.  The emitted particles, e.g. the two protons and two neutrons of an
+   * alpha particle, are removed from the atom and sent away from it together, which the client animates by stepping
+   * them, see Particle.step.  For a beta decay or electron capture, a neutron is converted into a proton or the other
+   * way round by replacing it with a new particle in its place, which then moves to an open position in the shell.
+   * Electrons, positrons and neutrinos are not modelled.  The client is responsible for the particles that are no
+   * longer in the atom and for those that were created, e.g. adding them to the model so that they are shown.  Since
+   * the shell holds at most 10 protons and 12 neutrons, nothing happens if the result wouldn't fit, see
+   * canPerformDecay.
+   * @param {string} decayMode - in NUBASE notation or one of its aliases, see DecayMode
+   * @param {Object} [options]
+   * @returns {{emittedParticles: Particle[][], convertedParticles: {removed: Particle, added: Particle}[]}|null} -
+   *          emittedParticles are the groups of nucleons that were emitted together, and convertedParticles are the
+   *          nucleons that were replaced and those that replaced them, or null if the nucleus can't decay by this
+   *          mode, see canPerformDecay
+   * @public
+   */
+  performDecay: function( decayMode, options ) {
+    options = merge( {
+
+      // {function(string):Particle} - creates the particle that replaces a converted nucleon, e.g. to give it a tandem
+      createParticle: function( particleType ) {
+        return new Particle( particleType, { tandem: Tandem.OPTIONAL } );
+      }
+    }, options );
+
+    if ( !this.canPerformDecay( decayMode ) ) {
+      return null;
+    }
+    const self = this;
+    const registeredDecayMode = DecayMode.get( decayMode );
+
+    // Emit the particles first, taking the nucleons from the outside of the shell, and send each group of nucleons
+    // in a random direction, keeping the nucleons of a group together.
+    const emittedParticles = registeredDecayMode.emittedParticles.map( function( emittedParticle ) {
+      const nucleons = self.getOutermostNucleons( 'proton', emittedParticle[ 0 ] )
+        .concat( self.getOutermostNucleons( 'neutron', emittedParticle[ 1 ] ) );
+      const direction = phet.joist.random.nextDouble() * 2 * Math.PI;
+      const displacement = Vector2.createPolar( EMITTED_PARTICLE_DISTANCE, direction );
+      nucleons.forEach( function( nucleon ) {
+        self.removeParticle( nucleon );
+        nucleon.destinationProperty.set( nucleon.positionProperty.get().plus( displacement ) );
+      } );
+      return nucleons;
+    } );
+
+    // Then convert the nucleons that change type, which is the change in the number of protons that isn't explained by
+    // the emitted particles.
+    const convertedProtonCount = registeredDecayMode.protonChange + _.sumBy( registeredDecayMode.emittedParticles, 0 );
+    const removedType = convertedProtonCount > 0 ? 'neutron' : 'proton';
+    const addedType = convertedProtonCount > 0 ? 'proton' : 'neutron';
+    const convertedParticles = this.getOutermostNucleons( removedType, Math.abs( convertedProtonCount ) ).map(
+      function( removedParticle ) {
+        const addedParticle = options.createParticle( addedType );
+        addedParticle.positionProperty.set( removedParticle.positionProperty.get() );
+        self.removeParticle( removedParticle );
+        self.addParticle( addedParticle );
+        return { removed: removedParticle, added: addedParticle };
+      }
+    );
+
+    return { emittedParticles: emittedParticles, convertedParticles: convertedParticles };
+  },
+
   // @public
   getWeight: function() {
     return this.protonCountProperty.get() + this.neutronCountProperty.get();
@@ -516,6 +634,10 @@ inherit( PhetioObject, ParticleAtom, {
   getIsotopeAtomicMass: function() {
     return AtomIdentifier.getIsotopeAtomicMass( this.protonCountProperty.get(), this.neutronCountProperty.get() );
   }
+}, {
+
+  // @public (read-only) - distance that emitted particles move away from the atom
+  EMITTED_PARTICLE_DISTANCE: EMITTED_PARTICLE_DISTANCE
 } );
 
 export default ParticleAtom;
\ No newline at end of file
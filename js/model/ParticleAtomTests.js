@@ -0,0 +1,200 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for ParticleAtom
+ *
+ * @author Luisa Vargas
+ */
+
+import Tandem from '../../../tandem/js/Tandem.js';
+import Particle from './Particle.js';
+import ParticleAtom from './ParticleAtom.js';
+
+QUnit.module( 'ParticleAtom' );
+
+// y coordinates and numbers of the shell positions for each type of nucleon, from the innermost row to the outermost
+const SHELL_ROW_Y_VALUES = [ -110, -30, 50 ];
+const SHELL_ROW_SIZES = {
+  proton: [ 2, 6, 2 ],
+  neutron: [ 2, 6, 4 ]
+};
+
+/**
+ * Create an atom with its nucleons in their positions in the shell.
+ * @param {number} protonCount
+ * @param {number} neutronCount
+ * @returns {ParticleAtom}
+ */
+function createAtom( protonCount, neutronCount ) {
+  const atom = new ParticleAtom( { tandem: Tandem.OPTIONAL } );
+  _.times( protonCount, function() {
+    atom.addParticle( new Particle( 'proton', { tandem: Tandem.OPTIONAL } ) );
+  } );
+  _.times( neutronCount, function() {
+    atom.addParticle( new Particle( 'neutron', { tandem: Tandem.OPTIONAL } ) );
+  } );
+  atom.moveAllParticlesToDestination();
+  return atom;
+}
+
+/**
+ * Check that the nucleons of the atom are in their own shell positions, and that each row of the shell is full
+ * before any nucleons are in the rows outside of it.
+ * @param {Object} assert
+ * @param {ParticleAtom} atom
+ * @param {string} message
+ */
+function assertShellIsFilledFromInside( assert, atom, message ) {
+  [ 'proton', 'neutron' ].forEach( function( particleType ) {
+    const nucleons = particleType === 'proton' ? atom.protons : atom.neutrons;
+    const destinations = [];
+    nucleons.forEach( function( nucleon ) {
+      destinations.push( nucleon.destinationProperty.get() );
+    } );
+    const rowCounts = SHELL_ROW_Y_VALUES.map( function( y ) {
+      return destinations.filter( function( destination ) { return destination.y === y; } ).length;
+    } );
+    let remainingCount = destinations.length;
+    const expectedRowCounts = SHELL_ROW_SIZES[ particleType ].map( function( rowSize ) {
+      const rowCount = Math.min( rowSize, remainingCount );
+      remainingCount -= rowCount;
+      return rowCount;
+    } );
+    assert.deepEqual( rowCounts, expectedRowCounts, message + ': ' + particleType + 's per row of the shell' );
+    assert.equal( _.uniqBy( destinations, function( destination ) { return destination.toString(); } ).length,
+      destinations.length, message + ': each ' + particleType + ' has its own position' );
+  } );
+}
+
+/**
+ * Check that the nucleons of each emitted group are sent away from the atom together.
+ * @param {Object} assert
+ * @param {Particle[][]} emittedParticles
+ * @param {string} message
+ */
+function assertGroupsMoveTogether( assert, emittedParticles, message ) {
+  emittedParticles.forEach( function( group ) {
+    const displacement = group[ 0 ].destinationProperty.get().minus( group[ 0 ].positionProperty.get() );
+    assert.ok( Math.abs( displacement.magnitude - ParticleAtom.EMITTED_PARTICLE_DISTANCE ) < 1E-6,
+      message + ': emitted particles are sent away from the atom' );
+    assert.ok( _.every( group, function( particle ) {
+      const particleDisplacement = particle.destinationProperty.get().minus( particle.positionProperty.get() );
+      return particleDisplacement.distance( displacement ) < 1E-6;
+    } ), message + ': the particles of a group move together' );
+  } );
+}
+
+/**
+ * @param {Particle[]} particles
+ * @returns {string[]}
+ */
+function getTypes( particles ) {
+  return particles.map( function( particle ) { return particle.type; } );
+}
+
+QUnit.test( 'dispose', function( assert ) {
+  const atom = createAtom( 2, 2 );
+  atom.dispose();
+  assert.ok( atom.isDisposed, 'an atom with particles can be disposed' );
+} );
+
+QUnit.test( 'alpha decay', function( assert ) {
+  const atom = createAtom( 8, 10 );
+  const result = atom.performDecay( 'A' );
+  assert.equal( atom.protonCountProperty.get(), 6, 'two protons are emitted' );
+  assert.equal( atom.neutronCountProperty.get(), 8, 'two neutrons are emitted' );
+  assert.equal( result.emittedParticles.length, 1, 'as one group' );
+  assert.deepEqual( getTypes( result.emittedParticles[ 0 ] ).sort(), [ 'neutron', 'neutron', 'proton', 'proton' ],
+    'the alpha particle' );
+  assert.equal( result.convertedParticles.length, 0, 'no nucleons are converted' );
+  assert.ok( _.every( result.emittedParticles[ 0 ], function( particle ) {
+    return !atom.containsParticle( particle );
+  } ), 'the alpha particle is no longer in the atom' );
+  assertGroupsMoveTogether( assert, result.emittedParticles, 'alpha decay' );
+  assertShellIsFilledFromInside( assert, atom, 'alpha decay' );
+  atom.dispose();
+} );
+
+QUnit.test( 'beta decay and electron capture', function( assert ) {
+  const atom = createAtom( 6, 8 );
+  let result = atom.performDecay( 'B-' );
+  assert.equal( atom.protonCountProperty.get(), 7, 'beta minus decay adds a proton' );
+  assert.equal( atom.neutronCountProperty.get(), 7, 'and removes a neutron' );
+  assert.equal( result.emittedParticles.length, 0, 'no nucleons are emitted' );
+  assert.equal( result.convertedParticles.length, 1, 'one nucleon is converted' );
+  const converted = result.convertedParticles[ 0 ];
+  assert.equal( converted.removed.type, 'neutron', 'a neutron is removed' );
+  assert.equal( converted.added.type, 'proton', 'a proton is added' );
+  assert.notOk( atom.containsParticle( converted.removed ), 'the neutron is no longer in the atom' );
+  assert.ok( atom.containsParticle( converted.added ), 'the proton is in the atom' );
+  assert.ok( converted.added.positionProperty.get().equals( converted.removed.positionProperty.get() ),
+    'the proton starts where the neutron was' );
+  assertShellIsFilledFromInside( assert, atom, 'beta minus decay' );
+  atom.dispose();
+
+  [ 'B+', 'EC' ].forEach( function( decayMode ) {
+    const carbon11 = createAtom( 6, 5 );
+    result = carbon11.performDecay( decayMode );
+    assert.equal( carbon11.protonCountProperty.get(), 5, decayMode + ' removes a proton' );
+    assert.equal( carbon11.neutronCountProperty.get(), 6, decayMode + ' adds a neutron' );
+    assert.equal( result.emittedParticles.length, 0, decayMode + ': no nucleons are emitted' );
+    assert.equal( result.convertedParticles[ 0 ].removed.type, 'proton', decayMode + ': a proton is removed' );
+    assert.equal( result.convertedParticles[ 0 ].added.type, 'neutron', decayMode + ': a neutron is added' );
+    assertShellIsFilledFromInside( assert, carbon11, decayMode );
+    carbon11.dispose();
+  } );
+
+  const createdParticles = [];
+  const createParticleAtom = createAtom( 6, 8 );
+  createParticleAtom.performDecay( 'b-', {
+    createParticle: function( particleType ) {
+      const particle = new Particle( particleType, { tandem: Tandem.OPTIONAL } );
+      createdParticles.push( particle );
+      return particle;
+    }
+  } );
+  assert.equal( createdParticles.length, 1, 'the client can create the added particle, and aliases are accepted' );
+  assert.ok( createParticleAtom.containsParticle( createdParticles[ 0 ] ), 'the created particle is in the atom' );
+  createParticleAtom.dispose();
+} );
+
+QUnit.test( 'nucleon emission', function( assert ) {
+  let atom = createAtom( 5, 2 );
+  let result = atom.performDecay( 'p' );
+  assert.equal( atom.protonCountProperty.get(), 4, 'proton emission removes a proton' );
+  assert.equal( atom.neutronCountProperty.get(), 2, 'and no neutrons' );
+  assert.deepEqual( result.emittedParticles.map( getTypes ), [ [ 'proton' ] ], 'one proton is emitted' );
+  assertGroupsMoveTogether( assert, result.emittedParticles, 'proton emission' );
+  assertShellIsFilledFromInside( assert, atom, 'proton emission' );
+  atom.dispose();
+
+  atom = createAtom( 2, 5 );
+  result = atom.performDecay( 'n' );
+  assert.equal( atom.protonCountProperty.get(), 2, 'neutron emission removes no protons' );
+  assert.equal( atom.neutronCountProperty.get(), 4, 'and a neutron' );
+  assert.deepEqual( result.emittedParticles.map( getTypes ), [ [ 'neutron' ] ], 'one neutron is emitted' );
+  assertGroupsMoveTogether( assert, result.emittedParticles, 'neutron emission' );
+  assertShellIsFilledFromInside( assert, atom, 'neutron emission' );
+  atom.dispose();
+} );
+
+QUnit.test( 'canPerformDecay', function( assert ) {
+  const atom = createAtom( 10, 12 );
+  assert.notOk( atom.canPerformDecay( 'B-' ), 'there is no room for an 11th proton' );
+  assert.notOk( atom.canPerformDecay( 'B+' ), 'there is no room for a 13th neutron' );
+  assert.notOk( atom.canPerformDecay( 'EC' ), 'there is no room for a 13th neutron' );
+  assert.ok( atom.canPerformDecay( 'A' ), 'alpha decay' );
+  assert.ok( atom.canPerformDecay( 'p' ), 'proton emission' );
+  assert.ok( atom.canPerformDecay( 'n' ), 'neutron emission' );
+  assert.notOk( atom.canPerformDecay( 'SF' ), 'spontaneous fission has no single daughter' );
+  assert.notOk( atom.canPerformDecay( 'IT' ), 'an isomeric transition does not change the nucleus' );
+  assert.notOk( atom.canPerformDecay( 'bogus' ), 'unknown mode' );
+  assert.equal( atom.performDecay( 'B-' ), null, 'a decay that can not be performed returns null' );
+  assert.equal( atom.protonCountProperty.get(), 10, 'and does not change the atom' );
+  atom.dispose();
+
+  const tritium = createAtom( 1, 2 );
+  assert.notOk( tritium.canPerformDecay( 'A' ), 'H-3 has too few protons for alpha decay' );
+  assert.ok( tritium.canPerformDecay( 'B-' ), 'H-3' );
+  tritium.dispose();
+} );
@@ -0,0 +1,249 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Model of a sample of individual radioactive nuclei, which decay at random according to their half-lives, see
+ * AtomIdentifier.getHalfLife.  Unlike DecayChain, which gives the average amounts of a large sample, this shows the
+ * randomness of radioactive decay, e.g. that the number of decays in each step varies, and that it is impossible to
+ * tell which nucleus will decay next.  Each nucleus may decay several times within one step, so short-lived daughters
+ * decay as they should even if the step is longer than their half-lives.
+ *
+ * The electrons are not modelled, so each nucleus is described by the configuration of a neutral atom, i.e. an object
+ * with protonCount, neutronCount, electronCount and isomerIndex, as for NumberAtom.equals.  These configurations are
+ * immutable and shared by all nuclei of the same nuclide.
+ *
+ * @author Luisa Vargas
+ */
+
+import Emitter from '../../../axon/js/Emitter.js';
+import NumberProperty from '../../../axon/js/NumberProperty.js';
+import Random from '../../../dot/js/Random.js';
+import inherit from '../../../phet-core/js/inherit.js';
+import merge from '../../../phet-core/js/merge.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import AtomIdentifier from '../AtomIdentifier.js';
+import shred from '../shred.js';
+
+/**
+ * @param {number} protonCount
+ * @param {number} neutronCount
+ * @param {number} isomerIndex
+ * @returns {string}
+ */
+function getNuclideKey( protonCount, neutronCount, isomerIndex ) {
+  return protonCount + ',' + neutronCount + ',' + isomerIndex;
+}
+
+/**
+ * @param {Object} [options]
+ * @constructor
+ */
+function RadioactiveSample( options ) {
+  options = merge( {
+    seed: null, // {number|null} seed of the random number generator, null for a random seed
+    timeScale: 1, // time that passes in the model for each second of real time, see step
+    tandem: Tandem.OPTIONAL
+  }, options );
+
+  // @private
+  this.random = new Random( { seed: options.seed } );
+
+  // @private {Object[]} - configuration of each nucleus in the sample, see the header comment
+  this.nuclei = [];
+
+  // @private {Object} - information about the decay of each nuclide that has been in the sample, keyed by nuclide, see
+  // getNuclideInfo
+  this.nuclideInfos = {};
+
+  // @public - time since the sample was created or reset, in seconds
+  this.timeProperty = new NumberProperty( 0, {
+    tandem: options.tandem.createTandem( 'timeProperty' ),
+    units: 'seconds'
+  } );
+
+  // @public - time that passes in the model for each second of real time
+  this.timeScaleProperty = new NumberProperty( options.timeScale, {
+    tandem: options.tandem.createTandem( 'timeScaleProperty' )
+  } );
+
+  // @public - number of nuclei in the sample, which decreases when a nucleus undergoes spontaneous fission, since the
+  // fission fragments are not modelled
+  this.nucleusCountProperty = new NumberProperty( 0, {
+    tandem: options.tandem.createTandem( 'nucleusCountProperty' ),
+    numberType: 'Integer',
+    documentation: 'this property is updated by the model and should not be set by users'
+  } );
+
+  // @public - emits an object of the form { parent, daughter, mode, time } for each decay, in the order in which the
+  // decays happen.  parent and daughter are nucleus configurations, see the header comment, daughter is null if there
+  // is no single daughter, as for spontaneous fission, mode is in NUBASE notation, see AtomIdentifier.getDecayModes,
+  // and time is the value of timeProperty at which the decay happened.
+  this.decayEmitter = new Emitter( {
+    parameters: [ { valueType: Object } ]
+  } );
+}
+
+shred.register( 'RadioactiveSample', RadioactiveSample );
+
+inherit( Object, RadioactiveSample, {
+
+  /**
+   * Get the information about the decay of a nuclide, which is computed the first time it is needed.
+   * @param {number} protonCount
+   * @param {number} neutronCount
+   * @param {number} isomerIndex
+   * @returns {{nucleus: Object, decayConstant: number, decays: Object[]}} - nucleus is the configuration that is shared
+   *          by the nuclei of the nuclide, decayConstant is the probability per second that one of them decays, 0 if
+   *          the nuclide is stable or its half-life is unknown, and decays are of the form { mode, branchingRatio,
+   *          daughter }, where daughter is of the form { protonCount, neutronCount, isomerIndex } or null
+   * @private
+   */
+  getNuclideInfo: function( protonCount, neutronCount, isomerIndex ) {
+    const key = getNuclideKey( protonCount, neutronCount, isomerIndex );
+    if ( !this.nuclideInfos.hasOwnProperty( key ) ) {
+      const halfLife = AtomIdentifier.getHalfLife( protonCount, neutronCount, isomerIndex );
+      this.nuclideInfos[ key ] = {
+        nucleus: Object.freeze( {
+          protonCount: protonCount,
+          neutronCount: neutronCount,
+          electronCount: protonCount,
+          isomerIndex: isomerIndex
+        } ),
+        decayConstant: halfLife > 0 && halfLife !== Number.POSITIVE_INFINITY ? Math.LN2 / halfLife : 0,
+        decays: AtomIdentifier.getDecayBranches( protonCount, neutronCount, isomerIndex ).map( function( decayBranch ) {
+          const daughter = decayBranch.daughter;
+          return {
+            mode: decayBranch.mode,
+            branchingRatio: decayBranch.branchingRatio,
+            daughter: daughter && {
+              protonCount: daughter.protons,
+              neutronCount: daughter.neutrons,
+              isomerIndex: 0
+            }
+          };
+        } )
+      };
+    }
+    return this.nuclideInfos[ key ];
+  },
+
+  /**
+   * Add nuclei to the sample.
+   * @param {NumberAtom|Object} atom - the nuclide of the nuclei, anything with protonCount, neutronCount and optionally
+   *                                   isomerIndex
+   * @param {number} count
+   * @public
+   */
+  addNuclei: function( atom, count ) {
+    assert && assert( count >= 0 && count % 1 === 0, 'count must be a non-negative integer: ' + count );
+    const nucleus = this.getNuclideInfo( atom.protonCount, atom.neutronCount, atom.isomerIndex || 0 ).nucleus;
+    for ( let i = 0; i < count; i++ ) {
+      this.nuclei.push( nucleus );
+    }
+    this.nucleusCountProperty.set( this.nuclei.length );
+  },
+
+  /**
+   * @returns {Object[]} - configuration of each nucleus in the sample, see the header comment
+   * @public
+   */
+  getNuclei: function() {
+    return this.nuclei.slice();
+  },
+
+  /**
+   * Get the number of nuclei in the sample of each nuclide.
+   * @returns {{protonCount: number, neutronCount: number, isomerIndex: number, count: number}[]} - without the
+   *          nuclides of which there are no nuclei
+   * @public
+   */
+  getNuclideCounts: function() {
+    const nuclideCounts = {};
+    this.nuclei.forEach( function( nucleus ) {
+      const key = getNuclideKey( nucleus.protonCount, nucleus.neutronCount, nucleus.isomerIndex );
+      nuclideCounts[ key ] = nuclideCounts[ key ] || {
+        protonCount: nucleus.protonCount,
+        neutronCount: nucleus.neutronCount,
+        isomerIndex: nucleus.isomerIndex,
+        count: 0
+      };
+      nuclideCounts[ key ].count++;
+    } );
+    return _.values( nuclideCounts );
+  },
+
+  /**
+   * Let each nucleus decay at random during a time step.  The probability that a nucleus decays is given by its
+   * half-life, its decay mode is chosen according to the branching ratios, and its daughter can decay in turn during
+   * what is left of the step.
+   * @param {number} dt - time step, in seconds of real time
+   * @public
+   */
+  step: function( dt ) {
+    const self = this;
+    const startTime = this.timeProperty.get();
+    const stepDuration = dt * this.timeScaleProperty.get();
+    const decayEvents = [];
+
+    this.nuclei = this.nuclei.map( function( nucleus ) {
+      let nuclideInfo = self.getNuclideInfo( nucleus.protonCount, nucleus.neutronCount, nucleus.isomerIndex );
+      let elapsedTime = 0;
+      while ( nuclideInfo && nuclideInfo.decayConstant > 0 ) {
+
+        // The nucleus decays before the end of the step if the random value is below the probability that it does,
+        // and the same value then gives the time of the decay, since that time follows an exponential distribution.
+        const randomValue = self.random.nextDouble();
+        const decayProbability = -Math.expm1( -nuclideInfo.decayConstant * ( stepDuration - elapsedTime ) );
+        if ( randomValue >= decayProbability ) {
+          break;
+        }
+        elapsedTime += -Math.log1p( -randomValue ) / nuclideInfo.decayConstant;
+
+        const decayValue = self.random.nextDouble();
+        let cumulativeBranchingRatio = 0;
+        const decay = _.find( nuclideInfo.decays, function( decay ) {
+          cumulativeBranchingRatio += decay.branchingRatio;
+          return decayValue < cumulativeBranchingRatio;
+        } ) || _.last( nuclideInfo.decays );
+        const daughterInfo = decay.daughter && self.getNuclideInfo(
+          decay.daughter.protonCount,
+          decay.daughter.neutronCount,
+          decay.daughter.isomerIndex
+        );
+        decayEvents.push( {
+          parent: nuclideInfo.nucleus,
+          daughter: daughterInfo ? daughterInfo.nucleus : null,
+          mode: decay.mode,
+          time: startTime + elapsedTime
+        } );
+        nuclideInfo = daughterInfo;
+      }
+      return nuclideInfo ? nuclideInfo.nucleus : null;
+    } ).filter( function( nucleus ) {
+      return nucleus !== null;
+    } );
+
+    this.timeProperty.set( startTime + stepDuration );
+    this.nucleusCountProperty.set( this.nuclei.length );
+    _.sortBy( decayEvents, 'time' ).forEach( function( decayEvent ) {
+      self.decayEmitter.emit( decayEvent );
+    } );
+  },
+
+  // @public
+  reset: function() {
+    this.nuclei = [];
+    this.timeProperty.reset();
+    this.timeScaleProperty.reset();
+    this.nucleusCountProperty.reset();
+  },
+
+  // @public
+  dispose: function() {
+    this.timeProperty.dispose();
+    this.timeScaleProperty.dispose();
+    this.nucleusCountProperty.dispose();
+    this.decayEmitter.dispose();
+  }
+} );
+
+export default RadioactiveSample;
@@ -0,0 +1,104 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for RadioactiveSample.  The decays are random, so the tests use fixed seeds and tolerances of several
+ * standard deviations.
+ *
+ * @author Luisa Vargas
+ */
+
+import AtomIdentifier from '../AtomIdentifier.js';
+import DecayChain from './DecayChain.js';
+import RadioactiveSample from './RadioactiveSample.js';
+
+QUnit.module( 'RadioactiveSample' );
+
+/**
+ * @param {RadioactiveSample} sample
+ * @param {number} protonCount
+ * @param {number} neutronCount
+ * @returns {number} - number of nuclei of the ground state of the nuclide in the sample
+ */
+function getCount( sample, protonCount, neutronCount ) {
+  const nuclideCount = _.find( sample.getNuclideCounts(), function( nuclideCount ) {
+    return nuclideCount.protonCount === protonCount && nuclideCount.neutronCount === neutronCount &&
+           nuclideCount.isomerIndex === 0;
+  } );
+  return nuclideCount ? nuclideCount.count : 0;
+}
+
+QUnit.test( 'decay of a single nuclide', function( assert ) {
+  const halfLife = AtomIdentifier.getHalfLife( 1, 2 );
+  const sample = new RadioactiveSample( { seed: 42, timeScale: halfLife } );
+  const decayEvents = [];
+  sample.decayEmitter.addListener( function( decayEvent ) {
+    decayEvents.push( decayEvent );
+  } );
+  sample.addNuclei( { protonCount: 1, neutronCount: 2 }, 10000 );
+  assert.equal( sample.nucleusCountProperty.get(), 10000, 'nuclei added' );
+
+  sample.step( 1 );
+  assert.equal( sample.timeProperty.get(), halfLife, 'time advances by the scaled step' );
+  const remaining = getCount( sample, 1, 2 );
+
+  // the standard deviation of the number of remaining nuclei is sqrt( 10000 * 0.5 * 0.5 ) = 50
+  assert.ok( Math.abs( remaining - 5000 ) < 250, 'about half remain after one half-life: ' + remaining );
+  assert.equal( getCount( sample, 2, 1 ), 10000 - remaining, 'the others are He-3' );
+  assert.equal( sample.nucleusCountProperty.get(), 10000, 'beta decay keeps the number of nuclei' );
+  assert.equal( decayEvents.length, 10000 - remaining, 'one event for each decay' );
+  assert.ok( _.every( decayEvents, function( decayEvent, index ) {
+    return decayEvent.parent.protonCount === 1 && decayEvent.daughter.protonCount === 2 && decayEvent.mode === 'B-' &&
+           decayEvent.time >= 0 && decayEvent.time <= halfLife &&
+           ( index === 0 || decayEvent.time >= decayEvents[ index - 1 ].time );
+  } ), 'events describe the decays in the order in which they happen' );
+  sample.dispose();
+} );
+
+QUnit.test( 'reproducibility and stable nuclides', function( assert ) {
+  const getCounts = function( seed ) {
+    const sample = new RadioactiveSample( { seed: seed, timeScale: 1E6 } );
+    sample.addNuclei( { protonCount: 86, neutronCount: 136 }, 1000 );
+    sample.step( 1 );
+    const counts = sample.getNuclideCounts();
+    sample.dispose();
+    return counts;
+  };
+  assert.deepEqual( getCounts( 7 ), getCounts( 7 ), 'the same seed gives the same decays' );
+
+  const sample = new RadioactiveSample( { seed: 1 } );
+  let decayCount = 0;
+  sample.decayEmitter.addListener( function() { decayCount++; } );
+  sample.addNuclei( { protonCount: 6, neutronCount: 6 }, 100 );
+  sample.step( 1E20 );
+  assert.equal( decayCount, 0, 'C-12 does not decay' );
+  assert.equal( getCount( sample, 6, 6 ), 100, 'C-12 remains' );
+  sample.reset();
+  assert.equal( sample.nucleusCountProperty.get(), 0, 'reset removes the nuclei' );
+  sample.dispose();
+} );
+
+QUnit.test( 'statistics match DecayChain', function( assert ) {
+
+  // Po-218 decays through Pb-214 and Bi-214, with half-lives of minutes, so several decays per nucleus happen within
+  // one step.
+  const decayChain = new DecayChain( 84, 134 );
+  const time = 3000;
+  const amounts = decayChain.getAmounts( time );
+  const nucleusCount = 20000;
+  const sample = new RadioactiveSample( { seed: 2020, timeScale: time } );
+  sample.addNuclei( { protonCount: 84, neutronCount: 134 }, nucleusCount );
+  sample.step( 1 );
+
+  decayChain.members.forEach( function( member, index ) {
+    const expectedCount = amounts[ index ] * nucleusCount;
+    const standardDeviation = Math.sqrt( nucleusCount * amounts[ index ] * ( 1 - amounts[ index ] ) );
+    if ( member.isomerIndex === 0 ) {
+      const count = getCount( sample, member.protons, member.neutrons );
+      assert.ok( Math.abs( count - expectedCount ) <= 5 * standardDeviation + 1,
+        'member ' + index + ': ' + count + ' nuclei, ' + expectedCount.toFixed( 1 ) + ' expected' );
+    }
+  } );
+  assert.equal( sample.nucleusCountProperty.get(), nucleusCount, 'no nuclei are lost' );
+  decayChain.dispose();
+  sample.dispose();
+} );
@@ -0,0 +1,21 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Unit tests for shred.
+ *
+ * @author Luisa Vargas
+ */
+
+import qunitStart from '../../chipper/js/sim-tests/qunitStart.js';
+import './AtomIdentifierTests.js';
+import './DecayModeTests.js';
+import './data/AtomicDataSetTests.js';
+import './data/NuclearDataParserTests.js';
+import './model/DecayChainTests.js';
+import './model/NumberAtomTests.js';
+import './model/ParticleAtomTests.js';
+import './model/RadioactiveSampleTests.js';
+import './view/NuclideChartNodeTests.js';
+
+// Since our tests are loaded asynchronously, we must direct QUnit to begin the tests
+qunitStart();
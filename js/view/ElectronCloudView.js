@@ -7,15 +7,24 @@
  * @author John Blanco
  */
 
+import Property from '../../../axon/js/Property.js';
 import inherit from '../../../phet-core/js/inherit.js';
 import merge from '../../../phet-core/js/merge.js';
 import SimpleDragHandler from '../../../scenery/js/input/SimpleDragHandler.js';
 import Circle from '../../../scenery/js/nodes/Circle.js';
 import RadialGradient from '../../../scenery/js/util/RadialGradient.js';
 import Tandem from '../../../tandem/js/Tandem.js';
+import AtomIdentifier from '../AtomIdentifier.js';
 import shred from '../shred.js';
 import ShredConstants from '../ShredConstants.js';
 
+// constants
+
+// Largest radius of the neutral atoms that can be built, in picometers, which is mapped to the outer electron shell.
+const MAX_ATOMIC_RADIUS = _.max( _.range( 1, ShredConstants.MAX_ELECTRONS + 1 ).map( function( numProtons ) {
+  return AtomIdentifier.getAtomicRadius( numProtons );
+} ) );
+
 /**
  * @param {ParticleAtom} atom
  * @param {ModelViewTransform2} modelViewTransform
@@ -34,8 +43,9 @@ function ElectronCloudView( atom, modelViewTransform, options ) {
     }
   );
 
-  // Function that updates the size of the cloud based on the number of electrons.
-  const update = function( numElectrons ) {
+  // Function that updates the size of the cloud based on the size of the atom or ion, see
+  // AtomIdentifier.getAtomOrIonRadius, or on the number of electrons if there is no element.
+  const update = function( numProtons, numElectrons ) {
     if ( numElectrons === 0 ) {
       self.radius = 1E-5; // Arbitrary non-zero value.
       self.fill = 'transparent';
@@ -43,17 +53,20 @@ function ElectronCloudView( atom, modelViewTransform, options ) {
     else {
       const minRadius = modelViewTransform.modelToViewDeltaX( atom.innerElectronShellRadius ) * 0.5;
       const maxRadius = modelViewTransform.modelToViewDeltaX( atom.outerElectronShellRadius );
-      const radius = minRadius + ( ( maxRadius - minRadius ) / ShredConstants.MAX_ELECTRONS ) * numElectrons;
+      const atomOrIonRadius = numProtons > 0 ? AtomIdentifier.getAtomOrIonRadius( numProtons, numElectrons ) : -1;
+      const proportion = atomOrIonRadius > 0 ?
+                         Math.min( atomOrIonRadius / MAX_ATOMIC_RADIUS, 1 ) :
+                         numElectrons / ShredConstants.MAX_ELECTRONS;
+      const radius = minRadius + ( maxRadius - minRadius ) * proportion;
       self.radius = radius;
       self.fill = new RadialGradient( 0, 0, 0, 0, 0, radius )
         .addColorStop( 0, 'rgba( 0, 0, 255, 200 )' )
         .addColorStop( 0.9, 'rgba( 0, 0, 255, 0 )' );
     }
   };
-  update( atom.electrons.length );
 
-  // Update the cloud size as electrons come and go.
-  atom.electrons.lengthProperty.link( update );
+  // Update the cloud size as protons and electrons come and go.
+  const updateMultilink = Property.multilink( [ atom.protonCountProperty, atom.electrons.lengthProperty ], update );
 
   // If the user clicks on the cloud, extract an electron.
   this.extractedElectron = null; // @private
@@ -93,7 +106,7 @@ function ElectronCloudView( atom, modelViewTransform, options ) {
 
   // @private called by dispose
   this.disposeElectronCloudView = function() {
-    atom.electrons.lengthProperty.unlink( update );
+    Property.unmultilink( updateMultilink );
     simpleDragHandler.dispose();
   };
 
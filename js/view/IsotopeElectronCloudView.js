@@ -12,17 +12,36 @@
  * @author Aadish Gupta
  */
 
+import Property from '../../../axon/js/Property.js';
 import LinearFunction from '../../../dot/js/LinearFunction.js';
+import Utils from '../../../dot/js/Utils.js';
 import inherit from '../../../phet-core/js/inherit.js';
 import merge from '../../../phet-core/js/merge.js';
 import Circle from '../../../scenery/js/nodes/Circle.js';
 import RadialGradient from '../../../scenery/js/util/RadialGradient.js';
 import Tandem from '../../../tandem/js/Tandem.js';
+import AtomIdentifier from '../AtomIdentifier.js';
 import shred from '../shred.js';
 
 // constants
 const MAX_ELECTRONS = 10; // For neon.
 
+// The radii of the neutral atoms that are supported, in picometers, see AtomIdentifier.getAtomicRadius.
+const ATOMIC_RADII = _.range( 1, MAX_ELECTRONS + 1 ).map( function( numProtons ) {
+  return AtomIdentifier.getAtomicRadius( numProtons );
+} );
+
+// Largest diameter of the electron shell in model coordinates, which is that of the largest supported neutral atom.
+const MAX_SHELL_DIAMETER = 225;
+
+// Function that maps a radius to a shell diameter in model coordinates.  It increases the smaller radius values and
+// decreases the larger ones, which reduces the range of the radii so that the differences between the atoms aren't
+// too much visually.  The radii of ions may be outside of the range of the atomic radii, in which case the function
+// extrapolates, see getElectronShellDiameter for the limits.  The diameters were empirically determined and can be
+// adjusted as needed to make the cloud size appear as desired.
+const RADIUS_TO_DIAMETER_FUNCTION = new LinearFunction( _.min( ATOMIC_RADII ), _.max( ATOMIC_RADII ), 110,
+  MAX_SHELL_DIAMETER );
+
 /**
  * Constructor for the Isotope Electron Cloud.
  *
@@ -47,13 +66,14 @@ function IsotopeElectronCloudView( numberAtom, modelViewTransform, options ) {
   // carry this through the scope
   const self = this;
 
-  const updateNode = function( numElectrons ) {
-    if ( numElectrons === 0 ) {
+  const updateNode = function( numProtons, numElectrons ) {
+    const diameter = self.getElectronShellDiameter( numElectrons, numProtons );
+    if ( diameter === 0 ) {
       self.radius = 1E-5; // Arbitrary non-zero value.
       self.fill = 'transparent';
     }
     else {
-      self.radius = modelViewTransform.modelToViewDeltaX( self.getElectronShellDiameter( numElectrons ) / 2 );
+      self.radius = modelViewTransform.modelToViewDeltaX( diameter / 2 );
       // empirically determined adjustment factor according to the weighing scale
       self.radius = self.radius * 1.2;
       self.fill = new RadialGradient( 0, 0, 0, 0, 0, self.radius )
@@ -61,13 +81,15 @@ function IsotopeElectronCloudView( numberAtom, modelViewTransform, options ) {
         .addColorStop( 1, 'rgba( 0, 0, 255, 0.4 )' );
     }
   };
-  updateNode( numberAtom.electronCountProperty.get() );
 
-  // Update the cloud size as electrons come and go.
-  numberAtom.protonCountProperty.link( updateNode );
+  // Update the cloud size as protons and electrons come and go, so that e.g. a cation shrinks.
+  const updateMultilink = Property.multilink(
+    [ numberAtom.protonCountProperty, numberAtom.electronCountProperty ],
+    updateNode
+  );
 
   this.disposeIsotopeElectronCloudView = function() {
-    numberAtom.protonCountProperty.unlink( updateNode );
+    Property.unmultilink( updateMultilink );
   };
 }
 
@@ -81,66 +103,19 @@ inherit( Circle, IsotopeElectronCloudView, {
   },
 
   /**
-   * Maps a number of electrons to a diameter in screen coordinates for the electron shell.  This mapping function is
-   * based on the real size relationships between the various atoms, but has some tweakable parameters to reduce the
-   * range and scale to provide values that are usable for our needs on the canvas.
+   * Maps an atom or ion to a diameter in model coordinates for the electron shell.  This mapping function is based on
+   * the real sizes of the atoms and ions, see AtomIdentifier.getAtomOrIonRadius, but reduces the range of the sizes to
+   * provide values that are usable for our needs on the canvas.  Anions larger than the largest supported atom get
+   * the same diameter as that atom, like in ElectronCloudView, so that the cloud stays within the view.
    * @param {number} numElectrons
+   * @param {number} [numProtons] - defaults to numElectrons, i.e. a neutral atom
+   * @returns {number} - 0 if there is no data for this atom or ion
    * @public
    */
-  getElectronShellDiameter: function( numElectrons ) {
-
-    // This data structure maps the number of electrons to a radius for an atom.  It assumes a stable, neutral atom.
-    // The basic values are the covalent radii, and were taken from a Wikipedia entry entitled "Atomic radii of the
-    // elements" which, at the time of this writing, can be found here:
-    // https://en.wikipedia.org/wiki/Atomic_radii_of_the_elements_(data_page).
-    // The values are in picometers.  In practice, the difference between the radii worked out to be a bit too much
-    // visually, so there are some 'tweak factors' for a few of the elements.
-    const mapElectronCountToRadius = {
-      1: 38,
-      2: 32,
-      3: 134 * 0.75,
-      4: 90 * 0.97,
-      5: 82,
-      6: 77,
-      7: 75,
-      8: 73,
-      9: 71,
-      10: 69
-    };
-
-    // Determine the min and max radii of the supported atoms.
-    let minShellRadius = Number.MAX_VALUE;
-    let maxShellRadius = 0;
-
-    for ( const radius in mapElectronCountToRadius ) {
-      if ( radius > maxShellRadius ) {
-        maxShellRadius = radius;
-      }
-      if ( radius < minShellRadius ) {
-        minShellRadius = radius;
-      }
-    }
-
-    // This method increases the value of the smaller radius values and decreases the value of the larger ones.
-    // This effectively reduces the range of radii values used.
-    // This is a very specialized function for the purposes of this class.
-    const reduceRadiusRange = function( value ) {
-      // The following two factors define the way in which an input value is increased or decreased.  These values
-      // can be adjusted as needed to make the cloud size appear as desired.
-      const minChangedRadius = 40;
-      const maxChangedRadius = 55;
-
-      const compressionFunction = new LinearFunction( minShellRadius, maxShellRadius, minChangedRadius, maxChangedRadius );
-      return compressionFunction( value );
-    };
-
-    if ( numElectrons in mapElectronCountToRadius ) {
-      return reduceRadiusRange( mapElectronCountToRadius[ numElectrons ] );
-    }
-    else {
-      assert && assert( numElectrons <= MAX_ELECTRONS, 'Atom has more than supported number of electrons, ' + numElectrons );
-      return 0;
-    }
+  getElectronShellDiameter: function( numElectrons, numProtons ) {
+    numProtons = numProtons === undefined ? numElectrons : numProtons;
+    const radius = AtomIdentifier.getAtomOrIonRadius( numProtons, numElectrons );
+    return radius > 0 ? Utils.clamp( RADIUS_TO_DIAMETER_FUNCTION( radius ), 0, MAX_SHELL_DIAMETER ) : 0;
   }
 } );
 
@@ -13,6 +13,7 @@ import Node from '../../../scenery/js/nodes/Node.js';
 import RichText from '../../../scenery/js/nodes/RichText.js';
 import RadialGradient from '../../../scenery/js/util/RadialGradient.js';
 import AtomIdentifier from '../AtomIdentifier.js';
+import NuclideNotationEnum from '../NuclideNotationEnum.js';
 import shred from '../shred.js';
 
 /**
@@ -42,8 +43,11 @@ function IsotopeNode( isotope, radius, options ) {
   this.addChild( isotopeSphere );
 
   if ( options.showLabel ) {
-    const symbol = AtomIdentifier.getSymbol( isotope.protonCount );
-    const label = new RichText( ' <sup>' + isotope.massNumber + '</sup>' + symbol, {
+    const nuclideString = AtomIdentifier.formatNuclide( {
+      protonCount: isotope.protonCount,
+      neutronCount: isotope.massNumber - isotope.protonCount
+    }, NuclideNotationEnum.RICH_TEXT );
+    const label = new RichText( ' ' + nuclideString, {
       font: new PhetFont( 10 ),
       // making sure that text doesn't goes beyond the sphere boundaries, -2 is empirically determined
       maxWidth: 2 * radius - 2
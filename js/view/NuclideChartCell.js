@@ -16,27 +16,20 @@ import Text from '../../../scenery/js/nodes/Text.js';
 import EventType from '../../../tandem/js/EventType.js';
 import Tandem from '../../../tandem/js/Tandem.js';
 import AtomIdentifier from '../AtomIdentifier.js';
+import DecayMode from '../DecayMode.js';
+import NuclideStatusEnum from '../NuclideStatusEnum.js';
 import shred from '../shred.js';
 import ArrowNode from '../../../scenery-phet/js/ArrowNode.js';
 
 // constants
 const NOMINAL_CELL_DIMENSION = 25;
 const NOMINAL_FONT_SIZE = 14;
-//original selected '#ff0000', vs phet selected '#FA8072'
-const chart_material = [ '#FFFF00', '#00ff00', '#00aaff', '#00ccff', '#6600ff', '#FF6699', '#ff6600', '#ff0000', '#000066', '#666666' ];
-const nuclides = [
-  [ [ 'p' ], [ 'ec b+', 'ec p', 'ec a' ], [ 'ec b+' ], [ 'ec b+' ], [ 'stable' ], [ 'stable' ], [ 'stable' ] ],
-  [ [ 'p' ], [ 'p' ], [ 'ec b+' ], [ 'ec b+' ], [ 'stable' ], [ 'b-' ], [ 'b-' ] ],
-  [ [ 'p' ], [ 'ec b+', 'b+ p' ], [ 'ec b+' ], [ 'ec b+' ], [ 'stable' ], [ 'stable' ], [ 'stable' ], [ 'b-' ], [ 'b-' ] ],
-  [ [ 'p' ], [ 'p' ], [ 'ec b+' ], [ 'ec b+' ], [ 'stable' ], [ 'stable' ], [ 'b-', 'b- a' ], [ 'b-', 'b- n' ], [ 'b-', 'b- n', 'b- a' ], [ 'b-', 'b- n' ] ],
-  [ [ 'p', 'a' ], [ 'ec b+', 'b+ p', 'b+ a' ], [ 'ec b+' ], [ 'ec b+' ], [ 'stable' ], [ 'stable' ], [ 'b-' ], [ 'b-' ], [ 'b-', 'b- n' ], [ 'b-', 'b- n' ], [ 'b-', 'b- n' ] ],
-  [ [ 'p', 'a' ], [ 'b+ a', 'ec b+' ], [ 'p' ], [ 'stable' ], [ 'stable' ], [ 'b-' ], [ 'b-' ], [ 'b-' ], [ 'b-' ], [ 'n' ], [ 'b-', 'b- n', 'b- 2n', 'b- 3n', 'b- 4n' ] ],
-  [ [ 'p' ], [ 'p', 'a' ], [ 'ec' ], [ 'a' ], [ 'stable' ], [ 'b-' ], [ 'b-' ], [ 'b-', 'b- n' ], [ 'n' ], [ 'b-', 'b- n', 'b- 2n' ] ],
-  [ [ 'p' ], [ 'p' ], [ 'stable' ], [ 'stable' ], [ 'b-', 'b- a' ], [ 'b-', 'b- n' ], [ 'n' ], [ 'b-' ] ],
-  [ [ 'stable' ], [ 'stable' ], [ 'n' ], [ 'b-' ], [ 'n' ], [ 'b-', 'b- n' ], [ 'n' ], [ 'n' ] ],
-  [ [ 'stable' ], [ 'stable' ], [ 'b-' ], [ 'n' ], [ 'n' ], [ 'n' ] ],
-  [ [ 'b-' ] ]
-];
+const STABLE_COLOR = '#000066';
+const NO_DECAY_MODE_COLOR = '#666666';
+const UNKNOWN_DECAY_MODE_COLOR = '#ff0000';
+// the chart has a column for each number of neutrons up to this one
+const MAX_NEUTRON_NUMBER = 12;
+// 2D array that defines the table structure, as in NuclideChartNode.
 const POPULATED_CELLS = [
   [ 6, 7, 8, 9, 10, 11, 12 ],
   [ 6, 7, 8, 9, 10, 11, 12 ],
@@ -56,11 +49,10 @@ const POPULATED_CELLS = [
  * @param {NumberAtom} numberAtom - Atom that is set if this cell is selected by the user.
  * @param {Color} cellColor - Color to be used for selected enabled and disabled cell
  * @param {number} neutronNumber - Neutron number of nuclide represented by this cell.
- * @param {string[]} decay - String array of decay types to determine where white decay arrow(s) point(s).
  * @param {Object} [options]
  * @constructor
  */
-function NuclideChartCell( atomicNumber, numberAtom, cellColor, neutronNumber, decay, options ) {
+function NuclideChartCell( atomicNumber, numberAtom, cellColor, neutronNumber, options ) {
   options = merge( {
     length: 25, //Width and height of cell (cells are square).
     interactive: false, // Boolean flag that determines whether cell is interactive.
@@ -73,12 +65,11 @@ function NuclideChartCell( atomicNumber, numberAtom, cellColor, neutronNumber, d
   this.options = options;
   this.protonNumber = atomicNumber;
   this.neutronNumber = neutronNumber;
-  this.decay = decay;
   this.arrows = []; // Stores daughter arrows as they're added
   this.daughters = getDaughterNuclides( this );
 
   // @private
-  this.normalFill = chart_material[ getMaterialIndex( decay[ 0 ] ) ];
+  this.normalFill = getCellColor( atomicNumber, neutronNumber );
 
   Rectangle.call( this, 0, 0, options.length, options.length, 0, 0, {
     stroke: 'black',
@@ -182,158 +173,57 @@ function NuclideChartCell( atomicNumber, numberAtom, cellColor, neutronNumber, d
   };
 }
 
-function getMaterialIndex( type ) {
-  let color_index;
-  switch( type ) {
-    case 'a':
-      color_index = 0;
-      break;
-    case 'b-':
-    case '2b-':
-    case 'b- n':
-      color_index = 1;
-      break;
-    case 'ec':
-    case '2ec':
-      color_index = 2;
-      break;
-    case 'ec b+':
-    case 'b+ a':
-    case '2b+':
-    case 'b+ ec':
-    case 'b+':
-      color_index = 2;
-      break;
-    case 'p':
-    case '2p':
-    case 'ec p':
-      color_index = 6;
-      break;
-    case 'n':
-      color_index = 5;
-      break;
-    case '':
-      color_index = 9;
-      break;
-    case 'stable':
-      color_index = 8;
-      break;
-    case 'SF':
-    case 'ec SF':
-      color_index = 4;
-      break;
-    default:
-      color_index = 7;
+/**
+ * Get the color of a cell from the primary decay mode of its nuclide, see DecayMode.
+ * @param {number} protons
+ * @param {number} neutrons
+ * @returns {string}
+ */
+function getCellColor( protons, neutrons ) {
+  if ( AtomIdentifier.isStable( protons, neutrons ) ) {
+    return STABLE_COLOR;
+  }
+  const primaryDecayMode = AtomIdentifier.getPrimaryDecayMode( protons, neutrons );
+  if ( primaryDecayMode === null ) {
+    return NO_DECAY_MODE_COLOR;
+  }
+  const registeredDecayMode = DecayMode.get( primaryDecayMode );
+  return registeredDecayMode && registeredDecayMode.color ? registeredDecayMode.color : UNKNOWN_DECAY_MODE_COLOR;
+}
+
+/**
+ * Whether the nuclide chart has a cell for the specified nuclide.  Besides the cells of the table structure, every
+ * known nuclide in the chart gets a cell, including the unbound ones that have only been observed as short-lived
+ * resonances, see AtomIdentifier.getNuclideStatus.  The other slots of the chart are marked with an X, see
+ * NuclideChartNode.
+ * @param {number} protons
+ * @param {number} neutrons
+ * @returns {boolean}
+ */
+function hasCell( protons, neutrons ) {
+  const populatedCellsInRow = POPULATED_CELLS[ POPULATED_CELLS.length - 1 - protons ];
+  if ( populatedCellsInRow === undefined || neutrons < 0 || neutrons > MAX_NEUTRON_NUMBER ) {
+    return false;
   }
-  return color_index;
+  return populatedCellsInRow.indexOf( neutrons ) !== -1 ||
+         ( protons + neutrons > 0 && AtomIdentifier.getNuclideStatus( protons, neutrons ) === NuclideStatusEnum.KNOWN );
 }
 
 function getDaughterNuclides( parent ) {//get daughter nuclides position
-  let to_n, to_p;
   let daughters = [];
-  let decay = parent.decay;
   let proton = parent.protonNumber;
   let neutron = parent.neutronNumber;
-  let len = decay.length;
-  for ( let i = 0; i < len; i++ ) {
-    switch( decay[ i ] ) {
-      case 'b-':
-        to_n = neutron - 1;
-        to_p = proton + 1;
-        break;
-      case '2b-':
-        to_n = neutron - 2;
-        to_p = proton + 2;
-        break;
-      case 'ec b+':
-      case 'ec':
-      case 'b+':
-      case 'b+ ec':
-        to_n = neutron + 1;
-        to_p = proton - 1;
-        break;
-      case '2ec':
-      case '2b+':
-        to_n = neutron + 2;
-        to_p = proton - 2;
-        break;
-      case 'a':
-        to_n = neutron - 2;
-        to_p = proton - 2;
-        break;
-      case 'p':
-        to_n = neutron;
-        to_p = proton - 1;
-        break;
-      case 'n':
-        to_n = neutron - 1;
-        to_p = proton;
-        break;
-      case '2p':
-        to_n = neutron;
-        to_p = proton - 2;
-        break;
-      case 'b+ a':
-      case 'ec a':
-        to_n = neutron - 1;
-        to_p = proton - 3;
-        break;
-      case 'b- a':
-        to_n = neutron - 3;
-        to_p = proton - 1;
-        break;
-      case 'b- n':
-        to_n = neutron - 2;
-        to_p = proton + 1;
-        break;
-      case 'b- 2n':
-        to_n = neutron - 3;
-        to_p = proton + 1;
-        break;
-      case 'b- 3n':
-        to_n = neutron - 4;
-        to_p = proton + 1;
-        break;
-      case 'b- 4n':
-        to_n = neutron - 5;
-        to_p = proton + 1;
-        break;
-      case 'ec p':
-      case 'b+ p':
-      case 'b- p': // ?
-        to_n = neutron + 1;
-        to_p = proton - 2;
-        break;
-      case 'ec 2p':
-      case 'b+ 2p':
-        to_n = neutron + 1;
-        to_p = proton - 3;
-        break;
-      case '24Ne':
-        to_n = neutron - 14;
-        to_p = proton - 10;
-        break;
-      case '34Si':
-        to_n = neutron - 20;
-        to_p = proton - 14;
-        break;
-      case '12C':
-        to_n = neutron - 6;
-        to_p = proton - 6;
-        break;
-      case 'b- F':
-      default:
-        if ( decay[ i ] !== '' && decay[ i ] !== 'stable' && decay[ i ].indexOf( 'SF' ) === -1 ) {
-          window.alert( decay[ i ] );
-        }
-        to_n = 0;
-        to_p = 0;
-        break;
-    }
-    let aProton = nuclides.length - 1 - to_p;
-    let aNeutron = POPULATED_CELLS[ aProton ].indexOf( to_n );
-    if ( aNeutron !== null && aNeutron !== undefined ) {
-      daughters.push( [ aProton, to_n ] );
+  let decayModes = AtomIdentifier.getDecayModes( proton, neutron );
+  for ( let i = 0; i < decayModes.length; i++ ) {
+
+    // modes without a single daughter, such as fission, have no arrow, see DecayMode
+    let daughter = AtomIdentifier.getDaughterNuclide( proton, neutron, decayModes[ i ].mode );
+    if ( daughter ) {
+
+      // daughters that are not in the chart get no arrow
+      if ( hasCell( daughter.protons, daughter.neutrons ) ) {
+        daughters.push( [ POPULATED_CELLS.length - 1 - daughter.protons, daughter.neutrons ] );
+      }
     }
   }
   if ( daughters.length ) {
@@ -393,6 +283,18 @@ inherit( Rectangle, NuclideChartCell, {
     this.disposeNuclideChartCell();
     Rectangle.prototype.dispose.call( this );
   }
+}, {
+
+  /**
+   * Whether the nuclide chart has a cell for the specified nuclide, see hasCell.
+   * @param {number} protons
+   * @param {number} neutrons
+   * @returns {boolean}
+   * @public
+   */
+  hasCell: function( protons, neutrons ) {
+    return hasCell( protons, neutrons );
+  }
 } );
 
 export default NuclideChartCell;
\ No newline at end of file
@@ -10,9 +10,12 @@ import merge from '../../../phet-core/js/merge.js';
 import Node from '../../../scenery/js/nodes/Node.js';
 import Tandem from '../../../tandem/js/Tandem.js';
 import AtomIdentifier from '../AtomIdentifier.js';
+import DecayMode from '../DecayMode.js';
+import NuclideStatusEnum from '../NuclideStatusEnum.js';
 import Shape from '../../../kite/js/Shape.js';
 import Path from '../../../scenery/js/nodes/Path.js';
 import shred from '../shred.js';
+import shredStrings from '../shredStrings.js';
 import ShredConstants from '../ShredConstants.js';
 import NuclideChartCell from './NuclideChartCell.js';
 import NuclideChartX from './NuclideChartX.js';
@@ -23,7 +26,8 @@ import Rectangle from '../../../scenery/js/nodes/Rectangle.js';
 import buildAnAtomStrings from '../../../build-an-atom/js/buildAnAtomStrings.js';
 
 // constants
-// 2D array that defines the table structure.
+// 2D array that defines the table structure.  The known nuclides outside of it get cells too, see
+// NuclideChartCell.hasCell.
 const POPULATED_CELLS = [
   [ 6, 7, 8, 9, 10, 11, 12 ],
   [ 6, 7, 8, 9, 10, 11, 12 ],
@@ -37,38 +41,21 @@ const POPULATED_CELLS = [
   [ 0, 1, 2, 3, 4, 5 ],
   [ 1 ]
 ];
-const nuclides = [
-  [ [ 'p' ], [ 'ec b+', 'ec p', 'ec a' ], [ 'ec b+' ], [ 'ec b+' ], [ 'stable' ], [ 'stable' ], [ 'stable' ] ],
-  [ [ 'p' ], [ 'p' ], [ 'ec b+' ], [ 'ec b+' ], [ 'stable' ], [ 'b-' ], [ 'b-' ] ],
-  [ [ 'p' ], [ 'ec b+', 'b+ p' ], [ 'ec b+' ], [ 'ec b+' ], [ 'stable' ], [ 'stable' ], [ 'stable' ], [ 'b-' ], [ 'b-' ] ],
-  [ [ 'p' ], [ 'p' ], [ 'ec b+' ], [ 'ec b+' ], [ 'stable' ], [ 'stable' ], [ 'b-', 'b- a' ], [ 'b-', 'b- n' ], [ 'b-', 'b- n', 'b- a' ], [ 'b-', 'b- n' ] ],
-  [ [ 'p', 'a' ], [ 'ec b+', 'b+ p', 'b+ a' ], [ 'ec b+' ], [ 'ec b+' ], [ 'stable' ], [ 'stable' ], [ 'b-' ], [ 'b-' ], [ 'b-', 'b- n' ], [ 'b-', 'b- n' ], [ 'b-', 'b- n' ] ],
-  [ [ 'p', 'a' ], [ 'b+ a', 'ec b+' ], [ 'p' ], [ 'stable' ], [ 'stable' ], [ 'b-' ], [ 'b-' ], [ 'b-' ], [ 'b-' ], [ 'n' ], [ 'b-', 'b- n', 'b- 2n', 'b- 3n', 'b- 4n' ] ],
-  [ [ 'p' ], [ 'p', 'a' ], [ 'ec' ], [ 'a' ], [ 'stable' ], [ 'b-' ], [ 'b-' ], [ 'b-', 'b- n' ], [ 'n' ], [ 'b-', 'b- n', 'b- 2n' ] ],
-  [ [ 'p' ], [ 'p' ], [ 'stable' ], [ 'stable' ], [ 'b-', 'b- a' ], [ 'b-', 'b- n' ], [ 'n' ], [ 'b-' ] ],
-  [ [ 'stable' ], [ 'stable' ], [ 'n' ], [ 'b-' ], [ 'n' ], [ 'b-', 'b- n' ], [ 'n' ], [ 'n' ] ],
-  [ [ 'stable' ], [ 'stable' ], [ 'b-' ], [ 'n' ], [ 'n' ], [ 'n' ] ],
-  [ [ 'b-' ] ]
-];
 const ENABLED_CELL_COLOR = ShredConstants.DISPLAY_PANEL_BACKGROUND_COLOR;
 const DISABLED_CELL_COLOR = '#EEEEEE';
 const SELECTED_CELL_COLOR = '#ff0000'; //salmon // vs phet selected '#FA8072'
+const UNOBSERVED_X_COLOR = '#999999';
 const NOMINAL_CELL_DIMENSION = 25;
 const NOMINAL_FONT_SIZE = 14;
 const LABEL_FONT_SIZE = 15;
 const AXIS_FONT_SIZE = 17;
 const protonAxisString = buildAnAtomStrings.protonAxis;
 const neutronAxisString = buildAnAtomStrings.neutronAxis;
-const alphaDecayString = buildAnAtomStrings.alphaDecay;
-const betaMinusDecayString = buildAnAtomStrings.betaMinusDecay;
-const betaPlusDecayString = buildAnAtomStrings.betaPlusDecay;
-const electronCaptureString = buildAnAtomStrings.electronCapture;
-const neutronEmissionString = buildAnAtomStrings.neutronEmission;
-const protonEmissionString = buildAnAtomStrings.protonEmission;
 const stableString = buildAnAtomStrings.stable;
 const selectedString = buildAnAtomStrings.selected;
 const magicNumbersString = buildAnAtomStrings.magicNumbers;
 const doesNotFormString = buildAnAtomStrings.doesNotForm;
+const notYetObservedString = shredStrings.notYetObserved;
 
 /**
  * Constructor.
@@ -111,7 +98,9 @@ function NuclideChartNode( numberAtom, options ) {
   // Adding nuclide cells from the bottom of the chart upwards.
   for ( let i = POPULATED_CELLS.length - 1; i >= 0; i-- ) {
     const proton = elementIndex;
-    const populatedCellsInRow = POPULATED_CELLS[ i ];
+    const populatedCellsInRow = this.nuclide_cells[ proton ].filter( function( neutron ) {
+      return NuclideChartCell.hasCell( proton, neutron );
+    } );
     const cellColor = {
       'enabled': options.enabledCellColor,
       'disabled': options.disabledCellColor,
@@ -128,7 +117,7 @@ function NuclideChartNode( numberAtom, options ) {
         this.addChild( protonLabel );
       }
       const neutron = populatedCellsInRow[ j ];
-      const cell = new NuclideChartCell( elementIndex, numberAtom, cellColor, neutron, nuclides[ i ][ j ], {
+      const cell = new NuclideChartCell( elementIndex, numberAtom, cellColor, neutron, {
         interactive: false,
         showLabels: options.showLabels,
         length: options.cellDimension,
@@ -184,7 +173,7 @@ function NuclideChartNode( numberAtom, options ) {
     for ( let j = 0; j < this.nuclide_cells[ i ].length; j++ ) {
       if ( typeof this.nuclide_cells[ i ][ j ] !== 'object' ) {
         if ( !( i === 0 && j === 0 ) ) {
-          this.nuclide_cells[ i ][ j ] = new NuclideChartX( i, j, SELECTED_CELL_COLOR ); // red X label where no nuclide cells exist
+          this.nuclide_cells[ i ][ j ] = new NuclideChartX( i, j, NuclideChartNode.getXColor( i, j ) );
         }
         else {
           this.nuclide_cells[ i ][ j ] = [ i, j ];
@@ -216,100 +205,31 @@ function NuclideChartNode( numberAtom, options ) {
   const neutronAxis = new ArrowNode( neutronAxisLabel.right + ( 25 / 2 ), ( 11 * 25 ) + ( 25 / 2 ), ( 12 * 25 ) + ( 25 / 2 ), ( 11 * 25 ) + ( 25 / 2 ) );
   this.addChild( neutronAxis );
 
-  //add legend items
-  const alpha = new Rectangle( ( 14 * 25 ), 0, 25 - 5, 25 - 5, 0, 0, {
-    stroke: 'black',
-    lineWidth: 1,
-    fill: '#ffff00',
-    cursor: options.interactive ? 'pointer' : null,
-    tandem: options.tandem,
-    phetioType: options.phetioType
-  } ); // Call super constructor. 
-  this.addChild( alpha );
-  let alphaLabel = new Text( alphaDecayString, {
-    font: new PhetFont( LABEL_FONT_SIZE ),
-    maxWidth: options.cellDimension * 12,
-    tandem: options.tandem.createTandem( 'alphaLabel' )
-  } );
-  alphaLabel.left = alpha.right + ( 20 / 3 );
-  alphaLabel.top = alpha.top + ( 20 / 6 );
-  this.addChild( alphaLabel );
-  const betaMinus = new Rectangle( ( 14 * 25 ), 1.25 * 25, 25 - 5, 25 - 5, 0, 0, {
-    stroke: 'black',
-    lineWidth: 1,
-    fill: '#00ff00',
-    cursor: options.interactive ? 'pointer' : null,
-    tandem: options.tandem,
-    phetioType: options.phetioType
-  } ); // Call super constructor. 
-  this.addChild( betaMinus );
-  let betaMinusLabel = new Text( betaMinusDecayString, {
-    font: new PhetFont( LABEL_FONT_SIZE ),
-    maxWidth: options.cellDimension * 12,
-    tandem: options.tandem.createTandem( 'betaMinusLabel' )
-  } );
-  betaMinusLabel.left = betaMinus.right + ( 20 / 3 );
-  betaMinusLabel.top = betaMinus.top + ( 20 / 6 );
-  this.addChild( betaMinusLabel );
-  const betaPlus = new Rectangle( ( 14 * 25 ), 2.65 * 25, 25 - 5, 25 - 5, 0, 0, {
-    stroke: 'black',
-    lineWidth: 1,
-    fill: '#00aaff',
-    cursor: options.interactive ? 'pointer' : null,
-    tandem: options.tandem,
-    phetioType: options.phetioType
-  } ); // Call super constructor. 
-  this.addChild( betaPlus );
-  let betaPlusLabel = new Text( betaPlusDecayString, {
-    font: new PhetFont( LABEL_FONT_SIZE ),
-    maxWidth: options.cellDimension * 12,
-    tandem: options.tandem.createTandem( 'betaPlusLabel' )
-  } );
-  betaPlusLabel.left = betaPlus.right + ( 20 / 3 );
-  betaPlusLabel.top = betaPlus.top - ( 20 / 4 );
-  this.addChild( betaPlusLabel );
-  let electronCaptureLabel = new Text( electronCaptureString, {
-    font: new PhetFont( LABEL_FONT_SIZE ),
-    maxWidth: options.cellDimension * 12,
-    tandem: options.tandem.createTandem( 'electronCaptureLabel' )
-  } );
-  electronCaptureLabel.left = betaPlus.right + ( 20 / 3 );
-  electronCaptureLabel.top = betaPlus.bottom - ( 20 / 2 );
-  this.addChild( electronCaptureLabel );
-  const neutronEmission = new Rectangle( ( 14 * 25 ), 4 * 25, 25 - 5, 25 - 5, 0, 0, {
-    stroke: 'black',
-    lineWidth: 1,
-    fill: '#ff6699',
-    cursor: options.interactive ? 'pointer' : null,
-    tandem: options.tandem,
-    phetioType: options.phetioType
-  } ); // Call super constructor. 
-  this.addChild( neutronEmission );
-  let neutronEmissionLabel = new Text( neutronEmissionString, {
-    font: new PhetFont( LABEL_FONT_SIZE ),
-    maxWidth: options.cellDimension * 12,
-    tandem: options.tandem.createTandem( 'neutronEmissionLabel' )
-  } );
-  neutronEmissionLabel.left = neutronEmission.right + ( 20 / 3 );
-  neutronEmissionLabel.top = neutronEmission.top + ( 20 / 6 );
-  this.addChild( neutronEmissionLabel );
-  const protonEmission = new Rectangle( ( 14 * 25 ), 5.25 * 25, 25 - 5, 25 - 5, 0, 0, {
-    stroke: 'black',
-    lineWidth: 1,
-    fill: '#ff6600',
-    cursor: options.interactive ? 'pointer' : null,
-    tandem: options.tandem,
-    phetioType: options.phetioType
-  } ); // Call super constructor. 
-  this.addChild( protonEmission );
-  let protonEmissionLabel = new Text( protonEmissionString, {
-    font: new PhetFont( LABEL_FONT_SIZE ),
-    maxWidth: options.cellDimension * 12,
-    tandem: options.tandem.createTandem( 'protonEmissionLabel' )
+  //add legend items, starting with a swatch for each color of the decay modes in the legend, labeled with those modes
+  const legendDecayModes = DecayMode.getAll().filter( function( decayMode ) { return decayMode.legendString; } );
+  let legendRowY = 0;
+  _.forEach( _.groupBy( legendDecayModes, 'color' ), function( decayModes ) {
+    const swatch = new Rectangle( ( 14 * 25 ), legendRowY + ( decayModes.length - 1 ) * 25 / 8, 25 - 5, 25 - 5, 0, 0, {
+      stroke: 'black',
+      lineWidth: 1,
+      fill: decayModes[ 0 ].color,
+      cursor: options.interactive ? 'pointer' : null,
+      tandem: options.tandem,
+      phetioType: options.phetioType
+    } );
+    self.addChild( swatch );
+    decayModes.forEach( function( decayMode, index ) {
+      const decayModeLabel = new Text( decayMode.legendString, {
+        font: new PhetFont( LABEL_FONT_SIZE ),
+        maxWidth: options.cellDimension * 12,
+        tandem: options.tandem.createTandem( decayMode.tandemName + 'Label' )
+      } );
+      decayModeLabel.left = swatch.right + ( 20 / 3 );
+      decayModeLabel.top = swatch.top + ( 20 / 6 ) + ( index - ( decayModes.length - 1 ) / 2 ) * 15;
+      self.addChild( decayModeLabel );
+    } );
+    legendRowY += ( 1.25 + ( decayModes.length - 1 ) / 4 ) * 25;
   } );
-  protonEmissionLabel.left = protonEmission.right + ( 20 / 3 );
-  protonEmissionLabel.top = protonEmission.top + ( 20 / 6 );
-  this.addChild( protonEmissionLabel );
   const stable = new Rectangle( ( 14 * 25 ), 6.5 * 25, 25 - 5, 25 - 5, 0, 0, {
     stroke: 'black',
     lineWidth: 1,
@@ -383,6 +303,27 @@ function NuclideChartNode( numberAtom, options ) {
   theXLabel.left = xLabelObject.right + ( 20 / 3 );
   theXLabel.top = xLabelObject.top + ( 20 / 6 );
   this.addChild( theXLabel );
+  const unobservedXLegendShape = new Shape();
+  unobservedXLegendShape.moveTo( ( 14 * 25 ), ( 11.5 * 25 ) + 20 );
+  unobservedXLegendShape.lineTo( ( 14 * 25 ) + 20, ( 11.5 * 25 ) );
+  unobservedXLegendShape.moveTo( ( 14 * 25 ), ( 11.5 * 25 ) );
+  unobservedXLegendShape.lineTo( ( 14 * 25 ) + 20, ( 11.5 * 25 ) + 20 );
+  const unobservedXLabelObject = new Path( unobservedXLegendShape, {
+    stroke: UNOBSERVED_X_COLOR,
+    lineWidth: 6,
+    pickable: false,
+    tandem: options.tandem.createTandem( 'unobservedXLabel' ),
+    phetioType: options.phetioType
+  } );
+  this.addChild( unobservedXLabelObject );
+  const unobservedXLabel = new Text( notYetObservedString, {
+    font: new PhetFont( LABEL_FONT_SIZE ),
+    maxWidth: options.cellDimension * 12,
+    tandem: options.tandem.createTandem( 'notYetObservedLabel' )
+  } );
+  unobservedXLabel.left = unobservedXLabelObject.right + ( 20 / 3 );
+  unobservedXLabel.top = unobservedXLabelObject.top + ( 20 / 6 );
+  this.addChild( unobservedXLabel );
 
   const updateHighlightedCellProton = function( protonCount ) {
     let neutronNum;
@@ -478,6 +419,24 @@ inherit( Node, NuclideChartNode, {
     this.disposeNuclideChartNode();
     Node.prototype.dispose.call( this );
   }
+}, {
+
+  /**
+   * Get the color of the X that marks a slot of the chart that has no cell: red where the nuclide can't form because
+   * it is unbound, gray where it might form but hasn't been observed.  Known nuclides have a cell, see
+   * NuclideChartCell.hasCell.
+   * @param {number} protons
+   * @param {number} neutrons
+   * @returns {string|null} - null if the slot has a cell
+   * @public
+   */
+  getXColor: function( protons, neutrons ) {
+    if ( NuclideChartCell.hasCell( protons, neutrons ) ) {
+      return null;
+    }
+    return AtomIdentifier.getNuclideStatus( protons, neutrons ) === NuclideStatusEnum.UNBOUND ?
+           SELECTED_CELL_COLOR : UNOBSERVED_X_COLOR;
+  }
 } );
 
 export default NuclideChartNode;
\ No newline at end of file
@@ -0,0 +1,44 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for the cells and X markers of NuclideChartNode
+ *
+ * @author Luisa Vargas
+ */
+
+import AtomIdentifier from '../AtomIdentifier.js';
+import NuclideStatusEnum from '../NuclideStatusEnum.js';
+import NuclideChartCell from './NuclideChartCell.js';
+import NuclideChartNode from './NuclideChartNode.js';
+
+QUnit.module( 'NuclideChartNode' );
+
+// colors of the X markers, see NuclideChartNode.getXColor
+const UNBOUND_X_COLOR = '#ff0000';
+const UNOBSERVED_X_COLOR = '#999999';
+
+QUnit.test( 'getXColor', function( assert ) {
+
+  // known nuclides outside of the table structure, which are unbound and have only been observed as resonances
+  [ [ 1, 6 ], [ 3, 0 ], [ 3, 9 ], [ 3, 10 ], [ 4, 11 ], [ 4, 12 ], [ 5, 1 ], [ 9, 5 ] ].forEach( function( nuclide ) {
+    assert.equal( AtomIdentifier.getNuclideStatus( nuclide[ 0 ], nuclide[ 1 ] ), NuclideStatusEnum.KNOWN,
+      'Z = ' + nuclide[ 0 ] + ', N = ' + nuclide[ 1 ] + ' is known' );
+    assert.ok( NuclideChartCell.hasCell( nuclide[ 0 ], nuclide[ 1 ] ), 'it has a cell' );
+    assert.equal( NuclideChartNode.getXColor( nuclide[ 0 ], nuclide[ 1 ] ), null, 'so it is not marked with an X' );
+  } );
+  assert.ok( NuclideChartCell.hasCell( 6, 6 ), 'C-12 has a cell' );
+  assert.notOk( NuclideChartCell.hasCell( 6, 13 ), 'C-19 is outside of the chart' );
+
+  // every other slot of the chart is marked by the status of its nuclide
+  for ( let protons = 0; protons <= 10; protons++ ) {
+    for ( let neutrons = 0; neutrons <= 12; neutrons++ ) {
+      if ( protons + neutrons > 0 && !NuclideChartCell.hasCell( protons, neutrons ) ) {
+        const status = AtomIdentifier.getNuclideStatus( protons, neutrons );
+        const message = 'Z = ' + protons + ', N = ' + neutrons;
+        assert.notEqual( status, NuclideStatusEnum.KNOWN, message + ' is not known' );
+        assert.equal( NuclideChartNode.getXColor( protons, neutrons ),
+          status === NuclideStatusEnum.UNBOUND ? UNBOUND_X_COLOR : UNOBSERVED_X_COLOR, message );
+      }
+    }
+  }
+} );